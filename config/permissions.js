@@ -0,0 +1,93 @@
+// Catalogue of permissions checked by requirePermission() and the roles that ship with CleanCity.
+// Roles live in the Role collection, so new ones (dispatcher, supervisor, ...) can be created
+// through /api/roles without touching this file. The defaults below are only used to seed
+// the built-in roles and to top them up when a new permission is introduced.
+
+export const PERMISSIONS = {
+  "reports:create": "Submit waste reports",
+  "reports:read": "View every report in the admin queue",
+  "reports:create:assigned": "Record a report and assign it to a driver in one step",
+  "reports:assign": "Assign reports to drivers",
+  "reports:status": "Change the status of any report",
+  "reports:work": "Receive report assignments and update their status",
+  "users:read": "List user accounts",
+  "users:manage": "Manage user accounts, sessions and lockouts",
+  "drivers:read": "List drivers available for assignment",
+  "shifts:manage": "Plan driver working hours, days off and on-call duty",
+  "depots:manage": "Create depots, set their service areas and assign drivers to teams",
+  "categories:manage": "Add, edit and deactivate the waste categories residents can report",
+  "locations:manage": "Mark schools, water sources and other sensitive locations that raise report priority",
+  "analytics:read": "View analytics dashboards and data",
+  "analytics:export": "Export analytics data as CSV or PDF",
+  "cache:manage": "Inspect, clear and reconnect the analytics cache",
+  "roles:manage": "Create and edit roles and their permissions",
+  "apikeys:manage": "Issue and revoke API keys for integrations",
+  "audit:read": "View and export the audit log",
+};
+
+// Permissions an API key may carry. Everything else needs a signed-in user.
+export const API_KEY_PERMISSIONS = [
+  "reports:read",
+  "reports:assign",
+  "reports:status",
+  "drivers:read",
+  "analytics:read",
+  "analytics:export",
+];
+
+// Any of these makes an account a staff account: it works on or sees other people's reports and
+// accounts, so it is tied to assignments and audit entries and can't delete itself (DELETE /me).
+export const STAFF_PERMISSIONS = [
+  "reports:read",
+  "reports:create:assigned",
+  "reports:assign",
+  "reports:status",
+  "reports:work",
+  "users:read",
+  "users:manage",
+  "analytics:read",
+  "audit:read",
+];
+
+// Roles are shared by every municipality, so changing them is left to whoever runs the
+// platform: these permissions are only ever granted to the platform administrator role.
+export const PLATFORM_ROLE = "platform_admin";
+export const PLATFORM_PERMISSIONS = ["roles:manage"];
+
+export const DEFAULT_ROLES = [
+  {
+    name: "citizen",
+    displayName: "Citizen",
+    description: "Residents who report waste incidents",
+    permissions: ["reports:create"],
+  },
+  {
+    name: "driver",
+    displayName: "Driver",
+    description: "Collection crew working assigned reports",
+    permissions: ["reports:create", "reports:work"],
+  },
+  {
+    name: "analyst",
+    displayName: "Analyst",
+    description: "Planning staff with read-only access to analytics and exports",
+    permissions: ["analytics:read", "analytics:export"],
+  },
+  {
+    name: "admin",
+    displayName: "Administrator",
+    description: "Full access to reports, users, analytics and configuration of their municipality",
+    permissions: Object.keys(PERMISSIONS).filter(
+      (permission) => permission !== "reports:work" && !PLATFORM_PERMISSIONS.includes(permission)
+    ),
+  },
+  {
+    name: PLATFORM_ROLE,
+    displayName: "Platform administrator",
+    description: "Administrator who also manages the roles shared by every municipality",
+    permissions: Object.keys(PERMISSIONS).filter((permission) => permission !== "reports:work"),
+  },
+];
+
+export const isKnownPermission = (permission) =>
+  Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
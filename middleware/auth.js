@@ -1,6 +1,46 @@
 import jwt from "jsonwebtoken"; // Imports the library to verify tokens.
+import SessionService from "../services/sessionService.js";
+import ApiKeyService from "../services/apiKeyService.js";
+import PermissionService from "../services/permissionService.js";
+import User from "../models/User.js";
+
+const sessionService = new SessionService();
+const apiKeyService = new ApiKeyService();
+const permissionService = new PermissionService();
+
+// Integrations send "X-API-Key: cck_..." (or "Authorization: ApiKey cck_...") instead of a JWT.
+// The key acts for its municipality with only the permissions it was issued with.
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.verifyKey(rawKey, { ip: req.ip });
+    if (!apiKey) {
+      return res
+        .status(401)
+        .json({ success: false, message: "API key is invalid, expired or revoked" });
+    }
+
+    req.user = {
+      role: "api_key",
+      organization: apiKey.organization || null,
+      permissions: apiKey.permissions,
+      apiKey: { id: apiKey._id.toString(), name: apiKey.name },
+    };
+    next();
+  } catch (err) {
+    console.error("API key check error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error verifying API key" });
+  }
+};
+
+const authenticate = async (req, res, next) => {
+  const [scheme, credential] = (req.headers.authorization || "").split(" ");
+  const apiKey = req.headers["x-api-key"] || (scheme === "ApiKey" ? credential : null);
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next);
+  }
 
-const authenticate = (req, res, next) => {
   // 1. Looks for the "Authorization" header in the request (e.g., "Bearer 12345xyz").
   const token = req.headers.authorization?.split(" ")[1];
 
@@ -11,22 +51,53 @@ const authenticate = (req, res, next) => {
       .json({ success: false, message: "No token, authorization denied" });
   }
 
+  let decoded;
   try {
     // 3. Verifies the token using your secret key. If it's valid, it "decodes" the user info.
-    const decoded = jwt.verify(
+    decoded = jwt.verify(
       token,
       process.env.JWT_SECRET || "my-secret-token"
     );
+  } catch (err) {
+    // 4. If the token is fake or expired, it sends an error.
+    return res.status(401).json({ success: false, message: "Token is not valid" });
+  }
 
-    // 4. Attaches the decoded user data (ID, email) to the "req" object so other routes can use it.
-    req.user = decoded;
+  try {
+    // 5. Makes sure the session the token belongs to has not been logged out or revoked.
+    const sessionActive = await sessionService.isSessionActive(decoded.sid);
+    if (!sessionActive) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Session has been revoked or expired" });
+    }
 
-    // 5. Moves the request forward to the actual route (like the report or dashboard route).
-    next();
+    // 6. Makes sure the account still exists and has not been deactivated by an admin.
+    const account = await User.findById(decoded.id).select("role isActive organization twoFactor.enabled");
+    if (!account || account.isActive === false) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Account has been deactivated" });
+    }
+
+    // the token's role may be stale after an admin changed it; permissions follow the stored one
+    decoded.role = account.role;
+    // every tenant-scoped query uses this (see utils/tenant.js)
+    decoded.organization = account.organization || null;
+    // roles that require two-factor authentication are checked against this in requirePermission
+    decoded.twoFactorEnabled = !!account.twoFactor?.enabled;
   } catch (err) {
-    // 6. If the token is fake or expired, it sends an error.
-    res.status(401).json({ success: false, message: "Token is not valid" });
+    console.error("Session check error:", err);
+    return res
+      .status(500)
+      .json({ success: false, message: "Server error verifying session" });
   }
+
+  // 7. Attaches the decoded user data (ID, email, session) to the "req" object so other routes can use it.
+  req.user = decoded;
+
+  // 8. Moves the request forward to the actual route (like the report or dashboard route).
+  next();
 };
 
 // Alias for authenticate function (for consistency with analytics routes)
@@ -34,6 +105,7 @@ const authenticateToken = authenticate;
 
 // middleware/auth.js
 
+// Kept for existing callers; routes now check specific permissions with requirePermission().
 const authenticateAdmin = (req, res, next) => {
   // 1. We check the 'role' we attached to the 'req' object in the 'authenticate' middleware.
   if (req.user && req.user.role === "admin") {
@@ -49,4 +121,91 @@ const authenticateAdmin = (req, res, next) => {
 // Alias for authenticateAdmin function (for consistency with analytics routes)
 const requireAdmin = authenticateAdmin;
 
-export { authenticate, authenticateAdmin, authenticateToken, requireAdmin };
+// Only lets the request through if the user's role grants every listed permission,
+// e.g. router.post("/reports/:id/assign", authenticate, requirePermission("reports:assign"), ...)
+// Roles and their permissions are stored in the Role collection (see config/permissions.js).
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    // API keys carry their own permission list instead of a role
+    const granted = req.user?.apiKey
+      ? req.user.permissions
+      : await permissionService.getPermissionsForRole(req.user?.role);
+    const missing = permissions.filter((permission) => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(", ")}`,
+      });
+    }
+
+    // accounts in a role that requires 2FA can sign in, but only enroll until they have set it up
+    if (
+      !req.user.apiKey &&
+      !req.user.twoFactorEnabled &&
+      (await permissionService.requiresTwoFactor(req.user.role))
+    ) {
+      return res.status(403).json({
+        success: false,
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+        message: "Your role requires two-factor authentication. Set it up to continue",
+      });
+    }
+
+    // Lets handlers make finer-grained decisions without another lookup
+    req.permissions = granted;
+    next();
+  } catch (err) {
+    console.error("Permission check error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error checking permissions" });
+  }
+};
+
+// For routes that act on the caller's own account (logout, dashboard, ...), which an API key doesn't have.
+const requireUserAccount = (req, res, next) => {
+  if (req.user?.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "This endpoint is not available to API keys",
+    });
+  }
+  next();
+};
+
+// Blocks users who have not confirmed their email address yet.
+// Only enforced when REQUIRE_EMAIL_VERIFICATION=true so existing deployments keep working.
+const requireVerifiedEmail = async (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== "true") {
+    return next();
+  }
+
+  try {
+    const user = await User.findById(req.user.id).select("emailVerified");
+    if (user && user.emailVerified) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      code: "EMAIL_NOT_VERIFIED",
+      message: "Please confirm your email address before submitting reports",
+    });
+  } catch (err) {
+    console.error("Email verification check error:", err);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error verifying account" });
+  }
+};
+
+export {
+  authenticate,
+  authenticateAdmin,
+  authenticateToken,
+  requireAdmin,
+  requirePermission,
+  requireUserAccount,
+  requireVerifiedEmail,
+};
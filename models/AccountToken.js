@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Single-use, expiring tokens sent to a user's inbox (password reset, email verification)
+// or handed out between login steps (two-factor code, single sign-on redirect back to the app).
+// Only a sha256 of the token is stored so a database leak cannot be replayed.
+const accountTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["password_reset", "email_verification", "login_2fa", "sso_login"],
+      required: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date },
+    requestedIp: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // keep a day for troubleshooting
+
+const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+export default AccountToken;
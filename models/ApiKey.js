@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// A revocable credential for machine-to-machine integrations (e.g. a contractor's dispatch system).
+// The key grants only the permissions listed here, inside one municipality.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // e.g. "Acme dispatch"
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    permissions: { type: [String], default: [] },
+    // sha256 of the key secret (the raw key is shown once, on creation)
+    keyHash: { type: String, required: true },
+    // last characters of the key so admins can tell keys apart
+    hint: { type: String },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    expiresAt: { type: Date },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    revokedAt: { type: Date },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ organization: 1, createdAt: -1 });
+
+apiKeySchema.virtual("isActive").get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export default ApiKey;
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// Trail of security-relevant and administrative actions (lockouts, assignments, status changes,
+// user edits, ...). The collection is append-only: entries are created and never edited or removed.
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true }, // e.g. "report.assign"
+    // who did it (empty for system-triggered events such as an automatic lockout)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorRole: { type: String },
+    actorLabel: { type: String }, // e.g. the API key name when no user was involved
+    // municipality the entry belongs to; admins only see their own
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    // what it was done to
+    targetType: { type: String }, // e.g. "User", "Report"
+    targetId: { type: String },
+    targetLabel: { type: String }, // human readable, e.g. an email address
+    // the changed fields before and after the action
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+    ip: { type: String },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const rejectChange = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+
+// block edits of existing entries through documents and queries alike
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+auditLogSchema.pre("deleteOne", { document: true, query: true }, rejectChange);
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+export default AuditLog;
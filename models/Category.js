@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+export const CATEGORY_PRIORITIES = ["low", "normal", "high", "urgent"];
+
+// A waste category residents of a municipality can report, e.g. "hazardous_waste".
+// Reports store the key; the display name, icon and subcategories are looked up here.
+const categorySchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    // stored on reports and used in analytics, so it cannot change once created
+    key: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9][a-z0-9_]{1,39}$/,
+    },
+    name: { type: String, required: true, trim: true }, // e.g. "Hazardous waste"
+    icon: { type: String, trim: true }, // Material Symbols name, e.g. "warning"
+    subcategories: [
+      {
+        _id: false,
+        key: { type: String, required: true },
+        name: { type: String, required: true },
+      },
+    ],
+    defaultPriority: { type: String, enum: CATEGORY_PRIORITIES, default: "normal" },
+    sortOrder: { type: Number, default: 0 },
+    // SLA targets in hours; a missing target is not tracked (see services/slaService.js)
+    sla: {
+      assignHours: { type: Number, min: 0 }, // until a driver is assigned
+      startHours: { type: Number, min: 0 }, // from assignment until work starts
+      resolveHours: { type: Number, min: 0 }, // until Completed or Resolved
+    },
+    // drivers must upload after-photos when they mark a report of this category Completed
+    requireCompletionPhotos: { type: Boolean, default: false },
+    // inactive categories can't be reported any more but stay in analytics
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categorySchema.index({ organization: 1, key: 1 }, { unique: true });
+
+const Category = mongoose.model("Category", categorySchema);
+export default Category;
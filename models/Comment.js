@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+export const COMMENT_VISIBILITIES = ["public", "internal"];
+
+// A message in a report's thread. Public comments are shown to the reporter;
+// internal ones only to staff (admins, dispatchers and the assigned driver).
+const commentSchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    // cleared when the author deletes their account; the comment stays
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // what the author was on this report when writing: reporter, driver or staff
+    authorRole: { type: String, enum: ["reporter", "driver", "staff"], required: true },
+    visibility: { type: String, enum: COMMENT_VISIBILITIES, default: "public" },
+    body: { type: String, trim: true, maxlength: 2000 },
+    photos: { type: [String], default: [] }, // Cloudinary URLs
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ report: 1, createdAt: 1 });
+commentSchema.index({ author: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+export default Comment;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// A depot and the team of drivers working out of it. Its service area decides which
+// reports show up in the depot's queue; drivers belong to at most one depot (User.depot).
+const depotSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // e.g. "North depot"
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    address: { type: String, trim: true },
+    // GeoJSON polygon, [longitude, latitude] positions
+    serviceArea: {
+      type: { type: String, enum: ["Polygon"] },
+      coordinates: { type: [[[Number]]], default: undefined },
+    },
+    supervisor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+depotSchema.index({ organization: 1, name: 1 }, { unique: true });
+
+const Depot = mongoose.model("Depot", depotSchema);
+export default Depot;
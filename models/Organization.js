@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// A municipality running CleanCity. Users, reports and analytics are scoped to one,
+// so several towns can share a deployment without seeing each other's data.
+const organizationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // used on the signup page and in scripts, e.g. "springfield"
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z0-9][a-z0-9-]{1,47}$/,
+    },
+    contactEmail: { type: String },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Organization = mongoose.model("Organization", organizationSchema);
+export default Organization;
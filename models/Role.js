@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// A named set of permissions. User.role holds the role's name.
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z][a-z0-9_-]{1,31}$/,
+    },
+    displayName: { type: String, required: true },
+    description: { type: String },
+    permissions: { type: [String], default: [] },
+    // members must enroll in two-factor authentication before any permission is granted
+    requireTwoFactor: { type: Boolean, default: false },
+    // built-in roles (citizen, driver, admin) cannot be deleted or renamed
+    isSystem: { type: Boolean, default: false },
+    // defaults already applied to a built-in role, so permissions an admin removed are not re-added
+    seededPermissions: { type: [String], default: [] },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model("Role", roleSchema);
+export default Role;
@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+export const SENSITIVE_LOCATION_TYPES = ["school", "water_source", "hospital", "playground", "other"];
+
+// A place where waste is more urgent than elsewhere, e.g. a school or a well.
+// Reports within its radius get extra priority (see services/priorityService.js).
+const sensitiveLocationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    name: { type: String, required: true, trim: true }, // e.g. "Riverside Primary School"
+    type: { type: String, enum: SENSITIVE_LOCATION_TYPES, required: true },
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 },
+    radiusMeters: { type: Number, default: 200, min: 10, max: 5000 },
+    // priority points a report inside the radius gets
+    weight: { type: Number, default: 15, min: 1, max: 50 },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sensitiveLocationSchema.index({ organization: 1, isActive: 1 });
+
+const SensitiveLocation = mongoose.model("SensitiveLocation", sensitiveLocationSchema);
+export default SensitiveLocation;
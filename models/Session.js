@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// A login session. The access token carries the session id (sid) so that
+// revoking the session here cuts off every token issued for it.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // sha256 of the current refresh token secret (the raw token is never stored)
+    refreshTokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    rotationCount: { type: Number, default: 0 },
+    userAgent: { type: String },
+    ip: { type: String },
+    revokedAt: { type: Date },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedReason: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 }); // For "revoke all sessions for user"
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Mongo drops expired sessions
+
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+export const SHIFT_TYPES = ["working_hours", "day_off", "on_call"];
+
+// One entry in a driver's availability calendar:
+// - working_hours: a weekly pattern (days + times in SHIFT_TIMEZONE), optionally limited to startDate..endDate
+// - day_off: the driver can't be assigned work between startDate and endDate (leave, sickness, training)
+// - on_call: the driver can be assigned work between startDate and endDate, even outside working hours
+const shiftSchema = new mongoose.Schema(
+  {
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    type: { type: String, enum: SHIFT_TYPES, required: true },
+    // 0 = Sunday ... 6 = Saturday
+    daysOfWeek: { type: [Number], default: undefined },
+    // "HH:MM"; an end before the start means the shift runs past midnight
+    startTime: { type: String },
+    endTime: { type: String },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    note: { type: String, trim: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+shiftSchema.index({ organization: 1, driver: 1, type: 1 });
+shiftSchema.index({ organization: 1, endDate: 1 });
+
+const Shift = mongoose.model("Shift", shiftSchema);
+export default Shift;
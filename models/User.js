@@ -19,10 +19,72 @@ const userSchema = new mongoose.Schema(
       required: true,
     },
 
+    // municipality the account belongs to; every admin query is scoped to it (see utils/tenant.js)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    // depot/team a driver works out of
+    depot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Depot",
+    },
+
+    // name of a Role document (citizen, driver, admin or a custom role);
+    // permissions are resolved through services/permissionService.js
     role: {
       type: String,
-      enum: ["citizen", "admin", "driver"],
       default: "citizen",
+      lowercase: true,
+      trim: true,
+    },
+
+    // set once the user opens the link from the verification email
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+
+    emailVerifiedAt: {
+      type: Date,
+    },
+
+    // deactivated accounts cannot log in and their tokens stop working (see middleware/auth.js)
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    deactivatedAt: {
+      type: Date,
+    },
+
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    deactivationReason: {
+      type: String,
+    },
+
+    // TOTP second factor (see services/twoFactorService.js); the secrets are never selected by default
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      // generated by /2fa/setup, becomes the secret once the first code is confirmed
+      pendingSecret: { type: String, select: false },
+      // sha256 hashes of the unused recovery codes
+      recoveryCodes: { type: [String], select: false, default: undefined },
+      // last accepted time step, so a code can't be replayed
+      lastUsedStep: { type: Number, select: false },
+    },
+
+    // directory identity for accounts that sign in with OpenID Connect (see services/oidcService.js)
+    sso: {
+      issuer: { type: String },
+      subject: { type: String },
     },
   },
 
@@ -33,6 +95,12 @@ const userSchema = new mongoose.Schema(
 
 // Add index for role-based queries
 userSchema.index({ role: 1 });
+userSchema.index({ organization: 1, role: 1 });
+userSchema.index({ depot: 1 });
+userSchema.index(
+  { "sso.issuer": 1, "sso.subject": 1 },
+  { unique: true, partialFilterExpression: { "sso.subject": { $exists: true } } }
+);
 
 
 
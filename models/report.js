@@ -2,16 +2,37 @@ import mongoose from "mongoose";
 
 const reportSchema = new mongoose.Schema(
   {
-    category: { type: String, required: true },
+    category: { type: String, required: true }, // key of a Category of the municipality
+    subcategory: { type: String }, // key of one of the category's subcategories
     address: { type: String, required: true },
     description: { type: String },
     photos: { type: [String], default: [] },
     status: { type: String, default: "Pending" },
+    // municipality the report was filed in (copied from the reporting user)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
     //link to the user who created the report
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // cleared when the reporter deletes their account; the report itself stays.
+      // Anonymous reports never had one
+      required: function () {
+        return !this.reporterDeletedAt && !this.anonymous;
+      },
+    },
+    reporterDeletedAt: { type: Date },
+    // Filed without an account through /api/public/reports; followed up with the tracking code
+    anonymous: { type: Boolean, default: false },
+    trackingCode: { type: String },
+    // Anonymous reports wait for an admin to confirm they are genuine
+    moderation: {
+      status: { type: String, enum: ["pending", "approved", "spam"] },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reviewedAt: { type: Date },
+      notes: { type: String },
     },
     // New fields for enhanced reporting workflow
     latitude: { type: Number },
@@ -26,7 +47,70 @@ const reportSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId, 
       ref: "User" 
     },
+    // Evidence from the driver who marked the report Completed; replaced if it is completed again
+    completion: {
+      photos: [{ type: String }], // Cloudinary URLs of the after-photos
+      notes: { type: String },
+      completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      completedAt: { type: Date },
+    },
     isAdminReport: { type: Boolean, default: false },
+    // Duplicates: a merged report points at its primary, which keeps the others' reporters and history
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+    },
+    additionalReporters: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    }],
+    mergedReports: [{
+      _id: false,
+      report: { type: mongoose.Schema.Types.ObjectId, ref: "Report" },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      description: { type: String },
+      createdAt: { type: Date },
+      mergedAt: { type: Date },
+      mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      statusHistory: [{
+        _id: false,
+        status: String,
+        timestamp: Date,
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        notes: String
+      }]
+    }],
+    // "Me too" confirmations from other citizens who saw the same waste, one per user
+    confirmations: [{
+      _id: false,
+      user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // cleared when they delete their account
+      createdAt: { type: Date, default: Date.now },
+    }],
+    confirmationCount: { type: Number, default: 0 },
+    // How urgent the report is, kept current by services/priorityService.js
+    priority: {
+      score: { type: Number },
+      level: { type: String, enum: ["low", "normal", "high", "urgent"] },
+      factors: {
+        category: Number,
+        age: Number,
+        nearby: Number,
+        sensitive: Number,
+        confirmations: Number,
+      },
+      nearbyReports: { type: Number }, // other open reports of the same category close by
+      sensitiveLocation: { type: String }, // name of the sensitive location it lies near
+      computedAt: { type: Date },
+    },
+    // Due dates from the category's SLA targets, kept current by services/slaService.js
+    sla: {
+      state: { type: String, enum: ["on_track", "at_risk", "breached", "met", "missed", "closed"] },
+      dueAt: { type: Date }, // resolution due
+      stageDueAt: { type: Date }, // due date of the current stage (assignment or start)
+      breachedTargets: { type: [String], default: undefined }, // assignment, start, resolution
+      breachedAt: { type: Date },
+      checkedAt: { type: Date },
+    },
     // Status history for workflow analysis
     statusHistory: [{
       status: { type: String, required: true },
@@ -48,6 +132,7 @@ reportSchema.index({ assignedDriver: 1 }); // For driver dashboard queries
 reportSchema.index({ latitude: 1, longitude: 1 }); // For geospatial queries
 reportSchema.index({ user: 1, createdAt: -1 }); // For user dashboard with recent reports
 reportSchema.index({ status: 1 }); // For status-based filtering
+reportSchema.index({ organization: 1, createdAt: -1 }); // For tenant-scoped admin and analytics queries
 
 // Additional indexes for analytics performance
 reportSchema.index({ createdAt: 1, category: 1 }); // For trend analysis by category
@@ -55,6 +140,12 @@ reportSchema.index({ status: 1, assignedDriver: 1 }); // For driver performance
 reportSchema.index({ createdAt: 1, status: 1, category: 1 }); // For comprehensive analytics queries
 reportSchema.index({ latitude: 1, longitude: 1, category: 1 }); // For geographic analytics by category
 reportSchema.index({ 'statusHistory.timestamp': 1 }); // For status transition analytics
+reportSchema.index({ organization: 1, 'sla.state': 1 }); // For at-risk and breached report lists
+reportSchema.index({ organization: 1, 'priority.score': -1 }); // For the admin queue, most urgent first
+reportSchema.index({ assignedDriver: 1, 'priority.score': -1 }); // For the driver's list, most urgent first
+reportSchema.index({ 'confirmations.user': 1 }); // For a citizen's confirmations
+reportSchema.index({ trackingCode: 1 }, { unique: true, sparse: true }); // For anonymous report lookups
+reportSchema.index({ organization: 1, 'moderation.status': 1 }); // For the moderation queue
 
 // Middleware to track status changes
 reportSchema.pre('save', function(next) {
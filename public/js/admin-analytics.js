@@ -23,6 +23,7 @@ class AdminAnalyticsDashboard {
       drivers: `${this.apiBase}/drivers`,
       status: `${this.apiBase}/status-distribution`,
       statusTransitions: `${this.apiBase}/status-transitions`,
+      categories: '/api/categories?includeInactive=true',
       workflowTimeline: `${this.apiBase}/workflow-timeline`,
       workflowBottlenecks: `${this.apiBase}/workflow-bottlenecks`,
       resolution: `${this.apiBase}/resolution-times`,
@@ -65,6 +66,9 @@ class AdminAnalyticsDashboard {
       
       // Check authentication
       await this.checkAuthentication();
+
+      // Category filter, labels and summary cards follow the municipality's categories
+      await this.loadCategories();
       
       // Load initial data
       await this.loadInitialData();
@@ -202,8 +206,8 @@ class AdminAnalyticsDashboard {
         console.warn('[WARN] AdminAnalyticsDashboard - Error parsing user data:', parseError);
       }
 
-      if (!user.role || user.role !== 'admin') {
-        throw new Error('Admin access required');
+      if (!(user.permissions || []).includes('analytics:read')) {
+        throw new Error('Analytics access required');
       }
 
       // Verify token with a simple API call
@@ -223,6 +227,11 @@ class AdminAnalyticsDashboard {
       
       // Store token for API calls
       this.authToken = token;
+
+      // Read-only users (e.g. analysts) have no admin dashboard to go back to
+      if (!(user.permissions || []).includes('reports:read')) {
+        document.getElementById('back-to-admin')?.classList.add('hidden');
+      }
       
       // Check system health
       await this.checkSystemHealth(response);
@@ -770,8 +779,9 @@ class AdminAnalyticsDashboard {
         });
       }
 
-      // Update ranking table
+      // Update ranking and team tables
       this.updateDriverRankingTable(data);
+      this.updateTeamTable(data);
 
     } catch (error) {
       console.error('[ERROR] AdminAnalyticsDashboard - renderDriverOverviewVisualization:', error.message);
@@ -935,18 +945,13 @@ class AdminAnalyticsDashboard {
    */
   updateTrendsSummary(data) {
     try {
-      const elements = {
-        'trends-total': data.totalIncidents || 0,
-        'trends-recyclable': data.categoryTotals?.recyclable || 0,
-        'trends-illegal': data.categoryTotals?.illegal_dumping || 0,
-        'trends-hazardous': data.categoryTotals?.hazardous_waste || 0
-      };
+      const total = document.getElementById('trends-total');
+      if (total) {
+        total.textContent = this.formatNumber(data.totalIncidents || 0);
+      }
 
-      Object.entries(elements).forEach(([id, value]) => {
-        const element = document.getElementById(id);
-        if (element) {
-          element.textContent = this.formatNumber(value);
-        }
+      document.querySelectorAll('[data-category-total]').forEach(element => {
+        element.textContent = this.formatNumber(data.categoryTotals?.[element.dataset.categoryTotal] || 0);
       });
 
     } catch (error) {
@@ -1103,6 +1108,49 @@ class AdminAnalyticsDashboard {
     }
   }
 
+  /**
+   * Update the per-depot team table (hidden until drivers are organized into depots)
+   * @param {Object} data - Drivers data with a teams rollup
+   */
+  updateTeamTable(data) {
+    try {
+      const section = document.getElementById('drivers-team-section');
+      const tableBody = document.getElementById('drivers-team-table');
+      if (!section || !tableBody) return;
+
+      const teams = data.teams || [];
+      section.classList.toggle('hidden', !teams.some(team => team.depotId));
+      tableBody.innerHTML = '';
+
+      teams.forEach((team, index) => {
+        const row = document.createElement('tr');
+        row.className = index % 2 === 0 ? 'bg-white' : 'bg-gray-50';
+
+        const nameCell = document.createElement('td');
+        nameCell.className = 'px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900';
+        nameCell.textContent = team.name;
+        row.appendChild(nameCell);
+
+        [
+          team.driverCount,
+          team.assignedReports,
+          `${(team.completionRate || 0).toFixed(1)}%`,
+          `${(team.averageResolutionTime || 0).toFixed(1)}h`
+        ].forEach(value => {
+          const cell = document.createElement('td');
+          cell.className = 'px-6 py-4 whitespace-nowrap text-sm text-gray-900';
+          cell.textContent = value;
+          row.appendChild(cell);
+        });
+
+        tableBody.appendChild(row);
+      });
+
+    } catch (error) {
+      console.error('[ERROR] AdminAnalyticsDashboard - updateTeamTable:', error.message);
+    }
+  }
+
   /**
    * Update driver ranking metrics
    * @param {Object} data - Driver ranking data
@@ -1531,11 +1579,11 @@ class AdminAnalyticsDashboard {
   /**
    * Handle logout
    */
-  handleLogout() {
+  async handleLogout() {
     try {
-      // Clear authentication
+      // End the server-side session and clear authentication
+      await logoutSession();
       localStorage.removeItem('token');
-      localStorage.removeItem('user');
       
       // Clear cache
       this.clearCache();
@@ -1733,6 +1781,59 @@ class AdminAnalyticsDashboard {
 
   // API and caching utilities
 
+  /**
+   * Load the municipality's categories (inactive ones included, they still have reports)
+   */
+  async loadCategories() {
+    try {
+      const response = await this.makeAPICall(this.endpoints.categories);
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to load categories');
+      }
+
+      this.categories = response.categories;
+      this.filters.setCategories(this.categories);
+      this.visualization.setCategories(this.categories);
+      this.renderCategoryCards();
+    } catch (error) {
+      console.error('[ERROR] AdminAnalyticsDashboard - loadCategories:', error.message);
+    }
+  }
+
+  /**
+   * One trends summary card per category, next to the total
+   */
+  renderCategoryCards() {
+    const container = document.getElementById('trends-summary-cards');
+    if (!container) return;
+
+    container.querySelectorAll('[data-category-card]').forEach(card => card.remove());
+    this.categories.forEach(category => {
+      const card = document.createElement('div');
+      card.className = 'bg-gray-50 rounded-lg p-4';
+      card.dataset.categoryCard = category.key;
+      card.innerHTML = `
+        <div class="flex items-center">
+          <div class="flex-shrink-0">
+            <span class="material-symbols-outlined"></span>
+          </div>
+          <div class="ml-3">
+            <p class="text-sm font-medium text-gray-500"></p>
+            <p class="text-2xl font-semibold text-gray-900">-</p>
+          </div>
+        </div>
+      `;
+      // category fields are admin-entered, so they only go in as text and properties
+      const icon = card.querySelector('.material-symbols-outlined');
+      icon.textContent = category.icon || 'category';
+      icon.style.color = this.visualization.categoryColors[category.key] || '';
+      const [name, total] = card.querySelectorAll('p');
+      name.textContent = category.name;
+      total.dataset.categoryTotal = category.key;
+      container.appendChild(card);
+    });
+  }
+
   /**
    * Make API call with error handling and retries
    * @param {String} url - API endpoint URL
@@ -3,14 +3,15 @@ document.addEventListener("DOMContentLoaded", function() {
   const token = localStorage.getItem("adminToken");
   const user = JSON.parse(localStorage.getItem("adminUser") || "{}");
 
-  if (!token || user.role !== "admin") {
-    alert("Access denied. Admin role required.");
+  if (!token || !(user.permissions || []).includes("reports:assign")) {
+    alert("Access denied. Report assignment permission required.");
     window.location.href = "login.html";
     return;
   }
 
-  // Load available drivers
+  // Load available drivers and the municipality's categories
   loadDrivers();
+  loadCategories();
 
   // Setup form submission
   const form = document.getElementById("admin-report-form");
@@ -21,16 +22,71 @@ document.addEventListener("DOMContentLoaded", function() {
   // Setup logout button
   const logoutBtn = document.getElementById("logout-button");
   if (logoutBtn) {
-    logoutBtn.addEventListener("click", () => {
+    logoutBtn.addEventListener("click", async () => {
       if (confirm("Are you sure you want to logout?")) {
-        localStorage.removeItem("adminToken");
-        localStorage.removeItem("adminUser");
+        await logoutSession();
         window.location.href = "login.html";
       }
     });
   }
 });
 
+// Short note on drivers who are not normally on duty right now
+const AVAILABILITY_LABELS = {
+  day_off: "day off",
+  off_shift: "off shift",
+  on_call: "on call",
+};
+
+// Categories of the admin's municipality, keyed by category key
+let categoriesByKey = {};
+
+async function loadCategories() {
+  const token = localStorage.getItem("adminToken");
+  const categorySelect = document.getElementById("category");
+
+  try {
+    const response = await fetch("http://localhost:5050/api/categories", {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      showMessage("Error loading categories. Please try again.", "error");
+      return;
+    }
+
+    categoriesByKey = Object.fromEntries(data.categories.map(category => [category.key, category]));
+    categorySelect.innerHTML = '<option value="">Select Category</option>';
+    data.categories.forEach(category => {
+      const option = document.createElement("option");
+      option.value = category.key;
+      option.textContent = category.name;
+      categorySelect.appendChild(option);
+    });
+    categorySelect.addEventListener("change", updateSubcategories);
+  } catch (error) {
+    console.error("Error loading categories:", error);
+    showMessage("Error loading categories. Please try again.", "error");
+  }
+}
+
+function updateSubcategories() {
+  const subcategorySelect = document.getElementById("subcategory");
+  const subcategories = categoriesByKey[document.getElementById("category").value]?.subcategories || [];
+
+  subcategorySelect.innerHTML = '<option value="">Any type</option>';
+  subcategories.forEach(subcategory => {
+    const option = document.createElement("option");
+    option.value = subcategory.key;
+    option.textContent = subcategory.name;
+    subcategorySelect.appendChild(option);
+  });
+  subcategorySelect.classList.toggle("hidden", subcategories.length === 0);
+}
+
 async function loadDrivers() {
   const token = localStorage.getItem("adminToken");
   const driverSelect = document.getElementById("assignedDriverId");
@@ -52,7 +108,8 @@ async function loadDrivers() {
       data.drivers.forEach(driver => {
         const option = document.createElement("option");
         option.value = driver._id;
-        option.textContent = `${driver.fullname} (${driver.email})`;
+        const note = AVAILABILITY_LABELS[driver.availability?.status];
+        option.textContent = `${driver.fullname} (${driver.email})${note ? ` - ${note}` : ""}`;
         driverSelect.appendChild(option);
       });
     } else {
@@ -82,6 +139,9 @@ async function handleFormSubmit(e) {
     
     // Add form fields
     formData.append("category", document.getElementById("category").value);
+    if (document.getElementById("subcategory").value) {
+      formData.append("subcategory", document.getElementById("subcategory").value);
+    }
     formData.append("address", document.getElementById("address").value);
     formData.append("description", document.getElementById("description").value);
     formData.append("assignedDriverId", document.getElementById("assignedDriverId").value);
@@ -101,15 +161,23 @@ async function handleFormSubmit(e) {
     }
 
     // Submit the form
-    const response = await fetch("http://localhost:5050/api/users/admin/report", {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${token}`,
-      },
-      body: formData,
-    });
-
-    const data = await response.json();
+    const submitReport = () =>
+      fetch("http://localhost:5050/api/users/admin/report", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+        body: formData,
+      }).then((response) => response.json());
+
+    let data = await submitReport();
+
+    // the driver is on a day off or off shift: only assign if the admin confirms
+    if (data.code === "DRIVER_UNAVAILABLE" &&
+        confirm(`The selected driver is ${AVAILABILITY_LABELS[data.availability.status]}. Assign anyway?`)) {
+      formData.append("force", "true");
+      data = await submitReport();
+    }
 
     if (data.success) {
       showMessage("Incident recorded and assigned successfully!", "success");
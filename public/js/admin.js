@@ -1,11 +1,12 @@
 // Check if user is admin on load
 let availableDrivers = [];
+let loadedUsers = [];
 
 document.addEventListener("DOMContentLoaded", () => {
   const token = localStorage.getItem("adminToken");
   const user = JSON.parse(localStorage.getItem("adminUser") || "{}");
 
-  if (!token || user.role !== "admin") {
+  if (!token || !(user.permissions || []).includes("reports:read")) {
     // Redirect non-admins to login
     window.location.href = "login.html";
     return;
@@ -46,10 +47,9 @@ document.addEventListener("DOMContentLoaded", () => {
   // Logout Button Listener
   const logoutBtn = document.getElementById("logout-btn");
   if (logoutBtn) {
-    logoutBtn.addEventListener("click", () => {
+    logoutBtn.addEventListener("click", async () => {
       if (confirm("Are you sure you want to logout?")) {
-        localStorage.removeItem("adminToken");
-        localStorage.removeItem("adminUser");
+        await logoutSession();
         window.location.href = "login.html";
       }
     });
@@ -57,6 +57,7 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // Load drivers for assignment functionality
   loadDrivers();
+  loadDepots();
   loadDashboard();
 });
 
@@ -79,6 +80,35 @@ async function loadDrivers() {
   }
 }
 
+// Offers a depot filter for the report queue once the municipality has depots
+async function loadDepots() {
+  const token = localStorage.getItem("adminToken");
+  const select = document.getElementById("depot-filter");
+  if (!select) return;
+
+  try {
+    const response = await fetch("http://localhost:5050/api/depots", {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    const data = await response.json();
+    if (!data.success || data.depots.length === 0) return;
+
+    data.depots.forEach((depot) => {
+      const option = document.createElement("option");
+      option.value = depot._id;
+      option.textContent = depot.name;
+      select.appendChild(option);
+    });
+    select.classList.remove("hidden");
+    select.addEventListener("change", fetchReports);
+  } catch (error) {
+    console.error("Error loading depots:", error);
+  }
+}
+
 async function loadDashboard() {
   // Update header title
   const headerTitle = document.querySelector("header h2");
@@ -115,6 +145,7 @@ async function fetchUsers() {
       return;
     }
 
+    loadedUsers = data.users;
     renderUsers(data.users);
   } catch (error) {
     console.error("Error fetching users:", error);
@@ -147,6 +178,9 @@ function renderUsers(users) {
     if (user.role === "admin") roleColor = "bg-purple-100 text-purple-800";
     if (user.role === "driver") roleColor = "bg-blue-100 text-blue-800";
 
+    const isActive = user.isActive !== false;
+    if (!isActive) card.classList.add("opacity-60");
+
     card.innerHTML = `
         <div class="flex items-center gap-4 mb-4">
             <div class="size-12 rounded-full bg-primary/20 flex items-center justify-center text-primary font-bold text-xl">
@@ -159,6 +193,14 @@ function renderUsers(users) {
                 <span class="px-2 py-0.5 text-xs font-bold rounded ${roleColor} uppercase tracking-wider">
                     ${user.role}
                 </span>
+                ${isActive ? "" : `
+                <span class="ml-1 px-2 py-0.5 text-xs font-bold rounded bg-red-100 text-red-800 uppercase tracking-wider">
+                    Deactivated
+                </span>`}
+                ${user.twoFactor?.enabled ? `
+                <span class="ml-1 px-2 py-0.5 text-xs font-bold rounded bg-green-100 text-green-800 uppercase tracking-wider">
+                    2FA
+                </span>` : ""}
             </div>
         </div>
         
@@ -172,18 +214,213 @@ function renderUsers(users) {
                 <span>Joined ${date}</span>
             </div>
         </div>
+        ${canManageUsers() ? renderUserActions(user, isActive) : ""}
       `;
 
     grid.appendChild(card);
   });
 }
 
+function canManageUsers() {
+  const admin = JSON.parse(localStorage.getItem("adminUser") || "{}");
+  return (admin.permissions || []).includes("users:manage");
+}
+
+function renderUserActions(user, isActive) {
+  const buttonClass =
+    "flex-1 min-w-[45%] px-3 py-1.5 text-xs font-bold rounded-md border border-gray-300 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-[#233b26]";
+
+  return `
+        <div class="flex flex-wrap gap-2 mt-4 pt-4 border-t border-[#dbe6dd] dark:border-[#2a402d]">
+            <button onclick="showChangeRoleModal('${user._id}', '${user.role}')" class="${buttonClass}">Change Role</button>
+            <button onclick="showEditUserModal('${user._id}')" class="${buttonClass}">Edit</button>
+            <button onclick="sendPasswordReset('${user._id}')" class="${buttonClass}" ${isActive ? "" : "disabled"}>Send Reset</button>
+            ${isActive
+              ? `<button onclick="setUserActive('${user._id}', false)" class="${buttonClass} text-red-600 border-red-300">Deactivate</button>`
+              : `<button onclick="setUserActive('${user._id}', true)" class="${buttonClass} text-green-700 border-green-300">Reactivate</button>`}
+            ${user.twoFactor?.enabled
+              ? `<button onclick="resetTwoFactor('${user._id}')" class="${buttonClass}">Reset 2FA</button>`
+              : ""}
+        </div>
+  `;
+}
+
+// Sends an admin request to a /api/users/:id/... endpoint and reloads the user list on success
+async function manageUser(path, method, body) {
+  const token = localStorage.getItem("adminToken");
+
+  try {
+    const response = await fetch(`http://localhost:5050/api/users/${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json();
+    if (!data.success) {
+      alert("Action failed: " + data.message);
+      return false;
+    }
+
+    alert(data.message);
+    fetchUsers();
+    return true;
+  } catch (error) {
+    console.error("Error managing user:", error);
+    alert("Error contacting the server");
+    return false;
+  }
+}
+
+async function loadRoleOptions(currentRole) {
+  const token = localStorage.getItem("adminToken");
+  let roles = [{ name: "citizen" }, { name: "driver" }, { name: "analyst" }, { name: "admin" }];
+
+  try {
+    const response = await fetch("http://localhost:5050/api/roles", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await response.json();
+    if (data.success) roles = data.roles;
+  } catch (error) {
+    console.error("Error loading roles:", error);
+  }
+
+  return roles
+    .map((role) =>
+      `<option value="${escapeHtml(role.name)}" ${role.name === currentRole ? "selected" : ""}>${escapeHtml(role.displayName || role.name)}</option>`
+    )
+    .join("");
+}
+
+async function showChangeRoleModal(userId, currentRole) {
+  const roleOptions = await loadRoleOptions(currentRole);
+
+  const modalHTML = `
+    <div id="user-manage-modal" class="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div class="bg-white dark:bg-[#1a2e1d] rounded-lg p-6 w-full max-w-md mx-4">
+        <h3 class="text-lg font-bold text-[#111812] dark:text-white mb-4">Change Role</h3>
+        <form id="change-role-form">
+          <div class="mb-4">
+            <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Role:
+            </label>
+            <select id="role-select" class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" required>
+              ${roleOptions}
+            </select>
+            <p class="mt-2 text-xs text-gray-500">The user is signed out and gets the new permissions at their next login.</p>
+          </div>
+          <div class="flex gap-3">
+            <button type="button" onclick="closeUserManageModal()" class="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" class="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+              Save Role
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML("beforeend", modalHTML);
+
+  document.getElementById("change-role-form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const role = document.getElementById("role-select").value;
+    if (await manageUser(`${userId}/role`, "PATCH", { role })) {
+      closeUserManageModal();
+    }
+  });
+}
+
+function showEditUserModal(userId) {
+  const user = loadedUsers.find((u) => u._id === userId);
+  if (!user) return;
+
+  const modalHTML = `
+    <div id="user-manage-modal" class="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
+      <div class="bg-white dark:bg-[#1a2e1d] rounded-lg p-6 w-full max-w-md mx-4">
+        <h3 class="text-lg font-bold text-[#111812] dark:text-white mb-4">Edit User</h3>
+        <form id="edit-user-form">
+          <div class="mb-4">
+            <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Full name:</label>
+            <input id="edit-fullname" type="text" class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" required>
+          </div>
+          <div class="mb-4">
+            <label class="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Email:</label>
+            <input id="edit-email" type="email" class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" required>
+            <p class="mt-2 text-xs text-gray-500">Changing the email sends a new confirmation link to that address.</p>
+          </div>
+          <div class="flex gap-3">
+            <button type="button" onclick="closeUserManageModal()" class="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" class="flex-1 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700">
+              Save Changes
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+
+  document.body.insertAdjacentHTML("beforeend", modalHTML);
+  // set through .value so names and addresses aren't parsed as HTML
+  document.getElementById("edit-fullname").value = user.fullname;
+  document.getElementById("edit-email").value = user.email;
+
+  document.getElementById("edit-user-form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const fullname = document.getElementById("edit-fullname").value;
+    const email = document.getElementById("edit-email").value;
+    if (await manageUser(userId, "PATCH", { fullname, email })) {
+      closeUserManageModal();
+    }
+  });
+}
+
+function closeUserManageModal() {
+  const modal = document.getElementById("user-manage-modal");
+  if (modal) {
+    modal.remove();
+  }
+}
+
+async function setUserActive(userId, active) {
+  if (active) {
+    if (!confirm("Reactivate this account?")) return;
+    await manageUser(`${userId}/reactivate`, "POST");
+    return;
+  }
+
+  const reason = prompt("Deactivate this account? The user will be signed out everywhere.\nReason (optional):");
+  if (reason === null) return;
+  await manageUser(`${userId}/deactivate`, "POST", { reason: reason || undefined });
+}
+
+async function sendPasswordReset(userId) {
+  if (!confirm("Email this user a password reset link?")) return;
+  await manageUser(`${userId}/password-reset`, "POST");
+}
+
+// For users who lost their authenticator; they are signed out everywhere
+async function resetTwoFactor(userId) {
+  if (!confirm("Remove this user's two-factor authentication and sign them out?")) return;
+  await manageUser(`${userId}/2fa`, "DELETE");
+}
+
 async function fetchReports() {
   const token = localStorage.getItem("adminToken");
   const grid = document.getElementById("reports-grid");
 
   try {
-    const response = await fetch("http://localhost:5050/api/users/reports", {
+    const depot = document.getElementById("depot-filter")?.value;
+    const query = depot ? `?depot=${encodeURIComponent(depot)}` : "";
+    const response = await fetch(`http://localhost:5050/api/users/reports${query}`, {
       headers: {
         Authorization: `Bearer ${token}`,
       },
@@ -255,9 +492,18 @@ function renderReports(reports) {
     else if (report.status === "In Progress")
       statusColor = "bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300";
 
-    // Use the first photo from the array if available
+    // Use the first photo from the array if available; once the driver sent after-photos,
+    // the citizen's photo and the driver's are shown side by side
     let imageSection = "";
-    if (report.photos && report.photos.length > 0) {
+    const isDone = report.status === "Completed" || report.status === "Resolved";
+    const afterPhoto = isDone && report.completion?.photos?.[0];
+    if (afterPhoto) {
+      const half = (url, label) => `
+        <div class="relative flex-1 h-40 ${url ? "bg-cover bg-center" : "bg-gray-200 dark:bg-gray-800"}" ${url ? `style="background-image: url('${url}');"` : ""}>
+          <span class="absolute bottom-1 left-1 bg-black/60 text-white text-[10px] font-bold uppercase px-1.5 py-0.5 rounded">${label}</span>
+        </div>`;
+      imageSection = `<div class="flex gap-0.5">${half(report.photos?.[0], "Before")}${half(afterPhoto, "After")}</div>`;
+    } else if (report.photos && report.photos.length > 0) {
       imageSection = `
         <div class="h-40 w-full bg-cover bg-center" style="background-image: url('${report.photos[0]}');"></div>
       `;
@@ -269,6 +515,12 @@ function renderReports(reports) {
       `;
     }
 
+    const duplicatesButton = `
+        <button onclick="mergeDuplicates('${report._id}')" title="Find and merge duplicate reports" class="px-3 py-2 text-xs font-bold text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-[#233b26] rounded border border-gray-200 dark:border-gray-700 transition-colors">
+          Duplicates
+        </button>
+      `;
+
     // Action Buttons based on status
     let actions = "";
     if (report.status === "Pending") {
@@ -279,6 +531,7 @@ function renderReports(reports) {
         <button onclick="updateStatus('${report._id}', 'Rejected')" class="px-3 py-2 text-xs font-bold text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-[#233b26] rounded border border-gray-200 dark:border-gray-700 transition-colors">
           Reject
         </button>
+        ${duplicatesButton}
       `;
     } else if (report.status === "Assigned" || report.status === "In Progress") {
       const driverName = report.assignedDriver ? report.assignedDriver.fullname : 'Unknown Driver';
@@ -290,7 +543,29 @@ function renderReports(reports) {
         <button onclick="updateStatus('${report._id}', 'Completed')" class="flex-1 py-2 text-xs font-bold text-center text-white bg-green-600 hover:bg-green-700 rounded transition-colors">
           Mark Completed
         </button>
+        ${duplicatesButton}
+      `;
+    } else if (report.status === "Completed") {
+      actions = `
+        <button onclick="updateStatus('${report._id}', 'Resolved')" class="flex-1 py-2 text-xs font-bold text-center text-white bg-green-600 hover:bg-green-700 rounded transition-colors">
+          Mark Resolved
+        </button>
+        <button onclick="reopenReport('${report._id}')" class="px-3 py-2 text-xs font-bold text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-[#233b26] rounded border border-gray-200 dark:border-gray-700 transition-colors">
+          Reopen
+        </button>
+      `;
+    } else if (report.status === "Resolved" || report.status === "Rejected") {
+      actions = `
+        <button onclick="reopenReport('${report._id}')" class="px-3 py-2 text-xs font-bold text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-[#233b26] rounded border border-gray-200 dark:border-gray-700 transition-colors">
+          Reopen
+        </button>
       `;
+    } else if (report.status === "Withdrawn") {
+      actions = `<span class="text-xs text-gray-500 font-medium italic">Withdrawn by the reporter</span>`;
+    } else if (report.status === "Merged") {
+      actions = `<span class="text-xs text-gray-500 font-medium italic">Merged into report #${String(report.mergedInto || "")
+        .slice(-6)
+        .toUpperCase()}</span>`;
     } else {
       actions = `<span class="text-xs text-gray-500 font-medium italic">No actions available</span>`;
     }
@@ -299,10 +574,68 @@ function renderReports(reports) {
     const adminIndicator = report.isAdminReport ? 
       `<div class="absolute top-2 right-2 bg-purple-600 text-white text-xs px-2 py-1 rounded-full font-bold">ADMIN</div>` : '';
 
+    // Priority score, with the sensitive location that raised it
+    let priorityBadge = "";
+    if (report.priority) {
+      const priorityColors = {
+        urgent: "bg-red-600 text-white",
+        high: "bg-orange-500 text-white",
+        normal: "bg-gray-200 text-gray-800",
+        low: "bg-gray-100 text-gray-600",
+      };
+      priorityBadge = `<span class="px-2 py-1 text-xs font-bold rounded ${priorityColors[report.priority.level] || priorityColors.normal}" title="${
+        report.priority.sensitiveLocation ? `Near ${escapeHtml(report.priority.sensitiveLocation)}` : "Priority score"
+      }">${report.priority.level.toUpperCase()} ${report.priority.score}</span>`;
+    }
+
+    // SLA warning for open reports running late
+    let slaBadge = "";
+    if (report.sla && (report.sla.state === "at_risk" || report.sla.state === "breached")) {
+      const breached = report.sla.state === "breached";
+      const due = new Date(report.sla.stageDueAt || report.sla.dueAt || report.sla.breachedAt).toLocaleString("en-US", {
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+      slaBadge = `<div class="flex items-center gap-1 text-xs font-bold ${
+        breached ? "text-red-700 bg-red-50" : "text-amber-700 bg-amber-50"
+      } px-2 py-1 rounded">
+        <span class="material-symbols-outlined text-sm">schedule</span>
+        ${breached ? "SLA breached" : "SLA at risk"} · due ${due}
+      </div>`;
+    }
+
+    // Anonymous reports stay flagged until an admin approves them or marks them as spam
+    let moderationSection = "";
+    if (report.anonymous) {
+      const reviewState = report.moderation?.status || "pending";
+      const reviewLabels = {
+        pending: "Anonymous · needs review",
+        approved: "Anonymous · approved",
+        spam: "Anonymous · spam",
+      };
+      moderationSection = `<div class="flex items-center justify-between gap-2 text-xs font-bold px-2 py-1 rounded ${
+        reviewState === "pending" ? "text-purple-800 bg-purple-50" : "text-gray-600 bg-gray-50"
+      }">
+        <span class="flex items-center gap-1"><span class="material-symbols-outlined text-sm">visibility_off</span>${reviewLabels[reviewState]}</span>
+        ${reviewState === "pending" ? `<span class="flex gap-2">
+          <button onclick="moderateReport('${report._id}', 'approve')" class="text-green-700 hover:underline">Approve</button>
+          <button onclick="moderateReport('${report._id}', 'spam')" class="text-red-700 hover:underline">Spam</button>
+        </span>` : ""}
+      </div>`;
+    }
+
+    // What the driver noted when completing the report
+    const completionNotes = isDone && report.completion?.notes ?
+      `<div class="text-xs text-green-800 bg-green-50 p-2 rounded">
+        <strong>Completion notes:</strong> ${escapeHtml(report.completion.notes)}
+      </div>` : '';
+
     // Rejection message display
     const rejectionMessage = report.status === 'Rejected' && report.rejectionMessage ?
       `<div class="text-xs text-red-600 bg-red-50 p-2 rounded mt-2">
-        <strong>Rejection Reason:</strong> ${report.rejectionMessage}
+        <strong>Rejection Reason:</strong> ${escapeHtml(report.rejectionMessage)}
       </div>` : '';
 
     card.innerHTML = `
@@ -312,9 +645,13 @@ function renderReports(reports) {
       </div>
       <div class="p-4 flex flex-col gap-3 flex-1">
         <div class="flex justify-between items-start">
-             <span class="px-2 py-1 text-xs font-bold rounded ${statusColor} uppercase tracking-wider">${
+             <span class="flex gap-1">
+               <span class="px-2 py-1 text-xs font-bold rounded ${statusColor} uppercase tracking-wider">${
       report.status
     }</span>
+               ${priorityBadge}
+               ${report.confirmationCount ? `<span class="px-2 py-1 text-xs font-bold rounded bg-amber-100 text-amber-800" title="Citizens who confirmed this report">+${report.confirmationCount} confirmed</span>` : ""}
+             </span>
              <span class="text-xs text-gray-500">${date}</span>
         </div>
         <div>
@@ -322,17 +659,24 @@ function renderReports(reports) {
               report.category ? report.category.replace('_', ' ').toUpperCase() : "General Issue"
             }</h3>
             <p class="text-sm text-gray-600 dark:text-gray-300 line-clamp-2">${
-              report.description || 'No description provided'
+              escapeHtml(report.description || 'No description provided')
             }</p>
         </div>
         <div class="flex items-center gap-2 text-xs text-gray-500 mt-auto pt-2 border-t border-gray-100 dark:border-gray-800">
              <span class="material-symbols-outlined text-sm">location_on</span>
-             <span class="truncate">${report.address}</span>
+             <span class="truncate">${escapeHtml(report.address)}</span>
         </div>
+        ${slaBadge}
+        ${moderationSection}
+        ${completionNotes}
         ${rejectionMessage}
         <div class="flex gap-2 mt-2">
             ${actions}
         </div>
+        <button onclick="openComments('${report._id}', 'Comments on report #${String(report._id).slice(-6).toUpperCase()}')" class="flex items-center justify-center gap-1 py-2 text-xs font-bold text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-[#233b26] rounded border border-gray-200 dark:border-gray-700 transition-colors">
+          <span class="material-symbols-outlined text-sm">chat</span>
+          Comments
+        </button>
       </div>
     `;
 
@@ -340,6 +684,13 @@ function renderReports(reports) {
   });
 }
 
+// Short note on drivers who are not normally on duty right now
+const AVAILABILITY_LABELS = {
+  day_off: "day off",
+  off_shift: "off shift",
+  on_call: "on call",
+};
+
 // Driver Assignment Modal Functions
 function showAssignDriverModal(reportId) {
   if (availableDrivers.length === 0) {
@@ -347,9 +698,11 @@ function showAssignDriverModal(reportId) {
     return;
   }
 
-  const driverOptions = availableDrivers.map(driver => 
-    `<option value="${driver._id}">${driver.fullname} (${driver.email})</option>`
-  ).join('');
+  const driverOptions = availableDrivers.map(driver => {
+    const note = AVAILABILITY_LABELS[driver.availability?.status];
+    const depot = driver.depot ? ` [${driver.depot.name}]` : '';
+    return `<option value="${driver._id}">${escapeHtml(driver.fullname)} (${escapeHtml(driver.email)})${depot}${note ? ` - ${note}` : ''}</option>`;
+  }).join('');
 
   const modalHTML = `
     <div id="assign-driver-modal" class="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50">
@@ -397,7 +750,7 @@ function closeAssignDriverModal() {
   }
 }
 
-async function assignDriver(reportId, driverId) {
+async function assignDriver(reportId, driverId, force = false) {
   const token = localStorage.getItem("adminToken");
   
   try {
@@ -407,10 +760,17 @@ async function assignDriver(reportId, driverId) {
         "Content-Type": "application/json",
         Authorization: `Bearer ${token}`,
       },
-      body: JSON.stringify({ driverId }),
+      body: JSON.stringify({ driverId, force }),
     });
 
     const data = await response.json();
+    if (data.code === "DRIVER_UNAVAILABLE") {
+      // on a day off or off shift: only assign if the admin confirms
+      if (confirm(`This driver is ${AVAILABILITY_LABELS[data.availability.status]}. Assign anyway?`)) {
+        return assignDriver(reportId, driverId, true);
+      }
+      return;
+    }
     if (data.success) {
       alert('Driver assigned successfully!');
       closeAssignDriverModal();
@@ -456,6 +816,116 @@ window.updateStatus = async (id, status) => {
   }
 };
 
+// Send a finished report back to Pending; the reason is required and kept in its history
+window.reopenReport = async (id) => {
+  const token = localStorage.getItem("adminToken");
+  const notes = prompt("Why is this report being reopened?");
+  if (!notes || !notes.trim()) return;
+
+  try {
+    const response = await fetch(
+      `http://localhost:5050/api/users/reports/${id}/reopen`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ notes }),
+      }
+    );
+
+    const data = await response.json();
+    if (data.success) {
+      fetchReports();
+    } else {
+      alert("Failed to reopen report: " + data.message);
+    }
+  } catch (error) {
+    console.error("Error reopening report", error);
+    alert("Error reopening report");
+  }
+};
+
 // Make functions global for HTML onclick handlers
 window.showAssignDriverModal = showAssignDriverModal;
 window.closeAssignDriverModal = closeAssignDriverModal;
+window.showChangeRoleModal = showChangeRoleModal;
+window.showEditUserModal = showEditUserModal;
+window.closeUserManageModal = closeUserManageModal;
+window.setUserActive = setUserActive;
+window.sendPasswordReset = sendPasswordReset;
+window.resetTwoFactor = resetTwoFactor;
+
+// Look for reports of the same waste nearby and fold them into this one
+window.mergeDuplicates = async (id) => {
+  const token = localStorage.getItem("adminToken");
+
+  try {
+    const response = await fetch(`http://localhost:5050/api/users/reports/${id}/duplicates`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await response.json();
+    if (!data.success) {
+      alert("Failed to look for duplicates: " + data.message);
+      return;
+    }
+    if (data.duplicates.length === 0) {
+      alert("No likely duplicates found for this report.");
+      return;
+    }
+
+    const list = data.duplicates
+      .map((duplicate) =>
+        `#${duplicate._id.slice(-6).toUpperCase()} ${duplicate.address} (${duplicate.status}, ${duplicate.distanceMeters} m, ${new Date(duplicate.createdAt).toLocaleDateString()})`
+      )
+      .join("\n");
+    if (!confirm(`Merge these reports into this one?\n\n${list}\n\nThey will be closed as Merged; their reporters and photos move here.`)) {
+      return;
+    }
+
+    const mergeResponse = await fetch(`http://localhost:5050/api/users/reports/${id}/merge`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ duplicateIds: data.duplicates.map((duplicate) => duplicate._id) }),
+    });
+    const result = await mergeResponse.json();
+    if (result.success) {
+      fetchReports();
+    } else {
+      alert("Failed to merge reports: " + result.message);
+    }
+  } catch (error) {
+    console.error("Error merging duplicates", error);
+    alert("Error merging duplicates");
+  }
+};
+
+// Approve an anonymous report, or mark it as spam (an open one is rejected)
+window.moderateReport = async (id, decision) => {
+  const token = localStorage.getItem("adminToken");
+  if (decision === "spam" && !confirm("Mark this anonymous report as spam? It will be rejected.")) return;
+
+  try {
+    const response = await fetch(`http://localhost:5050/api/users/reports/${id}/moderate`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ decision }),
+    });
+    const data = await response.json();
+    if (data.success) {
+      fetchReports();
+    } else {
+      alert("Failed to review report: " + data.message);
+    }
+  } catch (error) {
+    console.error("Error moderating report", error);
+    alert("Error moderating report");
+  }
+};
@@ -19,6 +19,9 @@ class AnalyticsFilters {
     
     this.isInitialized = false;
     this.defaultDateRange = 30; // Default to last 30 days
+
+    // display names by category key, see setCategories()
+    this.categoryNames = {};
     
     this.init();
   }
@@ -39,6 +42,23 @@ class AnalyticsFilters {
     }
   }
 
+  /**
+   * Fill the category filter with the municipality's categories
+   * @param {Array} categories - Categories from /api/categories
+   */
+  setCategories(categories) {
+    this.categoryNames = Object.fromEntries(categories.map(category => [category.key, category.name]));
+
+    this.categorySelect.innerHTML = '<option value="all">All Categories</option>';
+    categories.forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.key;
+      option.textContent = category.isActive ? category.name : `${category.name} (inactive)`;
+      this.categorySelect.appendChild(option);
+    });
+    this.categorySelect.value = this.categoryNames[this.filters.category] ? this.filters.category : 'all';
+  }
+
   /**
    * Initialize DOM elements
    */
@@ -386,7 +406,7 @@ class AnalyticsFilters {
     }
 
     // Validate category
-    const validCategories = ['all', 'recyclable', 'illegal_dumping', 'hazardous_waste'];
+    const validCategories = ['all', ...Object.keys(this.categoryNames)];
     if (!validCategories.includes(this.filters.category)) {
       errors.push('Invalid category selection');
     }
@@ -473,12 +493,7 @@ class AnalyticsFilters {
 
     // Category
     if (this.filters.category !== 'all') {
-      const categoryNames = {
-        recyclable: 'Recyclable',
-        illegal_dumping: 'Illegal Dumping',
-        hazardous_waste: 'Hazardous Waste'
-      };
-      parts.push(`Category: ${categoryNames[this.filters.category] || this.filters.category}`);
+      parts.push(`Category: ${this.categoryNames[this.filters.category] || this.filters.category}`);
     }
 
     // Status
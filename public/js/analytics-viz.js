@@ -21,6 +21,11 @@ class AnalyticsVisualization {
       hazardous_waste: '#F59E0B',
       all: '#3B82F6'
     };
+    // colors for categories added by the municipality, handed out in order
+    this.categoryPalette = ['#8B5CF6', '#06B6D4', '#EC4899', '#84CC16', '#F97316', '#6366F1', '#14B8A6'];
+
+    // display names by category key, see setCategories()
+    this.categoryNames = {};
 
     this.statusColors = {
       'Pending': '#F59E0B',
@@ -583,7 +588,7 @@ class AnalyticsVisualization {
     });
 
     // Category-specific lines
-    const categories = ['recyclable', 'illegal_dumping', 'hazardous_waste'];
+    const categories = Object.keys(data.categoryTotals || {});
     categories.forEach(category => {
       if (data.categoryTotals && data.categoryTotals[category] > 0) {
         datasets.push({
@@ -1598,20 +1603,31 @@ class AnalyticsVisualization {
     return '#7C2D12'; // Dark red
   }
 
+  /**
+   * Use the municipality's categories for chart labels and colors
+   * @param {Array} categories - Categories from /api/categories
+   */
+  setCategories(categories) {
+    this.categoryNames = Object.fromEntries(categories.map(category => [category.key, category.name]));
+
+    let next = 0;
+    categories.forEach(category => {
+      if (!this.categoryColors[category.key]) {
+        this.categoryColors[category.key] = this.categoryPalette[next++ % this.categoryPalette.length];
+      }
+    });
+  }
+
   /**
    * Format category name for display
    * @param {String} category - Category key
    * @returns {String} Formatted category name
    */
   formatCategoryName(category) {
-    const categoryNames = {
-      recyclable: 'Recyclable',
-      illegal_dumping: 'Illegal Dumping',
-      hazardous_waste: 'Hazardous Waste',
-      all: 'All Categories'
-    };
-    
-    return categoryNames[category] || category;
+    if (category === 'all') {
+      return 'All Categories';
+    }
+    return this.categoryNames[category] || category;
   }
 
   /**
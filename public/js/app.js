@@ -1,9 +1,34 @@
 const form = document.getElementById("signup");
+
+// Residents pick their municipality when the deployment serves more than one
+async function loadOrganizations() {
+  try {
+    const response = await fetch("http://localhost:5050/api/organizations");
+    const data = await response.json();
+    if (!data.success || data.organizations.length < 2) return;
+
+    const select = document.getElementById("organization");
+    data.organizations.forEach((organization) => {
+      const option = document.createElement("option");
+      option.value = organization.slug;
+      option.textContent = organization.name;
+      select.appendChild(option);
+    });
+    select.required = true;
+    document.getElementById("organization-group").classList.remove("hidden");
+  } catch (error) {
+    console.log("Error loading municipalities : ", error.message);
+  }
+}
+
+loadOrganizations();
+
 form.addEventListener("submit", async (e) => {
   e.preventDefault();
   const fullname = document.getElementById("fullname").value;
   const email = document.getElementById("email").value;
   const password = document.getElementById("password").value;
+  const organization = document.getElementById("organization").value;
   const messageElement = document.getElementById("message");
 
   messageElement.textContent = "";
@@ -18,6 +43,7 @@ form.addEventListener("submit", async (e) => {
         fullname,
         email,
         password,
+        organization: organization || undefined,
       }),
     });
 
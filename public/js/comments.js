@@ -0,0 +1,165 @@
+// Comment thread of a report, shared by the citizen, admin and driver dashboards.
+// Load after session.js; pages open it with openComments(reportId, title).
+const COMMENTS_API = "http://localhost:5050/api/users/reports";
+
+let commentsReportId = null;
+
+// comments come from other users, so their text never goes into the page as HTML
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function getCommentsModal() {
+  let modal = document.getElementById("comments-modal");
+  if (modal) return modal;
+
+  modal = document.createElement("div");
+  modal.id = "comments-modal";
+  modal.className = "fixed inset-0 z-50 hidden items-center justify-center";
+  modal.innerHTML = `
+    <div class="absolute inset-0 bg-black/50" data-close-comments></div>
+    <div class="relative bg-white text-gray-900 rounded-xl shadow-lg w-full max-w-lg mx-4 z-10 flex flex-col max-h-[90vh]">
+      <div class="flex justify-between items-center p-4 border-b">
+        <h3 id="comments-title" class="text-lg font-bold">Comments</h3>
+        <button type="button" class="text-2xl leading-none text-gray-600 hover:text-gray-900" data-close-comments>&times;</button>
+      </div>
+      <div id="comments-list" class="p-4 overflow-y-auto flex-1 flex flex-col gap-3 text-sm"></div>
+      <form id="comments-form" class="p-4 border-t flex flex-col gap-2">
+        <textarea id="comments-body" rows="3" maxlength="2000" placeholder="Write a comment..."
+          class="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"></textarea>
+        <div class="flex flex-wrap items-center gap-2">
+          <input id="comments-photos" type="file" accept="image/*" multiple class="text-xs flex-1" />
+          <select id="comments-visibility" class="hidden px-2 py-1 border border-gray-300 rounded-md text-sm">
+            <option value="internal">Staff only</option>
+            <option value="public">Visible to reporter</option>
+          </select>
+          <button type="submit" class="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-bold">Post</button>
+        </div>
+        <p id="comments-error" class="text-xs text-red-600 hidden"></p>
+      </form>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.querySelectorAll("[data-close-comments]").forEach((element) =>
+    element.addEventListener("click", closeComments)
+  );
+  modal.querySelector("#comments-form").addEventListener("submit", postComment);
+  return modal;
+}
+
+function getCommentsToken() {
+  return localStorage.getItem(getSessionKeys().token);
+}
+
+function renderComments(comments) {
+  const list = document.getElementById("comments-list");
+  if (comments.length === 0) {
+    list.innerHTML = `<p class="text-gray-500 text-center py-6">No comments yet</p>`;
+    return;
+  }
+
+  const roleLabels = { reporter: "Reporter", driver: "Driver", staff: "Staff" };
+  list.innerHTML = comments
+    .map((comment) => {
+      const internal = comment.visibility === "internal";
+      const photos = (comment.photos || [])
+        .map((url) => `<a href="${escapeHtml(url)}" target="_blank" rel="noopener"><img src="${escapeHtml(url)}" alt="Attached photo" class="h-20 w-20 object-cover rounded" /></a>`)
+        .join("");
+      return `
+        <div class="rounded-lg p-3 ${internal ? "bg-amber-50 border border-amber-200" : "bg-gray-50"}">
+          <div class="flex justify-between gap-2 text-xs text-gray-500 mb-1">
+            <span><strong class="text-gray-800">${escapeHtml(comment.author ? comment.author.fullname : "Deleted user")}</strong>
+              · ${roleLabels[comment.authorRole] || ""}${internal ? " · staff only" : ""}</span>
+            <span>${new Date(comment.createdAt).toLocaleString()}</span>
+          </div>
+          ${comment.body ? `<p class="whitespace-pre-line">${escapeHtml(comment.body)}</p>` : ""}
+          ${photos ? `<div class="flex flex-wrap gap-2 mt-2">${photos}</div>` : ""}
+        </div>
+      `;
+    })
+    .join("");
+  list.scrollTop = list.scrollHeight;
+}
+
+async function loadComments() {
+  const list = document.getElementById("comments-list");
+  try {
+    const response = await fetch(`${COMMENTS_API}/${commentsReportId}/comments`, {
+      headers: { Authorization: `Bearer ${getCommentsToken()}` },
+    });
+    const data = await response.json();
+    if (!data.success) {
+      list.innerHTML = `<p class="text-red-600 text-center py-6">${escapeHtml(data.message)}</p>`;
+      return;
+    }
+
+    document.getElementById("comments-visibility").classList.toggle("hidden", !data.canPostInternal);
+    renderComments(data.comments);
+  } catch (error) {
+    console.error("Error loading comments:", error);
+    list.innerHTML = `<p class="text-red-600 text-center py-6">Could not load comments</p>`;
+  }
+}
+
+async function postComment(event) {
+  event.preventDefault();
+  const errorText = document.getElementById("comments-error");
+  const visibility = document.getElementById("comments-visibility");
+  const photos = document.getElementById("comments-photos").files;
+
+  const formData = new FormData();
+  formData.append("body", document.getElementById("comments-body").value);
+  if (!visibility.classList.contains("hidden")) {
+    formData.append("visibility", visibility.value);
+  }
+  for (let i = 0; i < photos.length; i++) {
+    formData.append("photos", photos[i]);
+  }
+
+  try {
+    const response = await fetch(`${COMMENTS_API}/${commentsReportId}/comments`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${getCommentsToken()}` },
+      body: formData,
+    });
+    const data = await response.json();
+    if (!data.success) {
+      errorText.textContent = data.message;
+      errorText.classList.remove("hidden");
+      return;
+    }
+
+    errorText.classList.add("hidden");
+    document.getElementById("comments-form").reset();
+    loadComments();
+  } catch (error) {
+    console.error("Error posting comment:", error);
+    errorText.textContent = "Could not post the comment. Please try again.";
+    errorText.classList.remove("hidden");
+  }
+}
+
+function openComments(reportId, title) {
+  const modal = getCommentsModal();
+  commentsReportId = reportId;
+  document.getElementById("comments-title").textContent = title || "Comments";
+  document.getElementById("comments-list").innerHTML = `<p class="text-gray-500 text-center py-6">Loading...</p>`;
+  document.getElementById("comments-error").classList.add("hidden");
+  document.getElementById("comments-form").reset();
+  modal.classList.remove("hidden");
+  modal.classList.add("flex");
+  loadComments();
+}
+
+function closeComments() {
+  const modal = document.getElementById("comments-modal");
+  modal.classList.add("hidden");
+  modal.classList.remove("flex");
+  commentsReportId = null;
+}
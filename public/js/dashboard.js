@@ -85,6 +85,9 @@ async function loadDashboard() {
     const data = await response.json();
 
     if (data.success) {
+      // Remind unverified users to confirm their email address
+      updateVerificationBanner(data.account);
+
       // Update statistics with null checks
       updateStatistics(data.stats);
       
@@ -116,6 +119,47 @@ async function loadDashboard() {
   }
 }
 
+function updateVerificationBanner(account) {
+  const banner = document.getElementById("email-verification-banner");
+  if (!banner || !account) return;
+
+  if (account.emailVerified) {
+    banner.classList.add("hidden");
+    return;
+  }
+
+  if (account.emailVerificationRequired) {
+    document.getElementById("email-verification-text").innerText =
+      "Confirm your email address to start submitting reports. Check your inbox for the link.";
+  }
+  banner.classList.remove("hidden");
+}
+
+async function resendVerificationEmail() {
+  const token = localStorage.getItem("userToken");
+  const button = document.getElementById("resend-verification-button");
+
+  try {
+    if (button) button.disabled = true;
+    const response = await fetch("http://localhost:5050/api/users/email/resend-verification", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await response.json();
+    alert(data.message || "Unable to send verification email");
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    showErrorMessage("Unable to send verification email. Please try again.");
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+const resendVerificationBtn = document.getElementById("resend-verification-button");
+if (resendVerificationBtn) {
+  resendVerificationBtn.addEventListener("click", resendVerificationEmail);
+}
+
 function updateStatistics(stats) {
   try {
     if (!stats) {
@@ -303,6 +347,9 @@ function getStatusBadgeClass(status) {
       return 'bg-green-200 text-green-700';
     case 'Rejected':
       return 'bg-red-200 text-red-700';
+    case 'Merged':
+    case 'Withdrawn':
+      return 'bg-gray-200 text-gray-700';
     case 'Assigned':
     case 'In Progress':
       return 'bg-orange-200 text-orange-700';
@@ -311,13 +358,174 @@ function getStatusBadgeClass(status) {
   }
 }
 
+// Pending reports can still be corrected or withdrawn by their reporter
+let editingReportId = null;
+
+function openEditReport(report) {
+  editingReportId = report._id;
+  document.getElementById("edit-report-address").value = report.address || "";
+  document.getElementById("edit-report-description").value = report.description || "";
+  const modal = document.getElementById("edit-report-modal");
+  modal.classList.remove("hidden");
+  modal.classList.add("flex");
+}
+
+function closeEditReport() {
+  const modal = document.getElementById("edit-report-modal");
+  modal.classList.add("hidden");
+  modal.classList.remove("flex");
+  editingReportId = null;
+}
+
+async function saveReportEdit(e) {
+  e.preventDefault();
+  const token = localStorage.getItem("userToken");
+
+  try {
+    const response = await fetch(`http://localhost:5050/api/users/report/${editingReportId}`, {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        address: document.getElementById("edit-report-address").value,
+        description: document.getElementById("edit-report-description").value,
+      }),
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      showErrorMessage(data.message || "Unable to update the report.");
+      return;
+    }
+
+    if (data.geocoding && !data.geocoding.success) {
+      alert("Report updated, but the new address could not be found on the map.");
+    }
+    closeEditReport();
+    loadDashboard();
+  } catch (error) {
+    console.error("Report edit error:", error);
+    showErrorMessage("Unable to update the report. Please try again.");
+  }
+}
+
+async function withdrawReport(report, reportId) {
+  const notes = prompt(`Withdraw report #${reportId}? It will not be collected.\n\nReason (optional):`);
+  if (notes === null) return;
+
+  const token = localStorage.getItem("userToken");
+  try {
+    const response = await fetch(`http://localhost:5050/api/users/report/${report._id}/withdraw`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ notes: notes.trim() || undefined }),
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      showErrorMessage(data.message || "Unable to withdraw the report.");
+      return;
+    }
+    loadDashboard();
+  } catch (error) {
+    console.error("Report withdraw error:", error);
+    showErrorMessage("Unable to withdraw the report. Please try again.");
+  }
+}
+
+const editReportForm = document.getElementById("edit-report-form");
+if (editReportForm) {
+  editReportForm.addEventListener("submit", saveReportEdit);
+  document.querySelectorAll("[data-close-edit-report]").forEach((element) =>
+    element.addEventListener("click", closeEditReport)
+  );
+}
+
 // Logout Button Listener
+// Downloads everything stored about the user: data.json and their photos in a ZIP
+async function downloadMyData() {
+  const token = localStorage.getItem("userToken");
+
+  try {
+    const response = await fetch("http://localhost:5050/api/users/me/export?format=zip", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      showErrorMessage(data.message || "Unable to export your data. Please try again.");
+      return;
+    }
+
+    const blob = await response.blob();
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `cleancity-data-${new Date().toISOString().split("T")[0]}.zip`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    console.error("Data export error:", error);
+    showErrorMessage("Unable to export your data. Please try again.");
+  }
+}
+
+async function deleteMyAccount(e) {
+  e.preventDefault();
+  if (!confirm("Delete your account permanently? This cannot be undone.")) return;
+
+  const token = localStorage.getItem("userToken");
+  const code = document.getElementById("delete-code").value.trim();
+
+  try {
+    const response = await fetch("http://localhost:5050/api/users/me", {
+      method: "DELETE",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        password: document.getElementById("delete-password").value,
+        code: code || undefined,
+      }),
+    });
+    const data = await response.json();
+
+    if (!data.success) {
+      showErrorMessage(data.message || "Unable to delete your account.");
+      return;
+    }
+
+    // the sessions are gone with the account, so only local state is left to clear
+    localStorage.removeItem("userToken");
+    localStorage.removeItem("userRefreshToken");
+    localStorage.removeItem("user");
+    alert(data.message);
+    window.location.href = "../index.html";
+  } catch (error) {
+    console.error("Account deletion error:", error);
+    showErrorMessage("Unable to delete your account. Please try again.");
+  }
+}
+
+const exportDataBtn = document.getElementById("export-data-button");
+if (exportDataBtn) {
+  exportDataBtn.addEventListener("click", downloadMyData);
+}
+
+const deleteAccountForm = document.getElementById("delete-account-form");
+if (deleteAccountForm) {
+  deleteAccountForm.addEventListener("submit", deleteMyAccount);
+}
+
 const logoutBtn = document.getElementById("logout-button");
 if (logoutBtn) {
-  logoutBtn.addEventListener("click", () => {
+  logoutBtn.addEventListener("click", async () => {
     if (confirm("Are you sure you want to logout?")) {
-      localStorage.removeItem("userToken");
-      localStorage.removeItem("user");
+      await logoutSession();
       window.location.href = "login.html";
     }
   });
@@ -343,7 +551,7 @@ function renderTable(reports) {
     if (reports.length === 0) {
       const row = document.createElement("tr");
       row.innerHTML = `
-        <td colspan="4" class="py-8 px-4 text-center text-gray-500">
+        <td colspan="5" class="py-8 px-4 text-center text-gray-500">
           <div class="text-4xl mb-2">[EMPTY]</div>
           <p class="text-lg font-medium">No reports yet</p>
           <p class="text-sm">Click "Report New Waste Incident" to get started</p>
@@ -375,6 +583,10 @@ function renderTable(reports) {
           case "Rejected":
             badgeClass = "bg-red-200 text-red-700";
             break;
+          case "Merged":
+          case "Withdrawn":
+            badgeClass = "bg-gray-200 text-gray-700";
+            break;
           case "Assigned":
           case "In Progress":
             badgeClass = "bg-orange-200 text-orange-700";
@@ -391,18 +603,38 @@ function renderTable(reports) {
         if (status === 'Rejected' && report.rejectionMessage) {
           const rejectedDate = report.rejectedAt ? new Date(report.rejectedAt).toLocaleDateString() : '';
           const rejectedBy = report.rejectedBy ? 
-            `${report.rejectedBy.role === 'driver' ? 'Driver' : 'Admin'} (${report.rejectedBy.fullname})` : 
+            `${report.rejectedBy.role === 'driver' ? 'Driver' : 'Admin'} (${escapeHtml(report.rejectedBy.fullname)})` : 
             'Unknown';
           
           rejectionMessageHtml = `
             <div class="text-xs text-red-600 mt-1 italic bg-red-50 p-2 rounded">
-              <strong>Rejection Reason:</strong> ${report.rejectionMessage}
+              <strong>Rejection Reason:</strong> ${escapeHtml(report.rejectionMessage)}
               ${rejectedDate ? `<br><strong>Rejected on:</strong> ${rejectedDate}` : ''}
               <br><strong>Rejected by:</strong> ${rejectedBy}
             </div>
           `;
         }
 
+        // Before and after: the citizen's photos next to the driver's proof of completion
+        let completionHtml = '';
+        const completion = report.completion;
+        if ((status === 'Completed' || status === 'Resolved') && completion && (completion.photos?.length || completion.notes)) {
+          const thumbnail = (url, label) => `
+            <a href="${escapeHtml(url)}" target="_blank" rel="noopener" class="photo-link flex flex-col items-center gap-0.5">
+              <img src="${escapeHtml(url)}" alt="${escapeHtml(label)}" class="h-12 w-12 object-cover rounded" />
+              <span class="text-[10px] uppercase text-gray-500">${escapeHtml(label)}</span>
+            </a>`;
+          const thumbnails = [
+            ...(report.photos || []).slice(0, 1).map((url) => thumbnail(url, 'Before')),
+            ...(completion.photos || []).slice(0, 2).map((url) => thumbnail(url, 'After')),
+          ].join('');
+          completionHtml = `
+            <div class="mt-2">
+              ${thumbnails ? `<div class="flex gap-2">${thumbnails}</div>` : ''}
+              ${completion.notes ? `<div class="text-xs text-gray-600 mt-1 italic">${escapeHtml(completion.notes)}</div>` : ''}
+            </div>`;
+        }
+
         // Inject data into the row with safe HTML
         row.innerHTML = `
           <td class="py-3 px-4 font-medium">#${reportId}</td>
@@ -413,9 +645,47 @@ function renderTable(reports) {
               ${status}
             </span>
             ${rejectionMessageHtml}
+            ${completionHtml}
+            ${status === 'Merged' ? `
+              <div class="text-xs text-gray-600 mt-1 italic">
+                Someone reported the same waste; it is handled in report #${String(report.mergedInto || '').slice(-6).toUpperCase()}
+              </div>` : ''}
+          </td>
+          <td class="px-4">
+            <div class="flex flex-wrap gap-2">
+              <button class="comments-button border border-gray-300 hover:bg-gray-100 text-gray-700 px-3 py-1 rounded text-sm">
+                Comments
+              </button>
+              ${status === 'Pending' ? `
+                <button class="edit-button border border-gray-300 hover:bg-gray-100 text-gray-700 px-3 py-1 rounded text-sm">
+                  Edit
+                </button>
+                <button class="withdraw-button border border-red-300 hover:bg-red-50 text-red-600 px-3 py-1 rounded text-sm">
+                  Withdraw
+                </button>` : ''}
+            </div>
           </td>
         `;
 
+        // The row buttons and photo links must not also move the map
+        row.querySelectorAll('.photo-link').forEach((link) =>
+          link.addEventListener('click', (event) => event.stopPropagation())
+        );
+        row.querySelector('.comments-button').addEventListener('click', (event) => {
+          event.stopPropagation();
+          openComments(report._id, `Comments on report #${reportId}`);
+        });
+        if (status === 'Pending') {
+          row.querySelector('.edit-button').addEventListener('click', (event) => {
+            event.stopPropagation();
+            openEditReport(report);
+          });
+          row.querySelector('.withdraw-button').addEventListener('click', (event) => {
+            event.stopPropagation();
+            withdrawReport(report, reportId);
+          });
+        }
+
         // Add click handler to show report on map if it has coordinates
         if (report.latitude && report.longitude && map && !isNaN(report.latitude) && !isNaN(report.longitude)) {
           row.addEventListener('click', () => {
@@ -449,7 +719,7 @@ function renderTable(reports) {
     if (tableBody) {
       tableBody.innerHTML = `
         <tr>
-          <td colspan="4" class="py-8 px-4 text-center text-red-500">
+          <td colspan="5" class="py-8 px-4 text-center text-red-500">
             <div class="text-4xl mb-2">⚠️</div>
             <p class="text-lg font-medium">Error loading reports</p>
             <p class="text-sm">Please refresh the page to try again</p>
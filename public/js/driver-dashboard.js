@@ -10,8 +10,8 @@ async function loadDriverDashboard() {
   }
 
   // Check if user is a driver
-  if (!user || user.role !== "driver") {
-    alert("Access denied. Driver role required.");
+  if (!user || !(user.permissions || []).includes("reports:work")) {
+    alert("Access denied. Driver permissions required.");
     window.location.href = "login.html";
     return;
   }
@@ -101,9 +101,15 @@ function renderReportsTable(reports) {
       <td class="py-3 px-4 font-medium">#${report._id
         .substring(report._id.length - 6)
         .toUpperCase()}</td>
-      <td class="px-4 capitalize">${report.category.replace("_", " ")}</td>
-      <td class="px-4 text-sm">${report.address}</td>
-      <td class="px-4">${report.user ? report.user.fullname : 'Unknown'}</td>
+      <td class="px-4 capitalize">
+        ${report.category.replace("_", " ")}
+        ${report.priority && (report.priority.level === "urgent" || report.priority.level === "high") ?
+          `<div class="text-xs font-bold ${report.priority.level === "urgent" ? "text-red-600" : "text-orange-600"}">
+            ${report.priority.level} priority${report.priority.sensitiveLocation ? ` · near ${escapeHtml(report.priority.sensitiveLocation)}` : ""}
+          </div>` : ''}
+      </td>
+      <td class="px-4 text-sm">${escapeHtml(report.address)}</td>
+      <td class="px-4">${report.user ? escapeHtml(report.user.fullname) : report.anonymous ? 'Anonymous' : 'Unknown'}</td>
       <td class="px-4">${new Date(report.createdAt).toLocaleDateString()}</td>
       <td class="px-4">
         <span class="${badgeClass} text-sm px-3 py-1 rounded-full">
@@ -111,11 +117,19 @@ function renderReportsTable(reports) {
         </span>
         ${report.status === 'Rejected' && report.rejectionMessage ? 
           `<div class="text-xs text-red-600 mt-1 italic">
-            <strong>Reason:</strong> ${report.rejectionMessage}
+            <strong>Reason:</strong> ${escapeHtml(report.rejectionMessage)}
           </div>` : ''}
       </td>
       <td class="px-4">
-        ${actionButtons}
+        <div class="flex flex-wrap gap-2">
+          ${actionButtons}
+          <button
+            onclick="openComments('${report._id}', 'Comments on report #${report._id.slice(-6).toUpperCase()}')"
+            class="border border-gray-300 hover:bg-gray-100 text-gray-700 px-3 py-1 rounded text-sm"
+          >
+            Comments
+          </button>
+        </div>
       </td>
     `;
 
@@ -135,15 +149,18 @@ function openStatusModal(reportId) {
   document.getElementById("report-details").innerHTML = `
     <p><strong>ID:</strong> #${reportId.substring(reportId.length - 6).toUpperCase()}</p>
     <p><strong>Type:</strong> ${report.category.replace("_", " ")}</p>
-    <p><strong>Address:</strong> ${report.address}</p>
+    <p><strong>Address:</strong> ${escapeHtml(report.address)}</p>
     <p><strong>Current Status:</strong> ${report.status}</p>
-    ${report.description ? `<p><strong>Description:</strong> ${report.description}</p>` : ''}
+    ${report.description ? `<p><strong>Description:</strong> ${escapeHtml(report.description)}</p>` : ''}
   `;
 
   // Reset form
   document.getElementById("status-select").value = "";
   document.getElementById("rejection-message").value = "";
   document.getElementById("rejection-message-container").classList.add("hidden");
+  document.getElementById("completion-photos").value = "";
+  document.getElementById("completion-notes").value = "";
+  document.getElementById("completion-container").classList.add("hidden");
 
   // Show modal
   document.getElementById("status-modal").classList.remove("hidden");
@@ -155,22 +172,34 @@ function closeStatusModal() {
   document.getElementById("status-modal").classList.remove("flex");
 }
 
-async function updateReportStatus(reportId, status, rejectionMessage = null) {
+// completion is { photos: FileList, notes } when marking the report Completed
+async function updateReportStatus(reportId, status, rejectionMessage = null, completion = null) {
   const token = localStorage.getItem("userToken");
 
   try {
-    const requestBody = { status };
-    if (rejectionMessage) {
-      requestBody.rejectionMessage = rejectionMessage;
+    const headers = { Authorization: `Bearer ${token}` };
+    let body;
+    if (completion) {
+      // multipart, so the after-photos travel with the status change
+      body = new FormData();
+      body.append("status", status);
+      if (completion.notes) body.append("notes", completion.notes);
+      for (let i = 0; i < completion.photos.length; i++) {
+        body.append("photos", completion.photos[i]);
+      }
+    } else {
+      const requestBody = { status };
+      if (rejectionMessage) {
+        requestBody.rejectionMessage = rejectionMessage;
+      }
+      headers["Content-Type"] = "application/json";
+      body = JSON.stringify(requestBody);
     }
 
     const response = await fetch(`http://localhost:5050/api/users/driver/reports/${reportId}/status`, {
       method: "PATCH",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${token}`,
-      },
-      body: JSON.stringify(requestBody),
+      headers,
+      body,
     });
 
     const data = await response.json();
@@ -194,10 +223,9 @@ document.addEventListener("DOMContentLoaded", function() {
   // Logout button
   const logoutBtn = document.getElementById("logout-button");
   if (logoutBtn) {
-    logoutBtn.addEventListener("click", () => {
+    logoutBtn.addEventListener("click", async () => {
       if (confirm("Are you sure you want to logout?")) {
-        localStorage.removeItem("userToken");
-        localStorage.removeItem("user");
+        await logoutSession();
         window.location.href = "login.html";
       }
     });
@@ -230,6 +258,7 @@ document.addEventListener("DOMContentLoaded", function() {
         rejectionContainer.classList.add("hidden");
         document.getElementById("rejection-message").required = false;
       }
+      document.getElementById("completion-container").classList.toggle("hidden", this.value !== "Completed");
     });
   }
 
@@ -256,8 +285,19 @@ document.addEventListener("DOMContentLoaded", function() {
         }
       }
 
+      const completion = status === "Completed"
+        ? {
+            photos: document.getElementById("completion-photos").files,
+            notes: document.getElementById("completion-notes").value.trim(),
+          }
+        : null;
+      if (completion && completion.photos.length > 5) {
+        alert("Please choose at most 5 photos");
+        return;
+      }
+
       // Update status
-      updateReportStatus(reportId, status, status === "Rejected" ? rejectionMessage.trim() : null);
+      updateReportStatus(reportId, status, status === "Rejected" ? rejectionMessage.trim() : null, completion);
     });
   }
 
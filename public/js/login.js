@@ -1,4 +1,9 @@
 const form = document.getElementById("loginform");
+const twoFactorForm = document.getElementById("twofactor-form");
+
+// challenge from the password step, exchanged for tokens together with the code
+let challengeToken = null;
+let useRecoveryCode = false;
 
 // Error handling utilities
 function showMessage(message, isError = false) {
@@ -22,6 +27,70 @@ function setFormDisabled(disabled) {
   }
 }
 
+// Stores the tokens and opens the console that fits the user's permissions
+function completeLogin(data) {
+  // Validate response data
+  if (!data.token || !data.user) {
+    throw new Error("Invalid login response. Please try again.");
+  }
+
+  if (!data.user.role) {
+    throw new Error("User role not found. Please contact support.");
+  }
+
+  // anyone who can review reports gets the admin console, analysts only get the analytics dashboard
+  const permissions = data.user.permissions || [];
+  const isAdmin = permissions.includes("reports:read");
+  let destination = "dashboard.html";
+  if (isAdmin) {
+    destination = "admin.html";
+  } else if (permissions.includes("analytics:read")) {
+    destination = "admin-analytics.html";
+  }
+
+  // roles that require two-factor authentication enroll before anything else
+  if (data.twoFactorSetupRequired) {
+    destination = "two-factor.html";
+  }
+
+  // Store authentication data safely
+  try {
+    if (isAdmin) {
+      localStorage.setItem("adminToken", data.token);
+      localStorage.setItem("adminRefreshToken", data.refreshToken);
+      localStorage.setItem("adminUser", JSON.stringify(data.user));
+    } else {
+      localStorage.setItem("userToken", data.token);
+      localStorage.setItem("userRefreshToken", data.refreshToken);
+      localStorage.setItem("user", JSON.stringify(data.user));
+    }
+  } catch (storageError) {
+    console.error("Storage error:", storageError);
+    throw new Error("Unable to save login information. Please try again.");
+  }
+
+  if (data.twoFactorSetupRequired) {
+    showMessage("Your role requires two-factor authentication. Redirecting to setup...");
+  } else if (data.remainingRecoveryCodes !== undefined && data.remainingRecoveryCodes < 3) {
+    showMessage(`Login successful! Only ${data.remainingRecoveryCodes} recovery code(s) left. Redirecting...`);
+  } else {
+    showMessage(isAdmin ? "Admin login successful! Redirecting..." : "Login successful! Redirecting...");
+  }
+
+  setTimeout(() => {
+    window.location.href = destination;
+  }, 1000);
+}
+
+// Swaps the password form for the authenticator code form
+function showTwoFactorStep(token) {
+  challengeToken = token;
+  form.classList.add("hidden");
+  twoFactorForm.classList.remove("hidden");
+  showMessage("Enter the code from your authenticator app.");
+  document.getElementById("totp-code").focus();
+}
+
 if (form) {
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
@@ -83,7 +152,8 @@ if (form) {
       // Handle response
       if (!response.ok) {
         if (response.status === 429) {
-          throw new Error("Too many login attempts. Please try again later.");
+          const throttled = await response.json().catch(() => ({}));
+          throw new Error(throttled.message || "Too many login attempts. Please try again later.");
         } else if (response.status >= 500) {
           throw new Error("Server error. Please try again later.");
         } else if (response.status === 0) {
@@ -98,38 +168,10 @@ if (form) {
         throw new Error("Invalid response from server. Please try again.");
       }
 
-      if (response.ok && data.success) {
-        // Validate response data
-        if (!data.token || !data.user) {
-          throw new Error("Invalid login response. Please try again.");
-        }
-
-        if (!data.user.role) {
-          throw new Error("User role not found. Please contact support.");
-        }
-
-        // Store authentication data safely
-        try {
-          if (data.user.role === "admin") {
-            localStorage.setItem("adminToken", data.token);
-            localStorage.setItem("adminUser", JSON.stringify(data.user));
-            showMessage("Admin login successful! Redirecting...");
-            setTimeout(() => {
-              window.location.href = "admin.html";
-            }, 1000);
-          } else {
-            localStorage.setItem("userToken", data.token);
-            localStorage.setItem("user", JSON.stringify(data.user));
-            showMessage("Login successful! Redirecting...");
-            setTimeout(() => {
-              window.location.href = "dashboard.html";
-            }, 1000);
-          }
-        } catch (storageError) {
-          console.error("Storage error:", storageError);
-          throw new Error("Unable to save login information. Please try again.");
-        }
-
+      if (response.ok && data.success && data.twoFactorRequired) {
+        showTwoFactorStep(data.challengeToken);
+      } else if (response.ok && data.success) {
+        completeLogin(data);
       } else {
         // Handle API error responses
         const errorMessage = data?.message || "Login failed. Please check your credentials.";
@@ -160,3 +202,112 @@ if (form) {
 } else {
   console.error("Login form not found");
 }
+
+// Offers the staff SSO button and finishes a sign-on the server redirected back with
+async function initSingleSignOn() {
+  const params = new URLSearchParams(window.location.search);
+  const ssoToken = params.get("sso");
+  const ssoError = params.get("sso_error");
+
+  if (ssoToken || ssoError) {
+    // don't leave the one-time code in the address bar or history
+    window.history.replaceState(null, "", window.location.pathname);
+  }
+
+  if (ssoError) {
+    showMessage(ssoError, true);
+  }
+
+  if (ssoToken) {
+    try {
+      showMessage("Signing you in...");
+      const response = await fetch("http://localhost:5050/api/users/sso/exchange", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json"
+        },
+        body: JSON.stringify({ token: ssoToken }),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success && data.twoFactorRequired) {
+        showTwoFactorStep(data.challengeToken);
+      } else if (response.ok && data.success) {
+        completeLogin(data);
+      } else {
+        showMessage(data.message || "Single sign-on failed. Please try again.", true);
+      }
+    } catch (error) {
+      console.error("SSO exchange error:", error);
+      showMessage("Unable to connect to server. Please check your internet connection.", true);
+    }
+  }
+
+  try {
+    const response = await fetch("http://localhost:5050/api/users/sso/config");
+    const config = await response.json();
+    if (config.enabled) {
+      document.getElementById("sso-provider").textContent = config.providerName;
+      document.getElementById("sso-group").classList.remove("hidden");
+    }
+  } catch (error) {
+    console.error("SSO config error:", error);
+  }
+}
+
+initSingleSignOn();
+
+if (twoFactorForm) {
+  document.getElementById("toggle-recovery").addEventListener("click", (e) => {
+    e.preventDefault();
+    useRecoveryCode = !useRecoveryCode;
+    document.getElementById("totp-group").classList.toggle("hidden", useRecoveryCode);
+    document.getElementById("recovery-group").classList.toggle("hidden", !useRecoveryCode);
+    e.target.textContent = useRecoveryCode ? "Use your authenticator app instead" : "Use a recovery code instead";
+  });
+
+  twoFactorForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const code = document.getElementById("totp-code").value.trim();
+    const recoveryCode = document.getElementById("recovery-code").value.trim();
+    if (useRecoveryCode ? !recoveryCode : !/^\d{6}$/.test(code)) {
+      showMessage(useRecoveryCode ? "Please enter a recovery code." : "Please enter the 6-digit code.", true);
+      return;
+    }
+
+    const submitButton = twoFactorForm.querySelector('button[type="submit"]');
+    submitButton.disabled = true;
+
+    try {
+      const response = await fetch("http://localhost:5050/api/users/login/2fa", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Accept": "application/json"
+        },
+        body: JSON.stringify(
+          useRecoveryCode ? { challengeToken, recoveryCode } : { challengeToken, code }
+        ),
+      });
+      const data = await response.json();
+
+      if (response.ok && data.success) {
+        completeLogin(data);
+      } else if (data.code === "LOGIN_CHALLENGE_EXPIRED") {
+        // the challenge expired: start over with the password
+        twoFactorForm.classList.add("hidden");
+        form.classList.remove("hidden");
+        showMessage(data.message, true);
+      } else {
+        showMessage(data.message || "Verification failed. Please try again.", true);
+      }
+    } catch (error) {
+      console.error("Two-factor login error:", error);
+      showMessage("Unable to connect to server. Please check your internet connection.", true);
+    } finally {
+      submitButton.disabled = false;
+    }
+  });
+}
@@ -0,0 +1,253 @@
+// Public report form: no account, a challenge instead of a login, and a tracking code to follow the report
+const PUBLIC_API = "http://localhost:5050/api/public/reports";
+
+const CAPTCHA_SCRIPTS = {
+  hcaptcha: { src: "https://js.hcaptcha.com/1/api.js", className: "h-captcha" },
+  recaptcha: { src: "https://www.google.com/recaptcha/api.js", className: "g-recaptcha" },
+  turnstile: { src: "https://challenges.cloudflare.com/turnstile/v0/api.js", className: "cf-turnstile" },
+};
+
+let categoriesByKey = {};
+// "pow" or "captcha", from the first challenge the server hands out
+let challengeType = null;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function showMessage(text, isError = false) {
+  const message = document.getElementById("message");
+  message.textContent = text;
+  message.className = `text-center text-sm font-medium ${isError ? "text-red-600" : "text-green-700"}`;
+}
+
+async function loadOrganizations() {
+  try {
+    const response = await fetch("http://localhost:5050/api/organizations");
+    const data = await response.json();
+    if (!data.success || data.organizations.length < 2) return;
+
+    const select = document.getElementById("organization");
+    data.organizations.forEach((organization) => {
+      const option = document.createElement("option");
+      option.value = organization.slug;
+      option.textContent = organization.name;
+      select.appendChild(option);
+    });
+    document.getElementById("organization-group").classList.remove("hidden");
+  } catch (error) {
+    console.error("Error loading municipalities:", error);
+  }
+}
+
+async function loadCategories() {
+  const select = document.getElementById("category");
+  const organization = document.getElementById("organization").value;
+  select.innerHTML = '<option value="" disabled selected>Choose a category</option>';
+  categoriesByKey = {};
+  updateSubcategories();
+
+  try {
+    const query = organization ? `?organization=${encodeURIComponent(organization)}` : "";
+    const response = await fetch(`${PUBLIC_API}/categories${query}`);
+    const data = await response.json();
+    // with several municipalities, the categories come once one is chosen
+    if (!data.success) return;
+
+    categoriesByKey = Object.fromEntries(data.categories.map((category) => [category.key, category]));
+    data.categories.forEach((category) => {
+      const option = document.createElement("option");
+      option.value = category.key;
+      option.textContent = category.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error("Error loading categories:", error);
+    showMessage("Could not load the waste categories. Please reload the page.", true);
+  }
+}
+
+function updateSubcategories() {
+  const field = document.getElementById("subcategory-field");
+  const select = document.getElementById("subcategory");
+  const subcategories = categoriesByKey[document.getElementById("category").value]?.subcategories || [];
+
+  select.innerHTML = '<option value="">Not sure</option>';
+  subcategories.forEach((subcategory) => {
+    const option = document.createElement("option");
+    option.value = subcategory.key;
+    option.textContent = subcategory.name;
+    select.appendChild(option);
+  });
+  field.classList.toggle("hidden", subcategories.length === 0);
+}
+
+async function fetchChallenge() {
+  const response = await fetch(`${PUBLIC_API}/challenge`);
+  const data = await response.json();
+  if (!data.success) throw new Error(data.message);
+  return data.challenge;
+}
+
+// A captcha is rendered once, when the page loads; proof-of-work is fetched fresh for every submission
+async function setUpChallenge() {
+  try {
+    const challenge = await fetchChallenge();
+    challengeType = challenge.type;
+    if (challenge.type !== "captcha") return;
+
+    const script = CAPTCHA_SCRIPTS[challenge.provider];
+    const widget = document.createElement("div");
+    widget.className = script.className;
+    widget.dataset.sitekey = challenge.siteKey;
+    document.getElementById("challenge-widget").appendChild(widget);
+
+    const tag = document.createElement("script");
+    tag.src = script.src;
+    tag.async = true;
+    document.head.appendChild(tag);
+  } catch (error) {
+    console.error("Error loading challenge:", error);
+  }
+}
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+// Find a number whose SHA-256 with the token starts with enough zero bits; takes a second or two
+async function solveProofOfWork(challenge) {
+  const encoder = new TextEncoder();
+  for (let solution = 0; ; solution++) {
+    const hash = await crypto.subtle.digest("SHA-256", encoder.encode(`${challenge.token}:${solution}`));
+    if (leadingZeroBits(new Uint8Array(hash)) >= challenge.difficulty) {
+      return String(solution);
+    }
+  }
+}
+
+async function addChallenge(formData) {
+  if (challengeType === "captcha") {
+    const response = document.querySelector('#challenge-widget [name$="-response"]');
+    formData.append("captchaResponse", response ? response.value : "");
+    return;
+  }
+
+  const challenge = await fetchChallenge();
+  if (challenge.type === "pow") {
+    showMessage("Checking your browser, this takes a moment...");
+    formData.append("challengeToken", challenge.token);
+    formData.append("challengeSolution", await solveProofOfWork(challenge));
+  }
+}
+
+async function submitReport(event) {
+  event.preventDefault();
+  const form = event.target;
+  const button = form.querySelector('button[type="submit"]');
+  document.getElementById("tracking-result").classList.add("hidden");
+
+  const formData = new FormData();
+  formData.append("organization", document.getElementById("organization").value);
+  formData.append("category", document.getElementById("category").value);
+  formData.append("subcategory", document.getElementById("subcategory").value);
+  formData.append("address", document.getElementById("address").value.trim());
+  formData.append("description", document.getElementById("description").value.trim());
+  const photos = document.getElementById("photos").files;
+  for (let i = 0; i < photos.length; i++) {
+    formData.append("photos", photos[i]);
+  }
+
+  button.disabled = true;
+  try {
+    await addChallenge(formData);
+    showMessage("Submitting...");
+
+    const response = await fetch(PUBLIC_API, { method: "POST", body: formData });
+    const data = await response.json();
+    if (!data.success) {
+      showMessage(data.message || "Report submission failed. Please try again.", true);
+      return;
+    }
+
+    showMessage(data.message);
+    document.getElementById("tracking-result-code").textContent = data.trackingCode;
+    document.getElementById("tracking-result").classList.remove("hidden");
+    form.reset();
+    updateSubcategories();
+  } catch (error) {
+    console.error("Anonymous report error:", error);
+    showMessage("Failed to submit the report. Please check your connection and try again.", true);
+  } finally {
+    button.disabled = false;
+    // a captcha response is accepted once
+    if (challengeType === "captcha") {
+      window.hcaptcha?.reset();
+      window.grecaptcha?.reset();
+      window.turnstile?.reset();
+    }
+  }
+}
+
+function photoThumbnail(url, label) {
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener" class="flex flex-col items-center gap-0.5">
+    <img src="${escapeHtml(url)}" alt="${label}" class="h-16 w-16 object-cover rounded" />
+    <span class="text-[10px] uppercase text-gray-500">${label}</span>
+  </a>`;
+}
+
+async function trackReport(event) {
+  event.preventDefault();
+  const details = document.getElementById("tracking-details");
+  const code = document.getElementById("tracking-code").value.trim();
+
+  try {
+    const response = await fetch(`${PUBLIC_API}/${encodeURIComponent(code)}`);
+    const data = await response.json();
+    if (!data.success) {
+      details.innerHTML = `<p class="text-red-600">${escapeHtml(data.message)}</p>`;
+      return;
+    }
+
+    const report = data.report;
+    const history = report.history
+      .map((entry) => `<li>${escapeHtml(entry.status)} · ${new Date(entry.timestamp).toLocaleString()}</li>`)
+      .join("");
+    details.innerHTML = `
+      <p><strong>${escapeHtml(report.category)}</strong> at ${escapeHtml(report.address)}</p>
+      <p class="mt-1">Status: <strong>${escapeHtml(report.status)}</strong> (reported ${new Date(report.createdAt).toLocaleDateString()})</p>
+      ${history ? `<ul class="mt-2 list-disc list-inside text-gray-600">${history}</ul>` : ""}
+      ${report.completionPhotos.length ? `
+        <div class="flex gap-2 mt-3">
+          ${report.photos.slice(0, 1).map((url) => photoThumbnail(url, "Before")).join("")}
+          ${report.completionPhotos.slice(0, 2).map((url) => photoThumbnail(url, "After")).join("")}
+        </div>` : ""}
+    `;
+  } catch (error) {
+    console.error("Tracking error:", error);
+    details.innerHTML = `<p class="text-red-600">Could not look up the report. Please try again.</p>`;
+  }
+}
+
+document.getElementById("anonymous-report-form").addEventListener("submit", submitReport);
+document.getElementById("tracking-form").addEventListener("submit", trackReport);
+document.getElementById("organization").addEventListener("change", loadCategories);
+document.getElementById("category").addEventListener("change", updateSubcategories);
+
+loadOrganizations();
+loadCategories();
+setUpChallenge();
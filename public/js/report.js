@@ -1,5 +1,131 @@
 const form = document.getElementById("report-form");
 
+// Categories of the user's municipality, keyed by category key
+let categoriesByKey = {};
+// set once the citizen chose to submit although similar reports exist nearby
+let duplicateConfirmed = false;
+
+async function loadCategories() {
+  const token = localStorage.getItem("userToken") || localStorage.getItem("adminToken");
+  const select = document.getElementById("select");
+  if (!token || !select) return;
+
+  try {
+    const response = await fetch("http://localhost:5050/api/categories", {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await response.json();
+    if (!data.success) return;
+
+    categoriesByKey = Object.fromEntries(data.categories.map((category) => [category.key, category]));
+    select.innerHTML = '<option value="" disabled selected>Choose a category</option>';
+    data.categories.forEach((category) => {
+      const option = document.createElement("option");
+      option.value = category.key;
+      option.textContent = category.name;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error("Error loading categories:", error);
+    showMessage("Could not load the waste categories. Please reload the page.", true);
+  }
+}
+
+// Offer the chosen category's subcategories, if it has any
+function updateSubcategories() {
+  const field = document.getElementById("subcategory-field");
+  const select = document.getElementById("subcategory");
+  const subcategories = categoriesByKey[document.getElementById("select").value]?.subcategories || [];
+
+  select.innerHTML = '<option value="">Not sure</option>';
+  subcategories.forEach((subcategory) => {
+    const option = document.createElement("option");
+    option.value = subcategory.key;
+    option.textContent = subcategory.name;
+    select.appendChild(option);
+  });
+  field.classList.toggle("hidden", subcategories.length === 0);
+}
+
+// Open reports near the entered address: if one of them is the same waste,
+// the citizen confirms it ("me too") instead of filing it again
+async function lookupNearbyReports() {
+  const container = document.getElementById("nearby-reports");
+  const token = localStorage.getItem("userToken");
+  const address = document.getElementById("address").value.trim();
+  if (!container || !token || address.length < 5) {
+    container && container.classList.add("hidden");
+    return;
+  }
+
+  const params = new URLSearchParams({ address });
+  const category = document.getElementById("select").value;
+  if (category) params.set("category", category);
+
+  try {
+    const response = await fetch(`http://localhost:5050/api/users/reports/nearby?${params}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await response.json();
+    if (!data.success || data.reports.length === 0) {
+      container.classList.add("hidden");
+      return;
+    }
+
+    container.innerHTML = `
+      <p class="font-medium text-amber-800 mb-2">Already reported nearby - is it the same waste?</p>
+      <ul class="flex flex-col gap-2"></ul>
+    `;
+    const list = container.querySelector("ul");
+    data.reports.forEach((report) => {
+      const item = document.createElement("li");
+      item.className = "flex items-center justify-between gap-2";
+      const label = document.createElement("span");
+      label.textContent = `${(categoriesByKey[report.category]?.name || report.category)} at ${report.address} ` +
+        `(${report.distanceMeters} m away, ${report.status}${report.confirmationCount ? `, confirmed by ${report.confirmationCount}` : ""})`;
+      item.appendChild(label);
+
+      if (report.isMine) {
+        item.insertAdjacentHTML("beforeend", `<span class="text-xs text-gray-500 whitespace-nowrap">Your report</span>`);
+      } else if (report.confirmedByMe) {
+        item.insertAdjacentHTML("beforeend", `<span class="text-xs text-green-700 whitespace-nowrap">Confirmed</span>`);
+      } else {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "px-3 py-1 text-xs font-bold text-white bg-amber-600 hover:bg-amber-700 rounded whitespace-nowrap";
+        button.textContent = "Me too";
+        button.addEventListener("click", () => confirmReport(report._id));
+        item.appendChild(button);
+      }
+      list.appendChild(item);
+    });
+    container.classList.remove("hidden");
+  } catch (error) {
+    console.error("Error looking up nearby reports:", error);
+    container.classList.add("hidden");
+  }
+}
+
+async function confirmReport(reportId) {
+  const token = localStorage.getItem("userToken");
+  try {
+    const response = await fetch(`http://localhost:5050/api/users/reports/${reportId}/confirm`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const data = await response.json();
+    showMessage(data.message, !data.success);
+    if (data.success) {
+      lookupNearbyReports();
+    }
+    return data.success;
+  } catch (error) {
+    console.error("Error confirming report:", error);
+    showMessage("Could not confirm the report. Please try again.", true);
+    return false;
+  }
+}
+
 // Error handling utilities
 function showMessage(message, isError = false) {
   const messageElement = document.getElementById("message");
@@ -96,6 +222,7 @@ if (form) {
 
       // Get form data
       const category = document.getElementById("select").value;
+      const subcategory = document.getElementById("subcategory").value;
       const address = document.getElementById("address").value.trim();
       const description = document.getElementById("description").value.trim();
       const photos = document.getElementById("file-upload").files;
@@ -103,8 +230,14 @@ if (form) {
       // Create FormData
       const formData = new FormData();
       formData.append("category", category);
+      if (subcategory) {
+        formData.append("subcategory", subcategory);
+      }
       formData.append("address", address);
       formData.append("description", description);
+      if (duplicateConfirmed) {
+        formData.append("force", "true");
+      }
 
       // Add photos with validation
       for (let i = 0; i < photos.length; i++) {
@@ -155,6 +288,7 @@ if (form) {
         
         // Reset form after successful submission
         form.reset();
+        duplicateConfirmed = false;
         
         // Redirect after delay
         setTimeout(() => {
@@ -166,6 +300,22 @@ if (form) {
           }
         }, 2000);
 
+      } else if (response.status === 409 && data.code === "POSSIBLE_DUPLICATE") {
+        const nearby = data.duplicates
+          .map((duplicate) =>
+            `- ${duplicate.address} (${duplicate.status}, ${duplicate.distanceMeters} m away, reported ${new Date(duplicate.createdAt).toLocaleDateString()})`
+          )
+          .join("\n");
+
+        if (confirm(`This waste may already have been reported:\n\n${nearby}\n\nSubmit your report anyway?`)) {
+          duplicateConfirmed = true;
+          // submit again once the form is enabled
+          setTimeout(() => form.requestSubmit(), 0);
+        } else if (confirm("Confirm the existing report instead, so it gets picked up sooner?")) {
+          await confirmReport(data.duplicates[0].id);
+        } else {
+          showMessage("Report not submitted. Thanks for checking - the waste has already been reported nearby.");
+        }
       } else {
         // Handle API errors
         const errorMessage = data?.message || "Report submission failed. Please try again.";
@@ -201,6 +351,12 @@ if (form) {
     }
   });
 
+  loadCategories();
+  document.getElementById("select").addEventListener("change", () => {
+    updateSubcategories();
+    lookupNearbyReports();
+  });
+
   // Add real-time validation feedback
   const addressInput = document.getElementById("address");
   const descriptionInput = document.getElementById("description");
@@ -214,6 +370,7 @@ if (form) {
         addressInput.style.borderColor = "";
       }
     });
+    addressInput.addEventListener("change", lookupNearbyReports);
   }
   
   if (descriptionInput) {
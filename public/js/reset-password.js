@@ -0,0 +1,91 @@
+const forgotForm = document.getElementById("forgot-form");
+const resetForm = document.getElementById("reset-form");
+const resetToken = new URLSearchParams(window.location.search).get("token");
+
+function showMessage(message, isError = false) {
+  const messageElement = document.getElementById("message");
+  if (messageElement) {
+    messageElement.textContent = message;
+    messageElement.className = isError ?
+      "text-center text-sm mt-4 font-medium text-red-600" :
+      "text-center text-sm mt-4 font-medium text-green-600";
+  }
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Accept": "application/json"
+    },
+    body: JSON.stringify(body),
+  });
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (parseError) {
+    throw new Error("Invalid response from server. Please try again.");
+  }
+  return { response, data };
+}
+
+// Opened from the email link: swap to the "choose a new password" step
+if (resetToken) {
+  forgotForm.classList.add("hidden");
+  resetForm.classList.remove("hidden");
+}
+
+forgotForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const email = document.getElementById("email").value.trim();
+
+  if (!email) {
+    showMessage("Please enter your email address.", true);
+    return;
+  }
+
+  try {
+    const { data } = await postJson("http://localhost:5050/api/users/password/forgot", { email });
+    showMessage(data.message, !data.success);
+  } catch (error) {
+    console.error("Password reset request error:", error);
+    showMessage(error.message || "Unable to connect to server.", true);
+  }
+});
+
+resetForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const password = document.getElementById("new-password").value;
+  const confirmPassword = document.getElementById("confirm-password").value;
+
+  if (password.length < 8) {
+    showMessage("Password must be at least 8 characters long.", true);
+    return;
+  }
+
+  if (password !== confirmPassword) {
+    showMessage("Passwords do not match.", true);
+    return;
+  }
+
+  try {
+    const { response, data } = await postJson("http://localhost:5050/api/users/password/reset", {
+      token: resetToken,
+      password,
+    });
+
+    if (response.ok && data.success) {
+      showMessage(`${data.message}. Redirecting...`);
+      setTimeout(() => {
+        window.location.href = "login.html";
+      }, 2000);
+    } else {
+      showMessage(data.message || "Password reset failed.", true);
+    }
+  } catch (error) {
+    console.error("Password reset error:", error);
+    showMessage(error.message || "Unable to connect to server.", true);
+  }
+});
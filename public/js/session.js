@@ -0,0 +1,99 @@
+// Keeps a logged-in page's session alive by rotating the refresh token shortly
+// before the access token expires, and ends the server-side session on logout.
+const SESSION_API = "http://localhost:5050/api/users";
+const REFRESH_MARGIN_MS = 60 * 1000; // refresh one minute before expiry
+
+let refreshTimer = null;
+
+// Admins and everyone else keep their credentials under different keys (see login.js)
+function getSessionKeys() {
+  if (localStorage.getItem("adminToken")) {
+    return { token: "adminToken", refresh: "adminRefreshToken", user: "adminUser" };
+  }
+  return { token: "userToken", refresh: "userRefreshToken", user: "user" };
+}
+
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function clearSession() {
+  const keys = getSessionKeys();
+  localStorage.removeItem(keys.token);
+  localStorage.removeItem(keys.refresh);
+  localStorage.removeItem(keys.user);
+}
+
+async function refreshSession() {
+  const keys = getSessionKeys();
+  const refreshToken = localStorage.getItem(keys.refresh);
+  if (!refreshToken) return false;
+
+  try {
+    const response = await fetch(`${SESSION_API}/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken }),
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      clearSession();
+      window.location.href = "login.html";
+      return false;
+    }
+
+    localStorage.setItem(keys.token, data.token);
+    localStorage.setItem(keys.refresh, data.refreshToken);
+    if (data.user) localStorage.setItem(keys.user, JSON.stringify(data.user));
+    scheduleSessionRefresh();
+    return true;
+  } catch (error) {
+    // Network hiccup: try again shortly rather than logging the user out
+    console.error("Session refresh error:", error);
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refreshSession, 30 * 1000);
+    return false;
+  }
+}
+
+function scheduleSessionRefresh() {
+  const keys = getSessionKeys();
+  const token = localStorage.getItem(keys.token);
+  if (!token || !localStorage.getItem(keys.refresh)) return;
+
+  const expiresAt = getTokenExpiry(token);
+  if (!expiresAt) return;
+
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(refreshSession, Math.max(0, expiresAt - Date.now() - REFRESH_MARGIN_MS));
+}
+
+async function logoutSession() {
+  const keys = getSessionKeys();
+  const token = localStorage.getItem(keys.token);
+  clearTimeout(refreshTimer);
+
+  if (token) {
+    try {
+      await fetch(`${SESSION_API}/logout`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+    } catch (error) {
+      console.error("Logout error:", error);
+    }
+  }
+
+  clearSession();
+}
+
+window.refreshSession = refreshSession;
+window.logoutSession = logoutSession;
+
+scheduleSessionRefresh();
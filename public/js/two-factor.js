@@ -0,0 +1,171 @@
+// Lets the signed-in user enroll in, manage or turn off TOTP two-factor authentication
+const TWO_FACTOR_API = "http://localhost:5050/api/users/2fa";
+
+const sessionKeys = getSessionKeys();
+const token = localStorage.getItem(sessionKeys.token);
+
+if (!token) {
+  window.location.href = "login.html";
+}
+
+function showMessage(message, isError = false) {
+  const messageElement = document.getElementById("message");
+  if (messageElement) {
+    messageElement.textContent = message;
+    messageElement.className = isError ?
+      "text-center text-sm mt-4 font-medium text-red-600" :
+      "text-center text-sm mt-4 font-medium text-green-600";
+  }
+}
+
+function showSection(id) {
+  ["setup-start", "enable-form", "manage"].forEach((section) => {
+    document.getElementById(section).classList.toggle("hidden", section !== id);
+  });
+}
+
+// Same choice of console as login.js
+function getHomePage() {
+  const user = JSON.parse(localStorage.getItem(sessionKeys.user) || "{}");
+  const permissions = user.permissions || [];
+  if (permissions.includes("reports:read")) return "admin.html";
+  if (permissions.includes("analytics:read")) return "admin-analytics.html";
+  return "dashboard.html";
+}
+
+async function callApi(path, method = "GET", body) {
+  const response = await fetch(`${TWO_FACTOR_API}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${localStorage.getItem(sessionKeys.token)}`,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  if (response.status === 401) {
+    window.location.href = "login.html";
+  }
+  return response.json();
+}
+
+function showRecoveryCodes(codes) {
+  const list = document.getElementById("recovery-list");
+  list.innerHTML = "";
+  codes.forEach((code) => {
+    const item = document.createElement("li");
+    item.textContent = code;
+    list.appendChild(item);
+  });
+  document.getElementById("recovery-codes").classList.remove("hidden");
+}
+
+async function loadStatus() {
+  try {
+    const data = await callApi("");
+    if (!data.success) {
+      showMessage(data.message, true);
+      return;
+    }
+
+    const status = document.getElementById("status");
+    if (data.enabled) {
+      status.textContent = `Enabled since ${new Date(data.enabledAt).toLocaleDateString()}. ${data.remainingRecoveryCodes} recovery code(s) left.`;
+      showSection("manage");
+      // members of roles that require 2FA can't turn it off
+      document.getElementById("disable-form").classList.toggle("hidden", data.required);
+    } else {
+      status.textContent = data.required ?
+        "Your role requires two-factor authentication. Set it up to continue." :
+        "Two-factor authentication is off.";
+      showSection("setup-start");
+    }
+  } catch (error) {
+    console.error("Two-factor status error:", error);
+    showMessage("Unable to connect to server.", true);
+  }
+}
+
+document.getElementById("continue-link").href = getHomePage();
+
+document.getElementById("setup-btn").addEventListener("click", async () => {
+  try {
+    const data = await callApi("/setup", "POST");
+    if (!data.success) {
+      showMessage(data.message, true);
+      return;
+    }
+
+    // group the key in fours so it is easier to type
+    document.getElementById("secret").textContent = data.secret.match(/.{1,4}/g).join(" ");
+    document.getElementById("otpauth-link").href = data.otpauthUrl;
+    showSection("enable-form");
+    document.getElementById("enable-code").focus();
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    showMessage("Unable to connect to server.", true);
+  }
+});
+
+document.getElementById("enable-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    const code = document.getElementById("enable-code").value.trim();
+    const data = await callApi("/enable", "POST", { code });
+    if (!data.success) {
+      showMessage(data.message, true);
+      return;
+    }
+
+    showMessage(data.message);
+    showRecoveryCodes(data.recoveryCodes);
+    document.getElementById("enable-form").classList.add("hidden");
+    document.getElementById("status").textContent = "Two-factor authentication is on.";
+    document.getElementById("continue-link").textContent = "Continue";
+  } catch (error) {
+    console.error("Two-factor enable error:", error);
+    showMessage("Unable to connect to server.", true);
+  }
+});
+
+document.getElementById("regenerate-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  try {
+    const code = document.getElementById("regenerate-code").value.trim();
+    const data = await callApi("/recovery-codes", "POST", { code });
+    if (!data.success) {
+      showMessage(data.message, true);
+      return;
+    }
+
+    showMessage("New recovery codes generated. The old ones no longer work.");
+    showRecoveryCodes(data.recoveryCodes);
+    e.target.reset();
+  } catch (error) {
+    console.error("Recovery code error:", error);
+    showMessage("Unable to connect to server.", true);
+  }
+});
+
+document.getElementById("disable-form").addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (!confirm("Turn off two-factor authentication?")) return;
+
+  try {
+    const data = await callApi("/disable", "POST", {
+      password: document.getElementById("disable-password").value,
+      code: document.getElementById("disable-code").value.trim(),
+    });
+    showMessage(data.message, !data.success);
+    if (data.success) {
+      e.target.reset();
+      document.getElementById("recovery-codes").classList.add("hidden");
+      loadStatus();
+    }
+  } catch (error) {
+    console.error("Two-factor disable error:", error);
+    showMessage("Unable to connect to server.", true);
+  }
+});
+
+loadStatus();
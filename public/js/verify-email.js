@@ -0,0 +1,46 @@
+function showMessage(message, isError = false) {
+  const messageElement = document.getElementById("message");
+  if (messageElement) {
+    messageElement.textContent = message;
+    messageElement.className = isError ?
+      "text-sm font-medium text-red-600" :
+      "text-sm font-medium text-green-600";
+  }
+}
+
+async function verifyEmail() {
+  const token = new URLSearchParams(window.location.search).get("token");
+  if (!token) {
+    showMessage("Verification link is missing its token.", true);
+    return;
+  }
+
+  try {
+    const response = await fetch("http://localhost:5050/api/users/email/verify", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json"
+      },
+      body: JSON.stringify({ token }),
+    });
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      showMessage("Your email address is confirmed. You can now submit reports.");
+
+      // Keep a logged-in citizen's cached profile in sync
+      const storedUser = JSON.parse(localStorage.getItem("user") || "null");
+      if (storedUser && data.user && storedUser._id === data.user._id) {
+        localStorage.setItem("user", JSON.stringify({ ...storedUser, emailVerified: true }));
+      }
+    } else {
+      showMessage(data.message || "Email confirmation failed.", true);
+    }
+  } catch (error) {
+    console.error("Email verification error:", error);
+    showMessage("Unable to connect to server. Please try again.", true);
+  }
+}
+
+verifyEmail();
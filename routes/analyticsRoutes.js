@@ -1,10 +1,16 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import AnalyticsEngine from '../utils/analyticsEngine.js';
 import DataAggregationService from '../services/dataAggregation.js';
 import CacheService from '../services/cacheService.js';
 import ExportService from '../services/exportService.js';
-import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import CategoryService from '../services/categoryService.js';
+import SlaService from '../services/slaService.js';
+import ConfirmationService from '../services/confirmationService.js';
+import AnonymousReportService from '../services/anonymousReportService.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import Report from '../models/report.js';
+import { getTenantId } from '../utils/tenant.js';
 
 /**
  * Enhanced error handler middleware for analytics routes
@@ -45,7 +51,7 @@ const handleAnalyticsError = (error, req, res, next) => {
   } else if (error.message.includes('unauthorized') || error.message.includes('permission')) {
     statusCode = 403;
     errorCode = 'ACCESS_DENIED';
-    userMessage = 'Access denied. Admin privileges required.';
+    userMessage = 'Access denied. Analytics permission required.';
   } else if (error.message.includes('too large') || error.message.includes('BSONObj size')) {
     statusCode = 413;
     errorCode = 'PAYLOAD_TOO_LARGE';
@@ -68,9 +74,10 @@ const handleAnalyticsError = (error, req, res, next) => {
  * Validate request parameters for analytics endpoints
  * @param {Object} params - Parameters to validate
  * @param {Array} required - Required parameter names
+ * @param {Array} categories - Category keys of the caller's municipality
  * @returns {Object} Validation result
  */
-const validateRequestParams = (params, required = []) => {
+const validateRequestParams = (params, required = [], categories = []) => {
   const errors = [];
   const warnings = [];
 
@@ -102,7 +109,7 @@ const validateRequestParams = (params, required = []) => {
   });
 
   // Validate enum parameters
-  const validCategories = ['all', 'recyclable', 'illegal_dumping', 'hazardous_waste'];
+  const validCategories = ['all', ...categories];
   if (params.category && !validCategories.includes(params.category)) {
     errors.push(`Invalid category: ${params.category}. Valid values: ${validCategories.join(', ')}`);
   }
@@ -151,10 +158,14 @@ const analyticsEngine = new AnalyticsEngine();
 const dataAggregation = new DataAggregationService();
 const cacheService = new CacheService();
 const exportService = new ExportService();
+const categoryService = new CategoryService();
+const slaService = new SlaService();
+const confirmationService = new ConfirmationService();
+const anonymousReportService = new AnonymousReportService({ cacheService });
 
-// Middleware to ensure admin access for all analytics routes
+// Every analytics route needs analytics:read; exports and cache utilities need more (see below)
 router.use(authenticateToken);
-router.use(requireAdmin);
+router.use(requirePermission('analytics:read'));
 
 /**
  * GET /api/analytics/trends
@@ -172,8 +183,9 @@ router.get('/trends', async (req, res) => {
       optimize = 'true'
     } = req.query;
 
-    // Enhanced parameter validation
-    const validation = validateRequestParams(req.query, ['startDate', 'endDate']);
+    // Enhanced parameter validation; inactive categories still have reports to analyze
+    const categories = await categoryService.getKeys(getTenantId(req), { includeInactive: true });
+    const validation = validateRequestParams(req.query, ['startDate', 'endDate'], categories);
     
     if (!validation.isValid) {
       return res.status(400).json({
@@ -194,7 +206,8 @@ router.get('/trends', async (req, res) => {
     }
 
     const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
-    const filters = { category, status };
+    // every query below is limited to the caller's municipality
+    const filters = { category, status, organization: getTenantId(req) };
     const pagination = { 
       page: Math.max(1, parseInt(page)), 
       limit: Math.min(10000, Math.max(1, parseInt(limit))) // Enforce reasonable limits
@@ -208,6 +221,7 @@ router.get('/trends', async (req, res) => {
       // Estimate dataset size for performance optimization
       const sizeEstimate = await dataAggregation.estimateDatasetSize({
         createdAt: { $gte: dateRange.startDate, $lte: dateRange.endDate },
+        organization: filters.organization,
         ...(category !== 'all' && { category }),
         ...(status !== 'all' && { status })
       });
@@ -227,7 +241,7 @@ router.get('/trends', async (req, res) => {
       }
 
       // Calculate data quality metrics
-      const dataQuality = await analyticsEngine.calculateDataQuality(trendData.rawRecords || []);
+      const dataQuality = await analyticsEngine.calculateDataQuality(trendData.rawRecords || [], categories);
 
       // Apply pagination if requested
       let paginatedData = trendData;
@@ -327,7 +341,7 @@ router.get('/trends/comparison', async (req, res) => {
 
     const period1 = { startDate: new Date(period1Start), endDate: new Date(period1End) };
     const period2 = { startDate: new Date(period2Start), endDate: new Date(period2End) };
-    const filters = { category };
+    const filters = { category, organization: getTenantId(req) };
 
     // Get data for both periods
     const [period1Data, period2Data] = await Promise.all([
@@ -376,7 +390,7 @@ router.get('/geographic', async (req, res) => {
       startDate, endDate 
     } = req.query;
 
-    const filters = { category };
+    const filters = { category, organization: getTenantId(req) };
     
     if (startDate && endDate) {
       filters.dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
@@ -392,7 +406,8 @@ router.get('/geographic', async (req, res) => {
 
     if (!result) {
       const geographicData = await dataAggregation.aggregateByLocation(bounds, filters);
-      const dataQuality = await analyticsEngine.calculateDataQuality(geographicData.rawRecords || []);
+      const categories = await categoryService.getKeys(filters.organization, { includeInactive: true });
+      const dataQuality = await analyticsEngine.calculateDataQuality(geographicData.rawRecords || [], categories);
       
       result = {
         ...geographicData,
@@ -442,7 +457,7 @@ router.get('/heatmap', async (req, res) => {
       startDate, endDate 
     } = req.query;
 
-    const filters = { category };
+    const filters = { category, organization: getTenantId(req) };
     
     if (startDate && endDate) {
       filters.dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
@@ -478,7 +493,8 @@ router.get('/heatmap', async (req, res) => {
 
 /**
  * GET /api/analytics/drivers
- * Get driver performance metrics with enhanced calculations
+ * Get driver performance metrics with enhanced calculations, rolled up by team;
+ * ?depot= limits them to one depot's drivers
  */
 router.get('/drivers', async (req, res) => {
   try {
@@ -486,10 +502,22 @@ router.get('/drivers', async (req, res) => {
       metric = 'completion_rate', 
       period = '30d',
       driverId = null,
+      depot = null,
       startDate,
       endDate 
     } = req.query;
 
+    if (depot && !mongoose.isValidObjectId(depot)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DEPOT',
+          message: 'Invalid depot id',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
     // Determine date range
     let dateRange;
     if (startDate && endDate) {
@@ -503,19 +531,20 @@ router.get('/drivers', async (req, res) => {
       dateRange = { startDate: startDateCalc, endDate: endDateCalc };
     }
 
-    const cacheKey = cacheService.generateCacheKey('drivers_enhanced', { metric, period, driverId }, dateRange);
+    const organization = getTenantId(req);
+    const cacheKey = cacheService.generateCacheKey('drivers_enhanced', { metric, period, driverId, depot, organization }, dateRange);
     let driverData = await cacheService.getCachedData(cacheKey);
 
     if (!driverData) {
       // Use enhanced driver metrics calculation
-      driverData = await analyticsEngine.calculateDriverMetrics(driverId, dateRange);
+      driverData = await analyticsEngine.calculateDriverMetrics(driverId, dateRange, { organization, depot });
       await cacheService.cacheAnalyticsData(cacheKey, driverData);
     }
 
     res.json({
       success: true,
       data: driverData,
-      filters: { metric, period, driverId, dateRange },
+      filters: { metric, period, driverId, depot, dateRange },
       timestamp: new Date().toISOString()
     });
 
@@ -554,11 +583,12 @@ router.get('/drivers/:driverId/ranking', async (req, res) => {
       dateRange = { startDate: startDateCalc, endDate: endDateCalc };
     }
 
-    const cacheKey = cacheService.generateCacheKey('driver_ranking', { driverId }, dateRange);
+    const organization = getTenantId(req);
+    const cacheKey = cacheService.generateCacheKey('driver_ranking', { driverId, organization }, dateRange);
     let rankingData = await cacheService.getCachedData(cacheKey);
 
     if (!rankingData) {
-      rankingData = await analyticsEngine.getDriverPerformanceRanking(driverId, dateRange);
+      rankingData = await analyticsEngine.getDriverPerformanceRanking(driverId, dateRange, { organization });
       await cacheService.cacheAnalyticsData(cacheKey, rankingData, 300); // Cache for 5 minutes
     }
 
@@ -620,11 +650,12 @@ router.get('/drivers/assignment-tracking', async (req, res) => {
       dateRange = { startDate: startDateCalc, endDate: endDateCalc };
     }
 
-    const cacheKey = cacheService.generateCacheKey('assignment_tracking', { driverId }, dateRange);
+    const organization = getTenantId(req);
+    const cacheKey = cacheService.generateCacheKey('assignment_tracking', { driverId, organization }, dateRange);
     let trackingData = await cacheService.getCachedData(cacheKey);
 
     if (!trackingData) {
-      trackingData = await analyticsEngine.getDriverAssignmentTracking(driverId, dateRange);
+      trackingData = await analyticsEngine.getDriverAssignmentTracking(driverId, dateRange, { organization });
       await cacheService.cacheAnalyticsData(cacheKey, trackingData);
     }
 
@@ -668,7 +699,7 @@ router.get('/status-distribution', async (req, res) => {
     }
 
     const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
-    const filters = { category };
+    const filters = { category, organization: getTenantId(req) };
 
     const cacheKey = cacheService.generateCacheKey('status', filters, dateRange);
     let statusData = await cacheService.getCachedData(cacheKey);
@@ -717,7 +748,7 @@ router.get('/resolution-times', async (req, res) => {
     }
 
     const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
-    const filters = { category };
+    const filters = { category, organization: getTenantId(req) };
 
     const cacheKey = cacheService.generateCacheKey('resolution', filters, dateRange);
     let resolutionData = await cacheService.getCachedData(cacheKey);
@@ -747,16 +778,187 @@ router.get('/resolution-times', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/analytics/sla
+ * SLA compliance rates of the reports filed in a date range, overall, per category and per target
+ */
+router.get('/sla', async (req, res) => {
+  try {
+    const { startDate, endDate, category = 'all' } = req.query;
+    const organization = getTenantId(req);
+
+    const validation = validateRequestParams(
+      req.query,
+      ['startDate', 'endDate'],
+      await categoryService.getKeys(organization, { includeInactive: true })
+    );
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid request parameters',
+          details: validation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
+    const filters = { category, organization };
+
+    const cacheKey = cacheService.generateCacheKey('sla', filters, dateRange);
+    let slaData = await cacheService.getCachedData(cacheKey);
+
+    if (!slaData) {
+      slaData = await slaService.getCompliance(organization, dateRange, { category });
+      await cacheService.cacheAnalyticsData(cacheKey, slaData);
+    }
+
+    res.json({
+      success: true,
+      data: slaData,
+      filters: { dateRange, category },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[ERROR] Analytics API - /sla:', error.message);
+    res.status(500).json({
+      error: {
+        code: 'SLA_COMPLIANCE_ERROR',
+        message: 'Failed to generate SLA compliance analysis',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/confirmations
+ * "Me too" confirmations of the reports filed in a date range, per category, and the most confirmed open reports
+ */
+router.get('/confirmations', async (req, res) => {
+  try {
+    const { startDate, endDate, category = 'all' } = req.query;
+    const organization = getTenantId(req);
+
+    const validation = validateRequestParams(
+      req.query,
+      ['startDate', 'endDate'],
+      await categoryService.getKeys(organization, { includeInactive: true })
+    );
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid request parameters',
+          details: validation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
+    const filters = { category, organization };
+
+    const cacheKey = cacheService.generateCacheKey('confirmations', filters, dateRange);
+    let confirmationData = await cacheService.getCachedData(cacheKey);
+
+    if (!confirmationData) {
+      confirmationData = await confirmationService.getStats(organization, dateRange, { category });
+      await cacheService.cacheAnalyticsData(cacheKey, confirmationData);
+    }
+
+    res.json({
+      success: true,
+      data: confirmationData,
+      filters: { dateRange, category },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[ERROR] Analytics API - /confirmations:', error.message);
+    res.status(500).json({
+      error: {
+        code: 'CONFIRMATION_ANALYTICS_ERROR',
+        message: 'Failed to generate confirmation analysis',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
+/**
+ * GET /api/analytics/anonymous
+ * Anonymous against registered reports filed in a date range, per category, and how many still await moderation
+ */
+router.get('/anonymous', async (req, res) => {
+  try {
+    const { startDate, endDate, category = 'all' } = req.query;
+    const organization = getTenantId(req);
+
+    const validation = validateRequestParams(
+      req.query,
+      ['startDate', 'endDate'],
+      await categoryService.getKeys(organization, { includeInactive: true })
+    );
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid request parameters',
+          details: validation.errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
+    const filters = { category, organization };
+
+    const cacheKey = cacheService.generateCacheKey('anonymous', filters, dateRange);
+    let anonymousData = await cacheService.getCachedData(cacheKey);
+
+    if (!anonymousData) {
+      anonymousData = await anonymousReportService.getStats(organization, dateRange, { category });
+      await cacheService.cacheAnalyticsData(cacheKey, anonymousData);
+    }
+
+    res.json({
+      success: true,
+      data: anonymousData,
+      filters: { dateRange, category },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[ERROR] Analytics API - /anonymous:', error.message);
+    res.status(500).json({
+      error: {
+        code: 'ANONYMOUS_ANALYTICS_ERROR',
+        message: 'Failed to generate anonymous report analysis',
+        details: error.message,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+});
+
 /**
  * POST /api/analytics/export/csv
  * Export analytics data as CSV
  */
-router.post('/export/csv', async (req, res) => {
+router.post('/export/csv', requirePermission('analytics:export'), async (req, res) => {
   try {
     const { 
       dataType, 
       dateRange, 
-      filters = {},
+      filters: requestFilters = {},
       includeDetails = false 
     } = req.body;
 
@@ -770,6 +972,9 @@ router.post('/export/csv', async (req, res) => {
       });
     }
 
+    // the organization always comes from the caller, never from the request body
+    const filters = { ...requestFilters, organization: getTenantId(req) };
+
     // Get the analytics data based on dataType
     let analyticsData;
     const parsedDateRange = {
@@ -805,7 +1010,8 @@ router.post('/export/csv', async (req, res) => {
     const exportResult = await exportService.generateCSV(dataType, analyticsData, {
       includeDetails,
       dateRange: parsedDateRange,
-      filters
+      filters,
+      categories: await categoryService.list(filters.organization, { includeInactive: true })
     });
 
     // Set appropriate headers for CSV download
@@ -831,12 +1037,12 @@ router.post('/export/csv', async (req, res) => {
  * POST /api/analytics/export/pdf
  * Export analytics data as PDF
  */
-router.post('/export/pdf', async (req, res) => {
+router.post('/export/pdf', requirePermission('analytics:export'), async (req, res) => {
   try {
     const { 
       dataType, 
       dateRange, 
-      filters = {},
+      filters: requestFilters = {},
       includeCharts = true 
     } = req.body;
 
@@ -850,6 +1056,9 @@ router.post('/export/pdf', async (req, res) => {
       });
     }
 
+    // the organization always comes from the caller, never from the request body
+    const filters = { ...requestFilters, organization: getTenantId(req) };
+
     // Get the analytics data based on dataType
     let analyticsData;
     const parsedDateRange = {
@@ -885,7 +1094,8 @@ router.post('/export/pdf', async (req, res) => {
     const exportResult = await exportService.generatePDF(dataType, analyticsData, {
       includeCharts,
       dateRange: parsedDateRange,
-      filters
+      filters,
+      categories: await categoryService.list(filters.organization, { includeInactive: true })
     });
 
     res.json({
@@ -912,7 +1122,7 @@ router.post('/export/pdf', async (req, res) => {
  * GET /api/analytics/cache/stats
  * Get cache statistics (admin utility)
  */
-router.get('/cache/stats', async (req, res) => {
+router.get('/cache/stats', requirePermission('cache:manage'), async (req, res) => {
   try {
     const stats = await cacheService.getCacheStats();
     const status = cacheService.getStatus();
@@ -945,7 +1155,7 @@ router.get('/cache/stats', async (req, res) => {
  * POST /api/analytics/cache/reconnect
  * Attempt to reconnect to Redis cache
  */
-router.post('/cache/reconnect', async (req, res) => {
+router.post('/cache/reconnect', requirePermission('cache:manage'), async (req, res) => {
   try {
     console.log('[INFO] Analytics API - Cache reconnection requested by admin');
     
@@ -980,7 +1190,7 @@ router.post('/cache/reconnect', async (req, res) => {
  * DELETE /api/analytics/cache
  * Clear analytics cache (admin utility)
  */
-router.delete('/cache', async (req, res) => {
+router.delete('/cache', requirePermission('cache:manage'), async (req, res) => {
   try {
     const { pattern = '*' } = req.query;
     
@@ -1028,7 +1238,7 @@ router.get('/status-transitions', async (req, res) => {
     }
 
     const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
-    const filters = { category };
+    const filters = { category, organization: getTenantId(req) };
 
     const cacheKey = cacheService.generateCacheKey('status-transitions', filters, dateRange);
     let transitionData = await cacheService.getCachedData(cacheKey);
@@ -1036,7 +1246,8 @@ router.get('/status-transitions', async (req, res) => {
     if (!transitionData) {
       // Get reports for the date range
       const matchCriteria = {
-        createdAt: { $gte: dateRange.startDate, $lte: dateRange.endDate }
+        createdAt: { $gte: dateRange.startDate, $lte: dateRange.endDate },
+        organization: filters.organization
       };
 
       if (category !== 'all') {
@@ -1046,7 +1257,8 @@ router.get('/status-transitions', async (req, res) => {
       const reports = await Report.find(matchCriteria).select('status statusHistory category createdAt updatedAt');
       
       // Generate comprehensive status analytics
-      transitionData = await analyticsEngine.generateStatusAnalytics(reports);
+      const categories = await categoryService.getKeys(filters.organization, { includeInactive: true });
+      transitionData = await analyticsEngine.generateStatusAnalytics(reports, categories);
       
       await cacheService.cacheAnalyticsData(cacheKey, transitionData, 300); // 5 minute cache
     }
@@ -1098,14 +1310,16 @@ router.get('/workflow-timeline', async (req, res) => {
     const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
     const options = { groupBy, category, maxReports: parseInt(maxReports) };
 
-    const cacheKey = cacheService.generateCacheKey('workflow-timeline', options, dateRange);
+    const organization = getTenantId(req);
+    const cacheKey = cacheService.generateCacheKey('workflow-timeline', { ...options, organization }, dateRange);
     let timelineData = await cacheService.getCachedData(cacheKey);
 
     if (!timelineData) {
       // Get reports with status history for timeline analysis
       const matchCriteria = {
         createdAt: { $gte: dateRange.startDate, $lte: dateRange.endDate },
-        statusHistory: { $exists: true, $ne: [] }
+        statusHistory: { $exists: true, $ne: [] },
+        organization: getTenantId(req)
       };
 
       if (category !== 'all') {
@@ -1163,7 +1377,7 @@ router.get('/workflow-bottlenecks', async (req, res) => {
     }
 
     const dateRange = { startDate: new Date(startDate), endDate: new Date(endDate) };
-    const filters = { category, severity };
+    const filters = { category, severity, organization: getTenantId(req) };
 
     const cacheKey = cacheService.generateCacheKey('workflow-bottlenecks', filters, dateRange);
     let bottleneckData = await cacheService.getCachedData(cacheKey);
@@ -1172,7 +1386,8 @@ router.get('/workflow-bottlenecks', async (req, res) => {
       // Get reports with status history
       const matchCriteria = {
         createdAt: { $gte: dateRange.startDate, $lte: dateRange.endDate },
-        statusHistory: { $exists: true, $ne: [] }
+        statusHistory: { $exists: true, $ne: [] },
+        organization: getTenantId(req)
       };
 
       if (category !== 'all') {
@@ -1288,7 +1503,7 @@ router.get('/health', async (req, res) => {
 
     // Check data freshness (time since last report)
     try {
-      const latestReport = await Report.findOne().sort({ createdAt: -1 }).select('createdAt');
+      const latestReport = await Report.findOne({ organization: getTenantId(req) }).sort({ createdAt: -1 }).select('createdAt');
       if (latestReport) {
         const minutesSinceLatest = Math.floor((Date.now() - latestReport.createdAt.getTime()) / (1000 * 60));
         health.systemHealth.dataFreshness = minutesSinceLatest;
@@ -0,0 +1,134 @@
+import express from "express";
+import { authenticate, requirePermission, requireUserAccount } from "../middleware/auth.js";
+import ApiKeyService from "../services/apiKeyService.js";
+import AuditService from "../services/auditService.js";
+import { API_KEY_PERMISSIONS } from "../config/permissions.js";
+import { getTenantId } from "../utils/tenant.js";
+
+const router = express.Router();
+const apiKeyService = new ApiKeyService();
+const auditService = new AuditService();
+
+// Keys are managed by signed-in admins only; a key cannot mint other keys
+router.use(authenticate, requireUserAccount, requirePermission("apikeys:manage"));
+
+// List the municipality's API keys (the secrets themselves are never returned)
+router.get("/", async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(getTenantId(req));
+    res.status(200).json({
+      success: true,
+      apiKeys,
+      availablePermissions: API_KEY_PERMISSIONS,
+    });
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching API keys" });
+  }
+});
+
+// Issue a key, e.g. { name: "Acme dispatch", permissions: ["reports:read", "reports:status"], expiresInDays: 365 }
+router.post("/", async (req, res) => {
+  try {
+    const { name, permissions, expiresInDays } = req.body;
+
+    if (!name || !Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Name and at least one permission are required",
+      });
+    }
+
+    const notAllowed = permissions.filter((p) => !API_KEY_PERMISSIONS.includes(p));
+    if (notAllowed.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Permission(s) not available to API keys: ${notAllowed.join(", ")}`,
+      });
+    }
+
+    // admins can't hand out more than they have themselves
+    const notHeld = permissions.filter((p) => !req.permissions.includes(p));
+    if (notHeld.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot grant permission(s) you don't have: ${notHeld.join(", ")}`,
+      });
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined) {
+      const days = parseInt(expiresInDays);
+      if (!days || days < 1) {
+        return res
+          .status(400)
+          .json({ success: false, message: "expiresInDays must be a positive number" });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { key, apiKey } = await apiKeyService.createKey({
+      name,
+      permissions,
+      organization: getTenantId(req),
+      createdBy: req.user.id,
+      expiresAt,
+    });
+
+    await auditService.recordForRequest(req, {
+      action: "apikey.create",
+      targetType: "ApiKey",
+      targetId: apiKey._id,
+      targetLabel: apiKey.name,
+      metadata: { permissions: apiKey.permissions, expiresAt },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now, it will not be shown again",
+      key,
+      apiKey,
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error creating API key" });
+  }
+});
+
+// Revoke a key; requests using it are rejected immediately
+router.delete("/:id", async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.params.id, {
+      organization: getTenantId(req),
+      revokedBy: req.user.id,
+    });
+
+    if (!apiKey) {
+      return res
+        .status(404)
+        .json({ success: false, message: "API key not found" });
+    }
+
+    await auditService.recordForRequest(req, {
+      action: "apikey.revoke",
+      targetType: "ApiKey",
+      targetId: apiKey._id,
+      targetLabel: apiKey.name,
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "API key revoked", apiKey });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error revoking API key" });
+  }
+});
+
+export default router;
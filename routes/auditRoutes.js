@@ -0,0 +1,69 @@
+import express from "express";
+import { authenticate, requirePermission, requireUserAccount } from "../middleware/auth.js";
+import AuditService from "../services/auditService.js";
+import { getTenantId } from "../utils/tenant.js";
+
+const router = express.Router();
+const auditService = new AuditService();
+
+router.use(authenticate, requireUserAccount, requirePermission("audit:read"));
+
+// query string filters shared by the list and the export; the municipality always comes from the caller
+const getFilters = (req) => ({
+  organization: getTenantId(req),
+  action: req.query.action,
+  actor: req.query.actor,
+  targetType: req.query.targetType,
+  targetId: req.query.targetId,
+  startDate: req.query.startDate,
+  endDate: req.query.endDate,
+});
+
+// List audit entries, newest first, e.g. ?action=report.*&startDate=2026-01-01&page=2
+router.get("/", async (req, res) => {
+  try {
+    const { entries, pagination } = await auditService.find(getFilters(req), {
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+
+    res.status(200).json({ success: true, entries, pagination });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error fetching audit log:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching audit log" });
+  }
+});
+
+// Download the entries matching the same filters as CSV
+router.get("/export", async (req, res) => {
+  try {
+    const filters = getFilters(req);
+    const exportResult = await auditService.exportCSV(filters);
+
+    // exporting the trail is itself worth a trace
+    await auditService.recordForRequest(req, {
+      action: "audit.export",
+      metadata: { filters, rowCount: exportResult.rowCount },
+    });
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader("Content-Disposition", `attachment; filename="${exportResult.filename}"`);
+    res.setHeader("X-Export-Truncated", String(exportResult.truncated));
+    res.send(exportResult.content);
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error exporting audit log:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error exporting audit log" });
+  }
+});
+
+export default router;
@@ -0,0 +1,99 @@
+import express from "express";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import CategoryService from "../services/categoryService.js";
+import AuditService from "../services/auditService.js";
+import { getTenantId } from "../utils/tenant.js";
+
+const router = express.Router();
+const categoryService = new CategoryService();
+const auditService = new AuditService();
+
+router.use(authenticate);
+
+const sendError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message: `Server error ${message.toLowerCase()}` });
+};
+
+// Categories of the caller's municipality, used by the report forms and analytics filters;
+// ?includeInactive=true adds the ones that can no longer be reported
+router.get("/", async (req, res) => {
+  try {
+    const categories = await categoryService.list(getTenantId(req), {
+      includeInactive: req.query.includeInactive === "true",
+    });
+    res.status(200).json({ success: true, categories });
+  } catch (error) {
+    sendError(res, error, "Fetching categories");
+  }
+});
+
+// Add a category, e.g. { key: "bulky_waste", name: "Bulky waste", icon: "chair",
+// subcategories: ["Furniture", "Mattresses"], defaultPriority: "normal" }
+router.post("/", requirePermission("categories:manage"), async (req, res) => {
+  try {
+    const category = await categoryService.create(getTenantId(req), req.body);
+
+    await auditService.recordForRequest(req, {
+      action: "category.create",
+      targetType: "Category",
+      targetId: category._id,
+      targetLabel: category.name,
+      after: categoryService.snapshot(category),
+    });
+
+    res.status(201).json({ success: true, message: "Category created", category });
+  } catch (error) {
+    sendError(res, error, "Creating category");
+  }
+});
+
+// Change name, icon, subcategories, default priority, SLA targets, order or active flag
+router.patch("/:id", requirePermission("categories:manage"), async (req, res) => {
+  try {
+    const result = await categoryService.update(getTenantId(req), req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Category not found" });
+    }
+
+    const { category, before } = result;
+    await auditService.recordForRequest(req, {
+      action: "category.update",
+      targetType: "Category",
+      targetId: category._id,
+      targetLabel: category.name,
+      ...auditService.changedFields(before, categoryService.snapshot(category)),
+    });
+
+    res.status(200).json({ success: true, message: "Category updated", category });
+  } catch (error) {
+    sendError(res, error, "Updating category");
+  }
+});
+
+// Only categories without reports can be deleted; deactivate the others
+router.delete("/:id", requirePermission("categories:manage"), async (req, res) => {
+  try {
+    const category = await categoryService.remove(getTenantId(req), req.params.id);
+    if (!category) {
+      return res.status(404).json({ success: false, message: "Category not found" });
+    }
+
+    await auditService.recordForRequest(req, {
+      action: "category.delete",
+      targetType: "Category",
+      targetId: category._id,
+      targetLabel: category.name,
+      before: categoryService.snapshot(category),
+    });
+
+    res.status(200).json({ success: true, message: "Category deleted" });
+  } catch (error) {
+    sendError(res, error, "Deleting category");
+  }
+});
+
+export default router;
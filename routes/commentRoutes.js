@@ -0,0 +1,102 @@
+import express from "express";
+import fs from "fs";
+import mongoose from "mongoose";
+import Report from "../models/report.js";
+import { authenticate, requirePermission, requireUserAccount } from "../middleware/auth.js";
+import upload from "../config/multer.js";
+import cloudinary from "../config/cloudinary.js";
+import CommentService from "../services/commentService.js";
+import { scopeToTenant } from "../utils/tenant.js";
+
+// Mounted at /api/users/reports/:id/comments next to the other report endpoints
+const router = express.Router({ mergeParams: true });
+const commentService = new CommentService();
+
+// no fixed permission: who may read and write depends on how the caller relates to the report
+router.use(authenticate, requirePermission());
+
+const discardUploads = (req) => {
+  (req.files || []).forEach((file) => fs.unlink(file.path, () => {}));
+};
+
+const uploadPhotos = (req, res, next) =>
+  upload.array("photos", commentService.maxPhotos)(req, res, (error) => {
+    if (error) {
+      discardUploads(req);
+      const message = error.code === "LIMIT_UNEXPECTED_FILE"
+        ? `A comment can have at most ${commentService.maxPhotos} photos`
+        : error.message;
+      return res.status(400).json({ success: false, message });
+    }
+    next();
+  });
+
+// loads the report and the caller's access to its thread; answers 404 for reports the caller can't see
+const findReportAccess = async (req, res) => {
+  const report = mongoose.isValidObjectId(req.params.id) &&
+    (await Report.findOne(scopeToTenant(req, { _id: req.params.id })).select("user additionalReporters assignedDriver organization"));
+  const access = report && commentService.getAccess(report, req.user, req.permissions);
+  if (!access) {
+    res.status(404).json({ success: false, message: "Report not found" });
+    return null;
+  }
+  return { report, access };
+};
+
+// The report's thread; reporters only get the public comments
+router.get("/", async (req, res) => {
+  try {
+    const found = await findReportAccess(req, res);
+    if (!found) return;
+
+    const comments = await commentService.list(found.report, found.access);
+    res.status(200).json({
+      success: true,
+      comments,
+      canPostInternal: found.access.internal,
+    });
+  } catch (error) {
+    console.error("Error fetching comments:", error);
+    res.status(500).json({ success: false, message: "Server error fetching comments" });
+  }
+});
+
+// Post a comment (multipart: body, visibility "public" or "internal", up to three photos).
+// Staff comments are internal unless visibility: "public" is sent
+router.post("/", requireUserAccount, uploadPhotos, async (req, res) => {
+  try {
+    const found = await findReportAccess(req, res);
+    if (!found) {
+      discardUploads(req);
+      return;
+    }
+
+    let fields;
+    try {
+      fields = commentService.prepare(found.access, req.body, (req.files || []).length);
+    } catch (error) {
+      discardUploads(req);
+      throw error;
+    }
+
+    const photoUrls = [];
+    for (const file of req.files || []) {
+      const result = await cloudinary.uploader.upload(file.path, {
+        folder: "report_comments",
+      });
+      photoUrls.push(result.secure_url);
+      fs.unlinkSync(file.path);
+    }
+
+    const comment = await commentService.create(found.report, req.user, found.access, fields, photoUrls);
+    res.status(201).json({ success: true, message: "Comment posted", comment });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error posting comment:", error);
+    res.status(500).json({ success: false, message: "Server error posting comment" });
+  }
+});
+
+export default router;
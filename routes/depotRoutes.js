@@ -0,0 +1,185 @@
+import express from "express";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Depot from "../models/Depot.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import DepotService from "../services/depotService.js";
+import AuditService from "../services/auditService.js";
+import PermissionService from "../services/permissionService.js";
+import { getTenantId, scopeToTenant } from "../utils/tenant.js";
+
+const router = express.Router();
+const depotService = new DepotService();
+const auditService = new AuditService();
+const permissionService = new PermissionService();
+
+router.use(authenticate);
+
+// only users who can work assignments can join a depot's team
+const findDriver = async (req, driverId) => {
+  if (!mongoose.isValidObjectId(driverId)) {
+    return null;
+  }
+  const driver = await User.findOne(scopeToTenant(req, { _id: driverId }));
+  if (!driver || !(await permissionService.hasPermission(driver.role, "reports:work"))) {
+    return null;
+  }
+  return driver;
+};
+
+const sendError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message: `Server error ${message.toLowerCase()}` });
+};
+
+// List depots with their supervisor and number of drivers
+router.get("/", requirePermission("drivers:read"), async (req, res) => {
+  try {
+    const depots = await depotService.list(getTenantId(req));
+    res.status(200).json({ success: true, depots });
+  } catch (error) {
+    sendError(res, error, "Fetching depots");
+  }
+});
+
+// One depot with its service area and team
+router.get("/:id", requirePermission("drivers:read"), async (req, res) => {
+  try {
+    const depot = await depotService.get(getTenantId(req), req.params.id);
+    if (!depot) {
+      return res.status(404).json({ success: false, message: "Depot not found" });
+    }
+    res.status(200).json({ success: true, depot });
+  } catch (error) {
+    sendError(res, error, "Fetching depot");
+  }
+});
+
+// Create a depot, e.g. { name: "North depot", supervisor: "<userId>",
+// serviceArea: { type: "Polygon", coordinates: [[[lng, lat], ...]] } }
+router.post("/", requirePermission("depots:manage"), async (req, res) => {
+  try {
+    const depot = await depotService.create(getTenantId(req), req.body);
+
+    await auditService.recordForRequest(req, {
+      action: "depot.create",
+      targetType: "Depot",
+      targetId: depot._id,
+      targetLabel: depot.name,
+      after: depotService.snapshot(depot),
+    });
+
+    res.status(201).json({ success: true, message: "Depot created", depot });
+  } catch (error) {
+    sendError(res, error, "Creating depot");
+  }
+});
+
+router.patch("/:id", requirePermission("depots:manage"), async (req, res) => {
+  try {
+    const result = await depotService.update(getTenantId(req), req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Depot not found" });
+    }
+
+    const { depot, before } = result;
+    await auditService.recordForRequest(req, {
+      action: "depot.update",
+      targetType: "Depot",
+      targetId: depot._id,
+      targetLabel: depot.name,
+      ...auditService.changedFields(before, depotService.snapshot(depot)),
+    });
+
+    res.status(200).json({ success: true, message: "Depot updated", depot });
+  } catch (error) {
+    sendError(res, error, "Updating depot");
+  }
+});
+
+// Delete a depot; its drivers stay, without a depot
+router.delete("/:id", requirePermission("depots:manage"), async (req, res) => {
+  try {
+    const result = await depotService.remove(getTenantId(req), req.params.id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Depot not found" });
+    }
+
+    await auditService.recordForRequest(req, {
+      action: "depot.delete",
+      targetType: "Depot",
+      targetId: result.depot._id,
+      targetLabel: result.depot.name,
+      before: depotService.snapshot(result.depot),
+      metadata: { releasedDrivers: result.releasedDrivers },
+    });
+
+    res.status(200).json({ success: true, message: "Depot deleted" });
+  } catch (error) {
+    sendError(res, error, "Deleting depot");
+  }
+});
+
+// Add a driver to the depot's team ({ driverId }); moves them out of their previous depot
+router.post("/:id/drivers", requirePermission("depots:manage"), async (req, res) => {
+  try {
+    const depot = mongoose.isValidObjectId(req.params.id) &&
+      (await Depot.findOne(scopeToTenant(req, { _id: req.params.id })));
+    if (!depot) {
+      return res.status(404).json({ success: false, message: "Depot not found" });
+    }
+
+    const driver = await findDriver(req, req.body.driverId);
+    if (!driver) {
+      return res.status(404).json({ success: false, message: "Driver not found" });
+    }
+
+    const previousDepot = await depotService.addDriver(depot, driver);
+
+    await auditService.recordForRequest(req, {
+      action: "depot.driver_add",
+      targetType: "User",
+      targetId: driver._id,
+      targetLabel: driver.email,
+      ...auditService.changedFields({ depot: previousDepot }, { depot: depot._id }),
+      metadata: { depotName: depot.name },
+    });
+
+    res.status(200).json({ success: true, message: `${driver.fullname} added to ${depot.name}` });
+  } catch (error) {
+    sendError(res, error, "Adding driver to depot");
+  }
+});
+
+router.delete("/:id/drivers/:driverId", requirePermission("depots:manage"), async (req, res) => {
+  try {
+    const depot = mongoose.isValidObjectId(req.params.id) &&
+      (await Depot.findOne(scopeToTenant(req, { _id: req.params.id })));
+    if (!depot) {
+      return res.status(404).json({ success: false, message: "Depot not found" });
+    }
+
+    const removed = await depotService.removeDriver(depot, req.params.driverId);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: "Driver is not in this depot" });
+    }
+
+    await auditService.recordForRequest(req, {
+      action: "depot.driver_remove",
+      targetType: "User",
+      targetId: req.params.driverId,
+      before: { depot: depot._id },
+      after: { depot: null },
+      metadata: { depotName: depot.name },
+    });
+
+    res.status(200).json({ success: true, message: `Driver removed from ${depot.name}` });
+  } catch (error) {
+    sendError(res, error, "Removing driver from depot");
+  }
+});
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import Organization from "../models/Organization.js";
+
+const router = express.Router();
+
+// Public list of municipalities, used by the signup form to let residents pick their town
+router.get("/", async (req, res) => {
+  try {
+    const organizations = await Organization.find({ isActive: true })
+      .select("name slug")
+      .sort({ name: 1 });
+
+    res.status(200).json({ success: true, organizations });
+  } catch (error) {
+    console.error("Error fetching organizations:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching organizations" });
+  }
+});
+
+export default router;
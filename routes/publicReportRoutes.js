@@ -0,0 +1,177 @@
+import express from "express";
+import fs from "fs";
+import upload from "../config/multer.js";
+import cloudinary from "../config/cloudinary.js";
+import { geocodeAddress } from "../utils/geocoding.js";
+import { resolveOrganization } from "../utils/tenant.js";
+import CacheService from "../services/cacheService.js";
+import ChallengeService from "../services/challengeService.js";
+import AnonymousReportService from "../services/anonymousReportService.js";
+import CategoryService from "../services/categoryService.js";
+import SlaService from "../services/slaService.js";
+import PriorityService from "../services/priorityService.js";
+
+// Mounted at /api/public/reports; nothing here needs an account
+const router = express.Router();
+const cacheService = new CacheService();
+const challengeService = new ChallengeService({ cacheService });
+const anonymousReportService = new AnonymousReportService({ cacheService });
+const categoryService = new CategoryService();
+const slaService = new SlaService();
+const priorityService = new PriorityService();
+
+const discardUploads = (req) => {
+  (req.files || []).forEach((file) => fs.unlink(file.path, () => {}));
+};
+
+// counts the request against the caller's IP and answers 429 once the window's limit is used up
+const rateLimit = (action) => async (req, res, next) => {
+  try {
+    const { allowed, retryAfterSeconds } = await anonymousReportService.checkRateLimit(action, req.ip);
+    if (allowed) return next();
+
+    res.set("Retry-After", String(retryAfterSeconds));
+    return res.status(429).json({
+      success: false,
+      code: "RATE_LIMITED",
+      message: `Too many requests from your network. Please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`,
+      retryAfterSeconds,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// answers 400 with the reason and returns null when the organization slug is unknown or missing
+const findOrganization = async (slug, res) => {
+  const { organization, error } = await resolveOrganization(slug);
+  if (error) {
+    res.status(400).json({ success: false, message: error });
+    return undefined;
+  }
+  return organization?._id || null;
+};
+
+// A challenge to solve before submitting: { type: "pow", token, difficulty, algorithm } or
+// { type: "captcha", provider, siteKey } depending on REPORT_CHALLENGE
+router.get("/challenge", async (req, res) => {
+  try {
+    const challenge = await challengeService.issue();
+    res.status(200).json({ success: true, challenge });
+  } catch (error) {
+    console.error("Error issuing report challenge:", error);
+    res.status(500).json({ success: false, message: "Server error issuing challenge" });
+  }
+});
+
+// The categories a municipality accepts reports for (?organization=<slug>)
+router.get("/categories", async (req, res) => {
+  try {
+    const organization = await findOrganization(req.query.organization, res);
+    if (organization === undefined) return;
+
+    const categories = await categoryService.list(organization);
+    res.status(200).json({
+      success: true,
+      categories: categories.map(({ key, name, icon, subcategories }) => ({ key, name, icon, subcategories })),
+    });
+  } catch (error) {
+    console.error("Error fetching public categories:", error);
+    res.status(500).json({ success: false, message: "Server error fetching categories" });
+  }
+});
+
+// File a report without an account (multipart: organization, category, subcategory, address,
+// description, up to five photos, and the solved challenge as challengeToken + challengeSolution
+// or captchaResponse). The answer holds the tracking code; the report waits for moderation
+router.post("/", rateLimit("submit"), upload.array("photos", 5), async (req, res) => {
+  try {
+    const { category, subcategory, address, description } = req.body;
+
+    if (!category || !address) {
+      discardUploads(req);
+      return res.status(400).json({ success: false, message: "Category and address are required" });
+    }
+
+    const organization = await findOrganization(req.body.organization, res);
+    if (organization === undefined) {
+      discardUploads(req);
+      return;
+    }
+
+    let reportCategory;
+    try {
+      reportCategory = await categoryService.validateSelection(organization, category, subcategory);
+    } catch (error) {
+      discardUploads(req);
+      if (error.name !== "ValidationError") throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const challenge = await challengeService.verify(
+      {
+        token: req.body.challengeToken,
+        solution: req.body.challengeSolution,
+        response: req.body.captchaResponse,
+      },
+      req.ip
+    );
+    if (!challenge.valid) {
+      discardUploads(req);
+      return res.status(400).json({ success: false, code: "CHALLENGE_FAILED", message: challenge.reason });
+    }
+
+    const geocodingResult = await geocodeAddress(address);
+
+    const photoUrls = [];
+    for (const file of req.files || []) {
+      const result = await cloudinary.uploader.upload(file.path, { folder: "waste_reports" });
+      photoUrls.push(result.secure_url);
+      fs.unlinkSync(file.path);
+    }
+
+    const reportData = {
+      category: reportCategory.key,
+      subcategory: subcategory || undefined,
+      address,
+      description,
+      photos: photoUrls,
+      status: "Pending",
+      organization,
+    };
+    if (geocodingResult.success) {
+      reportData.latitude = geocodingResult.latitude;
+      reportData.longitude = geocodingResult.longitude;
+    }
+
+    reportData.sla = slaService.evaluate(reportData, reportCategory.sla) || undefined;
+    const report = await anonymousReportService.create(reportData);
+    await priorityService.refreshAround(report);
+
+    res.status(201).json({
+      success: true,
+      message: "Report submitted. Keep the tracking code to follow its progress",
+      trackingCode: anonymousReportService.formatCode(report.trackingCode),
+    });
+  } catch (error) {
+    discardUploads(req);
+    console.error("Error creating anonymous report:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// Progress of an anonymous report: status and status history, without staff notes
+router.get("/:trackingCode", rateLimit("track"), async (req, res) => {
+  try {
+    const report = await anonymousReportService.track(req.params.trackingCode);
+    if (!report) {
+      return res.status(404).json({ success: false, message: "No report found for this tracking code" });
+    }
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error("Error tracking anonymous report:", error);
+    res.status(500).json({ success: false, message: "Server error tracking report" });
+  }
+});
+
+export default router;
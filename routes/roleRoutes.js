@@ -0,0 +1,226 @@
+import express from "express";
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import PermissionService from "../services/permissionService.js";
+import AuditService from "../services/auditService.js";
+import { PERMISSIONS, PLATFORM_PERMISSIONS, PLATFORM_ROLE } from "../config/permissions.js";
+import { getTenantId, toTenantMatch } from "../utils/tenant.js";
+
+const router = express.Router();
+const permissionService = new PermissionService();
+const auditService = new AuditService();
+
+// Every role route needs roles:manage, which only platform administrators hold: roles are
+// shared by every municipality
+router.use(authenticate, requirePermission("roles:manage"));
+
+// rejects permission lists containing names requirePermission() would never check, or
+// platform permissions for any role but the platform administrator's
+const validatePermissions = (permissions, res, roleName) => {
+  if (!Array.isArray(permissions)) {
+    res
+      .status(400)
+      .json({ success: false, message: "Permissions must be an array" });
+    return false;
+  }
+
+  const unknown = permissionService.findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown permission(s): ${unknown.join(", ")}`,
+    });
+    return false;
+  }
+
+  const reserved = permissions.filter((p) => PLATFORM_PERMISSIONS.includes(p));
+  if (roleName !== PLATFORM_ROLE && reserved.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `${reserved.join(", ")} can only be held by the ${PLATFORM_ROLE} role`,
+    });
+    return false;
+  }
+
+  // don't let the platform administrators lock themselves out of role management
+  if (roleName === PLATFORM_ROLE && reserved.length < PLATFORM_PERMISSIONS.length) {
+    res.status(400).json({
+      success: false,
+      message: `The ${PLATFORM_ROLE} role must keep ${PLATFORM_PERMISSIONS.join(", ")}`,
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// List roles with their permissions, plus the catalogue of available permissions
+router.get("/", async (req, res) => {
+  try {
+    const roles = await permissionService.getRoles();
+    // roles are shared by every municipality, but the counts only cover the caller's
+    const userCounts = await User.aggregate([
+      { $match: { organization: toTenantMatch(getTenantId(req)) } },
+      { $group: { _id: "$role", count: { $sum: 1 } } },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      roles: roles.map((role) => ({
+        ...role,
+        userCount: userCounts.find((c) => c._id === role.name)?.count || 0,
+      })),
+      permissions: PERMISSIONS,
+    });
+  } catch (error) {
+    console.error("Error fetching roles:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching roles" });
+  }
+});
+
+// Create a role, e.g. { name: "dispatcher", displayName: "Dispatcher", permissions: [...] }
+router.post("/", async (req, res) => {
+  try {
+    const { name, displayName, description, permissions = [], requireTwoFactor } = req.body;
+
+    if (!name || !displayName) {
+      return res.status(400).json({
+        success: false,
+        message: "Role name and display name are required",
+      });
+    }
+
+    if (!validatePermissions(permissions, res, String(name).toLowerCase().trim())) return;
+
+    if (await Role.exists({ name: String(name).toLowerCase().trim() })) {
+      return res
+        .status(409)
+        .json({ success: false, message: "Role already exists" });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName,
+      description,
+      permissions: [...new Set(permissions)],
+      requireTwoFactor: requireTwoFactor === true,
+    });
+    permissionService.invalidateCache();
+
+    await auditService.recordForRequest(req, {
+      action: "role.create",
+      targetType: "Role",
+      targetId: role._id,
+      targetLabel: role.name,
+      metadata: { permissions: role.permissions, requireTwoFactor: role.requireTwoFactor },
+    });
+
+    res
+      .status(201)
+      .json({ success: true, message: "Role created successfully", role });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Role name must be 2-32 lowercase letters, digits, '-' or '_'",
+      });
+    }
+    console.error("Error creating role:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error creating role" });
+  }
+});
+
+// Update a role's display name, description, permissions or two-factor requirement
+router.patch("/:name", async (req, res) => {
+  try {
+    const { displayName, description, permissions, requireTwoFactor } = req.body;
+
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Role not found" });
+    }
+
+    if (permissions !== undefined && !validatePermissions(permissions, res, role.name)) return;
+
+    const before = { permissions: [...role.permissions], requireTwoFactor: role.requireTwoFactor };
+    if (displayName !== undefined) role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = requireTwoFactor === true;
+    await role.save();
+    permissionService.invalidateCache();
+
+    await auditService.recordForRequest(req, {
+      action: "role.update",
+      targetType: "Role",
+      targetId: role._id,
+      targetLabel: role.name,
+      before,
+      after: { permissions: role.permissions, requireTwoFactor: role.requireTwoFactor },
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Role updated successfully", role });
+  } catch (error) {
+    console.error("Error updating role:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error updating role" });
+  }
+});
+
+// Delete a custom role that no user holds anymore
+router.delete("/:name", async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Role not found" });
+    }
+
+    if (role.isSystem) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Built-in roles cannot be deleted" });
+    }
+
+    // the role is gone for every municipality, so holders anywhere keep it
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is still assigned to ${holders} user(s)`,
+      });
+    }
+
+    await role.deleteOne();
+    permissionService.invalidateCache();
+
+    await auditService.recordForRequest(req, {
+      action: "role.delete",
+      targetType: "Role",
+      targetId: role._id,
+      targetLabel: role.name,
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Role deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting role:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error deleting role" });
+  }
+});
+
+export default router;
@@ -0,0 +1,103 @@
+import express from "express";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import SensitiveLocationService from "../services/sensitiveLocationService.js";
+import PriorityService from "../services/priorityService.js";
+import AuditService from "../services/auditService.js";
+import { getTenantId } from "../utils/tenant.js";
+
+const router = express.Router();
+const sensitiveLocationService = new SensitiveLocationService();
+const priorityService = new PriorityService();
+const auditService = new AuditService();
+
+router.use(authenticate);
+
+const sendError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message: `Server error ${message.toLowerCase()}` });
+};
+
+// open reports are rescored in the background, so the request doesn't wait for the whole queue
+const rescore = (req) => priorityService.queueRefresh(getTenantId(req));
+
+// List the municipality's sensitive locations (?type=school narrows the list)
+router.get("/", requirePermission("reports:read"), async (req, res) => {
+  try {
+    const locations = await sensitiveLocationService.list(getTenantId(req), { type: req.query.type });
+    res.status(200).json({ success: true, locations });
+  } catch (error) {
+    sendError(res, error, "Fetching sensitive locations");
+  }
+});
+
+// Add a location, e.g. { name: "Riverside Primary School", type: "school",
+// latitude: 51.5, longitude: -0.12, radiusMeters: 300, weight: 20 }
+router.post("/", requirePermission("locations:manage"), async (req, res) => {
+  try {
+    const location = await sensitiveLocationService.create(getTenantId(req), req.body);
+    rescore(req);
+
+    await auditService.recordForRequest(req, {
+      action: "sensitive_location.create",
+      targetType: "SensitiveLocation",
+      targetId: location._id,
+      targetLabel: location.name,
+      after: sensitiveLocationService.snapshot(location),
+    });
+
+    res.status(201).json({ success: true, message: "Sensitive location added", location });
+  } catch (error) {
+    sendError(res, error, "Adding sensitive location");
+  }
+});
+
+router.patch("/:id", requirePermission("locations:manage"), async (req, res) => {
+  try {
+    const result = await sensitiveLocationService.update(getTenantId(req), req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Sensitive location not found" });
+    }
+
+    const { location, before } = result;
+    rescore(req);
+
+    await auditService.recordForRequest(req, {
+      action: "sensitive_location.update",
+      targetType: "SensitiveLocation",
+      targetId: location._id,
+      targetLabel: location.name,
+      ...auditService.changedFields(before, sensitiveLocationService.snapshot(location)),
+    });
+
+    res.status(200).json({ success: true, message: "Sensitive location updated", location });
+  } catch (error) {
+    sendError(res, error, "Updating sensitive location");
+  }
+});
+
+router.delete("/:id", requirePermission("locations:manage"), async (req, res) => {
+  try {
+    const location = await sensitiveLocationService.remove(getTenantId(req), req.params.id);
+    if (!location) {
+      return res.status(404).json({ success: false, message: "Sensitive location not found" });
+    }
+    rescore(req);
+
+    await auditService.recordForRequest(req, {
+      action: "sensitive_location.delete",
+      targetType: "SensitiveLocation",
+      targetId: location._id,
+      targetLabel: location.name,
+      before: sensitiveLocationService.snapshot(location),
+    });
+
+    res.status(200).json({ success: true, message: "Sensitive location deleted" });
+  } catch (error) {
+    sendError(res, error, "Deleting sensitive location");
+  }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+import express from "express";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { authenticate, requirePermission, requireUserAccount } from "../middleware/auth.js";
+import ShiftService from "../services/shiftService.js";
+import AuditService from "../services/auditService.js";
+import PermissionService from "../services/permissionService.js";
+import { getTenantId, scopeToTenant } from "../utils/tenant.js";
+
+const router = express.Router();
+const shiftService = new ShiftService();
+const auditService = new AuditService();
+const permissionService = new PermissionService();
+
+router.use(authenticate);
+
+// the driver a calendar entry is for must work assignments in the caller's municipality
+const findDriver = async (req, driverId) => {
+  if (!mongoose.isValidObjectId(driverId)) {
+    return null;
+  }
+  const driver = await User.findOne(scopeToTenant(req, { _id: driverId }));
+  if (!driver || !(await permissionService.hasPermission(driver.role, "reports:work"))) {
+    return null;
+  }
+  return driver;
+};
+
+const sendError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ success: false, message: `Server error ${message.toLowerCase()}` });
+};
+
+// The signed-in driver's own calendar and whether they can be assigned work right now
+router.get("/me", requireUserAccount, requirePermission("reports:work"), async (req, res) => {
+  try {
+    const organization = getTenantId(req);
+    const [shifts, availability] = await Promise.all([
+      shiftService.list(organization, { driver: req.user.id, from: new Date() }),
+      shiftService.getDriverAvailability(organization, req.user.id),
+    ]);
+
+    res.status(200).json({ success: true, shifts, availability, timezone: shiftService.timezone });
+  } catch (error) {
+    sendError(res, error, "Fetching shifts");
+  }
+});
+
+// Calendar entries of the municipality, e.g. ?from=2026-11-02&to=2026-11-09&driver=<id>
+router.get("/", requirePermission("drivers:read"), async (req, res) => {
+  try {
+    const shifts = await shiftService.list(getTenantId(req), {
+      driver: req.query.driver,
+      type: req.query.type,
+      from: req.query.from,
+      to: req.query.to,
+    });
+
+    res.status(200).json({ success: true, shifts, timezone: shiftService.timezone });
+  } catch (error) {
+    sendError(res, error, "Fetching shifts");
+  }
+});
+
+// Add working hours ({ type: "working_hours", daysOfWeek: [1,2,3,4,5], startTime: "07:00", endTime: "15:00" }),
+// a day off or on-call duty ({ type: "day_off" | "on_call", startDate, endDate }) for a driver
+router.post("/", requirePermission("shifts:manage"), async (req, res) => {
+  try {
+    const driver = await findDriver(req, req.body.driver);
+    if (!driver) {
+      return res.status(404).json({ success: false, message: "Driver not found" });
+    }
+
+    const shift = await shiftService.create(getTenantId(req), req.body, req.user.id);
+
+    await auditService.recordForRequest(req, {
+      action: "shift.create",
+      targetType: "Shift",
+      targetId: shift._id,
+      targetLabel: driver.fullname,
+      after: shiftService.snapshot(shift),
+    });
+
+    res.status(201).json({ success: true, message: "Shift saved", shift });
+  } catch (error) {
+    sendError(res, error, "Creating shift");
+  }
+});
+
+// Change an entry (type, days, times, dates or note)
+router.patch("/:id", requirePermission("shifts:manage"), async (req, res) => {
+  try {
+    const result = await shiftService.update(getTenantId(req), req.params.id, req.body, req.user.id);
+    if (!result) {
+      return res.status(404).json({ success: false, message: "Shift not found" });
+    }
+
+    const { shift, before } = result;
+    const driver = await User.findById(shift.driver).select("fullname");
+    await auditService.recordForRequest(req, {
+      action: "shift.update",
+      targetType: "Shift",
+      targetId: shift._id,
+      targetLabel: driver?.fullname,
+      ...auditService.changedFields(before, shiftService.snapshot(shift)),
+    });
+
+    res.status(200).json({ success: true, message: "Shift updated", shift });
+  } catch (error) {
+    sendError(res, error, "Updating shift");
+  }
+});
+
+router.delete("/:id", requirePermission("shifts:manage"), async (req, res) => {
+  try {
+    const shift = await shiftService.remove(getTenantId(req), req.params.id);
+    if (!shift) {
+      return res.status(404).json({ success: false, message: "Shift not found" });
+    }
+
+    const driver = await User.findById(shift.driver).select("fullname");
+    await auditService.recordForRequest(req, {
+      action: "shift.delete",
+      targetType: "Shift",
+      targetId: shift._id,
+      targetLabel: driver?.fullname,
+      before: shiftService.snapshot(shift),
+    });
+
+    res.status(200).json({ success: true, message: "Shift deleted" });
+  } catch (error) {
+    sendError(res, error, "Deleting shift");
+  }
+});
+
+export default router;
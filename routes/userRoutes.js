@@ -1,24 +1,319 @@
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import User from "../models/User.js";
 import Report from "../models/report.js";
-import { authenticate, authenticateAdmin } from "../middleware/auth.js";
+import {
+  authenticate,
+  requirePermission,
+  requireUserAccount,
+  requireVerifiedEmail,
+} from "../middleware/auth.js";
 import upload from "../config/multer.js";
 import cloudinary from "../config/cloudinary.js";
 import fs from "fs";
+import { PLATFORM_ROLE, STAFF_PERMISSIONS } from "../config/permissions.js";
 import { geocodeAddress } from "../utils/geocoding.js";
+import { getTenantId, resolveOrganization, scopeToTenant } from "../utils/tenant.js";
+import SessionService from "../services/sessionService.js";
+import AccountTokenService from "../services/accountTokenService.js";
+import MailService from "../services/mailService.js";
+import LoginAttemptService from "../services/loginAttemptService.js";
+import AuditService from "../services/auditService.js";
+import PermissionService from "../services/permissionService.js";
+import TwoFactorService from "../services/twoFactorService.js";
+import AccountDataService from "../services/accountDataService.js";
+import OidcService from "../services/oidcService.js";
+import ShiftService from "../services/shiftService.js";
+import DepotService from "../services/depotService.js";
+import WorkflowService from "../services/workflowService.js";
+import CategoryService from "../services/categoryService.js";
+import SlaService, { SLA_STATES } from "../services/slaService.js";
+import PriorityService from "../services/priorityService.js";
+import DuplicateService from "../services/duplicateService.js";
+import ConfirmationService from "../services/confirmationService.js";
+import AnonymousReportService, { MODERATION_DECISIONS } from "../services/anonymousReportService.js";
 
 const router = express.Router();
+const sessionService = new SessionService();
+const accountTokenService = new AccountTokenService();
+const mailService = new MailService();
+const auditService = new AuditService();
+const permissionService = new PermissionService();
+const loginAttemptService = new LoginAttemptService({ auditService });
+const twoFactorService = new TwoFactorService();
+const accountDataService = new AccountDataService();
+const oidcService = new OidcService();
+const shiftService = new ShiftService();
+const depotService = new DepotService();
+const categoryService = new CategoryService();
+const slaService = new SlaService();
+const workflowService = new WorkflowService({ slaService });
+const priorityService = new PriorityService();
+const duplicateService = new DuplicateService({ workflowService });
+const confirmationService = new ConfirmationService();
+const anonymousReportService = new AnonymousReportService({ workflowService });
+
+const SSO_STATE_COOKIE = "cleancity_sso_state";
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// answers a login attempt that brute-force protection refused
+const sendLoginThrottled = (res, { reason, retryAfterSeconds }) => {
+  const messages = {
+    locked: "Too many failed login attempts. This account is temporarily locked",
+    ip_blocked: "Too many failed login attempts from this network. Please try again later",
+    throttled: "Too many failed login attempts. Please wait before trying again",
+  };
+
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    code: reason === "locked" ? "ACCOUNT_LOCKED" : "LOGIN_THROTTLED",
+    message: `${messages[reason]} (retry in ${retryAfterSeconds}s)`,
+    retryAfterSeconds,
+  });
+};
+
+// checks a TOTP or recovery code from a signed-in user against the same per-email and per-IP
+// lockout as the second login step, so a stolen session can't be used to guess codes. Sends the
+// error response itself and returns null when the code is refused
+const verifySecondFactor = async (req, res, user, { code, recoveryCode }) => {
+  const attempt = await loginAttemptService.checkAttempt(user.email, req.ip);
+  if (!attempt.allowed) {
+    sendLoginThrottled(res, attempt);
+    return null;
+  }
+
+  const result = await twoFactorService.verify(user._id, { code, recoveryCode });
+  if (!result) {
+    const failure = await loginAttemptService.recordFailure(user.email, req.ip, user);
+    if (failure.locked) {
+      sendLoginThrottled(res, { reason: "locked", retryAfterSeconds: failure.retryAfterSeconds });
+    } else {
+      res.status(400).json({ success: false, message: "Invalid authentication code" });
+    }
+    return null;
+  }
+
+  await loginAttemptService.recordSuccess(user.email);
+  return result;
+};
+
+// refuses an assignment to a driver who is on a day off or outside their working hours;
+// the admin can still insist by sending force: true (e.g. after calling the driver in)
+const sendDriverUnavailable = (res, driver, availability) => {
+  const reasons = { day_off: "on a day off", off_shift: "outside their working hours" };
+  return res.status(409).json({
+    success: false,
+    code: "DRIVER_UNAVAILABLE",
+    message: `${driver.fullname} is ${reasons[availability.status]}. Send force: true to assign anyway`,
+    availability,
+  });
+};
+
+const isForced = (value) => value === true || value === "true";
+
+// removes the local copies multer wrote for a request
+const discardUploads = (req) => {
+  (req.files || []).forEach((file) => fs.unlink(file.path, () => {}));
+};
+
+// removes photos already sent to Cloudinary for a change that did not go through
+const destroyUploads = async (publicIds) => {
+  const results = await Promise.allSettled(publicIds.map((publicId) => cloudinary.uploader.destroy(publicId)));
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) => console.error("Error removing an uploaded photo:", result.reason?.message));
+};
+
+// asks the citizen to confirm a report that looks like one already filed nearby;
+// sending force: true files it anyway. Only what the citizen can see on the street is shared
+const sendPossibleDuplicate = (req, res, duplicates) => {
+  discardUploads(req);
+  return res.status(409).json({
+    success: false,
+    code: "POSSIBLE_DUPLICATE",
+    message: `This looks like ${duplicates.length === 1 ? "a report" : `${duplicates.length} reports`} already filed nearby. Send force: true to submit anyway`,
+    duplicates: duplicates.map((duplicate) => ({
+      id: duplicate._id, // to confirm it instead
+      category: duplicate.category,
+      address: duplicate.address,
+      status: duplicate.status,
+      createdAt: duplicate.createdAt,
+      distanceMeters: duplicate.distanceMeters,
+    })),
+  });
+};
+
+// report lists put the most urgent first; ?sort=newest gives the plain chronological order
+// and ?sort=confirmations the reports most citizens confirmed
+const reportSort = (req) => {
+  if (req.query.sort === "newest") return { createdAt: -1 };
+  if (req.query.sort === "confirmations") return { confirmationCount: -1, "priority.score": -1, createdAt: -1 };
+  return { "priority.score": -1, createdAt: -1 };
+};
+
+// status changes the workflow refuses: bad input is a 400, a move the state machine
+// doesn't allow from the current status (or a concurrent change) is a 409
+const sendWorkflowError = (res, error) => {
+  const badRequest = ["INVALID_STATUS", "DRIVER_REQUIRED", "NOTES_REQUIRED"];
+  return res.status(badRequest.includes(error.code) ? 400 : 409).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+    ...(error.allowedTransitions ? { allowedTransitions: error.allowedTransitions } : {}),
+  });
+};
+
+const workflowActor = (req) => ({ id: req.user.id, permissions: req.permissions });
+
+// loads a report the caller filed, or answers 404 and returns null
+const findOwnReport = async (req, res) => {
+  const report = mongoose.isValidObjectId(req.params.id)
+    ? await Report.findOne(scopeToTenant(req, { _id: req.params.id, user: req.user.id }))
+    : null;
+
+  if (!report) {
+    res.status(404).json({ success: false, message: "Report not found" });
+  }
+  return report;
+};
+
+// reads one cookie from the request (only the SSO flow uses cookies)
+const readCookie = (req, name) => {
+  const pair = (req.headers.cookie || "")
+    .split(";")
+    .map((part) => part.trim())
+    .find((part) => part.startsWith(`${name}=`));
+  return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+// accounts with two-factor authentication get a short-lived challenge instead of tokens
+const sendTwoFactorChallenge = async (user, req, res) => {
+  const { token: challengeToken, expiresAt } = await accountTokenService.issueToken(
+    user._id,
+    "login_2fa",
+    { ip: req.ip }
+  );
+
+  return res.status(200).json({
+    success: true,
+    twoFactorRequired: true,
+    message: "Enter the code from your authenticator app",
+    challengeToken,
+    expiresAt,
+  });
+};
+
+// starts a session for a user who passed every login step and sends the token pair
+const completeLogin = async (user, req, res, extra = {}) => {
+  // start a persisted session; the access token is bound to it so it can be revoked
+  const { token, refreshToken } = await sessionService.createSession(user, {
+    ip: req.ip,
+    userAgent: req.headers["user-agent"],
+  });
+
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  // the frontend uses these to decide which console to open
+  userResponse.permissions = await permissionService.getPermissionsForRole(user.role);
+
+  return res.status(200).json({
+    success: true,
+    message: "Login Successful",
+    user: userResponse,
+    token,
+    refreshToken,
+    // the role requires 2FA but the account hasn't enrolled yet: send them to the setup page
+    twoFactorSetupRequired:
+      !user.twoFactor?.enabled && (await permissionService.requiresTwoFactor(user.role)),
+    ...extra,
+  });
+};
+
+// true if the change would leave no active account that can manage users
+const wouldRemoveLastAdmin = async (user, changes = {}) => {
+  const adminRoles = await permissionService.getRolesWithPermission("users:manage");
+  if (user.isActive === false || !adminRoles.includes(user.role)) {
+    return false;
+  }
+
+  const staysAdmin =
+    (changes.isActive ?? true) && adminRoles.includes(changes.role ?? user.role);
+  if (staysAdmin) {
+    return false;
+  }
+
+  const otherAdmins = await User.countDocuments({
+    _id: { $ne: user._id },
+    organization: user.organization || null,
+    role: { $in: adminRoles },
+    isActive: { $ne: false },
+  });
+  return otherAdmins === 0;
+};
+
+// platform administrators manage the roles of every municipality (see config/permissions.js)
+const isPlatformAdmin = (req) => (req.permissions || []).includes("roles:manage");
+
+// loads the user named in :id from the caller's municipality, or answers 404 and returns null;
+// platform administrators can only be managed by each other (403)
+const findTargetUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findOne(scopeToTenant(req, { _id: req.params.id })).select("-password")
+    : null;
+
+  if (!user) {
+    res.status(404).json({ success: false, message: "User not found" });
+    return null;
+  }
+  if (user.role === PLATFORM_ROLE && !isPlatformAdmin(req)) {
+    res.status(403).json({ success: false, message: "Only platform administrators can manage this account" });
+    return null;
+  }
+  return user;
+};
+
+// checks the report's category (and subcategory) against the caller's municipality;
+// answers 400 and returns null when it isn't one of its active categories
+const findReportCategory = async (req, res) => {
+  try {
+    return await categoryService.validateSelection(getTenantId(req), req.body.category, req.body.subcategory);
+  } catch (error) {
+    if (error.name !== "ValidationError") throw error;
+    res.status(400).json({ success: false, message: error.message });
+    return null;
+  }
+};
+
+// issues a fresh email verification token and mails the link to the user
+const sendVerificationEmail = async (user, ip) => {
+  const { token, expiresAt } = await accountTokenService.issueToken(
+    user._id,
+    "email_verification",
+    { ip }
+  );
+  return mailService.sendEmailVerification(user, token, expiresAt);
+};
 
 // registering new user. Signup page
 router.post("/signup", async (req, res) => {
   try {
-    const { fullname, email, password } = req.body;
+    const { fullname, email, password, organization: organizationSlug } = req.body;
     if (!fullname || !email || !password) {
       return res.status(400).json({ message: "All fields are required" });
     }
 
+    // the municipality the new citizen joins
+    const { organization, error: organizationError } =
+      await resolveOrganization(organizationSlug);
+    if (organizationError) {
+      return res
+        .status(400)
+        .json({ success: false, message: organizationError });
+    }
+
     //check if the user exists
     const userExists = await User.findOne({ email });
     if (userExists) {
@@ -35,14 +330,22 @@ router.post("/signup", async (req, res) => {
       fullname,
       email,
       password: encryptedPassword,
+      organization: organization?._id,
     });
 
+    // send the confirmation link; a mail failure shouldn't undo the signup
+    try {
+      await sendVerificationEmail(newUser, req.ip);
+    } catch (mailError) {
+      console.log("Verification email error:", mailError);
+    }
+
     const user = newUser.toObject();
     delete user.password;
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
+      message: "User registered successfully. Check your inbox to confirm your email address",
       // user: newUser
       user,
     });
@@ -69,10 +372,17 @@ router.post("/login", async (req, res) => {
         .json({ success: false, message: "Password is required" });
     }
 
+    // refuse early if this email or IP is locked out or still in its back-off delay
+    const attempt = await loginAttemptService.checkAttempt(email, req.ip);
+    if (!attempt.allowed) {
+      return sendLoginThrottled(res, attempt);
+    }
+
     // find a user by email
     const user = await User.findOne({ email });
     if (!user) {
-      res.status(401).json({
+      await loginAttemptService.recordFailure(email, req.ip);
+      return res.status(401).json({
         success: false,
         message: "User not found. Check your email and try again",
       });
@@ -85,33 +395,742 @@ router.post("/login", async (req, res) => {
     // now check if passed password match stored one
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      const failure = await loginAttemptService.recordFailure(email, req.ip, user);
+      if (failure.locked) {
+        return sendLoginThrottled(res, {
+          reason: "locked",
+          retryAfterSeconds: failure.retryAfterSeconds,
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: "Invalid password. Input correct password",
       });
     }
 
-    const token = jwt.sign(
-      {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-      },
-      process.env.JWT_SECRET || "my-secret-token",
-      { expiresIn: "1h" }
+    // checked after the password so a deactivated account can't be discovered by guessing
+    if (user.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_DEACTIVATED",
+        message: "This account has been deactivated. Please contact an administrator",
+      });
+    }
+
+    // second step: the failure count is only cleared once the code has been accepted too,
+    // otherwise someone holding the password could keep guessing codes
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(user, req, res);
+    }
+
+    await loginAttemptService.recordSuccess(email);
+
+    return completeLogin(user, req, res);
+  } catch (error) {
+    console.log("Login error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// second login step for accounts with two-factor authentication:
+// exchanges the challenge from /login plus an authenticator or recovery code for the token pair
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Challenge token and an authentication code are required",
+      });
+    }
+
+    const challenge = await accountTokenService.findValidToken(challengeToken, "login_2fa");
+    const user = challenge && (await User.findById(challenge.user));
+    if (!user || user.isActive === false) {
+      return res.status(401).json({
+        success: false,
+        code: "LOGIN_CHALLENGE_EXPIRED",
+        message: "This login attempt has expired. Please log in again",
+      });
+    }
+
+    const attempt = await loginAttemptService.checkAttempt(user.email, req.ip);
+    if (!attempt.allowed) {
+      return sendLoginThrottled(res, attempt);
+    }
+
+    const result = await twoFactorService.verify(user._id, { code, recoveryCode });
+    if (!result) {
+      const failure = await loginAttemptService.recordFailure(user.email, req.ip, user);
+      if (failure.locked) {
+        return sendLoginThrottled(res, {
+          reason: "locked",
+          retryAfterSeconds: failure.retryAfterSeconds,
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    // single use: a second request with the same challenge loses the race here
+    if (!(await accountTokenService.consumeToken(challengeToken, "login_2fa"))) {
+      return res.status(401).json({
+        success: false,
+        code: "LOGIN_CHALLENGE_EXPIRED",
+        message: "This login attempt has expired. Please log in again",
+      });
+    }
+
+    await loginAttemptService.recordSuccess(user.email);
+
+    if (result.method === "recovery_code") {
+      await auditService.record({
+        action: "auth.2fa_recovery_code_used",
+        actor: user._id,
+        actorRole: user.role,
+        organization: user.organization,
+        targetType: "User",
+        targetId: user._id,
+        targetLabel: user.email,
+        ip: req.ip,
+        metadata: { remainingRecoveryCodes: result.remainingRecoveryCodes },
+      });
+    }
+
+    return completeLogin(user, req, res, {
+      remainingRecoveryCodes: result.remainingRecoveryCodes,
+    });
+  } catch (error) {
+    console.log("Two-factor login error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// SINGLE SIGN-ON (OpenID Connect, for staff with a municipal directory account)
+// tells the login page whether to offer the SSO button
+router.get("/sso/config", (req, res) => {
+  res.status(200).json({
+    success: true,
+    enabled: oidcService.isEnabled(),
+    providerName: oidcService.providerName,
+  });
+});
+
+// sends the browser to the identity provider
+router.get("/sso/login", async (req, res) => {
+  if (!oidcService.isEnabled()) {
+    return res
+      .status(404)
+      .json({ success: false, message: "Single sign-on is not configured" });
+  }
+
+  try {
+    const { url, stateCookie } = await oidcService.createAuthorizationRequest();
+    res.cookie(SSO_STATE_COOKIE, stateCookie, {
+      httpOnly: true,
+      // Lax still sends it on the provider's top-level redirect back to the callback
+      sameSite: "lax",
+      secure: oidcService.redirectUri.startsWith("https://"),
+      maxAge: oidcService.stateTTLSeconds * 1000,
+      path: "/api/users/sso",
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.log("SSO login error:", error);
+    res.redirect(`${oidcService.appBaseUrl}/pages/login.html?sso_error=${encodeURIComponent("Single sign-on is unavailable")}`);
+  }
+});
+
+// the identity provider redirects here; the tokens reach the login page through a one-time handoff code
+router.get("/sso/callback", async (req, res) => {
+  const loginPage = `${oidcService.appBaseUrl}/pages/login.html`;
+  const fail = (message) =>
+    res.redirect(`${loginPage}?sso_error=${encodeURIComponent(message)}`);
+
+  const stateCookie = readCookie(req, SSO_STATE_COOKIE);
+  res.clearCookie(SSO_STATE_COOKIE, { path: "/api/users/sso" });
+
+  if (req.query.error) {
+    return fail(req.query.error_description || "Sign-in was cancelled");
+  }
+
+  const pending = stateCookie && oidcService.readState(stateCookie, req.query.state);
+  if (!pending || !req.query.code) {
+    return fail("Sign-in session expired. Please try again");
+  }
+
+  try {
+    const claims = await oidcService.completeLogin(String(req.query.code), pending);
+    const { user, created, previousRole } = await oidcService.findOrProvisionUser(claims);
+
+    if (user.isActive === false) {
+      return fail("This account has been deactivated. Please contact an administrator");
+    }
+
+    const ssoAudit = {
+      actor: user._id,
+      actorRole: user.role,
+      actorLabel: "sso",
+      organization: user.organization,
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      ip: req.ip,
+    };
+    if (created) {
+      await auditService.record({ ...ssoAudit, action: "user.sso_provision", after: { role: user.role } });
+    } else if (previousRole) {
+      // as with an admin's role change, sessions opened under the old role end
+      await sessionService.revokeAllForUser(user._id, { reason: "role_changed" });
+      await auditService.record({
+        ...ssoAudit,
+        action: "user.role_change",
+        before: { role: previousRole },
+        after: { role: user.role },
+        metadata: { source: "sso" },
+      });
+    }
+
+    const { token } = await accountTokenService.issueToken(user._id, "sso_login", { ip: req.ip });
+    res.redirect(`${loginPage}?sso=${encodeURIComponent(token)}`);
+  } catch (error) {
+    console.log("SSO callback error:", error);
+    fail(error.code && error.code !== "SSO_PROVIDER_UNAVAILABLE" ? error.message : "Single sign-on failed. Please try again");
+  }
+});
+
+// trades the handoff code from the callback redirect for the usual login response
+router.post("/sso/exchange", async (req, res) => {
+  try {
+    const consumed = await accountTokenService.consumeToken(req.body.token, "sso_login");
+    const user = consumed && (await User.findById(consumed.user));
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Sign-in link expired. Please try again",
+      });
+    }
+
+    if (user.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_DEACTIVATED",
+        message: "This account has been deactivated. Please contact an administrator",
+      });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return sendTwoFactorChallenge(user, req, res);
+    }
+
+    return completeLogin(user, req, res);
+  } catch (error) {
+    console.log("SSO exchange error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// exchanges a refresh token for a new access/refresh pair (the old refresh token stops working)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Refresh token is required" });
+    }
+
+    const rotated = await sessionService.rotateSession(
+      refreshToken,
+      (userId) => User.findOne({ _id: userId, isActive: { $ne: false } }).select("-password"),
+      { ip: req.ip, userAgent: req.headers["user-agent"] }
     );
 
-    const userResponse = user.toObject();
-    delete userResponse.password;
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token is invalid or expired. Please log in again",
+      });
+    }
+
+    const userResponse = rotated.user.toObject();
+    userResponse.permissions = await permissionService.getPermissionsForRole(userResponse.role);
 
     return res.status(200).json({
       success: true,
-      message: "Login Successful",
+      message: "Session refreshed",
       user: userResponse,
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (error) {
+    console.log("Refresh error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// ends the current session; its access and refresh tokens stop working immediately
+router.post("/logout", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sid, {
+      reason: "logout",
+      revokedBy: req.user.id,
+    });
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    console.log("Logout error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// starts a password reset: emails a single-use link if the account exists
+router.post("/password/forgot", async (req, res) => {
+  // same answer whether or not the email is registered, so accounts can't be probed
+  const genericResponse = {
+    success: true,
+    message: "If that email is registered, a password reset link has been sent",
+  };
+
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || user.isActive === false) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const { token, expiresAt } = await accountTokenService.issueToken(
+      user._id,
+      "password_reset",
+      { ip: req.ip }
+    );
+    await mailService.sendPasswordReset(user, token, expiresAt);
+
+    return res.status(200).json(genericResponse);
+  } catch (error) {
+    // a failure only happens for registered emails (e.g. mail delivery), so it must look the same
+    console.log("Password reset request error:", error);
+    res.status(200).json(genericResponse);
+  }
+});
+
+// completes a password reset with the token from the email
+router.post("/password/reset", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Token and new password are required" });
+    }
+
+    if (typeof token !== "string" || typeof password !== "string") {
+      return res
+        .status(400)
+        .json({ success: false, message: "Token and new password must be text" });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+      });
+    }
+
+    const resetToken = await accountTokenService.consumeToken(token, "password_reset");
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Reset link is invalid, expired or has already been used",
+      });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    // the link may have been sent before an admin deactivated the account
+    if (user.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        code: "ACCOUNT_DEACTIVATED",
+        message: "This account has been deactivated. Please contact an administrator",
+      });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    // the reset link reached their inbox, which proves they own the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // whoever had the old password should not keep a live session
+    await sessionService.revokeAllForUser(user._id, { reason: "password_reset" });
+
+    return res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password",
+    });
+  } catch (error) {
+    console.log("Password reset error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// confirms an email address with the token from the verification email
+router.post("/email/verify", async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Verification token is required" });
+    }
+
+    const verificationToken = await accountTokenService.consumeToken(
       token,
+      "email_verification"
+    );
+    if (!verificationToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Verification link is invalid, expired or has already been used",
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      verificationToken.user,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    ).select("-password");
+
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Email address confirmed",
+      user,
     });
   } catch (error) {
-    console.log("Login error:", error);
+    console.log("Email verification error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// sends a new verification link to the logged-in user
+router.post("/email/resend-verification", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (user.emailVerified) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email address is already confirmed" });
+    }
+
+    await sendVerificationEmail(user, req.ip);
+
+    return res
+      .status(200)
+      .json({ success: true, message: "Verification email sent" });
+  } catch (error) {
+    console.log("Resend verification error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// TWO-FACTOR AUTHENTICATION (the signed-in user's own account)
+// current two-factor status of the logged-in user
+router.get("/2fa", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("role twoFactor.enabled twoFactor.enabledAt");
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    res.status(200).json({
+      success: true,
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt,
+      required: await permissionService.requiresTwoFactor(user.role),
+      remainingRecoveryCodes: user.twoFactor?.enabled
+        ? await twoFactorService.countRecoveryCodes(user._id)
+        : 0,
+    });
+  } catch (error) {
+    console.log("Two-factor status error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// generates a new secret for the authenticator app; it only takes effect after /2fa/enable
+router.post("/2fa/setup", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const { secret, otpauthUrl } = await twoFactorService.beginEnrollment(user);
+
+    res.status(200).json({ success: true, secret, otpauthUrl });
+  } catch (error) {
+    console.log("Two-factor setup error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// confirms the first code from the app and turns two-factor authentication on
+router.post("/2fa/enable", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Authentication code is required" });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid code. Check the time on your device and try again",
+      });
+    }
+
+    await auditService.recordForRequest(req, {
+      action: "user.2fa_enable",
+      targetType: "User",
+      targetId: req.user.id,
+      targetLabel: req.user.email,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.log("Two-factor enable error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// replaces the recovery codes; needs a current code from the app
+router.post("/2fa/recovery-codes", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Authentication code is required" });
+    }
+
+    const user = await User.findById(req.user.id).select("email role organization");
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    if (!(await verifySecondFactor(req, res, user, { code }))) return;
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    await auditService.recordForRequest(req, {
+      action: "user.2fa_recovery_codes_regenerated",
+      targetType: "User",
+      targetId: req.user.id,
+      targetLabel: req.user.email,
+    });
+
+    res.status(200).json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.log("Recovery code error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// turns two-factor authentication off; needs the password and a code (or a recovery code)
+router.post("/2fa/disable", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Password and an authentication code are required",
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await permissionService.requiresTwoFactor(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Your role requires two-factor authentication",
+      });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid password or authentication code" });
+    }
+
+    if (!(await verifySecondFactor(req, res, user, { code, recoveryCode }))) return;
+
+    await twoFactorService.disable(user._id);
+
+    await auditService.recordForRequest(req, {
+      action: "user.2fa_disable",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false },
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.log("Two-factor disable error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// PERSONAL DATA (the signed-in user's own account)
+// downloads everything stored about the logged-in user as a JSON file, or with ?format=zip
+// as a ZIP holding that file and copies of their photos
+router.get("/me/export", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    const zip = req.query.format === "zip";
+    const data = await accountDataService.exportUserData(req.user.id);
+    if (!data) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    await auditService.recordForRequest(req, {
+      action: "user.data_export",
+      targetType: "User",
+      targetId: req.user.id,
+      targetLabel: req.user.email,
+      metadata: { reports: data.reports.length, format: zip ? "zip" : "json" },
+    });
+
+    const filename = `cleancity-data-${new Date().toISOString().split("T")[0]}.${zip ? "zip" : "json"}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (zip) {
+      res.status(200).type("application/zip");
+      return await accountDataService.writeArchive(data, res);
+    }
+    res.status(200).json(data);
+  } catch (error) {
+    console.log("Data export error:", error);
+    // a ZIP that fails halfway can only be cut off
+    if (res.headersSent) return res.destroy();
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+// deletes the logged-in citizen's account; their reports stay, without their name on them
+router.delete("/me", authenticate, requireUserAccount, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Password is required" });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found" });
+    }
+
+    // staff accounts are tied to assignments and audit trails; an admin deactivates them instead
+    const permissions = await permissionService.getPermissionsForRole(user.role);
+    if (permissions.some((permission) => STAFF_PERMISSIONS.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: "Staff accounts cannot be deleted here. Ask an administrator to deactivate it",
+      });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid password" });
+    }
+
+    if (user.twoFactor?.enabled && !(await verifySecondFactor(req, res, user, { code, recoveryCode }))) return;
+
+    const { anonymizedReports, deletedPhotos } = await accountDataService.deleteAccount(user._id);
+
+    // no email or name here: the entry has to outlive the personal data
+    await auditService.recordForRequest(req, {
+      action: "user.self_delete",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: "deleted account",
+      metadata: { anonymizedReports, deletedPhotos },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Your account has been deleted",
+      anonymizedReports,
+    });
+  } catch (error) {
+    console.log("Account deletion error:", error);
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
@@ -119,6 +1138,8 @@ router.post("/login", async (req, res) => {
 router.post(
   "/report",
   authenticate,
+  requirePermission("reports:create"),
+  requireVerifiedEmail,
   upload.array("photos", 5),
   async (req, res) => {
     try {
@@ -127,7 +1148,7 @@ router.post(
         req.headers["content-type"]
       );
       console.log("Request body:", req.body);
-      const { category, address, description } = req.body;
+      const { category, subcategory, address, description } = req.body;
 
       if (!category || !address) {
         return res.status(400).json({
@@ -136,16 +1157,9 @@ router.post(
         });
       }
 
-      const validWasteTypes = [
-        "recyclable",
-        "illegal_dumping",
-        "hazardous_waste",
-      ];
-      if (!validWasteTypes.includes(category)) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid waste type",
-        });
+      const reportCategory = await findReportCategory(req, res);
+      if (!reportCategory) {
+        return;
       }
 
       // Geocode the address to get coordinates
@@ -157,6 +1171,17 @@ router.post(
         // Continue with report creation even if geocoding fails
       } else {
         console.log("Geocoding successful:", geocodingResult.latitude, geocodingResult.longitude);
+
+        if (!isForced(req.body.force)) {
+          const duplicates = await duplicateService.findDuplicates(getTenantId(req), {
+            category: reportCategory.key,
+            latitude: geocodingResult.latitude,
+            longitude: geocodingResult.longitude,
+          });
+          if (duplicates.length > 0) {
+            return sendPossibleDuplicate(req, res, duplicates);
+          }
+        }
       }
 
       // an array to store the photos
@@ -179,12 +1204,14 @@ router.post(
 
       // Create report with geocoding data
       const reportData = {
-        category,
+        category: reportCategory.key,
+        subcategory: subcategory || undefined,
         address,
         description,
         photos: photoUrls, // save array of image URLs
         status: "Pending",
         user: req.user.id,
+        organization: getTenantId(req),
       };
 
       // Add coordinates if geocoding was successful
@@ -193,7 +1220,9 @@ router.post(
         reportData.longitude = geocodingResult.longitude;
       }
 
+      reportData.sla = slaService.evaluate(reportData, reportCategory.sla) || undefined;
       const newReport = await Report.create(reportData);
+      await priorityService.refreshAround(newReport);
 
       res.status(201).json({
         success: true,
@@ -215,7 +1244,142 @@ router.post(
   }
 );
 
-router.get("/dashboard", authenticate, async (req, res) => {
+// Correct a report while it is still Pending ({ address, description, subcategory });
+// a new address is geocoded again and the edit is recorded in the audit log
+router.patch(
+  "/report/:id",
+  authenticate,
+  requireUserAccount,
+  requirePermission("reports:create"),
+  async (req, res) => {
+    try {
+      const existing = await findOwnReport(req, res);
+      if (!existing) {
+        return;
+      }
+
+      const set = {};
+      const unset = {};
+
+      if (req.body.address !== undefined) {
+        const address = String(req.body.address).trim();
+        if (!address) {
+          return res.status(400).json({ success: false, message: "Address cannot be empty" });
+        }
+        if (address !== existing.address) {
+          set.address = address;
+          const geocodingResult = await geocodeAddress(address);
+          if (geocodingResult.success) {
+            set.latitude = geocodingResult.latitude;
+            set.longitude = geocodingResult.longitude;
+          } else {
+            // the old coordinates belong to the wrong address
+            console.log("Geocoding failed:", geocodingResult.error);
+            Object.assign(unset, { latitude: 1, longitude: 1 });
+          }
+        }
+      }
+
+      if (req.body.description !== undefined) {
+        const description = String(req.body.description).trim();
+        if (description !== (existing.description || "")) {
+          set.description = description;
+        }
+      }
+
+      if (req.body.subcategory !== undefined && (req.body.subcategory || undefined) !== existing.subcategory) {
+        if (req.body.subcategory) {
+          try {
+            await categoryService.validateSelection(getTenantId(req), existing.category, req.body.subcategory);
+          } catch (error) {
+            if (error.name !== "ValidationError") throw error;
+            return res.status(400).json({ success: false, message: error.message });
+          }
+          set.subcategory = req.body.subcategory;
+        } else {
+          unset.subcategory = 1;
+        }
+      }
+
+      if (Object.keys(set).length === 0 && Object.keys(unset).length === 0) {
+        return res.status(400).json({ success: false, message: "Nothing to change" });
+      }
+
+      const report = await workflowService.edit(existing, { set, unset }, { actor: workflowActor(req) });
+
+      // the coordinates follow the address, so only the fields the citizen can type are recorded
+      const editable = (source) => ({
+        address: source.address,
+        description: source.description,
+        subcategory: source.subcategory,
+      });
+      await auditService.recordForRequest(req, {
+        action: "report.edit",
+        targetType: "Report",
+        targetId: existing._id,
+        targetLabel: existing.address,
+        ...auditService.changedFields(editable(existing), editable(report)),
+      });
+
+      if (set.address) {
+        // nearby counts changed both where the report was and where it is now
+        await priorityService.refreshAround(existing);
+        await priorityService.refreshAround(report);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Report updated",
+        report,
+        ...(set.address ? {
+          geocoding: {
+            success: set.latitude !== undefined,
+            coordinates: set.latitude !== undefined ? { latitude: set.latitude, longitude: set.longitude } : null,
+          },
+        } : {}),
+      });
+    } catch (error) {
+      if (error.name === "WorkflowError") {
+        return sendWorkflowError(res, error);
+      }
+      console.error("Error editing report:", error);
+      res.status(500).json({ success: false, message: "Server error editing report" });
+    }
+  }
+);
+
+// Cancel a report filed by mistake while it is still Pending (optional { notes } with the reason)
+router.post(
+  "/report/:id/withdraw",
+  authenticate,
+  requireUserAccount,
+  requirePermission("reports:create"),
+  async (req, res) => {
+    try {
+      const existing = await findOwnReport(req, res);
+      if (!existing) {
+        return;
+      }
+
+      const report = await workflowService.withdraw(existing, {
+        actor: workflowActor(req),
+        notes: req.body.notes,
+      });
+      // reports nearby no longer count this one
+      await priorityService.refreshAround(report);
+
+      res.status(200).json({ success: true, message: "Report withdrawn", report });
+    } catch (error) {
+      if (error.name === "WorkflowError") {
+        return sendWorkflowError(res, error);
+      }
+      console.error("Error withdrawing report:", error);
+      res.status(500).json({ success: false, message: "Server error withdrawing report" });
+    }
+  }
+);
+
+router.get("/dashboard", authenticate, requireUserAccount, async (req, res) => {
   try {
     // 1. Gets the logged-in user's ID from the token (via middleware).
     const userId = req.user.id;
@@ -256,9 +1420,16 @@ router.get("/dashboard", authenticate, async (req, res) => {
       description: report.description
     }));
 
-    // 8. Sends all the stats, reports, and map data back to the frontend.
+    // 8. Looks up whether the user still has to confirm their email address.
+    const account = await User.findById(userId).select("emailVerified");
+
+    // 9. Sends all the stats, reports, and map data back to the frontend.
     res.status(200).json({
       success: true,
+      account: {
+        emailVerified: !!account?.emailVerified,
+        emailVerificationRequired: process.env.REQUIRE_EMAIL_VERIFICATION === "true",
+      },
       stats: { totalReports, resolvedIncidents, inProgress },
       reports,
       mapData: {
@@ -280,12 +1451,12 @@ router.get("/dashboard", authenticate, async (req, res) => {
 router.post(
   "/admin/report",
   authenticate,
-  authenticateAdmin,
+  requirePermission("reports:create:assigned"),
   upload.array("photos", 5),
   async (req, res) => {
     try {
       console.log("Admin report route hit");
-      const { category, address, description, assignedDriverId } = req.body;
+      const { category, subcategory, address, description, assignedDriverId } = req.body;
 
       if (!category || !address) {
         return res.status(400).json({
@@ -301,8 +1472,9 @@ router.post(
         });
       }
 
-      // Validate driver exists and has correct role
-      const driver = await User.findById(assignedDriverId);
+      // Validate driver exists in this municipality and has correct role
+      const driver = mongoose.isValidObjectId(assignedDriverId) &&
+        (await User.findOne(scopeToTenant(req, { _id: assignedDriverId })));
       if (!driver) {
         return res.status(404).json({
           success: false,
@@ -310,25 +1482,30 @@ router.post(
         });
       }
 
-      if (driver.role !== "driver") {
+      if (!(await permissionService.hasPermission(driver.role, "reports:work"))) {
         return res.status(400).json({
           success: false,
           message: "Assigned user is not a driver"
         });
       }
 
-      const validWasteTypes = [
-        "recyclable",
-        "illegal_dumping",
-        "hazardous_waste",
-      ];
-      if (!validWasteTypes.includes(category)) {
+      if (driver.isActive === false) {
         return res.status(400).json({
           success: false,
-          message: "Invalid waste type",
+          message: "Assigned driver's account is deactivated"
         });
       }
 
+      const availability = await shiftService.getDriverAvailability(getTenantId(req), driver._id);
+      if (!availability.available && !isForced(req.body.force)) {
+        return sendDriverUnavailable(res, driver, availability);
+      }
+
+      const reportCategory = await findReportCategory(req, res);
+      if (!reportCategory) {
+        return;
+      }
+
       // Geocode the address to get coordinates
       console.log("Geocoding address for admin report:", address);
       const geocodingResult = await geocodeAddress(address);
@@ -359,14 +1536,16 @@ router.post(
 
       // Create admin report with automatic assignment
       const reportData = {
-        category,
+        category: reportCategory.key,
+        subcategory: subcategory || undefined,
         address,
         description,
         photos: photoUrls,
         status: "Assigned", // Admin reports start as Assigned
         user: req.user.id, // Admin who created the report
         assignedDriver: assignedDriverId,
-        isAdminReport: true
+        isAdminReport: true,
+        organization: getTenantId(req)
       };
 
       // Add coordinates if geocoding was successful
@@ -375,7 +1554,18 @@ router.post(
         reportData.longitude = geocodingResult.longitude;
       }
 
+      reportData.sla = slaService.evaluate(reportData, reportCategory.sla) || undefined;
       const newReport = await Report.create(reportData);
+      await priorityService.refreshAround(newReport);
+
+      await auditService.recordForRequest(req, {
+        action: "report.create_assigned",
+        targetType: "Report",
+        targetId: newReport._id,
+        targetLabel: newReport.address,
+        after: { status: newReport.status, assignedDriver: assignedDriverId },
+        metadata: availability.available ? undefined : { availabilityOverride: availability.status },
+      });
 
       // Populate the response with driver and user details
       const populatedReport = await Report.findById(newReport._id)
@@ -396,43 +1586,486 @@ router.post(
         }
       });
 
-    } catch (error) {
-      console.error("Error creating admin report:", error);
-      res.status(500).json({ 
-        success: false, 
-        message: "Server error creating admin report" 
+    } catch (error) {
+      console.error("Error creating admin report:", error);
+      res.status(500).json({ 
+        success: false, 
+        message: "Server error creating admin report" 
+      });
+    }
+  }
+);
+
+// ADMIN ROUTES
+// Get all reports (Admin only); ?status= and ?assignedDriver= narrow the list, e.g. for dispatch integrations;
+// ?depot= keeps the reports in a depot's service area or assigned to its drivers;
+// ?sla=at_risk,breached lists the reports by SLA state; ?moderation=pending lists the anonymous
+// reports still waiting for review. Sorted by priority unless ?sort=newest
+router.get("/reports", authenticate, requirePermission("reports:read"), async (req, res) => {
+  try {
+    const { status, assignedDriver, depot, sla, moderation } = req.query;
+    const filter = {};
+    if (status) filter.status = String(status);
+    if (moderation) {
+      const states = Object.values(MODERATION_DECISIONS).concat("pending");
+      if (!states.includes(moderation)) {
+        return res
+          .status(400)
+          .json({ success: false, message: `Invalid moderation state. Use one of: ${states.join(", ")}` });
+      }
+      filter.anonymous = true;
+      filter["moderation.status"] = moderation;
+    }
+    if (sla) {
+      const states = String(sla).split(",").map((state) => state.trim());
+      if (states.some((state) => !SLA_STATES.includes(state))) {
+        return res
+          .status(400)
+          .json({ success: false, message: `Invalid SLA state. Use one of: ${SLA_STATES.join(", ")}` });
+      }
+      filter["sla.state"] = { $in: states };
+    }
+    if (assignedDriver) {
+      if (!mongoose.isValidObjectId(assignedDriver)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid driver id" });
+      }
+      filter.assignedDriver = assignedDriver;
+    }
+
+    let depotScope = null;
+    if (depot) {
+      depotScope = await depotService.getReportScope(getTenantId(req), depot);
+      if (!depotScope) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Depot not found" });
+      }
+      Object.assign(filter, depotScope.query);
+    }
+
+    let reports = await Report.find(scopeToTenant(req, filter))
+      .populate("user", "fullname email") // Includes reporter details
+      .sort(reportSort(req));
+    if (depotScope) {
+      reports = reports.filter(depotScope.contains);
+    }
+
+    res.status(200).json({ success: true, reports });
+  } catch (error) {
+    console.error("Error fetching all reports:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching reports" });
+  }
+});
+
+// Get all users (Admin only)
+router.get("/all", authenticate, requirePermission("users:read"), async (req, res) => {
+  try {
+    const users = await User.find(scopeToTenant(req)).select("-password").sort({ createdAt: -1 });
+    res.status(200).json({ success: true, users });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching users" });
+  }
+});
+
+// List a user's active sessions (Admin only)
+router.get("/:id/sessions", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const sessions = await sessionService.listActiveSessions(user._id);
+    res.status(200).json({ success: true, sessions });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error fetching sessions" });
+  }
+});
+
+// Revoke all sessions for a user, e.g. after a stolen token (Admin only)
+router.delete("/:id/sessions", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const revokedCount = await sessionService.revokeAllForUser(user._id, {
+      reason: "revoked_by_admin",
+      revokedBy: req.user.id,
+    });
+
+    await auditService.recordForRequest(req, {
+      action: "user.sessions_revoke",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      metadata: { revokedSessions: revokedCount },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Revoked ${revokedCount} session(s)`,
+      revokedCount,
+    });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error revoking sessions" });
+  }
+});
+
+// Lift a login lockout for a user (Admin only)
+router.post("/:id/unlock", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previous = await loginAttemptService.getStatus(user.email);
+    await loginAttemptService.unlock(user.email);
+
+    await auditService.recordForRequest(req, {
+      action: "auth.unlock",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      metadata: { wasLocked: previous.locked, failures: previous.failures },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: previous.locked ? "Account unlocked" : "Account was not locked; failure count reset",
+      previous,
+    });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error unlocking account" });
+  }
+});
+
+// Change a user's role, e.g. promote a citizen to driver (Admin only)
+router.patch("/:id/role", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!role) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Role is required" });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const newRole = String(role).toLowerCase().trim();
+    if (!(await permissionService.roleExists(newRole))) {
+      return res
+        .status(400)
+        .json({ success: false, message: `Unknown role: ${newRole}` });
+    }
+
+    if (newRole === PLATFORM_ROLE && !isPlatformAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only platform administrators can grant this role",
+      });
+    }
+
+    if (user.role === newRole) {
+      return res
+        .status(200)
+        .json({ success: true, message: "User already has this role", user });
+    }
+
+    if (await wouldRemoveLastAdmin(user, { role: newRole })) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot change the role of the last active administrator",
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = newRole;
+    await user.save();
+
+    // sign them out so their next login picks up the pages for the new role
+    await sessionService.revokeAllForUser(user._id, {
+      reason: "role_changed",
+      revokedBy: req.user.id,
+    });
+
+    await auditService.recordForRequest(req, {
+      action: "user.role_change",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { role: previousRole },
+      after: { role: newRole },
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Role updated successfully", user });
+  } catch (error) {
+    console.error("Error changing user role:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error changing role" });
+  }
+});
+
+// Edit a user's profile fields (Admin only)
+router.patch("/:id", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { fullname, email } = req.body;
+    if (fullname === undefined && email === undefined) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Nothing to update" });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const before = { fullname: user.fullname, email: user.email };
+
+    if (fullname !== undefined) {
+      if (!String(fullname).trim()) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Full name cannot be empty" });
+      }
+      user.fullname = String(fullname).trim();
+    }
+
+    const newEmail = email !== undefined ? String(email).trim() : user.email;
+    const emailChanged = newEmail !== user.email;
+    if (emailChanged) {
+      if (!newEmail) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Email cannot be empty" });
+      }
+      if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+        return res
+          .status(409)
+          .json({ success: false, message: "Email already registered" });
+      }
+
+      user.email = newEmail;
+      // the new address has to be confirmed by whoever owns it
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user, req.ip);
+      } catch (mailError) {
+        console.log("Verification email error:", mailError);
+      }
+    }
+
+    await auditService.recordForRequest(req, {
+      action: "user.update",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      ...auditService.changedFields(before, { fullname: user.fullname, email: user.email }),
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "User updated successfully", user });
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error updating user" });
+  }
+});
+
+// Deactivate an account: blocks login and ends every session (Admin only)
+router.post("/:id/deactivate", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.toString() === req.user.id) {
+      return res
+        .status(400)
+        .json({ success: false, message: "You cannot deactivate your own account" });
+    }
+
+    if (user.isActive === false) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Account is already deactivated" });
+    }
+
+    if (await wouldRemoveLastAdmin(user, { isActive: false })) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot deactivate the last active administrator",
+      });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user.id;
+    user.deactivationReason = req.body.reason;
+    await user.save();
+
+    const revokedCount = await sessionService.revokeAllForUser(user._id, {
+      reason: "deactivated",
+      revokedBy: req.user.id,
+    });
+
+    await auditService.recordForRequest(req, {
+      action: "user.deactivate",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { reason: req.body.reason, revokedSessions: revokedCount },
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Account deactivated", user });
+  } catch (error) {
+    console.error("Error deactivating user:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error deactivating user" });
+  }
+});
+
+// Reactivate a deactivated account (Admin only)
+router.post("/:id/reactivate", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isActive !== false) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Account is already active" });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    user.deactivationReason = undefined;
+    await user.save();
+
+    await auditService.recordForRequest(req, {
+      action: "user.reactivate",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { isActive: false },
+      after: { isActive: true },
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Account reactivated", user });
+  } catch (error) {
+    console.error("Error reactivating user:", error);
+    res
+      .status(500)
+      .json({ success: false, message: "Server error reactivating user" });
+  }
+});
+
+// Email the user a password reset link (Admin only)
+router.post("/:id/password-reset", authenticate, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isActive === false) {
+      return res.status(400).json({
+        success: false,
+        message: "Reactivate the account before sending a password reset",
       });
     }
-  }
-);
 
-// ADMIN ROUTES
-// Get all reports (Admin only)
-router.get("/reports", authenticate, authenticateAdmin, async (req, res) => {
-  try {
-    const reports = await Report.find()
-      .populate("user", "fullname email") // Includes reporter details
-      .sort({ createdAt: -1 });
+    const { token, expiresAt } = await accountTokenService.issueToken(
+      user._id,
+      "password_reset",
+      { ip: req.ip }
+    );
+    await mailService.sendPasswordReset(user, token, expiresAt);
 
-    res.status(200).json({ success: true, reports });
+    await auditService.recordForRequest(req, {
+      action: "user.password_reset_sent",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: `Password reset link sent to ${user.email}` });
   } catch (error) {
-    console.error("Error fetching all reports:", error);
+    console.error("Error sending password reset:", error);
     res
       .status(500)
-      .json({ success: false, message: "Server error fetching reports" });
+      .json({ success: false, message: "Server error sending password reset" });
   }
 });
 
-// Get all users (Admin only)
-router.get("/all", authenticate, authenticateAdmin, async (req, res) => {
+// Remove a user's two-factor enrollment, e.g. after a lost phone (Admin only).
+// Their sessions are ended; if their role requires 2FA they enroll again at the next login.
+router.delete("/:id/2fa", authenticate, requirePermission("users:manage"), async (req, res) => {
   try {
-    const users = await User.find().select("-password").sort({ createdAt: -1 });
-    res.status(200).json({ success: true, users });
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled for this account",
+      });
+    }
+
+    await twoFactorService.disable(user._id);
+    const revokedCount = await sessionService.revokeAllForUser(user._id, {
+      reason: "two_factor_reset",
+      revokedBy: req.user.id,
+    });
+
+    await auditService.recordForRequest(req, {
+      action: "user.2fa_reset",
+      targetType: "User",
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { twoFactorEnabled: true },
+      after: { twoFactorEnabled: false },
+      metadata: { revokedSessions: revokedCount },
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Two-factor authentication reset" });
   } catch (error) {
-    console.error("Error fetching users:", error);
+    console.error("Error resetting two-factor authentication:", error);
     res
       .status(500)
-      .json({ success: false, message: "Server error fetching users" });
+      .json({ success: false, message: "Server error resetting two-factor authentication" });
   }
 });
 
@@ -440,7 +2073,7 @@ router.get("/all", authenticate, authenticateAdmin, async (req, res) => {
 router.post(
   "/reports/:id/assign",
   authenticate,
-  authenticateAdmin,
+  requirePermission("reports:assign"),
   async (req, res) => {
     try {
       const { driverId } = req.body;
@@ -453,8 +2086,15 @@ router.post(
         });
       }
 
-      // Validate that the driver exists and has the correct role
-      const driver = await User.findById(driverId);
+      if (!mongoose.isValidObjectId(driverId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid driver id"
+        });
+      }
+
+      // Validate that the driver exists in this municipality and has the correct role
+      const driver = await User.findOne(scopeToTenant(req, { _id: driverId }));
       if (!driver) {
         return res.status(404).json({
           success: false,
@@ -462,39 +2102,57 @@ router.post(
         });
       }
 
-      if (driver.role !== "driver") {
+      if (!(await permissionService.hasPermission(driver.role, "reports:work"))) {
         return res.status(400).json({
           success: false,
           message: "User is not a driver"
         });
       }
 
-      // Find the report and check its current status
-      const report = await Report.findById(id);
-      if (!report) {
-        return res.status(404).json({
+      if (driver.isActive === false) {
+        return res.status(400).json({
           success: false,
-          message: "Report not found"
+          message: "Driver's account is deactivated"
         });
       }
 
-      // Prevent assignment of completed or rejected reports
-      if (report.status === "Completed" || report.status === "Resolved" || report.status === "Rejected") {
-        return res.status(400).json({
+      const availability = await shiftService.getDriverAvailability(getTenantId(req), driver._id);
+      if (!availability.available && !isForced(req.body.force)) {
+        return sendDriverUnavailable(res, driver, availability);
+      }
+
+      // Find the report and check its current status
+      const report = mongoose.isValidObjectId(id) &&
+        (await Report.findOne(scopeToTenant(req, { _id: id })));
+      if (!report) {
+        return res.status(404).json({
           success: false,
-          message: "Cannot assign completed or rejected reports"
+          message: "Report not found"
         });
       }
 
-      // Update the report with driver assignment
-      const updatedReport = await Report.findByIdAndUpdate(
-        id,
-        {
-          assignedDriver: driverId,
-          status: "Assigned"
+      // Completed, Resolved and Rejected reports have to be reopened before they can be assigned
+      const updatedReport = await workflowService.transition(report, "Assigned", {
+        actor: workflowActor(req),
+        assignedDriver: driver._id,
+        notes: req.body.notes || `Assigned to ${driver.fullname}`,
+      });
+      await updatedReport.populate("assignedDriver", "fullname email");
+
+      await auditService.recordForRequest(req, {
+        action: "report.assign",
+        targetType: "Report",
+        targetId: report._id,
+        targetLabel: report.address,
+        ...auditService.changedFields(
+          { status: report.status, assignedDriver: report.assignedDriver },
+          { status: "Assigned", assignedDriver: driverId }
+        ),
+        metadata: {
+          driverName: driver.fullname,
+          ...(availability.available ? {} : { availabilityOverride: availability.status }),
         },
-        { new: true }
-      ).populate("assignedDriver", "fullname email");
+      });
 
       res.status(200).json({
         success: true,
@@ -503,6 +2161,9 @@ router.post(
       });
 
     } catch (error) {
+      if (error.name === "WorkflowError") {
+        return sendWorkflowError(res, error);
+      }
       console.error("Error assigning driver:", error);
       res.status(500).json({
         success: false,
@@ -512,18 +2173,49 @@ router.post(
   }
 );
 
-// Get list of available drivers (Admin only)
-router.get("/drivers", authenticate, authenticateAdmin, async (req, res) => {
+// Get list of drivers with their availability and depot (Admin only)
+// ?available=true leaves out drivers on a day off or outside their working hours;
+// ?at=<date> checks another moment than now, e.g. when planning tomorrow's jobs; ?depot= shows one team
+router.get("/drivers", authenticate, requirePermission("drivers:read"), async (req, res) => {
   try {
-    const drivers = await User.find({ role: "driver" })
-      .select("fullname email")
-      .sort({ fullname: 1 });
+    const at = req.query.at ? shiftService.parseDate(req.query.at, "at") : new Date();
+
+    // "drivers" are users whose role can work assignments (driver, or any custom role granted it)
+    const driverRoles = await permissionService.getRolesWithPermission("reports:work");
+    const filter = { role: { $in: driverRoles }, isActive: { $ne: false } };
+    if (req.query.depot) {
+      if (!mongoose.isValidObjectId(req.query.depot)) {
+        return res.status(400).json({ success: false, message: "Invalid depot id" });
+      }
+      filter.depot = req.query.depot;
+    }
+
+    const drivers = await User.find(scopeToTenant(req, filter))
+      .select("fullname email depot")
+      .populate("depot", "name")
+      .sort({ fullname: 1 })
+      .lean();
+
+    const availability = await shiftService.getAvailability(
+      getTenantId(req),
+      drivers.map((driver) => driver._id),
+      at
+    );
+    const withAvailability = drivers.map((driver) => ({
+      ...driver,
+      availability: availability.get(String(driver._id)),
+    }));
 
     res.status(200).json({
       success: true,
-      drivers
+      drivers: req.query.available === "true"
+        ? withAvailability.filter((driver) => driver.availability.available)
+        : withAvailability
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error("Error fetching drivers:", error);
     res.status(500).json({
       success: false,
@@ -533,21 +2225,13 @@ router.get("/drivers", authenticate, authenticateAdmin, async (req, res) => {
 });
 
 // DRIVER ROUTES
-// Get assigned reports for driver dashboard
-router.get("/driver/reports", authenticate, async (req, res) => {
+// Get assigned reports for driver dashboard, most urgent first (?sort=newest for newest first)
+router.get("/driver/reports", authenticate, requirePermission("reports:work"), async (req, res) => {
   try {
-    // Verify user is a driver
-    if (req.user.role !== "driver") {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied. Driver role required."
-      });
-    }
-
     // Get reports assigned to this driver
     const reports = await Report.find({ assignedDriver: req.user.id })
       .populate("user", "fullname email")
-      .sort({ createdAt: -1 });
+      .sort(reportSort(req));
 
     // Calculate stats
     const totalAssigned = reports.length;
@@ -575,18 +2259,12 @@ router.get("/driver/reports", authenticate, async (req, res) => {
   }
 });
 
-// Update report status (Driver only - for assigned reports)
-router.patch("/driver/reports/:id/status", authenticate, async (req, res) => {
+// Update report status (Driver only - for assigned reports). Sent as multipart when completing:
+// up to five after-photos ("photos", required by categories with requireCompletionPhotos) and notes
+router.patch("/driver/reports/:id/status", authenticate, requirePermission("reports:work"), upload.array("photos", 5), async (req, res) => {
+  const uploadedPhotoIds = [];
   try {
-    // Verify user is a driver
-    if (req.user.role !== "driver") {
-      return res.status(403).json({
-        success: false,
-        message: "Access denied. Driver role required."
-      });
-    }
-
-    const { status, rejectionMessage } = req.body;
+    const { status, rejectionMessage, notes } = req.body;
     const { id } = req.params;
 
     // Validate status
@@ -599,7 +2277,7 @@ router.patch("/driver/reports/:id/status", authenticate, async (req, res) => {
     }
 
     // Find the report and verify it's assigned to this driver
-    const report = await Report.findById(id);
+    const report = mongoose.isValidObjectId(id) && (await Report.findById(id));
     if (!report) {
       return res.status(404).json({
         success: false,
@@ -631,21 +2309,58 @@ router.patch("/driver/reports/:id/status", authenticate, async (req, res) => {
       }
     }
 
-    // Update the report
-    const updateData = { status };
-    if (status === "Rejected" && rejectionMessage) {
-      updateData.rejectionMessage = rejectionMessage.trim();
-      updateData.rejectedAt = new Date();
-      updateData.rejectedBy = req.user.id;
+    // refuse a move the workflow won't allow before anything is uploaded for it
+    workflowService.checkTransition(report, status, workflowActor(req));
+
+    // Proof of completion: after-photos (required by some categories) and the notes
+    let completion;
+    if (status === "Completed") {
+      const photoCount = (req.files || []).length;
+      if (photoCount === 0 && (await categoryService.requiresCompletionPhotos(report.organization || null, report.category))) {
+        return res.status(400).json({
+          success: false,
+          code: "COMPLETION_PHOTOS_REQUIRED",
+          message: "Add at least one photo of the cleared site to complete this report",
+        });
+      }
+
+      completion = { photos: [], notes };
+      for (const file of req.files || []) {
+        const result = await cloudinary.uploader.upload(file.path, { folder: "waste_completions" });
+        uploadedPhotoIds.push(result.public_id);
+        completion.photos.push(result.secure_url);
+      }
     }
 
-    const updatedReport = await Report.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true }
-    ).populate("user", "fullname email")
-     .populate("assignedDriver", "fullname email")
-     .populate("rejectedBy", "fullname role");
+    // The workflow checks the move from the current status, e.g. a Completed report stays Completed
+    const trimmedRejection = status === "Rejected" ? rejectionMessage.trim() : undefined;
+    const updatedReport = await workflowService.transition(report, status, {
+      actor: workflowActor(req),
+      notes,
+      rejectionMessage: trimmedRejection,
+      completion,
+    });
+    // the report holds the photos now; they stay whatever happens next
+    uploadedPhotoIds.length = 0;
+    await updatedReport.populate([
+      { path: "user", select: "fullname email" },
+      { path: "assignedDriver", select: "fullname email" },
+      { path: "rejectedBy", select: "fullname role" },
+    ]);
+
+    await auditService.recordForRequest(req, {
+      action: status === "Rejected" ? "report.reject" : "report.status_change",
+      targetType: "Report",
+      targetId: report._id,
+      targetLabel: report.address,
+      before: { status: report.status },
+      after: { status },
+      metadata: trimmedRejection
+        ? { rejectionMessage: trimmedRejection }
+        : completion
+          ? { completionPhotos: completion.photos.length }
+          : undefined,
+    });
 
     res.status(200).json({
       success: true,
@@ -654,11 +2369,21 @@ router.patch("/driver/reports/:id/status", authenticate, async (req, res) => {
     });
 
   } catch (error) {
+    // the report kept its status, so its after-photos would be orphans
+    if (uploadedPhotoIds.length > 0) {
+      await destroyUploads(uploadedPhotoIds);
+    }
+    if (error.name === "WorkflowError") {
+      return sendWorkflowError(res, error);
+    }
     console.error("Error updating report status:", error);
     res.status(500).json({
       success: false,
       message: "Server error updating report status"
     });
+  } finally {
+    // the photos are on Cloudinary by now, or were not needed
+    discardUploads(req);
   }
 });
 
@@ -666,46 +2391,353 @@ router.patch("/driver/reports/:id/status", authenticate, async (req, res) => {
 router.patch(
   "/reports/:id/status",
   authenticate,
-  authenticateAdmin,
+  requirePermission("reports:status"),
   async (req, res) => {
     try {
-      const { status } = req.body;
+      const { status, notes } = req.body;
       const { id } = req.params;
 
-      const validStatuses = [
-        "Pending",
-        "In Progress",
-        "Assigned",
-        "Completed",
-        "Resolved",
-        "Rejected",
-      ];
-      if (!validStatuses.includes(status)) {
+      const existing = mongoose.isValidObjectId(id) &&
+        (await Report.findOne(scopeToTenant(req, { _id: id })));
+      if (!existing) {
         return res
-          .status(400)
-          .json({ success: false, message: "Invalid status" });
+          .status(404)
+          .json({ success: false, message: "Report not found" });
       }
 
-      const report = await Report.findByIdAndUpdate(
-        id,
-        { status },
-        { new: true }
-      );
+      const report = await workflowService.transition(existing, status, {
+        actor: workflowActor(req),
+        notes,
+      });
+
+      await auditService.recordForRequest(req, {
+        action: "report.status_change",
+        targetType: "Report",
+        targetId: report._id,
+        targetLabel: report.address,
+        before: { status: existing.status },
+        after: { status },
+        metadata: notes ? { notes } : undefined,
+      });
+
+      res
+        .status(200)
+        .json({ success: true, message: "Status updated", report });
+    } catch (error) {
+      if (error.name === "WorkflowError") {
+        return sendWorkflowError(res, error);
+      }
+      console.error("Error updating status:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error updating status" });
+    }
+  }
+);
 
+// Statuses the caller may move a report to next, and whether they can reopen it
+router.get(
+  "/reports/:id/transitions",
+  authenticate,
+  requirePermission("reports:read"),
+  async (req, res) => {
+    try {
+      const report = mongoose.isValidObjectId(req.params.id) &&
+        (await Report.findOne(scopeToTenant(req, { _id: req.params.id })).select("status assignedDriver"));
       if (!report) {
         return res
           .status(404)
           .json({ success: false, message: "Report not found" });
       }
 
+      const actor = workflowActor(req);
+      res.status(200).json({
+        success: true,
+        status: report.status,
+        allowedTransitions: workflowService.getAllowedTransitions(report, actor),
+        canReopen: workflowService.canReopen(report, actor),
+      });
+    } catch (error) {
+      console.error("Error fetching transitions:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error fetching transitions" });
+    }
+  }
+);
+
+// Reopen a Completed, Resolved or Rejected report ({ notes: "Waste was dumped again" });
+// it goes back to Pending without a driver and the reason lands in the status history
+router.post(
+  "/reports/:id/reopen",
+  authenticate,
+  requirePermission("reports:status"),
+  async (req, res) => {
+    try {
+      const existing = mongoose.isValidObjectId(req.params.id) &&
+        (await Report.findOne(scopeToTenant(req, { _id: req.params.id })));
+      if (!existing) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Report not found" });
+      }
+
+      const report = await workflowService.reopen(existing, {
+        actor: workflowActor(req),
+        notes: req.body.notes,
+      });
+
+      await auditService.recordForRequest(req, {
+        action: "report.reopen",
+        targetType: "Report",
+        targetId: report._id,
+        targetLabel: report.address,
+        ...auditService.changedFields(
+          { status: existing.status, assignedDriver: existing.assignedDriver },
+          { status: report.status, assignedDriver: null }
+        ),
+        metadata: { notes: String(req.body.notes).trim() },
+      });
+
       res
         .status(200)
-        .json({ success: true, message: "Status updated", report });
+        .json({ success: true, message: "Report reopened", report });
     } catch (error) {
-      console.error("Error updating status:", error);
+      if (error.name === "WorkflowError") {
+        return sendWorkflowError(res, error);
+      }
+      console.error("Error reopening report:", error);
       res
         .status(500)
-        .json({ success: false, message: "Server error updating status" });
+        .json({ success: false, message: "Server error reopening report" });
+    }
+  }
+);
+
+// Likely duplicates of a report: open reports of the same category nearby, filed around the same time
+router.get(
+  "/reports/:id/duplicates",
+  authenticate,
+  requirePermission("reports:read"),
+  async (req, res) => {
+    try {
+      const report = mongoose.isValidObjectId(req.params.id) &&
+        (await Report.findOne(scopeToTenant(req, { _id: req.params.id })).lean());
+      if (!report) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Report not found" });
+      }
+
+      const duplicates = await duplicateService.findDuplicates(getTenantId(req), report);
+      res.status(200).json({ success: true, duplicates });
+    } catch (error) {
+      console.error("Error finding duplicate reports:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error finding duplicate reports" });
+    }
+  }
+);
+
+// Merge duplicates into this report ({ duplicateIds: ["...", "..."] }): they are closed as Merged,
+// and their reporters, photos and status history move to this one
+router.post(
+  "/reports/:id/merge",
+  authenticate,
+  requirePermission("reports:status"),
+  async (req, res) => {
+    try {
+      const result = await duplicateService.merge(getTenantId(req), req.params.id, req.body.duplicateIds, {
+        actor: workflowActor(req),
+      });
+      if (!result) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Report not found" });
+      }
+
+      const { report, merged } = result;
+      await priorityService.refreshReport(report);
+
+      await auditService.recordForRequest(req, {
+        action: "report.merge",
+        targetType: "Report",
+        targetId: report._id,
+        targetLabel: report.address,
+        metadata: { mergedReports: merged.map((duplicate) => String(duplicate._id)) },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `${merged.length} report${merged.length === 1 ? "" : "s"} merged`,
+        report,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      if (error.name === "WorkflowError") {
+        return sendWorkflowError(res, error);
+      }
+      console.error("Error merging reports:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error merging reports" });
+    }
+  }
+);
+
+// Review an anonymous report ({ decision: "approve" | "spam", notes }); spam that is still open
+// is rejected with "Marked as spam"
+router.post(
+  "/reports/:id/moderate",
+  authenticate,
+  requirePermission("reports:status"),
+  async (req, res) => {
+    try {
+      const result = await anonymousReportService.moderate(getTenantId(req), req.params.id, req.body.decision, {
+        actor: workflowActor(req),
+        notes: req.body.notes,
+      });
+      if (!result) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Anonymous report not found" });
+      }
+
+      const { report, before } = result;
+      await priorityService.refreshAround(report);
+
+      await auditService.recordForRequest(req, {
+        action: "report.moderate",
+        targetType: "Report",
+        targetId: report._id,
+        targetLabel: report.address,
+        before: { moderation: before },
+        after: { moderation: report.moderation.status, status: report.status },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: report.moderation.status === "spam" ? "Report marked as spam" : "Report approved",
+        report,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      if (error.name === "WorkflowError") {
+        return sendWorkflowError(res, error);
+      }
+      console.error("Error moderating report:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error moderating report" });
+    }
+  }
+);
+
+// Open reports near an address (?address=) or point (?latitude=&longitude=) that the citizen can
+// confirm instead of filing the same waste again; ?category= narrows them down
+router.get(
+  "/reports/nearby",
+  authenticate,
+  requireUserAccount,
+  requirePermission("reports:create"),
+  async (req, res) => {
+    try {
+      let point = { latitude: parseFloat(req.query.latitude), longitude: parseFloat(req.query.longitude) };
+      if (!Number.isFinite(point.latitude) || !Number.isFinite(point.longitude)) {
+        if (!req.query.address) {
+          return res.status(400).json({ success: false, message: "Send an address or latitude and longitude" });
+        }
+        const geocodingResult = await geocodeAddress(String(req.query.address));
+        if (!geocodingResult.success) {
+          // nothing to compare against; the citizen can still file the report
+          return res.status(200).json({ success: true, located: false, reports: [] });
+        }
+        point = { latitude: geocodingResult.latitude, longitude: geocodingResult.longitude };
+      }
+
+      const reports = await confirmationService.findNearby(getTenantId(req), point, {
+        category: req.query.category || undefined,
+        userId: req.user.id,
+      });
+      res.status(200).json({ success: true, located: true, radiusMeters: confirmationService.radiusMeters, reports });
+    } catch (error) {
+      console.error("Error finding nearby reports:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error finding nearby reports" });
+    }
+  }
+);
+
+// "Me too": confirm an open report of waste the citizen saw as well
+router.post(
+  "/reports/:id/confirm",
+  authenticate,
+  requireUserAccount,
+  requirePermission("reports:create"),
+  requireVerifiedEmail,
+  async (req, res) => {
+    try {
+      const result = await confirmationService.confirm(getTenantId(req), req.params.id, req.user.id);
+      if (!result) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Report not found" });
+      }
+
+      if (result.added) {
+        await priorityService.refreshReport(result.report);
+      }
+      res.status(200).json({
+        success: true,
+        message: result.added ? "Thanks for confirming this report" : "You already confirmed this report",
+        confirmationCount: result.report.confirmationCount,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error("Error confirming report:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error confirming report" });
+    }
+  }
+);
+
+// Take back a confirmation
+router.delete(
+  "/reports/:id/confirm",
+  authenticate,
+  requireUserAccount,
+  requirePermission("reports:create"),
+  async (req, res) => {
+    try {
+      const result = await confirmationService.unconfirm(getTenantId(req), req.params.id, req.user.id);
+      if (!result) {
+        return res
+          .status(404)
+          .json({ success: false, message: "Report not found" });
+      }
+
+      if (result.removed) {
+        await priorityService.refreshReport(result.report);
+      }
+      res.status(200).json({
+        success: true,
+        message: result.removed ? "Confirmation removed" : "You had not confirmed this report",
+        confirmationCount: result.report.confirmationCount || 0,
+      });
+    } catch (error) {
+      console.error("Error removing confirmation:", error);
+      res
+        .status(500)
+        .json({ success: false, message: "Server error removing confirmation" });
     }
   }
 );
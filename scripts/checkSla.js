@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import SlaService from "../services/slaService.js";
+
+dotenv.config();
+
+// Recomputes SLA due dates and states. Without arguments only open reports are checked,
+// like the monitor in server.js does; --all also backfills finished reports, e.g. after
+// SLA targets were first configured or changed.
+// Usage: npm run sla:check [-- --all]
+const checkSla = async () => {
+  const includeClosed = process.argv.includes("--all");
+
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log("Connected to MongoDB via", process.env.MONGO_URL);
+
+    const { checked, updated, breached } = await new SlaService().refreshOpen({ includeClosed });
+
+    console.log(
+      `Checked ${checked} ${includeClosed ? "" : "open "}report(s): ${updated} updated, ${breached} currently breached`
+    );
+    process.exit(0);
+  } catch (error) {
+    console.error("Error checking SLAs:", error);
+    process.exit(1);
+  }
+};
+
+checkSla();
@@ -2,9 +2,13 @@ import mongoose from "mongoose";
 import dotenv from "dotenv";
 import bcrypt from "bcrypt";
 import User from "../models/User.js";
+import { PLATFORM_ROLE } from "../config/permissions.js";
 
 dotenv.config();
 
+// --platform creates a platform administrator, who can also manage the shared roles
+const role = process.argv.includes("--platform") ? PLATFORM_ROLE : "admin";
+
 const createAdmin = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URL);
@@ -17,8 +21,9 @@ const createAdmin = async () => {
     let user = await User.findOne({ email: adminEmail });
 
     if (user) {
-      user.role = "admin";
+      user.role = role;
       user.password = hashedPassword; // Reset password to ensure access
+      user.emailVerified = true;
       await user.save();
       console.log(`Admin user updated: ${adminEmail}`);
     } else {
@@ -26,7 +31,8 @@ const createAdmin = async () => {
         fullname: "System Admin",
         email: adminEmail,
         password: hashedPassword,
-        role: "admin",
+        role,
+        emailVerified: true,
       });
       console.log(`Admin user created: ${adminEmail}`);
     }
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import bcrypt from "bcrypt";
+import Organization from "../models/Organization.js";
+import User from "../models/User.js";
+
+dotenv.config();
+
+// Onboards a municipality and, optionally, its first administrator.
+// Usage: npm run org:create -- "<name>" <slug> [adminEmail] [adminPassword]
+const createOrganization = async () => {
+  const [name, slug, adminEmail, adminPassword] = process.argv.slice(2);
+
+  if (!name || !slug) {
+    console.error('Usage: npm run org:create -- "<name>" <slug> [adminEmail] [adminPassword]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log("Connected to MongoDB via", process.env.MONGO_URL);
+
+    let organization = await Organization.findOne({ slug: slug.toLowerCase() });
+    if (organization) {
+      console.log(`Organization already exists: ${organization.name} (${organization.slug})`);
+    } else {
+      organization = await Organization.create({ name, slug });
+      console.log(`Organization created: ${organization.name} (${organization.slug})`);
+    }
+
+    if (adminEmail) {
+      if (!adminPassword) {
+        console.error("An admin password is required when an admin email is given");
+        process.exit(1);
+      }
+
+      const existing = await User.findOne({ email: adminEmail });
+      if (existing && String(existing.organization) !== String(organization._id)) {
+        console.error(`${adminEmail} already belongs to another organization`);
+        process.exit(1);
+      }
+
+      const hashedPassword = await bcrypt.hash(adminPassword, 10);
+      await User.findOneAndUpdate(
+        { email: adminEmail },
+        {
+          $set: {
+            password: hashedPassword,
+            role: "admin",
+            organization: organization._id,
+            emailVerified: true,
+          },
+          $setOnInsert: { fullname: `${organization.name} Admin` },
+        },
+        { upsert: true }
+      );
+      console.log(`Admin ready: ${adminEmail}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("Error creating organization:", error);
+    process.exit(1);
+  }
+};
+
+createOrganization();
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+
+dotenv.config();
+
+// One-off migration: accounts created before email verification existed have no
+// emailVerified flag. Mark them verified so REQUIRE_EMAIL_VERIFICATION doesn't lock them out.
+const markExistingUsersVerified = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log("Connected to MongoDB via", process.env.MONGO_URL);
+
+    const result = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+    process.exit(0);
+  } catch (error) {
+    console.error("Error marking users verified:", error);
+    process.exit(1);
+  }
+};
+
+markExistingUsersVerified();
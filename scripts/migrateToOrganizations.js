@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Organization from "../models/Organization.js";
+import User from "../models/User.js";
+import Report from "../models/report.js";
+import AuditLog from "../models/AuditLog.js";
+
+dotenv.config();
+
+// One-off migration for deployments that ran before multi-tenancy: creates the
+// municipality (or reuses it) and moves every user, report and audit entry without one into it.
+// Usage: npm run org:migrate -- "<name>" <slug>
+const migrateToOrganizations = async () => {
+  const [name, slug] = process.argv.slice(2);
+
+  if (!name || !slug) {
+    console.error('Usage: npm run org:migrate -- "<name>" <slug>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log("Connected to MongoDB via", process.env.MONGO_URL);
+
+    const organization =
+      (await Organization.findOne({ slug: slug.toLowerCase() })) ||
+      (await Organization.create({ name, slug }));
+
+    const unassigned = { $or: [{ organization: { $exists: false } }, { organization: null }] };
+
+    const users = await User.updateMany(unassigned, {
+      $set: { organization: organization._id },
+    });
+    const reports = await Report.updateMany(unassigned, {
+      $set: { organization: organization._id },
+    });
+    // the model refuses updates to audit entries, so this goes to the collection directly
+    const auditEntries = await AuditLog.collection.updateMany(unassigned, {
+      $set: { organization: organization._id },
+    });
+
+    console.log(
+      `Moved ${users.modifiedCount} user(s), ${reports.modifiedCount} report(s) and ${auditEntries.modifiedCount} audit entries into ${organization.name} (${organization.slug})`
+    );
+    process.exit(0);
+  } catch (error) {
+    console.error("Error migrating to organizations:", error);
+    process.exit(1);
+  }
+};
+
+migrateToOrganizations();
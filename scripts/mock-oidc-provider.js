@@ -0,0 +1,137 @@
+import express from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Minimal OpenID Connect provider for trying out staff single sign-on locally.
+// It signs in whoever you type into its form - never expose it beyond localhost.
+//
+// Usage: npm run oidc:mock, then start the API with
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=cleancity
+//   OIDC_ROLE_MAP=cleancity-admins:admin,cleancity-drivers:driver
+const port = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const issuer = `http://localhost:${port}`;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString("hex");
+const pendingCodes = new Map(); // code -> { clientId, redirectUri, codeChallenge, nonce, claims, expiresAt }
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid, alg: "RS256", use: "sig" }] });
+});
+
+// "login page": pick the identity and groups to sign in with
+app.get("/authorize", (req, res) => {
+  const { response_type, client_id, redirect_uri, code_challenge, code_challenge_method } = req.query;
+  if (response_type !== "code" || !client_id || !redirect_uri) {
+    return res.status(400).send("response_type=code, client_id and redirect_uri are required");
+  }
+  if (!code_challenge || code_challenge_method !== "S256") {
+    return res.status(400).send("PKCE with S256 is required");
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join("");
+
+  res.send(`<!DOCTYPE html>
+<html><head><title>Mock directory sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto">
+  <h2>Mock directory sign-in</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" value="dispatcher@city.example" size="40"></label></p>
+    <p><label>Name<br><input name="name" value="Dana Dispatcher" size="40"></label></p>
+    <p><label>Groups (comma separated)<br><input name="groups" value="cleancity-admins" size="40"></label></p>
+    <p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+    <button type="submit" name="deny" value="1">Cancel</button>
+  </form>
+</body></html>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, email, name, groups, deny } = req.body;
+  const redirect = new URL(redirect_uri);
+  if (state) redirect.searchParams.set("state", state);
+
+  if (deny) {
+    redirect.searchParams.set("error", "access_denied");
+    redirect.searchParams.set("error_description", "Sign-in was cancelled");
+    return res.redirect(redirect.toString());
+  }
+
+  const code = crypto.randomBytes(16).toString("base64url");
+  pendingCodes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    claims: {
+      // the same email always gets the same subject, like a real directory
+      sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+      email,
+      email_verified: req.body.email_verified === "on",
+      name,
+      groups: String(groups || "").split(",").map((g) => g.trim()).filter(Boolean),
+    },
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  redirect.searchParams.set("code", code);
+  res.redirect(redirect.toString());
+});
+
+app.post("/token", (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const pending = pendingCodes.get(code);
+  pendingCodes.delete(code);
+
+  if (grant_type !== "authorization_code" || !pending || pending.expiresAt < Date.now()) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "Unknown or expired code" });
+  }
+  if (pending.clientId !== client_id || pending.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "Client or redirect_uri mismatch" });
+  }
+  const challenge = crypto.createHash("sha256").update(String(code_verifier || "")).digest("base64url");
+  if (challenge !== pending.codeChallenge) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+  }
+
+  const idToken = jwt.sign(
+    { ...pending.claims, nonce: pending.nonce },
+    privateKey,
+    { algorithm: "RS256", keyid: kid, issuer, audience: client_id, expiresIn: "5m" }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider running at ${issuer}`);
+});
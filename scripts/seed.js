@@ -39,6 +39,12 @@ const sampleUsers = [
     password: "admin123",
     role: "admin"
   },
+  {
+    fullname: "Paula Reyes",
+    email: "analyst@cleancity.com",
+    password: "analyst123",
+    role: "analyst"
+  },
   {
     fullname: "David Brown",
     email: "david.brown@example.com",
@@ -184,7 +190,8 @@ async function createUsers() {
       const hashedPassword = await bcrypt.hash(userData.password, 10);
       const user = new User({
         ...userData,
-        password: hashedPassword
+        password: hashedPassword,
+        emailVerified: true // sample accounts don't have real inboxes
       });
       
       const savedUser = await user.save();
@@ -401,6 +408,10 @@ async function displaySummary(users, reports) {
   console.log("  Email: admin@cleancity.com");
   console.log("  Password: admin123");
   console.log("  Features: Create reports, assign drivers, view analytics");
+  console.log("\nAnalyst (Read-only Analytics):");
+  console.log("  Email: analyst@cleancity.com");
+  console.log("  Password: analyst123");
+  console.log("  Features: View analytics dashboards, export CSV/PDF");
   console.log("\nDriver (Mike Johnson):");
   console.log("  Email: mike.johnson@example.com");
   console.log("  Password: password123");
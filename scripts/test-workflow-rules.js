@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * Test Report Workflow Rules
+ * Checks the status state machine (transition table, reopen, merge, edit, withdraw), SLA evaluation,
+ * priority scoring and the depot service area test. Needs no server or database: the steps that
+ * would write a report are captured instead of applied
+ */
+
+import WorkflowService from '../services/workflowService.js';
+import SlaService from '../services/slaService.js';
+import PriorityService from '../services/priorityService.js';
+import DepotService from '../services/depotService.js';
+
+const ADMIN = { id: 'admin-1', permissions: ['reports:status', 'reports:assign'] };
+const DISPATCHER = { id: 'dispatch-1', permissions: ['reports:assign'] };
+const DRIVER = { id: 'driver-1', permissions: ['reports:work'] };
+const OTHER_DRIVER = { id: 'driver-2', permissions: ['reports:work'] };
+const CITIZEN = { id: 'citizen-1', permissions: ['reports:create'] };
+const HOUR_MS = 60 * 60 * 1000;
+
+const workflow = new WorkflowService();
+// records the update instead of sending it to MongoDB
+workflow.applyChange = async (report, update, status, actor, notes) => ({ update, status, notes });
+workflow.updateReport = async (report, update) => ({ update });
+
+let failures = 0;
+
+async function check(name, test) {
+  try {
+    await test();
+    console.log(`[PASS] ${name}`);
+  } catch (error) {
+    failures++;
+    console.error(`[FAIL] ${name}: ${error.message}`);
+  }
+}
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function expectSame(actual, expected) {
+  expect(JSON.stringify(actual) === JSON.stringify(expected),
+    `expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+}
+
+async function expectWorkflowError(code, action) {
+  try {
+    await action();
+  } catch (error) {
+    expect(error.name === 'WorkflowError', `expected a WorkflowError, got ${error.name}: ${error.message}`);
+    expect(error.code === code, `expected ${code}, got ${error.code}`);
+    return error;
+  }
+  throw new Error(`expected ${code}, but the call went through`);
+}
+
+const report = (status, extra = {}) => ({ _id: 'report-1', user: CITIZEN.id, status, ...extra });
+const assigned = (status) => report(status, { assignedDriver: DRIVER.id });
+
+async function testTransitionTable() {
+  console.log('\n[STEP 1] Transition table');
+
+  await check('Pending: dispatch assigns, admin rejects or resolves', () => {
+    expectSame(workflow.getAllowedTransitions(report('Pending'), ADMIN), ['Assigned', 'Rejected', 'Resolved']);
+    expectSame(workflow.getAllowedTransitions(report('Pending'), DISPATCHER), ['Assigned']);
+    expectSame(workflow.getAllowedTransitions(report('Pending'), DRIVER), []);
+  });
+
+  await check('Assigned: only the assigned driver works the report', () => {
+    expectSame(workflow.getAllowedTransitions(assigned('Assigned'), DRIVER), ['In Progress', 'Completed', 'Rejected']);
+    expectSame(workflow.getAllowedTransitions(assigned('Assigned'), OTHER_DRIVER), []);
+  });
+
+  await check('In Progress: no way back to Pending', () => {
+    expect(!workflow.getAllowedTransitions(assigned('In Progress'), ADMIN).includes('Pending'), 'Pending was allowed');
+  });
+
+  await check('Completed only moves on to Resolved', () => {
+    expectSame(workflow.getAllowedTransitions(assigned('Completed'), ADMIN), ['Resolved']);
+    expectSame(workflow.getAllowedTransitions(assigned('Completed'), DRIVER), []);
+  });
+
+  await check('Final statuses allow no move', () => {
+    ['Resolved', 'Rejected', 'Merged', 'Withdrawn'].forEach(status =>
+      expectSame(workflow.getAllowedTransitions(report(status), ADMIN), []));
+  });
+
+  await check('Pending -> Completed is refused with the allowed moves', async () => {
+    const error = await expectWorkflowError('TRANSITION_NOT_ALLOWED',
+      () => workflow.transition(report('Pending'), 'Completed', { actor: ADMIN }));
+    expectSame(error.allowedTransitions, ['Assigned', 'Rejected', 'Resolved']);
+  });
+
+  await check('Finished reports point to reopen', async () => {
+    const error = await expectWorkflowError('TRANSITION_NOT_ALLOWED',
+      () => workflow.transition(report('Resolved'), 'Pending', { actor: ADMIN }));
+    expect(error.message.includes('without being reopened'), error.message);
+  });
+
+  await check('Unknown statuses are invalid', () =>
+    expectWorkflowError('INVALID_STATUS', () => workflow.transition(report('Pending'), 'Done', { actor: ADMIN })));
+
+  await check('checkTransition refuses before any work is done', async () => {
+    await expectWorkflowError('TRANSITION_NOT_ALLOWED',
+      () => workflow.checkTransition(assigned('Assigned'), 'Completed', OTHER_DRIVER));
+    workflow.checkTransition(assigned('Assigned'), 'Completed', DRIVER);
+  });
+
+  await check('Assigning needs a driver', () =>
+    expectWorkflowError('DRIVER_REQUIRED', () => workflow.transition(report('Pending'), 'Assigned', { actor: DISPATCHER })));
+
+  await check('Completing stores the proof of completion', async () => {
+    const { update } = await workflow.transition(assigned('In Progress'), 'Completed', {
+      actor: DRIVER,
+      completion: { photos: ['after.jpg'], notes: ' Cleared ' }
+    });
+    expectSame(update.$set.completion.photos, ['after.jpg']);
+    expect(update.$set.completion.notes === 'Cleared', 'notes were not trimmed');
+    expect(update.$set.completion.completedBy === DRIVER.id, 'completedBy is not the driver');
+  });
+}
+
+async function testReopenMergeWithdraw() {
+  console.log('\n[STEP 2] Reopen, merge, edit and withdraw');
+
+  await check('Reopen sends a finished report back to Pending and clears its work', async () => {
+    const { update, status } = await workflow.reopen(assigned('Completed'), { actor: ADMIN, notes: 'Dumped again' });
+    expect(status === 'Pending', `status is ${status}`);
+    ['assignedDriver', 'rejectionMessage', 'completion'].forEach(field =>
+      expect(update.$unset[field], `${field} is not cleared`));
+  });
+
+  await check('Reopen needs a finished report, an admin and a reason', async () => {
+    await expectWorkflowError('TRANSITION_NOT_ALLOWED', () => workflow.reopen(report('Pending'), { actor: ADMIN, notes: 'x' }));
+    await expectWorkflowError('TRANSITION_NOT_ALLOWED', () => workflow.reopen(report('Rejected'), { actor: DISPATCHER, notes: 'x' }));
+    await expectWorkflowError('NOTES_REQUIRED', () => workflow.reopen(report('Rejected'), { actor: ADMIN, notes: ' ' }));
+  });
+
+  await check('Merge closes an open duplicate into its primary', async () => {
+    const { update, status } = await workflow.merge(assigned('Assigned'), { _id: 'primary-1' }, { actor: ADMIN });
+    expect(status === 'Merged', `status is ${status}`);
+    expect(update.$set.mergedInto === 'primary-1', 'mergedInto is not set');
+    expect(update.$unset.assignedDriver, 'the driver is not cleared');
+  });
+
+  await check('Merge needs an admin and an open duplicate', async () => {
+    await expectWorkflowError('TRANSITION_NOT_ALLOWED', () => workflow.merge(report('Pending'), { _id: 'p' }, { actor: DISPATCHER }));
+    await expectWorkflowError('TRANSITION_NOT_ALLOWED', () => workflow.merge(report('Completed'), { _id: 'p' }, { actor: ADMIN }));
+  });
+
+  await check('The reporter withdraws a Pending report', async () => {
+    const { status, notes } = await workflow.withdraw(report('Pending'), { actor: CITIZEN, notes: 'Filed twice' });
+    expect(status === 'Withdrawn', `status is ${status}`);
+    expect(notes.includes('Filed twice'), notes);
+  });
+
+  await check('Reporter edits leave the status history alone', async () => {
+    const { update } = await workflow.edit(report('Pending'), { set: { description: 'Two sofas' } }, { actor: CITIZEN });
+    expectSame(update, { $set: { description: 'Two sofas' } });
+    await expectWorkflowError('TRANSITION_NOT_ALLOWED',
+      () => workflow.edit(assigned('Assigned'), { set: { description: 'x' } }, { actor: CITIZEN }));
+  });
+
+  await check('Only the reporter withdraws, and only while Pending', async () => {
+    await expectWorkflowError('TRANSITION_NOT_ALLOWED', () => workflow.withdraw(report('Pending'), { actor: ADMIN }));
+    await expectWorkflowError('TRANSITION_NOT_ALLOWED', () => workflow.withdraw(assigned('Assigned'), { actor: CITIZEN }));
+  });
+}
+
+async function testSla() {
+  console.log('\n[STEP 3] SLA evaluation');
+  const sla = new SlaService({ atRiskRatio: 0.75 });
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+  const targets = { assignHours: 4, resolveHours: 24 };
+  const at = (hours) => new Date(createdAt.getTime() + hours * HOUR_MS);
+
+  await check('No targets, no SLA', () => expect(sla.evaluate(report('Pending', { createdAt }), {}) === null, 'got an SLA'));
+
+  await check('Pending report goes on track, at risk, breached', () => {
+    expect(sla.evaluate(report('Pending', { createdAt }), targets, at(1)).state === 'on_track', 'not on track after 1h');
+    expect(sla.evaluate(report('Pending', { createdAt }), targets, at(3.5)).state === 'at_risk', 'not at risk after 3.5h');
+    const breached = sla.evaluate(report('Pending', { createdAt }), targets, at(5));
+    expect(breached.state === 'breached', 'not breached after 5h');
+    expectSame(breached.breachedTargets, ['assignment']);
+  });
+
+  await check('Resolved in time is met', () => {
+    const statusHistory = [
+      { status: 'Assigned', timestamp: at(1) },
+      { status: 'Resolved', timestamp: at(10) }
+    ];
+    expect(sla.evaluate(report('Resolved', { createdAt, statusHistory }), targets, at(30)).state === 'met', 'not met');
+  });
+}
+
+async function testPriority() {
+  console.log('\n[STEP 4] Priority score');
+  const priority = new PriorityService();
+  const now = new Date('2026-01-10T00:00:00Z');
+
+  await check('A fresh report of a normal category scores low', () => {
+    const result = priority.score({ createdAt: now }, { defaultPriority: 'normal' }, now);
+    expect(result.score === 20 && result.level === 'low', `got ${result.score} (${result.level})`);
+  });
+
+  await check('Age, neighbours and confirmations add up, each capped', () => {
+    const result = priority.score(
+      { createdAt: new Date(now - 30 * 24 * HOUR_MS), confirmationCount: 10 },
+      { defaultPriority: 'high', nearbyCount: 10 },
+      now
+    );
+    expectSame(result.factors, { category: 35, age: 20, nearby: 15, sensitive: 0, confirmations: 15 });
+    expect(result.level === 'urgent', `level is ${result.level}`);
+  });
+
+  await check('The heaviest sensitive location in range counts', () => {
+    const locations = [
+      { name: 'Park', latitude: 51.5, longitude: -0.12, radiusMeters: 500, weight: 10 },
+      { name: 'School', latitude: 51.5, longitude: -0.12, radiusMeters: 300, weight: 20 },
+      { name: 'Far well', latitude: 52.5, longitude: -0.12, radiusMeters: 300, weight: 30 }
+    ];
+    const result = priority.score({ createdAt: now, latitude: 51.5005, longitude: -0.12 }, { locations }, now);
+    expect(result.sensitiveLocation === 'School', `got ${result.sensitiveLocation}`);
+    expect(result.factors.sensitive === 20, `got ${result.factors.sensitive}`);
+  });
+}
+
+async function testDepotArea() {
+  console.log('\n[STEP 5] Depot service area');
+  const depots = new DepotService();
+  const area = {
+    type: 'Polygon',
+    coordinates: [
+      [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+      [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+    ]
+  };
+
+  await check('Points inside the area count', () => expect(depots.containsPoint(area, 2, 2), '(2, 2) is outside'));
+  await check('Points outside the area do not', () => expect(!depots.containsPoint(area, 12, 2), '(12, 2) is inside'));
+  await check('Points in a hole do not', () => expect(!depots.containsPoint(area, 5, 5), '(5, 5) is inside'));
+}
+
+async function testWorkflowRules() {
+  console.log('[TEST] Testing report workflow rules...');
+
+  await testTransitionTable();
+  await testReopenMergeWithdraw();
+  await testSla();
+  await testPriority();
+  await testDepotArea();
+
+  if (failures > 0) {
+    console.error(`\n[ERROR] ${failures} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n[SUCCESS] All workflow rule checks passed');
+  process.exit(0);
+}
+
+testWorkflowRules();
@@ -1,9 +1,11 @@
 // import fetch from "node-fetch";
 
+const API_BASE = "http://localhost:5050/api/users";
+
 const testStatusUpdate = async () => {
   try {
     console.log("1. Logging in as Admin...");
-    const loginRes = await fetch("http://localhost:5050/api/users/login", {
+    const loginRes = await fetch(`${API_BASE}/login`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
@@ -18,41 +20,69 @@ const testStatusUpdate = async () => {
       return;
     }
     const token = loginData.token;
+    const headers = {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    };
 
-    console.log("2. Fetching Reports to get an ID...");
-    const reportsRes = await fetch("http://localhost:5050/api/users/reports", {
-      headers: { Authorization: `Bearer ${token}` },
-    });
+    console.log("2. Fetching a Pending report...");
+    const reportsRes = await fetch(`${API_BASE}/reports?status=Pending`, { headers });
     const reportsData = await reportsRes.json();
 
     if (!reportsData.reports || reportsData.reports.length === 0) {
-      console.error("No reports found to test update.");
+      console.error("No Pending reports found to test update.");
       return;
     }
 
     const reportId = reportsData.reports[0]._id;
     console.log(`Testing update on Report ID: ${reportId}`);
 
-    console.log("3. Attempting to set status to 'Completed'...");
-    const updateRes = await fetch(
-      `http://localhost:5050/api/users/reports/${reportId}/status`,
-      {
-        method: "PATCH",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
-        },
-        body: JSON.stringify({ status: "Completed" }),
-      }
-    );
+    const transitionsRes = await fetch(`${API_BASE}/reports/${reportId}/transitions`, { headers });
+    const transitionsData = await transitionsRes.json();
+    console.log("Allowed next statuses:", transitionsData.allowedTransitions);
 
-    const updateData = await updateRes.json();
-    if (updateData.success) {
-      console.log("SUCCESS: Status updated to 'Completed'.");
-      console.log("Report:", updateData.report);
+    // a Pending report has to be assigned and worked before it can be Completed
+    console.log("3. Attempting to set status to 'Completed' (should be refused)...");
+    const refusedRes = await fetch(`${API_BASE}/reports/${reportId}/status`, {
+      method: "PATCH",
+      headers,
+      body: JSON.stringify({ status: "Completed" }),
+    });
+    const refusedData = await refusedRes.json();
+    if (refusedRes.status === 409 && refusedData.code === "TRANSITION_NOT_ALLOWED") {
+      console.log("SUCCESS: Pending -> Completed refused with 409 TRANSITION_NOT_ALLOWED.");
     } else {
+      console.error("FAILURE: Expected 409 TRANSITION_NOT_ALLOWED, got", refusedRes.status, refusedData.message);
+      return;
+    }
+
+    console.log("4. Setting status to 'Resolved'...");
+    const updateRes = await fetch(`${API_BASE}/reports/${reportId}/status`, {
+      method: "PATCH",
+      headers,
+      body: JSON.stringify({ status: "Resolved", notes: "Status update test" }),
+    });
+    const updateData = await updateRes.json();
+    if (!updateData.success) {
       console.error("FAILURE: Could not update status.");
       console.error("Message:", updateData.message);
+      return;
+    }
+    console.log("SUCCESS: Status updated to 'Resolved'.");
+
+    // leaves the report Pending again, as the test found it
+    console.log("5. Reopening the report...");
+    const reopenRes = await fetch(`${API_BASE}/reports/${reportId}/reopen`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ notes: "Status update test finished" }),
+    });
+    const reopenData = await reopenRes.json();
+    if (reopenData.success && reopenData.report.status === "Pending") {
+      console.log("SUCCESS: Report reopened and back to 'Pending'.");
+    } else {
+      console.error("FAILURE: Could not reopen the report.");
+      console.error("Message:", reopenData.message);
     }
   } catch (error) {
     console.error("Test Script Error:", error);
@@ -4,6 +4,18 @@ import dotenv from "dotenv"; //imports my .env file
 import connectDB from "./config/db.js"; //my connectDB function
 import router from "./routes/userRoutes.js";
 import analyticsRoutes from "./routes/analyticsRoutes.js";
+import roleRoutes from "./routes/roleRoutes.js";
+import organizationRoutes from "./routes/organizationRoutes.js";
+import apiKeyRoutes from "./routes/apiKeyRoutes.js";
+import auditRoutes from "./routes/auditRoutes.js";
+import shiftRoutes from "./routes/shiftRoutes.js";
+import depotRoutes from "./routes/depotRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
+import sensitiveLocationRoutes from "./routes/sensitiveLocationRoutes.js";
+import commentRoutes from "./routes/commentRoutes.js";
+import publicReportRoutes from "./routes/publicReportRoutes.js";
+import SlaService from "./services/slaService.js";
+import PriorityService from "./services/priorityService.js";
 
 dotenv.config(); //load/process credentials from my .env file
 const app = express(); //initialize express
@@ -19,6 +31,18 @@ process.on('unhandledRejection', (reason, promise) => {
   process.exit(1);
 });
 
+// Behind a reverse proxy, req.ip is the proxy's address unless Express trusts it to pass on the
+// client's (X-Forwarded-For). Login lockouts and anonymous rate limits count per req.ip, so this
+// is set before any route. TRUST_PROXY takes true/false, a hop count (1) or addresses/subnets
+// ("loopback", "10.0.0.0/8"); leave it unset when clients reach the app directly
+const parseTrustProxy = (value) => {
+  if (value === undefined || value.trim() === "" || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+  return value;
+};
+app.set("trust proxy", parseTrustProxy(process.env.TRUST_PROXY));
+
 //middleware
 app.use(cors()); //allows frontend requests
 
@@ -56,9 +80,25 @@ try {
   process.exit(1);
 }
 
+// flags open reports as at risk or breached while nobody touches them
+// (every SLA_CHECK_INTERVAL_MINUTES, 0 turns it off when `npm run sla:check` runs from cron instead)
+new SlaService().startMonitor();
+// rescores open reports as they age (every PRIORITY_REFRESH_INTERVAL_MINUTES, 0 turns it off)
+new PriorityService().startMonitor();
+
 //activate Routes
+app.use("/api/users/reports/:id/comments", commentRoutes);
 app.use("/api/users", router);
 app.use("/api/analytics", analyticsRoutes);
+app.use("/api/roles", roleRoutes);
+app.use("/api/organizations", organizationRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
+app.use("/api/audit-logs", auditRoutes);
+app.use("/api/shifts", shiftRoutes);
+app.use("/api/depots", depotRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/sensitive-locations", sensitiveLocationRoutes);
+app.use("/api/public/reports", publicReportRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -0,0 +1,243 @@
+import path from 'path';
+import archiver from 'archiver';
+import cloudinary from '../config/cloudinary.js';
+import User from '../models/User.js';
+import Report from '../models/report.js';
+import Session from '../models/Session.js';
+import AccountToken from '../models/AccountToken.js';
+import AuditLog from '../models/AuditLog.js';
+import Organization from '../models/Organization.js';
+import Comment from '../models/Comment.js';
+
+// What the audit trail shows instead of a deleted account's email address
+const DELETED_ACCOUNT_LABEL = 'deleted account';
+
+/**
+ * Account Data Service - Personal data export and account deletion for citizens
+ * Deleting an account anonymizes its reports instead of removing them, so the
+ * incident history (and the analytics built from it) stays intact; the photos they
+ * uploaded are deleted, since they can show the reporter or their property
+ */
+class AccountDataService {
+  constructor() {
+    this.exportVersion = 1;
+    this.photoTimeout = 15000;
+  }
+
+  /**
+   * Collect everything stored about a user
+   * @param {String} userId - User id
+   * @returns {Promise<Object|null>} Export bundle or null if the user does not exist
+   */
+  async exportUserData(userId) {
+    const user = await User.findById(userId).select('-password').lean();
+    if (!user) {
+      return null;
+    }
+
+    const [organization, reports, confirmed, comments, sessions, activity] = await Promise.all([
+      user.organization ? Organization.findById(user.organization).select('name slug').lean() : null,
+      Report.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      Report.find({ 'confirmations.user': userId }).select('category address confirmations').lean(),
+      Comment.find({ author: userId }).sort({ createdAt: -1 }).lean(),
+      Session.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      AuditLog.find({
+        $or: [{ actor: userId }, { targetType: 'User', targetId: String(userId) }]
+      }).sort({ createdAt: -1 }).lean()
+    ]);
+
+    return {
+      exportVersion: this.exportVersion,
+      exportedAt: new Date().toISOString(),
+      profile: {
+        id: user._id,
+        fullname: user.fullname,
+        email: user.email,
+        role: user.role,
+        municipality: organization ? organization.name : null,
+        emailVerified: user.emailVerified,
+        emailVerifiedAt: user.emailVerifiedAt,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt
+      },
+      reports: reports.map(report => ({
+        id: report._id,
+        category: report.category,
+        address: report.address,
+        description: report.description,
+        latitude: report.latitude,
+        longitude: report.longitude,
+        photos: report.photos,
+        status: report.status,
+        rejectionMessage: report.rejectionMessage,
+        createdAt: report.createdAt,
+        updatedAt: report.updatedAt,
+        // who on the staff changed the status is not the citizen's data
+        statusHistory: (report.statusHistory || []).map(entry => ({
+          status: entry.status,
+          timestamp: entry.timestamp,
+          notes: entry.notes
+        }))
+      })),
+      confirmations: confirmed.map(report => ({
+        report: report._id,
+        category: report.category,
+        address: report.address,
+        confirmedAt: report.confirmations.find(entry => String(entry.user) === String(userId))?.createdAt
+      })),
+      comments: comments.map(comment => ({
+        id: comment._id,
+        report: comment.report,
+        body: comment.body,
+        photos: comment.photos,
+        visibility: comment.visibility,
+        createdAt: comment.createdAt
+      })),
+      sessions: sessions.map(session => ({
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        revokedAt: session.revokedAt
+      })),
+      accountActivity: activity.map(entry => ({
+        action: entry.action,
+        createdAt: entry.createdAt,
+        ip: String(entry.actor) === String(userId) ? entry.ip : undefined
+      }))
+    };
+  }
+
+  /**
+   * Write an export bundle as a ZIP: data.json plus a copy of every photo the user uploaded
+   * to their reports and comments. A photo that can't be downloaded is left out; data.json
+   * still links it
+   * @param {Object} data - Bundle from exportUserData()
+   * @param {Object} output - Writable stream, e.g. the response
+   * @returns {Promise<void>} Resolves once the archive is written
+   */
+  async writeArchive(data, output) {
+    const archive = archiver('zip');
+    const done = new Promise((resolve, reject) => {
+      output.on('finish', resolve);
+      output.on('close', resolve);
+      archive.on('error', reject);
+    });
+    archive.pipe(output);
+    archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+
+    const photos = [
+      ...data.reports.flatMap(report =>
+        (report.photos || []).map((url, index) => ({ url, name: `photos/reports/${report.id}-${index + 1}` }))),
+      ...data.comments.flatMap(comment =>
+        (comment.photos || []).map((url, index) => ({ url, name: `photos/comments/${comment.id}-${index + 1}` })))
+    ];
+    for (const photo of photos) {
+      const image = await this.downloadPhoto(photo.url);
+      if (image) {
+        archive.append(image, { name: `${photo.name}${path.extname(new URL(photo.url).pathname) || '.jpg'}` });
+      }
+    }
+
+    await archive.finalize();
+    await done;
+  }
+
+  /**
+   * Delete a user account; their reports are kept but no longer point to them
+   * @param {String} userId - User id
+   * @returns {Promise<Object>} { anonymizedReports, deletedPhotos }
+   */
+  async deleteAccount(userId) {
+    const now = new Date();
+    const user = await User.findById(userId).select('email').lean();
+
+    // collected before the reports lose their owner; duplicates merged elsewhere took their photos along
+    const [ownReports, ownComments] = await Promise.all([
+      Report.find({ user: userId }).select('photos').lean(),
+      Comment.find({ author: userId }).select('photos').lean()
+    ]);
+    const photos = [...new Set([...ownReports, ...ownComments].flatMap(item => item.photos || []))];
+    if (photos.length > 0) {
+      await Report.updateMany({ photos: { $in: photos } }, { $pull: { photos: { $in: photos } } });
+    }
+
+    const reports = await Report.updateMany(
+      { user: userId },
+      { $set: { user: null, reporterDeletedAt: now } }
+    );
+    await Report.updateMany(
+      { 'statusHistory.changedBy': userId },
+      { $set: { 'statusHistory.$[entry].changedBy': null } },
+      { arrayFilters: [{ 'entry.changedBy': userId }] }
+    );
+    await Comment.updateMany({ author: userId }, { $unset: { author: 1 }, $set: { photos: [] } });
+    // reports that absorbed one of theirs through a duplicate merge
+    await Report.updateMany(
+      { additionalReporters: userId },
+      { $pull: { additionalReporters: userId } }
+    );
+    // their "me too" confirmations still count, but no longer say who made them
+    await Report.updateMany(
+      { 'confirmations.user': userId },
+      { $set: { 'confirmations.$[confirmation].user': null } },
+      { arrayFilters: [{ 'confirmation.user': userId }] }
+    );
+    await Report.updateMany(
+      { 'mergedReports.user': userId },
+      { $set: { 'mergedReports.$[merged].user': null } },
+      { arrayFilters: [{ 'merged.user': userId }] }
+    );
+
+    // the model refuses updates to audit entries, so this goes to the collection directly;
+    // the entries stay, but no longer carry the address
+    const aboutUser = { targetType: 'User', targetId: String(userId) };
+    await AuditLog.collection.updateMany(
+      user?.email ? { $or: [aboutUser, { targetLabel: user.email }] } : aboutUser,
+      { $set: { targetLabel: DELETED_ACCOUNT_LABEL } }
+    );
+    await AuditLog.collection.updateMany(aboutUser, { $unset: { 'before.email': '', 'after.email': '' } });
+
+    await Promise.all([
+      Session.deleteMany({ user: userId }),
+      AccountToken.deleteMany({ user: userId })
+    ]);
+    await User.deleteOne({ _id: userId });
+
+    const deletedPhotos = await this.deletePhotos(photos);
+    return { anonymizedReports: reports.modifiedCount, deletedPhotos };
+  }
+
+  // Private helper methods
+
+  async downloadPhoto(url) {
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(this.photoTimeout) });
+      return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+    } catch (error) {
+      console.error('[ERROR] AccountDataService - photo download:', error.message);
+      return null;
+    }
+  }
+
+  // removes uploads from Cloudinary; a photo that can't be deleted doesn't stop the account deletion
+  async deletePhotos(urls) {
+    const results = await Promise.allSettled(
+      urls.map(url => this.cloudinaryPublicId(url)).filter(Boolean).map(publicId => cloudinary.uploader.destroy(publicId))
+    );
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('[ERROR] AccountDataService - photo deletion:', result.reason?.message));
+    return results.filter(result => result.status === 'fulfilled' && result.value?.result === 'ok').length;
+  }
+
+  // https://res.cloudinary.com/<cloud>/image/upload/v1712/waste_reports/abc.jpg -> waste_reports/abc
+  cloudinaryPublicId(url) {
+    const match = /\/upload\/(?:v\d+\/)?(.+?)(?:\.[^./]+)?$/.exec(String(url));
+    return match ? match[1] : null;
+  }
+}
+
+export default AccountDataService;
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import AccountToken from '../models/AccountToken.js';
+
+/**
+ * Account Token Service - Issues and redeems single-use, expiring tokens
+ * used in emailed links (password reset, email verification) and between login
+ * steps (two-factor challenge, single sign-on handoff)
+ */
+class AccountTokenService {
+  constructor() {
+    this.ttlMinutes = {
+      password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+      email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60,
+      login_2fa: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5,
+      // only has to survive the redirect from the SSO callback to the login page
+      sso_login: 1
+    };
+  }
+
+  /**
+   * Issue a new token, invalidating any earlier unused token for the same purpose
+   * @param {String} userId - User id
+   * @param {String} purpose - 'password_reset' | 'email_verification' | 'login_2fa' | 'sso_login'
+   * @param {Object} meta - Request metadata { ip }
+   * @returns {Promise<Object>} { token, expiresAt } - raw token to put in the link
+   */
+  async issueToken(userId, purpose, meta = {}) {
+    await this.invalidateTokens(userId, purpose);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.ttlMinutes[purpose] * 60 * 1000);
+
+    await AccountToken.create({
+      user: userId,
+      purpose,
+      tokenHash: this.hashToken(token),
+      expiresAt,
+      requestedIp: meta.ip
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Redeem a token. The update is atomic so a token can only ever be used once.
+   * @param {String} token - Raw token from the link
+   * @param {String} purpose - Expected purpose
+   * @returns {Promise<Object|null>} Consumed token document or null if invalid/expired/used
+   */
+  async consumeToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    return AccountToken.findOneAndUpdate(
+      {
+        tokenHash: this.hashToken(token),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Look up a token without using it up, e.g. to let a user retry a mistyped code
+   * @param {String} token - Raw token
+   * @param {String} purpose - Expected purpose
+   * @returns {Promise<Object|null>} Token document or null if invalid/expired/used
+   */
+  async findValidToken(token, purpose) {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    return AccountToken.findOne({
+      tokenHash: this.hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Mark all outstanding tokens of a user for a purpose as used
+   * @param {String} userId - User id
+   * @param {String} purpose - Token purpose
+   * @returns {Promise<Number>} Number of tokens invalidated
+   */
+  async invalidateTokens(userId, purpose) {
+    const result = await AccountToken.updateMany(
+      { user: userId, purpose, usedAt: null },
+      { usedAt: new Date() }
+    );
+
+    return result.modifiedCount;
+  }
+
+  // Private helper methods
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+export default AccountTokenService;
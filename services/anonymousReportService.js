@@ -0,0 +1,265 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Report from '../models/report.js';
+import CacheService from './cacheService.js';
+import WorkflowService from './workflowService.js';
+import { MemoryStore } from '../utils/memoryStore.js';
+import { toTenantMatch } from '../utils/tenant.js';
+
+export const MODERATION_DECISIONS = { approve: 'approved', spam: 'spam' };
+
+// Crockford base32 without I, L, O and U, so codes survive being read out over the phone
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 10;
+const OPEN_STATUSES = ['Pending', 'Assigned', 'In Progress'];
+
+/**
+ * Anonymous Report Service - Reports filed without an account
+ * Submissions are limited per IP address, get a tracking code instead of an owner and stay
+ * flagged for moderation until an admin approves them or marks them as spam
+ */
+class AnonymousReportService {
+  /**
+   * @param {Object} options - { cacheService, workflowService }
+   */
+  constructor(options = {}) {
+    this.cacheService = options.cacheService || new CacheService();
+    this.workflowService = options.workflowService || new WorkflowService();
+    this.memoryStore = new MemoryStore();
+    this.keyPrefix = 'cleancity:anonymous:';
+
+    this.windowSeconds = (parseInt(process.env.ANONYMOUS_REPORT_WINDOW_MINUTES) || 60) * 60;
+    // requests per IP and window
+    this.limits = {
+      submit: parseInt(process.env.ANONYMOUS_REPORT_LIMIT) || 5,
+      track: parseInt(process.env.ANONYMOUS_TRACK_LIMIT) || 60
+    };
+  }
+
+  /**
+   * Count a request against the IP's limit for the current window
+   * @param {String} action - submit or track
+   * @param {String} ip - Client IP
+   * @returns {Promise<Object>} { allowed, retryAfterSeconds }
+   */
+  async checkRateLimit(action, ip) {
+    // counted in one step, so parallel requests can't all slip through on the same count
+    const { count, ttl } = await this.increment(this.ipKey(action, ip), this.windowSeconds);
+    if (count > this.limits[action]) {
+      return { allowed: false, retryAfterSeconds: ttl };
+    }
+    return { allowed: true, retryAfterSeconds: 0 };
+  }
+
+  /**
+   * Store a new anonymous report under a fresh tracking code
+   * @param {Object} reportData - Report fields (category, address, organization, ...)
+   * @returns {Promise<Object>} Created report
+   */
+  async create(reportData) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await Report.create({
+          ...reportData,
+          anonymous: true,
+          trackingCode: this.generateTrackingCode(),
+          moderation: { status: 'pending' }
+        });
+      } catch (error) {
+        // 50 random bits make a clash very unlikely, but a unique index violation is cheap to retry
+        if (error.code !== 11000 || !error.keyPattern?.trackingCode || attempt >= 2) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * What the person who filed an anonymous report may see of it
+   * @param {String} trackingCode - Code handed out on submission
+   * @returns {Promise<Object|null>} Public view of the report, or null if the code is unknown
+   */
+  async track(trackingCode) {
+    const code = this.normalizeCode(trackingCode);
+    if (!code) {
+      return null;
+    }
+
+    const report = await Report.findOne({ trackingCode: code, anonymous: true })
+      .select('trackingCode category subcategory address description photos status statusHistory completion createdAt updatedAt')
+      .lean();
+    if (!report) {
+      return null;
+    }
+
+    return {
+      trackingCode: this.formatCode(report.trackingCode),
+      category: report.category,
+      subcategory: report.subcategory,
+      address: report.address,
+      description: report.description,
+      status: report.status,
+      createdAt: report.createdAt,
+      updatedAt: report.updatedAt,
+      photos: report.photos || [],
+      // the driver's after-photos, once the waste is cleared
+      completionPhotos: ['Completed', 'Resolved'].includes(report.status) ? report.completion?.photos || [] : [],
+      // staff notes and who made the change stay internal
+      history: (report.statusHistory || []).map(entry => ({ status: entry.status, timestamp: entry.timestamp }))
+    };
+  }
+
+  /**
+   * Approve an anonymous report or mark it as spam; spam that is still open is rejected
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} reportId - Report id
+   * @param {String} decision - approve or spam
+   * @param {Object} options - { actor: { id, permissions }, notes }
+   * @returns {Promise<Object|null>} { report, before } or null if there is no such anonymous report
+   */
+  async moderate(organization, reportId, decision, options = {}) {
+    const { actor = {}, notes } = options;
+
+    if (!MODERATION_DECISIONS[decision]) {
+      throw this.invalid(`decision must be one of: ${Object.keys(MODERATION_DECISIONS).join(', ')}`);
+    }
+    if (!mongoose.isValidObjectId(reportId)) {
+      return null;
+    }
+    let report = await Report.findOne({ _id: reportId, organization, anonymous: true });
+    if (!report) {
+      return null;
+    }
+
+    const before = report.moderation?.status || null;
+    if (decision === 'spam' && OPEN_STATUSES.includes(report.status)) {
+      report = await this.workflowService.transition(report, 'Rejected', {
+        actor,
+        rejectionMessage: 'Marked as spam'
+      });
+    }
+
+    const updated = await Report.findByIdAndUpdate(
+      report._id,
+      {
+        $set: {
+          moderation: {
+            status: MODERATION_DECISIONS[decision],
+            reviewedBy: actor.id || null,
+            reviewedAt: new Date(),
+            notes: notes ? String(notes).trim() : undefined
+          }
+        }
+      },
+      { new: true }
+    );
+    return { report: updated, before };
+  }
+
+  /**
+   * Anonymous against registered reports filed in a date range, and where moderation stands
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} dateRange - { startDate, endDate }
+   * @param {Object} filters - { category }
+   * @returns {Promise<Object>} { overall, moderation, byCategory }
+   */
+  async getStats(organization, dateRange, filters = {}) {
+    const match = {
+      organization: toTenantMatch(organization),
+      createdAt: { $gte: dateRange.startDate, $lte: dateRange.endDate }
+    };
+    if (filters.category && filters.category !== 'all') {
+      match.category = filters.category;
+    }
+
+    const [byCategory, byModeration] = await Promise.all([
+      Report.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$category',
+            reports: { $sum: 1 },
+            anonymous: { $sum: { $cond: [{ $eq: ['$anonymous', true] }, 1, 0] } }
+          }
+        }
+      ]),
+      Report.aggregate([
+        { $match: { ...match, anonymous: true } },
+        { $group: { _id: '$moderation.status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const overall = byCategory.reduce(
+      (totals, row) => ({ reports: totals.reports + row.reports, anonymous: totals.anonymous + row.anonymous }),
+      { reports: 0, anonymous: 0 }
+    );
+    const moderation = { pending: 0, approved: 0, spam: 0 };
+    byModeration.forEach(({ _id, count }) => {
+      moderation[_id || 'pending'] += count;
+    });
+
+    return {
+      overall: this.withRates(overall),
+      moderation,
+      byCategory: byCategory
+        .map(({ _id, ...counts }) => ({ category: _id, ...this.withRates(counts) }))
+        .sort((a, b) => b.anonymous - a.anonymous)
+    };
+  }
+
+  /**
+   * Present a tracking code the way it is handed out, e.g. 7KQ2M-X9D4T
+   * @param {String} code - Stored code
+   * @returns {String} Code with a dash in the middle
+   */
+  formatCode(code) {
+    return `${code.slice(0, CODE_LENGTH / 2)}-${code.slice(CODE_LENGTH / 2)}`;
+  }
+
+  // Private helper methods
+
+  generateTrackingCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  }
+
+  // accepts codes typed with lower case, spaces or dashes, and the letters people confuse with digits
+  normalizeCode(code) {
+    const normalized = String(code || '')
+      .toUpperCase()
+      .replace(/[\s-]/g, '')
+      .replace(/[IL]/g, '1')
+      .replace(/O/g, '0');
+    return new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`).test(normalized) ? normalized : null;
+  }
+
+  withRates(counts) {
+    return {
+      ...counts,
+      registered: counts.reports - counts.anonymous,
+      anonymousRate: counts.reports ? Math.round((counts.anonymous / counts.reports) * 1000) / 10 : 0
+    };
+  }
+
+  async increment(key, ttl) {
+    if (this.cacheService.isAvailable()) {
+      const counter = await this.cacheService.incrementValue(key, ttl);
+      if (counter) return counter;
+    }
+    return this.memoryStore.increment(key, ttl);
+  }
+
+  // addresses are hashed so the cache holds no raw IPs
+  ipKey(action, ip) {
+    const hash = crypto.createHash('sha256').update(String(ip || 'unknown')).digest('hex').slice(0, 32);
+    return `${this.keyPrefix}${action}:${hash}`;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+export default AnonymousReportService;
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import ApiKey from '../models/ApiKey.js';
+
+/**
+ * API Key Service - Issues and verifies keys for machine-to-machine integrations
+ * Keys look like "cck_<keyId>.<secret>" so the key can be looked up directly;
+ * only a sha256 of the secret is stored
+ */
+class ApiKeyService {
+  constructor() {
+    this.keyPrefix = 'cck_';
+    // lastUsedAt is only written when older than this, so busy integrations don't write on every call
+    this.touchIntervalMs = 60 * 1000;
+  }
+
+  /**
+   * Issue a new API key
+   * @param {Object} options - { name, permissions, organization, createdBy, expiresAt }
+   * @returns {Promise<Object>} { key, apiKey } - the raw key is only available here
+   */
+  async createKey(options) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const _id = new mongoose.Types.ObjectId();
+
+    const apiKey = await ApiKey.create({
+      _id,
+      name: options.name,
+      organization: options.organization,
+      permissions: [...new Set(options.permissions)],
+      keyHash: this.hashSecret(secret),
+      hint: secret.slice(-4),
+      createdBy: options.createdBy,
+      expiresAt: options.expiresAt
+    });
+
+    return { key: `${this.keyPrefix}${_id}.${secret}`, apiKey: this.toPublic(apiKey) };
+  }
+
+  /**
+   * Check whether a string looks like an API key (as opposed to a JWT)
+   * @param {String} value - Credential from a request header
+   * @returns {Boolean} True if it has the API key prefix
+   */
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(this.keyPrefix);
+  }
+
+  /**
+   * Verify a raw API key and record its use
+   * @param {String} rawKey - Key presented by the client
+   * @param {Object} meta - Request metadata { ip }
+   * @returns {Promise<Object|null>} Active key document, or null if invalid, expired or revoked
+   */
+  async verifyKey(rawKey, meta = {}) {
+    const parsed = this.parseKey(rawKey);
+    if (!parsed) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findById(parsed.keyId);
+    if (!apiKey || !apiKey.isActive || !this.secretMatches(parsed.secret, apiKey.keyHash)) {
+      return null;
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > this.touchIntervalMs) {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: new Date(), lastUsedIp: meta.ip }
+      );
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * List an organization's keys (newest first)
+   * @param {ObjectId|null} organization - Organization id
+   * @returns {Promise<Array>} Keys without hashes
+   */
+  async listKeys(organization) {
+    const keys = await ApiKey.find({ organization })
+      .populate('createdBy', 'fullname email')
+      .sort({ createdAt: -1 });
+    return keys.map(key => this.toPublic(key));
+  }
+
+  /**
+   * Revoke a key
+   * @param {String} keyId - Key id
+   * @param {Object} options - { organization, revokedBy }
+   * @returns {Promise<Object|null>} Revoked key, or null if not found in the organization
+   */
+  async revokeKey(keyId, options = {}) {
+    if (!mongoose.isValidObjectId(keyId)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: keyId, organization: options.organization });
+    if (!apiKey) {
+      return null;
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = options.revokedBy;
+      await apiKey.save();
+    }
+
+    return this.toPublic(apiKey);
+  }
+
+  // Private helper methods
+
+  /**
+   * Split a raw key into its id and secret
+   * @param {String} rawKey - Raw key
+   * @returns {Object|null} { keyId, secret } or null if malformed
+   */
+  parseKey(rawKey) {
+    if (!this.isApiKey(rawKey)) {
+      return null;
+    }
+
+    const [keyId, secret] = rawKey.slice(this.keyPrefix.length).split('.');
+    if (!keyId || !secret || !mongoose.isValidObjectId(keyId)) {
+      return null;
+    }
+
+    return { keyId, secret };
+  }
+
+  toPublic(apiKey) {
+    const { keyHash, ...rest } = apiKey.toObject({ virtuals: true });
+    return rest;
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  secretMatches(secret, storedHash) {
+    const candidate = Buffer.from(this.hashSecret(secret), 'hex');
+    const stored = Buffer.from(storedHash, 'hex');
+    return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+  }
+}
+
+export default ApiKeyService;
@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { getTenantId } from '../utils/tenant.js';
+
+/**
+ * Audit Service - Appends entries to the audit trail and queries it for reviews
+ * Recording never throws: a failed audit write is logged but must not break the request
+ */
+class AuditService {
+  constructor() {
+    this.defaultPageSize = 50;
+    this.maxPageSize = 200;
+    // exports beyond this many rows must be narrowed with filters
+    this.maxExportRows = 10000;
+    this.csvColumns = [
+      'createdAt', 'action', 'actor', 'actorRole', 'actorLabel', 'targetType',
+      'targetId', 'targetLabel', 'before', 'after', 'ip', 'metadata'
+    ];
+  }
+
+  /**
+   * Record an audit event
+   * @param {Object} entry - { action, actor, actorRole, actorLabel, organization, targetType, targetId, targetLabel, before, after, ip, metadata }
+   * @returns {Promise<Object|null>} Created entry or null if the write failed
+   */
+  async record(entry) {
+    try {
+      return await AuditLog.create({
+        ...entry,
+        organization: entry.organization || null,
+        targetId: entry.targetId != null ? String(entry.targetId) : undefined
+      });
+    } catch (error) {
+      console.error(`[ERROR] AuditService - record ${entry.action}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record an event performed by the authenticated caller of a request
+   * Actor, role, IP and municipality are taken from the request
+   * @param {Object} req - Express request (after authenticate)
+   * @param {Object} entry - Same fields as record(); explicit values win
+   * @returns {Promise<Object|null>} Created entry or null if the write failed
+   */
+  async recordForRequest(req, entry) {
+    return this.record({
+      actor: req.user?.id,
+      actorRole: req.user?.role,
+      actorLabel: req.user?.apiKey?.name,
+      organization: getTenantId(req),
+      ip: req.ip,
+      ...entry
+    });
+  }
+
+  /**
+   * Keep only the fields that differ between two snapshots
+   * @param {Object} before - Values before the change
+   * @param {Object} after - Values after the change
+   * @returns {Object} { before, after } limited to changed fields
+   */
+  changedFields(before, after) {
+    const changes = { before: {}, after: {} };
+    Object.keys({ ...before, ...after }).forEach(field => {
+      if (String(before[field] ?? '') !== String(after[field] ?? '')) {
+        changes.before[field] = before[field] ?? null;
+        changes.after[field] = after[field] ?? null;
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Build the MongoDB query for audit filters
+   * @param {Object} filters - { organization, action, actor, targetType, targetId, startDate, endDate }
+   * @returns {Object} Query for AuditLog.find
+   */
+  buildQuery(filters = {}) {
+    const query = { organization: filters.organization || null };
+
+    if (filters.action) {
+      // "report.*" matches every report action
+      query.action = filters.action.endsWith('.*')
+        ? { $regex: `^${filters.action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : filters.action;
+    }
+
+    if (filters.actor) {
+      if (!mongoose.isValidObjectId(filters.actor)) {
+        throw this.invalidFilter('Invalid actor id');
+      }
+      query.actor = filters.actor;
+    }
+
+    if (filters.targetType) query.targetType = filters.targetType;
+    if (filters.targetId) query.targetId = String(filters.targetId);
+
+    if (filters.startDate || filters.endDate) {
+      query.createdAt = {};
+      if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
+      if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        throw this.invalidFilter('Invalid date filter');
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Error for a filter the caller got wrong (reported as 400 by the routes)
+   * @param {String} message - Error message
+   * @returns {Error} Error named ValidationError
+   */
+  invalidFilter(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+
+  /**
+   * Find audit entries, newest first
+   * @param {Object} filters - See buildQuery()
+   * @param {Object} pagination - { page, limit }
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async find(filters = {}, pagination = {}) {
+    const query = this.buildQuery(filters);
+    const page = Math.max(1, parseInt(pagination.page) || 1);
+    const limit = Math.min(this.maxPageSize, Math.max(1, parseInt(pagination.limit) || this.defaultPageSize));
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('actor', 'fullname email')
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Export audit entries matching the filters as CSV
+   * @param {Object} filters - See buildQuery()
+   * @returns {Promise<Object>} { content, filename, rowCount, truncated }
+   */
+  async exportCSV(filters = {}) {
+    const query = this.buildQuery(filters);
+    const entries = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(this.maxExportRows + 1)
+      .populate('actor', 'email')
+      .lean();
+
+    const truncated = entries.length > this.maxExportRows;
+    const rows = entries.slice(0, this.maxExportRows).map(entry => [
+      entry.createdAt?.toISOString(),
+      entry.action,
+      entry.actor?.email || entry.actor?._id || '',
+      entry.actorRole,
+      entry.actorLabel,
+      entry.targetType,
+      entry.targetId,
+      entry.targetLabel,
+      entry.before ? JSON.stringify(entry.before) : '',
+      entry.after ? JSON.stringify(entry.after) : '',
+      entry.ip,
+      entry.metadata ? JSON.stringify(entry.metadata) : ''
+    ]);
+
+    const content = [this.csvColumns, ...rows]
+      .map(row => row.map(cell => this.escapeCSV(cell)).join(','))
+      .join('\n') + '\n';
+
+    return {
+      content,
+      filename: `cleancity_audit_log_${new Date().toISOString().split('T')[0]}.csv`,
+      rowCount: rows.length,
+      truncated
+    };
+  }
+
+  /**
+   * Quote a CSV cell when needed; cells starting with a formula character are prefixed
+   * so spreadsheets don't evaluate values users control (names, emails, ...)
+   * @param {*} cell - Cell value
+   * @returns {String} Escaped cell
+   */
+  escapeCSV(cell) {
+    let cellStr = cell == null ? '' : String(cell);
+    if (/^[=+\-@]/.test(cellStr)) {
+      cellStr = `'${cellStr}`;
+    }
+    if (/[",\n\r]/.test(cellStr)) {
+      return `"${cellStr.replace(/"/g, '""')}"`;
+    }
+    return cellStr;
+  }
+}
+
+export default AuditService;
@@ -1,5 +1,6 @@
 import redis from 'redis';
 import dotenv from 'dotenv';
+import { DEFAULT_CATEGORIES } from './categoryService.js';
 
 dotenv.config();
 
@@ -357,9 +358,7 @@ class CacheService {
       // Common filter combinations
       const filterCombinations = [
         { category: 'all', status: 'all' },
-        { category: 'illegal_dumping', status: 'all' },
-        { category: 'recyclable', status: 'all' },
-        { category: 'hazardous_waste', status: 'all' },
+        ...DEFAULT_CATEGORIES.map(category => ({ category: category.key, status: 'all' })),
         { category: 'all', status: 'Completed' },
         { category: 'all', status: 'Pending' }
       ];
@@ -535,6 +534,114 @@ class CacheService {
     }
   }
 
+  // Generic key/value helpers - these take absolute keys (no analytics prefix) so that
+  // non-analytics data such as login throttling state survives DELETE /api/analytics/cache
+
+  /**
+   * Get a JSON value stored under an absolute key
+   * @param {String} key - Absolute Redis key
+   * @returns {Promise<Object|null>} Stored value or null if missing/unavailable
+   */
+  async getValue(key) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const value = await this.client.get(key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      console.error('[ERROR] CacheService - getValue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a JSON value under an absolute key with TTL
+   * @param {String} key - Absolute Redis key
+   * @param {Object} value - Value to store
+   * @param {Number} ttl - Time to live in seconds
+   * @returns {Promise<Boolean>} Success status
+   */
+  async setValue(key, value, ttl) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      const result = await this.client.setEx(key, Math.max(1, Math.ceil(ttl)), JSON.stringify(value));
+      return result === 'OK';
+    } catch (error) {
+      console.error('[ERROR] CacheService - setValue:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Store a JSON value under an absolute key with TTL, unless the key already exists (SET NX)
+   * @param {String} key - Absolute Redis key
+   * @param {Object} value - Value to store
+   * @param {Number} ttl - Time to live in seconds
+   * @returns {Promise<Boolean|null>} True if stored, false if the key existed, null if unavailable
+   */
+  async setValueIfAbsent(key, value, ttl) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const result = await this.client.set(key, JSON.stringify(value), { NX: true, EX: Math.max(1, Math.ceil(ttl)) });
+      return result === 'OK';
+    } catch (error) {
+      console.error('[ERROR] CacheService - setValueIfAbsent:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Add one to a counter under an absolute key (INCR); a new counter expires after ttl seconds
+   * @param {String} key - Absolute Redis key
+   * @param {Number} ttl - Time to live in seconds of a new counter
+   * @returns {Promise<Object|null>} { count, ttl } with the seconds left, or null if unavailable
+   */
+  async incrementValue(key, ttl) {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    try {
+      const [count, remaining] = await this.client.multi().incr(key).ttl(key).exec();
+      // a new counter has no expiry yet; whoever sees that sets it
+      if (remaining < 0) {
+        const seconds = Math.max(1, Math.ceil(ttl));
+        await this.client.expire(key, seconds);
+        return { count: Number(count), ttl: seconds };
+      }
+      return { count: Number(count), ttl: Number(remaining) };
+    } catch (error) {
+      console.error('[ERROR] CacheService - incrementValue:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete a value stored under an absolute key
+   * @param {String} key - Absolute Redis key
+   * @returns {Promise<Boolean>} True if a key was deleted
+   */
+  async deleteValue(key) {
+    if (!this.isAvailable()) {
+      return false;
+    }
+
+    try {
+      return (await this.client.del(key)) > 0;
+    } catch (error) {
+      console.error('[ERROR] CacheService - deleteValue:', error.message);
+      return false;
+    }
+  }
+
   // Private helper methods
 
   /**
@@ -0,0 +1,351 @@
+import mongoose from 'mongoose';
+import Category, { CATEGORY_PRIORITIES } from '../models/Category.js';
+import Organization from '../models/Organization.js';
+import Report from '../models/report.js';
+import { SLA_TARGETS } from './slaService.js';
+
+// Material Symbols ligature names; the frontend renders the icon by its name
+const ICON_PATTERN = /^[a-z0-9_]{1,50}$/;
+
+// What a municipality starts with; admins edit them through /api/categories
+export const DEFAULT_CATEGORIES = [
+  { key: 'recyclable', name: 'Recyclable', icon: 'recycling', defaultPriority: 'low', sla: { resolveHours: 168 } },
+  {
+    key: 'illegal_dumping', name: 'Illegal dumping', icon: 'delete', defaultPriority: 'normal',
+    sla: { assignHours: 24, resolveHours: 72 }
+  },
+  {
+    key: 'hazardous_waste', name: 'Hazardous waste', icon: 'warning', defaultPriority: 'high',
+    sla: { assignHours: 4, startHours: 8, resolveHours: 24 }
+  }
+];
+
+/**
+ * Category Service - The waste categories each municipality accepts reports for
+ * Report validation, the report forms and the analytics breakdowns all read them from here
+ */
+class CategoryService {
+  constructor() {
+    // organizations whose categories exist, so the defaults are only checked once per process
+    this.seeded = new Set();
+  }
+
+  /**
+   * List a municipality's categories, in display order
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array>} Categories
+   */
+  async list(organization, options = {}) {
+    await this.ensureDefaults(organization);
+
+    const filter = { organization };
+    if (!options.includeInactive) {
+      filter.isActive = true;
+    }
+    return Category.find(filter).sort({ sortOrder: 1, name: 1 }).lean();
+  }
+
+  /**
+   * Category keys of a municipality
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} options - { includeInactive }; analytics include inactive ones for older reports
+   * @returns {Promise<Array>} Keys, e.g. ['recyclable', 'hazardous_waste']
+   */
+  async getKeys(organization, options = {}) {
+    const categories = await this.list(organization, options);
+    return categories.map(category => category.key);
+  }
+
+  /**
+   * Display names by key, for analytics and exports
+   * @param {ObjectId|null} organization - Organization id
+   * @returns {Promise<Object>} { key: name }
+   */
+  async getLabels(organization) {
+    const categories = await this.list(organization, { includeInactive: true });
+    return Object.fromEntries(categories.map(category => [category.key, category.name]));
+  }
+
+  /**
+   * Check the category (and subcategory) of a new report
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} key - Category key
+   * @param {String} subcategory - Optional subcategory key
+   * @returns {Promise<Object>} The category
+   */
+  async validateSelection(organization, key, subcategory) {
+    await this.ensureDefaults(organization);
+
+    const category = await Category.findOne({ organization, key: String(key || '').toLowerCase(), isActive: true }).lean();
+    if (!category) {
+      throw this.invalid('Invalid waste type');
+    }
+    if (subcategory && !category.subcategories.some(sub => sub.key === subcategory)) {
+      throw this.invalid(`Invalid subcategory for ${category.name}`);
+    }
+    return category;
+  }
+
+  /**
+   * Whether a report of the category can only be completed with after-photos
+   * Inactive categories count too: their open reports still have to be finished
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} key - Category key
+   * @returns {Promise<Boolean>} True if completion photos are required
+   */
+  async requiresCompletionPhotos(organization, key) {
+    const category = await Category.findOne({ organization, key }).select('requireCompletionPhotos').lean();
+    return Boolean(category?.requireCompletionPhotos);
+  }
+
+  /**
+   * Create a category
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} input - { key, name, icon, subcategories, defaultPriority, sla, requireCompletionPhotos, sortOrder, isActive }
+   * @returns {Promise<Object>} Created category
+   */
+  async create(organization, input) {
+    await this.ensureDefaults(organization);
+
+    const fields = this.normalize(input);
+    const key = String(input.key || '').toLowerCase().trim();
+    if (!/^[a-z0-9][a-z0-9_]{1,39}$/.test(key)) {
+      throw this.invalid('Key must be 2-40 lowercase letters, digits or underscores, e.g. "bulky_waste"');
+    }
+    if (!fields.name) {
+      throw this.invalid('Name is required');
+    }
+
+    try {
+      return await Category.create({ ...fields, key, organization });
+    } catch (error) {
+      throw this.translateDuplicate(error);
+    }
+  }
+
+  /**
+   * Change a category; the key stays as it is stored on reports
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Category id
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object|null>} { category, before } or null if not found
+   */
+  async update(organization, id, input) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const category = await Category.findOne({ _id: id, organization });
+    if (!category) {
+      return null;
+    }
+    if (input.key !== undefined && input.key !== category.key) {
+      throw this.invalid('The key of a category cannot be changed');
+    }
+
+    const before = this.snapshot(category);
+    const fields = this.normalize(input);
+    if (fields.name === '') {
+      throw this.invalid('Name cannot be empty');
+    }
+
+    category.set(fields);
+    await category.save();
+    return { category, before };
+  }
+
+  /**
+   * Delete a category nobody has reported yet; used ones can only be deactivated
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Category id
+   * @returns {Promise<Object|null>} Deleted category or null if not found
+   */
+  async remove(organization, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const category = await Category.findOne({ _id: id, organization });
+    if (!category) {
+      return null;
+    }
+
+    const reportCount = await Report.countDocuments({ organization, category: category.key });
+    if (reportCount > 0) {
+      throw this.invalid(`${reportCount} reports use this category. Deactivate it instead`);
+    }
+
+    await category.deleteOne();
+    return category;
+  }
+
+  /**
+   * Plain copy of the editable fields, for audit entries
+   * @param {Object} category - Category document
+   * @returns {Object} Editable fields
+   */
+  snapshot(category) {
+    return {
+      key: category.key,
+      name: category.name,
+      icon: category.icon,
+      subcategories: (category.subcategories || []).map(sub => sub.key),
+      defaultPriority: category.defaultPriority,
+      sla: Object.values(SLA_TARGETS).map(field => `${field}=${category.sla?.[field] ?? ''}`).join(' '),
+      requireCompletionPhotos: Boolean(category.requireCompletionPhotos),
+      sortOrder: category.sortOrder,
+      isActive: category.isActive
+    };
+  }
+
+  // Private helper methods
+
+  // A municipality without categories gets the ones its Organization document listed
+  // before categories had their own collection, or the defaults
+  async ensureDefaults(organization) {
+    const cacheKey = String(organization);
+    if (this.seeded.has(cacheKey)) {
+      return;
+    }
+
+    if (!(await Category.exists({ organization }))) {
+      const legacy = organization
+        ? (await Organization.findById(organization).select('categories').lean())?.categories
+        : null;
+      const categories = legacy?.length
+        ? legacy.map(key => DEFAULT_CATEGORIES.find(category => category.key === key) || { key, name: this.toName(key) })
+        : DEFAULT_CATEGORIES;
+
+      try {
+        await Category.insertMany(
+          categories.map((category, index) => ({ ...category, organization, sortOrder: index })),
+          { ordered: false }
+        );
+      } catch (error) {
+        // another request seeded them at the same time
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    this.seeded.add(cacheKey);
+  }
+
+  // Validates the given fields; anything not in input is left out so updates stay partial
+  normalize(input) {
+    const fields = {};
+
+    if (input.name !== undefined) fields.name = String(input.name || '').trim();
+    if (input.icon !== undefined) {
+      const icon = input.icon ? String(input.icon).trim() : '';
+      if (icon && !ICON_PATTERN.test(icon)) {
+        throw this.invalid('icon must be a Material Symbols name: 1-50 lowercase letters, digits or underscores, e.g. "recycling"');
+      }
+      fields.icon = icon || undefined;
+    }
+    if (input.isActive !== undefined) fields.isActive = input.isActive === true || input.isActive === 'true';
+    if (input.requireCompletionPhotos !== undefined) {
+      fields.requireCompletionPhotos = input.requireCompletionPhotos === true || input.requireCompletionPhotos === 'true';
+    }
+
+    if (input.defaultPriority !== undefined) {
+      if (!CATEGORY_PRIORITIES.includes(input.defaultPriority)) {
+        throw this.invalid(`defaultPriority must be one of: ${CATEGORY_PRIORITIES.join(', ')}`);
+      }
+      fields.defaultPriority = input.defaultPriority;
+    }
+
+    if (input.sortOrder !== undefined) {
+      const sortOrder = Number(input.sortOrder);
+      if (!Number.isInteger(sortOrder)) {
+        throw this.invalid('sortOrder must be a whole number');
+      }
+      fields.sortOrder = sortOrder;
+    }
+
+    if (input.subcategories !== undefined) {
+      fields.subcategories = this.normalizeSubcategories(input.subcategories);
+    }
+
+    if (input.sla !== undefined) {
+      fields.sla = this.normalizeSla(input.sla);
+    }
+
+    return fields;
+  }
+
+  // Accepts names ("Car tyres") or { key, name } objects; keys are derived from names when missing
+  normalizeSubcategories(subcategories) {
+    if (subcategories === null) {
+      return [];
+    }
+    if (!Array.isArray(subcategories)) {
+      throw this.invalid('subcategories must be an array');
+    }
+
+    const normalized = subcategories.map(sub => {
+      const name = String((typeof sub === 'object' && sub !== null ? sub.name : sub) || '').trim();
+      const key = typeof sub === 'object' && sub?.key ? String(sub.key).toLowerCase().trim() : this.toKey(name);
+      if (!name || !key) {
+        throw this.invalid('Each subcategory needs a name');
+      }
+      return { key, name };
+    });
+
+    const keys = normalized.map(sub => sub.key);
+    if (new Set(keys).size !== keys.length) {
+      throw this.invalid('Subcategory names must be unique');
+    }
+    return normalized;
+  }
+
+  // { assignHours, startHours, resolveHours }; null or empty values remove a target
+  normalizeSla(sla) {
+    if (sla === null) {
+      return {};
+    }
+    if (typeof sla !== 'object' || Array.isArray(sla)) {
+      throw this.invalid('sla must be an object, e.g. { "resolveHours": 24 }');
+    }
+
+    const unknown = Object.keys(sla).filter(field => !Object.values(SLA_TARGETS).includes(field));
+    if (unknown.length) {
+      throw this.invalid(`Unknown SLA target: ${unknown.join(', ')}. Use ${Object.values(SLA_TARGETS).join(', ')}`);
+    }
+
+    const normalized = {};
+    Object.values(SLA_TARGETS).forEach(field => {
+      if (sla[field] === undefined || sla[field] === null || sla[field] === '') return;
+      const hours = Number(sla[field]);
+      if (!Number.isFinite(hours) || hours <= 0) {
+        throw this.invalid(`${field} must be a positive number of hours`);
+      }
+      normalized[field] = hours;
+    });
+    return normalized;
+  }
+
+  toKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+  }
+
+  toName(key) {
+    const name = key.replace(/_/g, ' ');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  translateDuplicate(error) {
+    if (error.code === 11000) {
+      return this.invalid('A category with this key already exists');
+    }
+    return error;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+export default CategoryService;
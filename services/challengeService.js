@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import CacheService from './cacheService.js';
+import { MemoryStore } from '../utils/memoryStore.js';
+
+/**
+ * Proof-of-work challenge - the client searches for a solution whose SHA-256 hash of
+ * "<token>:<solution>" starts with `difficulty` zero bits. Costs a browser a second or two,
+ * needs no third party, and the signed token keeps the server stateless until it is used
+ */
+class ProofOfWorkChallenge {
+  constructor() {
+    this.name = 'pow';
+    this.difficulty = parseInt(process.env.CHALLENGE_POW_DIFFICULTY) || 18;
+    // the audience keeps a challenge token from passing for any other token signed with the same secret
+    this.secret = process.env.CHALLENGE_SECRET || process.env.JWT_SECRET || 'my-secret-token';
+    this.tokenOptions = { issuer: 'cleancity', audience: 'cleancity:report-challenge' };
+    this.ttlSeconds = 10 * 60;
+  }
+
+  async issue() {
+    const token = jwt.sign(
+      { nonce: crypto.randomBytes(12).toString('hex'), difficulty: this.difficulty, purpose: 'report_challenge' },
+      this.secret,
+      { ...this.tokenOptions, expiresIn: this.ttlSeconds }
+    );
+    return { type: 'pow', token, difficulty: this.difficulty, algorithm: 'sha256' };
+  }
+
+  // returns the nonce, so the caller can refuse a solved token that is sent twice
+  async verify(input) {
+    let payload;
+    try {
+      payload = jwt.verify(String(input.token || ''), this.secret, { ...this.tokenOptions, algorithms: ['HS256'] });
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      return { valid: false, reason: expired ? 'The challenge expired. Please try again' : 'Invalid challenge' };
+    }
+    if (payload.purpose !== 'report_challenge') {
+      return { valid: false, reason: 'Invalid challenge' };
+    }
+
+    const hash = crypto.createHash('sha256').update(`${input.token}:${input.solution ?? ''}`).digest();
+    if (leadingZeroBits(hash) < payload.difficulty) {
+      return { valid: false, reason: 'The challenge was not solved' };
+    }
+    return { valid: true, id: payload.nonce, expiresAt: payload.exp * 1000 };
+  }
+}
+
+const CAPTCHA_VERIFY_URLS = {
+  hcaptcha: 'https://api.hcaptcha.com/siteverify',
+  recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+  turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify'
+};
+
+/**
+ * Captcha challenge - hCaptcha, reCAPTCHA or Turnstile; the browser renders the widget with
+ * the site key and sends its response token, which is checked with the provider's siteverify API
+ */
+class CaptchaChallenge {
+  constructor(provider) {
+    this.name = provider;
+    this.siteKey = process.env.CAPTCHA_SITE_KEY || '';
+    this.secret = process.env.CAPTCHA_SECRET || '';
+    this.verifyUrl = CAPTCHA_VERIFY_URLS[provider];
+    this.requestTimeout = 10000;
+  }
+
+  async issue() {
+    return { type: 'captcha', provider: this.name, siteKey: this.siteKey };
+  }
+
+  // the provider itself refuses a response token used twice
+  async verify(input, ip) {
+    if (!input.response) {
+      return { valid: false, reason: 'Please complete the captcha' };
+    }
+
+    const body = new URLSearchParams({ secret: this.secret, response: String(input.response) });
+    if (ip) body.set('remoteip', ip);
+
+    try {
+      const response = await fetch(this.verifyUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        body,
+        signal: AbortSignal.timeout(this.requestTimeout)
+      });
+      const result = await response.json().catch(() => ({}));
+      return result.success ? { valid: true } : { valid: false, reason: 'The captcha was not accepted. Please try again' };
+    } catch (error) {
+      console.error(`[ERROR] ChallengeService - ${this.name} siteverify:`, error.message);
+      return { valid: false, reason: 'The captcha could not be checked. Please try again' };
+    }
+  }
+}
+
+/**
+ * No challenge - for development and tests; rate limiting still applies
+ */
+class NoChallenge {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async issue() {
+    return { type: 'none' };
+  }
+
+  async verify() {
+    return { valid: true };
+  }
+}
+
+const providers = {
+  pow: () => new ProofOfWorkChallenge(),
+  hcaptcha: () => new CaptchaChallenge('hcaptcha'),
+  recaptcha: () => new CaptchaChallenge('recaptcha'),
+  turnstile: () => new CaptchaChallenge('turnstile'),
+  none: () => new NoChallenge()
+};
+
+/**
+ * Challenge Service - Proves a human (or at least some effort) is behind an anonymous submission
+ * The provider is chosen with REPORT_CHALLENGE (pow | hcaptcha | recaptcha | turnstile | none), or
+ * any object with async issue() and verify(input, ip) methods can be passed in directly
+ */
+class ChallengeService {
+  /**
+   * @param {Object} options - { provider, cacheService } provider instance or name
+   */
+  constructor(options = {}) {
+    this.provider = typeof options.provider === 'object'
+      ? options.provider
+      : this.createProvider(options.provider || process.env.REPORT_CHALLENGE || 'pow');
+    this.cacheService = options.cacheService || new CacheService();
+    this.memoryStore = new MemoryStore();
+    this.keyPrefix = 'cleancity:challenge:used:';
+  }
+
+  /**
+   * A new challenge for the client to solve
+   * @returns {Promise<Object>} { type, ... } - pow: { token, difficulty, algorithm }; captcha: { provider, siteKey }
+   */
+  async issue() {
+    return this.provider.issue();
+  }
+
+  /**
+   * Check a solved challenge; each one is accepted once
+   * @param {Object} input - pow: { token, solution }; captcha: { response }
+   * @param {String} ip - Client IP
+   * @returns {Promise<Object>} { valid, reason }
+   */
+  async verify(input = {}, ip) {
+    const result = await this.provider.verify(input, ip);
+    if (!result.valid || !result.id) {
+      return { valid: result.valid, reason: result.reason || null };
+    }
+
+    // marking it used is the check: of two submissions with the same solution, only one gets to store it
+    const key = `${this.keyPrefix}${this.provider.name}:${result.id}`;
+    const ttl = Math.max(1, Math.ceil(((result.expiresAt || Date.now()) - Date.now()) / 1000));
+    if (!(await this.markUsed(key, ttl))) {
+      return { valid: false, reason: 'This challenge was already used. Please try again' };
+    }
+    return { valid: true, reason: null };
+  }
+
+  // Private helper methods
+
+  createProvider(name) {
+    const factory = providers[name];
+    if (!factory) {
+      throw new Error(`Unknown REPORT_CHALLENGE "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return factory();
+  }
+
+  async markUsed(key, ttl) {
+    if (this.cacheService.isAvailable()) {
+      const stored = await this.cacheService.setValueIfAbsent(key, true, ttl);
+      if (stored !== null) return stored;
+    }
+    return this.memoryStore.setIfAbsent(key, true, ttl);
+  }
+}
+
+// Number of zero bits at the start of a hash
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+export default ChallengeService;
@@ -0,0 +1,118 @@
+import Comment, { COMMENT_VISIBILITIES } from '../models/Comment.js';
+
+/**
+ * Comment Service - Comment threads on reports between reporters, staff and drivers
+ * Staff (reports:read) and the assigned driver see every comment and may post internal ones;
+ * reporters, including those of merged duplicates, only see and post public comments
+ */
+class CommentService {
+  constructor() {
+    this.maxBodyLength = 2000;
+    this.maxPhotos = 3;
+  }
+
+  /**
+   * Work out how a user takes part in a report's thread
+   * @param {Object} report - Report document
+   * @param {Object} user - req.user
+   * @param {Array} permissions - req.permissions
+   * @returns {Object|null} { role, internal } or null if the user has no access to the report
+   */
+  getAccess(report, user, permissions = []) {
+    const userId = String(user.id || user._id || '');
+    const assignedDriver = report.assignedDriver?._id || report.assignedDriver;
+
+    if (permissions.includes('reports:read')) {
+      return { role: 'staff', internal: true };
+    }
+    if (permissions.includes('reports:work') && assignedDriver && String(assignedDriver) === userId) {
+      return { role: 'driver', internal: true };
+    }
+
+    const reporters = [report.user, ...(report.additionalReporters || [])]
+      .filter(Boolean)
+      .map(reporter => String(reporter._id || reporter));
+    if (userId && reporters.includes(userId)) {
+      return { role: 'reporter', internal: false };
+    }
+    return null;
+  }
+
+  /**
+   * Comments of a report the user may see, oldest first
+   * @param {Object} report - Report document
+   * @param {Object} access - From getAccess()
+   * @returns {Promise<Array>} Comments with the author's name
+   */
+  async list(report, access) {
+    const filter = { report: report._id };
+    if (!access.internal) {
+      filter.visibility = 'public';
+    }
+    return Comment.find(filter)
+      .populate('author', 'fullname')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Check a new comment before its photos are uploaded
+   * @param {Object} access - From getAccess()
+   * @param {Object} input - { body, visibility }; staff comments are internal unless visibility says otherwise
+   * @param {Number} photoCount - Number of attached photos
+   * @returns {Object} { body, visibility }
+   */
+  prepare(access, input, photoCount = 0) {
+    const body = String(input.body || '').trim();
+    if (!body && photoCount === 0) {
+      throw this.invalid('Write a comment or attach a photo');
+    }
+    if (body.length > this.maxBodyLength) {
+      throw this.invalid(`Comments are limited to ${this.maxBodyLength} characters`);
+    }
+    if (photoCount > this.maxPhotos) {
+      throw this.invalid(`A comment can have at most ${this.maxPhotos} photos`);
+    }
+
+    const visibility = input.visibility || (access.internal ? 'internal' : 'public');
+    if (!COMMENT_VISIBILITIES.includes(visibility)) {
+      throw this.invalid(`visibility must be one of: ${COMMENT_VISIBILITIES.join(', ')}`);
+    }
+    if (visibility === 'internal' && !access.internal) {
+      throw this.invalid('Only staff can post internal comments');
+    }
+
+    return { body, visibility };
+  }
+
+  /**
+   * Add a comment
+   * @param {Object} report - Report document
+   * @param {Object} user - req.user
+   * @param {Object} access - From getAccess()
+   * @param {Object} fields - From prepare()
+   * @param {Array} photos - Uploaded photo URLs
+   * @returns {Promise<Object>} Comment with the author's name
+   */
+  async create(report, user, access, fields, photos = []) {
+    const comment = await Comment.create({
+      ...fields,
+      photos,
+      report: report._id,
+      organization: report.organization || null,
+      author: user.id,
+      authorRole: access.role
+    });
+    return comment.populate('author', 'fullname');
+  }
+
+  // Private helper methods
+
+  invalid(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+export default CommentService;
@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import Report from '../models/report.js';
+import { toTenantMatch } from '../utils/tenant.js';
+import { boundingBox, distanceMeters } from '../utils/geo.js';
+
+const OPEN_STATUSES = ['Pending', 'Assigned', 'In Progress'];
+// anonymous reports an admin hasn't approved yet, or marked as spam, aren't shown to citizens
+const HIDDEN_MODERATION = ['pending', 'spam'];
+
+/**
+ * Confirmation Service - "Me too" confirmations of open reports
+ * Citizens who see waste that was already reported confirm the existing report instead of
+ * filing a duplicate; each citizen confirms a report once and the count feeds its priority
+ */
+class ConfirmationService {
+  constructor() {
+    this.radiusMeters = parseFloat(process.env.CONFIRMATION_RADIUS_METERS) || 250;
+  }
+
+  /**
+   * Open reports around a point that the citizen could confirm, closest first
+   * Only what can be seen on the street is returned, not who filed the report
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} point - { latitude, longitude }
+   * @param {Object} options - { category, userId }
+   * @returns {Promise<Array>} { _id, category, subcategory, address, status, createdAt, distanceMeters,
+   *   confirmationCount, confirmedByMe, isMine }
+   */
+  async findNearby(organization, point, options = {}) {
+    const { category, userId } = options;
+    const filter = {
+      organization,
+      status: { $in: OPEN_STATUSES },
+      'moderation.status': { $nin: HIDDEN_MODERATION },
+      ...boundingBox(point.latitude, point.longitude, this.radiusMeters)
+    };
+    if (category) {
+      filter.category = category;
+    }
+
+    const reports = await Report.find(filter)
+      .select('category subcategory address status createdAt latitude longitude user additionalReporters confirmations confirmationCount')
+      .lean();
+
+    return reports
+      .map(report => ({
+        _id: report._id,
+        category: report.category,
+        subcategory: report.subcategory,
+        address: report.address,
+        status: report.status,
+        createdAt: report.createdAt,
+        distanceMeters: Math.round(distanceMeters(point.latitude, point.longitude, report.latitude, report.longitude)),
+        confirmationCount: report.confirmationCount || 0,
+        confirmedByMe: (report.confirmations || []).some(entry => String(entry.user) === String(userId)),
+        isMine: this.isReporter(report, userId)
+      }))
+      .filter(report => report.distanceMeters <= this.radiusMeters)
+      .sort((a, b) => a.distanceMeters - b.distanceMeters);
+  }
+
+  /**
+   * Confirm an open report; confirming it again changes nothing
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} reportId - Report id
+   * @param {String} userId - Confirming citizen
+   * @returns {Promise<Object|null>} { report, added } or null if the report doesn't exist
+   */
+  async confirm(organization, reportId, userId) {
+    const report = await this.findReport(organization, reportId);
+    if (!report) {
+      return null;
+    }
+    if (this.isReporter(report, userId)) {
+      throw this.invalid('You reported this yourself');
+    }
+    if (!OPEN_STATUSES.includes(report.status)) {
+      throw this.invalid(`Only open reports can be confirmed; this one is ${report.status}`);
+    }
+
+    // the filter makes a second confirmation by the same citizen a no-op, even when sent twice at once
+    const updated = await Report.findOneAndUpdate(
+      { _id: report._id, status: { $in: OPEN_STATUSES }, 'confirmations.user': { $ne: userId } },
+      { $push: { confirmations: { user: userId, createdAt: new Date() } }, $inc: { confirmationCount: 1 } },
+      { new: true }
+    );
+    if (updated) {
+      return { report: updated, added: true };
+    }
+    return { report: await Report.findById(report._id), added: false };
+  }
+
+  /**
+   * Take back a confirmation
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} reportId - Report id
+   * @param {String} userId - Citizen who confirmed it
+   * @returns {Promise<Object|null>} { report, removed } or null if the report doesn't exist
+   */
+  async unconfirm(organization, reportId, userId) {
+    const report = await this.findReport(organization, reportId);
+    if (!report) {
+      return null;
+    }
+
+    const updated = await Report.findOneAndUpdate(
+      { _id: report._id, 'confirmations.user': userId },
+      { $pull: { confirmations: { user: userId } }, $inc: { confirmationCount: -1 } },
+      { new: true }
+    );
+    if (updated) {
+      return { report: updated, removed: true };
+    }
+    return { report, removed: false };
+  }
+
+  /**
+   * How much citizens confirm the reports filed in a date range
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} dateRange - { startDate, endDate }
+   * @param {Object} filters - { category }
+   * @returns {Promise<Object>} { overall, byCategory, mostConfirmed }
+   */
+  async getStats(organization, dateRange, filters = {}) {
+    const match = {
+      organization: toTenantMatch(organization),
+      createdAt: { $gte: dateRange.startDate, $lte: dateRange.endDate }
+    };
+    if (filters.category && filters.category !== 'all') {
+      match.category = filters.category;
+    }
+
+    const [byCategory, mostConfirmed] = await Promise.all([
+      Report.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$category',
+            reports: { $sum: 1 },
+            confirmedReports: { $sum: { $cond: [{ $gt: ['$confirmationCount', 0] }, 1, 0] } },
+            confirmations: { $sum: { $ifNull: ['$confirmationCount', 0] } }
+          }
+        }
+      ]),
+      Report.find({ ...match, status: { $in: OPEN_STATUSES }, confirmationCount: { $gt: 0 } })
+        .select('category address status createdAt confirmationCount priority.level')
+        .sort({ confirmationCount: -1, createdAt: 1 })
+        .limit(10)
+        .lean()
+    ]);
+
+    const overall = byCategory.reduce(
+      (totals, row) => ({
+        reports: totals.reports + row.reports,
+        confirmedReports: totals.confirmedReports + row.confirmedReports,
+        confirmations: totals.confirmations + row.confirmations
+      }),
+      { reports: 0, confirmedReports: 0, confirmations: 0 }
+    );
+
+    return {
+      overall: this.withRates(overall),
+      byCategory: byCategory
+        .map(({ _id, ...counts }) => ({ category: _id, ...this.withRates(counts) }))
+        .sort((a, b) => b.confirmations - a.confirmations),
+      mostConfirmed
+    };
+  }
+
+  // Private helper methods
+
+  async findReport(organization, reportId) {
+    if (!mongoose.isValidObjectId(reportId)) {
+      return null;
+    }
+    return Report.findOne({ _id: reportId, organization, 'moderation.status': { $nin: HIDDEN_MODERATION } })
+      .select('status user additionalReporters organization confirmationCount');
+  }
+
+  // reporters of the report and of duplicates merged into it count as having filed it
+  isReporter(report, userId) {
+    return Boolean(userId) && [report.user, ...(report.additionalReporters || [])]
+      .some(reporter => reporter && String(reporter) === String(userId));
+  }
+
+  // confirmedRate: share of reports confirmed at least once; averageConfirmations: per confirmed report
+  withRates(counts) {
+    return {
+      ...counts,
+      confirmedRate: counts.reports ? Math.round((counts.confirmedReports / counts.reports) * 1000) / 10 : 0,
+      averageConfirmations: counts.confirmedReports
+        ? Math.round((counts.confirmations / counts.confirmedReports) * 10) / 10
+        : 0
+    };
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+export default ConfirmationService;
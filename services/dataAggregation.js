@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import Report from '../models/report.js';
 import User from '../models/User.js';
+import { toTenantMatch } from '../utils/tenant.js';
 
 /**
  * Data Aggregation Service - Optimized MongoDB aggregation pipelines for analytics
@@ -8,14 +9,13 @@ import User from '../models/User.js';
  */
 class DataAggregationService {
   constructor() {
-    this.validCategories = ['recyclable', 'illegal_dumping', 'hazardous_waste'];
     this.validStatuses = ['Pending', 'Assigned', 'In Progress', 'Completed', 'Rejected'];
   }
 
   /**
    * Aggregate trend data by category and date range
    * @param {Object} dateRange - { startDate, endDate }
-   * @param {Object} filters - Optional filters { category, status }
+   * @param {Object} filters - Optional filters { category, status, organization }
    * @returns {Promise<Array>} Aggregated trend data
    */
   async aggregateTrendsByCategory(dateRange, filters = {}) {
@@ -31,6 +31,8 @@ class DataAggregationService {
         matchStage.category = filters.category;
       }
 
+      this.applyTenantFilter(matchStage, filters);
+
       if (filters.status && filters.status !== 'all') {
         matchStage.status = filters.status;
       }
@@ -107,12 +109,16 @@ class DataAggregationService {
         matchStage.category = filters.category;
       }
 
+      this.applyTenantFilter(matchStage, filters);
+
       const pipeline = [
         { $match: matchStage },
         {
           $group: {
             _id: "$status",
             count: { $sum: 1 },
+            // reports filed without an account, so they can be told apart from registered ones
+            anonymousCount: { $sum: { $cond: [{ $eq: ["$anonymous", true] }, 1, 0] } },
             averageResolutionTime: {
               $avg: {
                 $cond: [
@@ -126,6 +132,7 @@ class DataAggregationService {
               $push: {
                 id: "$_id",
                 category: "$category",
+                anonymous: "$anonymous",
                 createdAt: "$createdAt",
                 updatedAt: "$updatedAt",
                 resolutionTime: {
@@ -143,6 +150,7 @@ class DataAggregationService {
           $project: {
             status: "$_id",
             count: 1,
+            anonymousCount: 1,
             averageResolutionTime: {
               $cond: [
                 { $ne: ["$averageResolutionTime", null] },
@@ -195,6 +203,8 @@ class DataAggregationService {
         matchStage.category = filters.category;
       }
 
+      this.applyTenantFilter(matchStage, filters);
+
       if (filters.dateRange) {
         const { startDate, endDate } = this.validateDateRange(filters.dateRange);
         matchStage.createdAt = { $gte: startDate, $lte: endDate };
@@ -280,6 +290,8 @@ class DataAggregationService {
         matchStage.category = filters.category;
       }
 
+      this.applyTenantFilter(matchStage, filters);
+
       if (filters.dateRange) {
         const { startDate, endDate } = this.validateDateRange(filters.dateRange);
         matchStage.createdAt = { $gte: startDate, $lte: endDate };
@@ -354,6 +366,8 @@ class DataAggregationService {
         matchStage.category = filters.category;
       }
 
+      this.applyTenantFilter(matchStage, filters);
+
       const pipeline = [
         { $match: matchStage },
         {
@@ -457,6 +471,8 @@ class DataAggregationService {
         matchStage.category = filters.category;
       }
 
+      this.applyTenantFilter(matchStage, filters);
+
       const pipeline = [
         { $match: matchStage },
         {
@@ -536,9 +552,11 @@ class DataAggregationService {
    */
   formatStatusResults(results) {
     const totalReports = results.reduce((sum, status) => sum + status.count, 0);
+    const anonymousReports = results.reduce((sum, status) => sum + (status.anonymousCount || 0), 0);
     
     return {
       totalReports,
+      anonymousReports,
       statusDistribution: results.map(status => ({
         ...status,
         percentage: totalReports > 0 ? Math.round((status.count / totalReports) * 100) : 0
@@ -838,7 +856,7 @@ class DataAggregationService {
   async estimateDatasetSize(matchCriteria = {}) {
     try {
       const pipeline = [
-        { $match: matchCriteria },
+        { $match: this.applyTenantFilter({ ...matchCriteria }, matchCriteria) },
         {
           $group: {
             _id: null,
@@ -948,6 +966,18 @@ class DataAggregationService {
     };
   }
 
+  /**
+   * Restrict a match stage to one organization (municipality)
+   * Always applied, so a caller that forgets to pass one only sees reports without an organization
+   * @param {Object} matchStage - $match stage to extend
+   * @param {Object} filters - Filters carrying { organization }
+   * @returns {Object} The extended match stage
+   */
+  applyTenantFilter(matchStage, filters = {}) {
+    matchStage.organization = toTenantMatch(filters.organization);
+    return matchStage;
+  }
+
   /**
    * Validate date range with comprehensive error handling
    * @param {Object} dateRange - { startDate, endDate }
@@ -0,0 +1,340 @@
+import mongoose from 'mongoose';
+import Depot from '../models/Depot.js';
+import User from '../models/User.js';
+import { toTenantMatch } from '../utils/tenant.js';
+
+/**
+ * Depot Service - Depots/teams of drivers, their supervisors and service areas
+ * A depot's report queue holds the reports inside its service area plus everything
+ * assigned to its drivers
+ */
+class DepotService {
+  constructor() {
+    this.maxAreaPositions = 1000;
+  }
+
+  /**
+   * List a municipality's depots with their supervisor and team size
+   * @param {ObjectId|null} organization - Organization id
+   * @returns {Promise<Array>} Depots
+   */
+  async list(organization) {
+    const [depots, counts] = await Promise.all([
+      Depot.find({ organization })
+        .populate('supervisor', 'fullname email')
+        .sort({ name: 1 })
+        .lean(),
+      User.aggregate([
+        { $match: { organization: toTenantMatch(organization), depot: { $ne: null }, isActive: { $ne: false } } },
+        { $group: { _id: '$depot', driverCount: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countByDepot = new Map(counts.map(count => [String(count._id), count.driverCount]));
+    return depots.map(depot => ({ ...depot, driverCount: countByDepot.get(String(depot._id)) || 0 }));
+  }
+
+  /**
+   * Get one depot with its drivers
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Depot id
+   * @returns {Promise<Object|null>} Depot with a drivers array, or null if not found
+   */
+  async get(organization, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const depot = await Depot.findOne({ _id: id, organization })
+      .populate('supervisor', 'fullname email')
+      .lean();
+    if (!depot) {
+      return null;
+    }
+
+    const drivers = await User.find({ organization, depot: depot._id })
+      .select('fullname email role isActive')
+      .sort({ fullname: 1 })
+      .lean();
+
+    return { ...depot, drivers };
+  }
+
+  /**
+   * Create a depot
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} input - { name, address, serviceArea, supervisor }
+   * @returns {Promise<Object>} Created depot
+   */
+  async create(organization, input) {
+    const fields = await this.normalize(organization, input);
+    if (!fields.name) {
+      throw this.invalid('Name is required');
+    }
+
+    try {
+      return await Depot.create({ ...fields, organization });
+    } catch (error) {
+      throw this.translateDuplicate(error);
+    }
+  }
+
+  /**
+   * Change a depot's name, address, service area, supervisor or active flag
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Depot id
+   * @param {Object} input - Fields to change; null clears the service area or supervisor
+   * @returns {Promise<Object|null>} { depot, before } or null if not found
+   */
+  async update(organization, id, input) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const depot = await Depot.findOne({ _id: id, organization });
+    if (!depot) {
+      return null;
+    }
+
+    const before = this.snapshot(depot);
+    const fields = await this.normalize(organization, input);
+    if (fields.name === '') {
+      throw this.invalid('Name cannot be empty');
+    }
+
+    Object.entries(fields).forEach(([field, value]) => {
+      depot.set(field, value === null ? undefined : value);
+    });
+
+    try {
+      await depot.save();
+    } catch (error) {
+      throw this.translateDuplicate(error);
+    }
+
+    return { depot, before };
+  }
+
+  /**
+   * Delete a depot; its drivers are left without one
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Depot id
+   * @returns {Promise<Object|null>} { depot, releasedDrivers } or null if not found
+   */
+  async remove(organization, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const depot = await Depot.findOneAndDelete({ _id: id, organization });
+    if (!depot) {
+      return null;
+    }
+
+    const released = await User.updateMany({ depot: depot._id }, { $unset: { depot: 1 } });
+    return { depot, releasedDrivers: released.modifiedCount };
+  }
+
+  /**
+   * Move a driver into a depot (a driver belongs to one depot at a time)
+   * @param {Object} depot - Depot document
+   * @param {Object} driver - User document
+   * @returns {Promise<ObjectId|null>} The depot the driver was in before
+   */
+  async addDriver(depot, driver) {
+    const previousDepot = driver.depot || null;
+    await User.updateOne({ _id: driver._id }, { depot: depot._id });
+    return previousDepot;
+  }
+
+  /**
+   * Take a driver out of a depot
+   * @param {Object} depot - Depot document
+   * @param {String} driverId - User id
+   * @returns {Promise<Boolean>} False if the driver was not in the depot
+   */
+  async removeDriver(depot, driverId) {
+    if (!mongoose.isValidObjectId(driverId)) {
+      return false;
+    }
+    const result = await User.updateOne({ _id: driverId, depot: depot._id }, { $unset: { depot: 1 } });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Ids of a depot's drivers
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} depotId - Depot id
+   * @returns {Promise<Array>} User ids
+   */
+  async getDriverIds(organization, depotId) {
+    const drivers = await User.find({ organization, depot: depotId }).select('_id').lean();
+    return drivers.map(driver => driver._id);
+  }
+
+  /**
+   * Work out which reports belong to a depot's queue
+   * The query narrows reports down by bounding box; contains() does the exact polygon test
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} depotId - Depot id
+   * @returns {Promise<Object|null>} { query, contains(report) } or null if the depot doesn't exist
+   */
+  async getReportScope(organization, depotId) {
+    if (!mongoose.isValidObjectId(depotId)) {
+      return null;
+    }
+
+    const depot = await Depot.findOne({ _id: depotId, organization }).lean();
+    if (!depot) {
+      return null;
+    }
+
+    const driverIds = await this.getDriverIds(organization, depot._id);
+    const area = depot.serviceArea?.coordinates?.length ? depot.serviceArea : null;
+
+    const conditions = [{ assignedDriver: { $in: driverIds } }];
+    if (area) {
+      const positions = area.coordinates[0];
+      const longitudes = positions.map(([longitude]) => longitude);
+      const latitudes = positions.map(([, latitude]) => latitude);
+      conditions.push({
+        longitude: { $gte: Math.min(...longitudes), $lte: Math.max(...longitudes) },
+        latitude: { $gte: Math.min(...latitudes), $lte: Math.max(...latitudes) }
+      });
+    }
+
+    const driverSet = new Set(driverIds.map(String));
+    const contains = (report) => {
+      const assignedDriver = report.assignedDriver?._id || report.assignedDriver;
+      if (assignedDriver && driverSet.has(String(assignedDriver))) {
+        return true;
+      }
+      return !!area && report.latitude != null && report.longitude != null &&
+        this.containsPoint(area, report.longitude, report.latitude);
+    };
+
+    return { query: { $or: conditions }, contains };
+  }
+
+  /**
+   * Test whether a point lies inside a GeoJSON polygon (holes excluded)
+   * @param {Object} polygon - GeoJSON Polygon
+   * @param {Number} longitude - Longitude
+   * @param {Number} latitude - Latitude
+   * @returns {Boolean} True if the point is inside
+   */
+  containsPoint(polygon, longitude, latitude) {
+    const [outer, ...holes] = polygon.coordinates;
+    return this.ringContains(outer, longitude, latitude) &&
+      !holes.some(hole => this.ringContains(hole, longitude, latitude));
+  }
+
+  /**
+   * Plain copy of the editable fields, for audit entries
+   * @param {Object} depot - Depot document
+   * @returns {Object} Editable fields
+   */
+  snapshot(depot) {
+    return {
+      name: depot.name,
+      address: depot.address,
+      supervisor: depot.supervisor?._id || depot.supervisor,
+      isActive: depot.isActive,
+      serviceArea: depot.serviceArea?.coordinates?.length ? 'set' : 'none'
+    };
+  }
+
+  // Private helper methods
+
+  // Validates the given fields; anything not in input is left out so updates stay partial
+  async normalize(organization, input) {
+    const fields = {};
+
+    if (input.name !== undefined) fields.name = String(input.name || '').trim();
+    if (input.address !== undefined) fields.address = input.address ? String(input.address).trim() : null;
+    if (input.isActive !== undefined) fields.isActive = input.isActive === true || input.isActive === 'true';
+
+    if (input.serviceArea !== undefined) {
+      fields.serviceArea = input.serviceArea === null ? null : this.validateServiceArea(input.serviceArea);
+    }
+
+    if (input.supervisor !== undefined) {
+      if (input.supervisor === null || input.supervisor === '') {
+        fields.supervisor = null;
+      } else {
+        const supervisor = mongoose.isValidObjectId(input.supervisor) &&
+          await User.findOne({ _id: input.supervisor, organization, isActive: { $ne: false } }).select('_id');
+        if (!supervisor) {
+          throw this.invalid('Supervisor not found');
+        }
+        fields.supervisor = supervisor._id;
+      }
+    }
+
+    return fields;
+  }
+
+  // Accepts a GeoJSON Polygon; rings that aren't closed are closed here
+  validateServiceArea(area) {
+    if (!area || area.type !== 'Polygon' || !Array.isArray(area.coordinates) || area.coordinates.length === 0) {
+      throw this.invalid('serviceArea must be a GeoJSON Polygon');
+    }
+
+    const isPosition = (position) =>
+      Array.isArray(position) && position.length >= 2 &&
+      Number.isFinite(position[0]) && position[0] >= -180 && position[0] <= 180 &&
+      Number.isFinite(position[1]) && position[1] >= -90 && position[1] <= 90;
+
+    let total = 0;
+    const coordinates = area.coordinates.map(ring => {
+      if (!Array.isArray(ring) || !ring.every(isPosition)) {
+        throw this.invalid('serviceArea positions must be [longitude, latitude] pairs');
+      }
+      const positions = ring.map(([longitude, latitude]) => [longitude, latitude]);
+      const [first] = positions;
+      const last = positions[positions.length - 1];
+      if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+        positions.push([...first]);
+      }
+      if (positions.length < 4) {
+        throw this.invalid('Each serviceArea ring needs at least three distinct points');
+      }
+      total += positions.length;
+      return positions;
+    });
+
+    if (total > this.maxAreaPositions) {
+      throw this.invalid(`serviceArea may have at most ${this.maxAreaPositions} points`);
+    }
+
+    return { type: 'Polygon', coordinates };
+  }
+
+  // Ray casting: count how often a ray from the point crosses the ring's edges
+  ringContains(ring, x, y) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  translateDuplicate(error) {
+    if (error.code === 11000) {
+      return this.invalid('A depot with this name already exists');
+    }
+    return error;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+export default DepotService;
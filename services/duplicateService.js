@@ -0,0 +1,198 @@
+import mongoose from 'mongoose';
+import Report from '../models/report.js';
+import WorkflowService from './workflowService.js';
+import { boundingBox, distanceMeters, hasCoordinates } from '../utils/geo.js';
+
+const OPEN_STATUSES = ['Pending', 'Assigned', 'In Progress'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Duplicate Service - Finds reports of the same waste filed more than once and merges them
+ * Likely duplicates are open reports of the same category within a radius and time window;
+ * merging closes them as Merged and folds their reporters, photos, confirmations and history into one primary report
+ */
+class DuplicateService {
+  constructor(options = {}) {
+    this.workflowService = options.workflowService || new WorkflowService();
+    this.radiusMeters = parseFloat(process.env.DUPLICATE_RADIUS_METERS) || 100;
+    this.windowDays = parseFloat(process.env.DUPLICATE_WINDOW_DAYS) || 14;
+  }
+
+  /**
+   * Open reports that probably describe the same waste
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} report - { _id, category, latitude, longitude, createdAt }; a new report has no _id yet
+   * @returns {Promise<Array>} Candidates, closest first, each with distanceMeters
+   */
+  async findDuplicates(organization, report) {
+    if (!hasCoordinates(report)) {
+      return [];
+    }
+
+    const reportedAt = new Date(report.createdAt || Date.now());
+    const window = this.windowDays * DAY_MS;
+    const filter = {
+      organization,
+      category: report.category,
+      status: { $in: OPEN_STATUSES },
+      createdAt: { $gte: new Date(reportedAt - window), $lte: new Date(reportedAt.getTime() + window) },
+      ...boundingBox(report.latitude, report.longitude, this.radiusMeters)
+    };
+    if (report._id) {
+      filter._id = { $ne: report._id };
+    }
+
+    const candidates = await Report.find(filter)
+      .select('category subcategory address description status latitude longitude createdAt photos')
+      .lean();
+
+    return candidates
+      .map(candidate => ({
+        ...candidate,
+        distanceMeters: Math.round(
+          distanceMeters(report.latitude, report.longitude, candidate.latitude, candidate.longitude)
+        )
+      }))
+      .filter(candidate => candidate.distanceMeters <= this.radiusMeters)
+      .sort((a, b) => a.distanceMeters - b.distanceMeters);
+  }
+
+  /**
+   * Merge duplicates into a primary report
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} primaryId - Report that stays
+   * @param {Array} duplicateIds - Open reports to fold into it
+   * @param {Object} options - { actor: { id, permissions } }
+   * @returns {Promise<Object|null>} { report, merged } or null if the primary doesn't exist
+   * @throws {Error} ValidationError when the primary or a duplicate isn't open; WorkflowError
+   *   (STATUS_CONFLICT) when one of them changed during the merge, which is then undone
+   */
+  async merge(organization, primaryId, duplicateIds, options = {}) {
+    const { actor = {} } = options;
+
+    if (!mongoose.isValidObjectId(primaryId)) {
+      return null;
+    }
+    const primary = await Report.findOne({ _id: primaryId, organization });
+    if (!primary) {
+      return null;
+    }
+    if (primary.status === 'Merged') {
+      throw this.invalid('This report was itself merged into another one');
+    }
+    if (!OPEN_STATUSES.includes(primary.status)) {
+      throw this.invalid(`Duplicates can only be merged into an open report; this one is ${primary.status}`);
+    }
+
+    const ids = [...new Set((Array.isArray(duplicateIds) ? duplicateIds : [duplicateIds]).map(String))];
+    if (ids.length === 0 || ids.some(id => !mongoose.isValidObjectId(id))) {
+      throw this.invalid('duplicateIds must list the reports to merge');
+    }
+    if (ids.includes(String(primary._id))) {
+      throw this.invalid('A report cannot be merged into itself');
+    }
+
+    const duplicates = await Report.find({ _id: { $in: ids }, organization });
+    if (duplicates.length !== ids.length) {
+      throw this.invalid('Some of the reports to merge were not found');
+    }
+    const finished = duplicates.filter(duplicate => !OPEN_STATUSES.includes(duplicate.status));
+    if (finished.length) {
+      throw this.invalid(`Only open reports can be merged; ${finished.map(duplicate => duplicate._id).join(', ')} ` +
+        `${finished.length === 1 ? 'is' : 'are'} already ${finished[0].status}`);
+    }
+
+    // every status was checked above, but a report can still change before it is closed;
+    // the duplicates closed so far are then reopened, so the merge happens entirely or not at all
+    const merged = [];
+    try {
+      for (const duplicate of duplicates) {
+        await this.workflowService.merge(duplicate, primary, { actor });
+        merged.push(duplicate);
+      }
+      const report = await this.foldIntoPrimary(primary, merged, actor);
+      return { report, merged };
+    } catch (error) {
+      await this.restore(merged);
+      throw error;
+    }
+  }
+
+  // Private helper methods
+
+  async foldIntoPrimary(primary, merged, actor) {
+    const reporters = merged
+      .flatMap(duplicate => [duplicate.user, ...(duplicate.additionalReporters || [])])
+      .filter(user => user && String(user) !== String(primary.user));
+    // confirmations of the duplicates carry over, still one per citizen and none from its reporters
+    const confirmedBy = new Set([
+      primary.user,
+      ...(primary.additionalReporters || []),
+      ...reporters,
+      ...(primary.confirmations || []).map(entry => entry.user)
+    ].map(String));
+    const confirmations = merged
+      .flatMap(duplicate => duplicate.confirmations || [])
+      .filter(entry => {
+        if (!entry.user || confirmedBy.has(String(entry.user))) return false;
+        confirmedBy.add(String(entry.user));
+        return true;
+      });
+    const mergedAt = new Date();
+
+    const report = await Report.findOneAndUpdate(
+      { _id: primary._id, status: primary.status },
+      {
+        $addToSet: {
+          photos: { $each: merged.flatMap(duplicate => duplicate.photos || []) },
+          additionalReporters: { $each: reporters }
+        },
+        $push: {
+          mergedReports: {
+            $each: merged.map(duplicate => ({
+              report: duplicate._id,
+              user: duplicate.user,
+              description: duplicate.description,
+              createdAt: duplicate.createdAt,
+              mergedAt,
+              mergedBy: actor.id || null,
+              statusHistory: duplicate.statusHistory
+            }))
+          },
+          confirmations: { $each: confirmations },
+          statusHistory: {
+            status: primary.status,
+            timestamp: mergedAt,
+            changedBy: actor.id || null,
+            notes: `Merged duplicate report(s) ${merged.map(duplicate => duplicate._id).join(', ')}`
+          }
+        },
+        $inc: { confirmationCount: confirmations.length }
+      },
+      { new: true }
+    );
+    if (!report) {
+      throw this.workflowService.workflowError('STATUS_CONFLICT', 'The report was changed in the meantime. Reload and try again');
+    }
+    return report;
+  }
+
+  // puts duplicates closed by a merge that failed back the way they were read
+  async restore(duplicates) {
+    for (const duplicate of duplicates) {
+      const { status, assignedDriver, sla } = duplicate.toObject();
+      const update = { $set: { status }, $unset: { mergedInto: 1 }, $pop: { statusHistory: 1 } };
+      if (assignedDriver) update.$set.assignedDriver = assignedDriver;
+      if (sla) update.$set.sla = sla;
+      await Report.updateOne({ _id: duplicate._id, status: 'Merged' }, update);
+    }
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+export default DuplicateService;
@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { DEFAULT_CATEGORIES } from './categoryService.js';
 
 /**
  * Export Service - Handles CSV and PDF generation for analytics data
@@ -15,12 +16,13 @@ class ExportService {
    * Generate CSV export for analytics data
    * @param {String} dataType - Type of data (trends, geographic, drivers, status)
    * @param {Object} data - Analytics data to export
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options; categories ([{ key, name }]) sets the category columns
    * @returns {Promise<Object>} Export result with CSV content
    */
   async generateCSV(dataType, data, options = {}) {
     try {
       const { includeDetails = false, dateRange, filters } = options;
+      const categories = options.categories || DEFAULT_CATEGORIES;
       
       let csvContent = '';
       let headers = [];
@@ -28,10 +30,10 @@ class ExportService {
 
       switch (dataType) {
         case 'trends':
-          ({ headers, rows } = this.formatTrendsForCSV(data, includeDetails));
+          ({ headers, rows } = this.formatTrendsForCSV(data, includeDetails, categories));
           break;
         case 'geographic':
-          ({ headers, rows } = this.formatGeographicForCSV(data, includeDetails));
+          ({ headers, rows } = this.formatGeographicForCSV(data, includeDetails, categories));
           break;
         case 'drivers':
           ({ headers, rows } = this.formatDriversForCSV(data, includeDetails));
@@ -70,12 +72,13 @@ class ExportService {
    * Generate PDF export for analytics data (simplified implementation)
    * @param {String} dataType - Type of data
    * @param {Object} data - Analytics data to export
-   * @param {Object} options - Export options
+   * @param {Object} options - Export options; categories ([{ key, name }]) sets the category columns
    * @returns {Promise<Object>} Export result with PDF info
    */
   async generatePDF(dataType, data, options = {}) {
     try {
       const { includeCharts = true, dateRange, filters } = options;
+      const categories = options.categories || DEFAULT_CATEGORIES;
       
       // For now, return a structured data object that could be used by a PDF library
       // In a full implementation, this would use libraries like puppeteer or jsPDF
@@ -89,7 +92,7 @@ class ExportService {
 
       switch (dataType) {
         case 'trends':
-          pdfData.sections = this.formatTrendsForPDF(data, includeCharts);
+          pdfData.sections = this.formatTrendsForPDF(data, includeCharts, categories);
           break;
         case 'geographic':
           pdfData.sections = this.formatGeographicForPDF(data, includeCharts);
@@ -123,10 +126,11 @@ class ExportService {
    * Format trends data for CSV export
    * @param {Object} data - Trends data
    * @param {Boolean} includeDetails - Include detailed information
+   * @param {Array} categories - Categories to add a column for
    * @returns {Object} Headers and rows for CSV
    */
-  formatTrendsForCSV(data, includeDetails) {
-    const headers = ['Date', 'Total_Incidents', 'Recyclable', 'Illegal_Dumping', 'Hazardous_Waste'];
+  formatTrendsForCSV(data, includeDetails, categories = DEFAULT_CATEGORIES) {
+    const headers = ['Date', 'Total_Incidents', ...categories.map(category => this.toColumnName(category.name))];
     
     if (includeDetails) {
       headers.push('Percentage_Change', 'Trend_Direction');
@@ -139,9 +143,7 @@ class ExportService {
         const row = [
           day.date,
           day.total || 0,
-          day.categories?.recyclable || 0,
-          day.categories?.illegal_dumping || 0,
-          day.categories?.hazardous_waste || 0
+          ...categories.map(category => day.categories?.[category.key] || 0)
         ];
 
         if (includeDetails) {
@@ -160,13 +162,14 @@ class ExportService {
    * Format geographic data for CSV export
    * @param {Object} data - Geographic data
    * @param {Boolean} includeDetails - Include detailed information
+   * @param {Array} categories - Categories to add a count column for
    * @returns {Object} Headers and rows for CSV
    */
-  formatGeographicForCSV(data, includeDetails) {
+  formatGeographicForCSV(data, includeDetails, categories = DEFAULT_CATEGORIES) {
     const headers = ['Latitude', 'Longitude', 'Incident_Count', 'Density', 'Primary_Category'];
     
     if (includeDetails) {
-      headers.push('Recyclable_Count', 'Illegal_Dumping_Count', 'Hazardous_Waste_Count', 'Recent_Reports');
+      headers.push(...categories.map(category => `${this.toColumnName(category.name)}_Count`), 'Recent_Reports');
     }
 
     const rows = [];
@@ -183,9 +186,7 @@ class ExportService {
 
         if (includeDetails) {
           const breakdown = location.categoryBreakdown || {};
-          row.push(breakdown.recyclable || 0);
-          row.push(breakdown.illegal_dumping || 0);
-          row.push(breakdown.hazardous_waste || 0);
+          categories.forEach(category => row.push(breakdown[category.key] || 0));
           row.push(location.topReports?.length || 0);
         }
 
@@ -319,9 +320,10 @@ class ExportService {
    * Format trends data for PDF export
    * @param {Object} data - Trends data
    * @param {Boolean} includeCharts - Include chart data
+   * @param {Array} categories - Categories to add a column for
    * @returns {Array} PDF sections
    */
-  formatTrendsForPDF(data, includeCharts) {
+  formatTrendsForPDF(data, includeCharts, categories = DEFAULT_CATEGORIES) {
     const sections = [
       {
         type: 'summary',
@@ -346,13 +348,11 @@ class ExportService {
     sections.push({
       type: 'table',
       title: 'Daily Breakdown',
-      headers: ['Date', 'Total', 'Recyclable', 'Illegal Dumping', 'Hazardous Waste'],
+      headers: ['Date', 'Total', ...categories.map(category => category.name)],
       rows: data.dailyData?.map(day => [
         day.date,
         day.total,
-        day.categories?.recyclable || 0,
-        day.categories?.illegal_dumping || 0,
-        day.categories?.hazardous_waste || 0
+        ...categories.map(category => day.categories?.[category.key] || 0)
       ]) || []
     });
 
@@ -504,6 +504,15 @@ class ExportService {
     return typeMap[dataType] || dataType;
   }
 
+  /**
+   * CSV column name for a category display name, e.g. "Hazardous waste" -> "Hazardous_waste"
+   * @param {String} name - Display name
+   * @returns {String} Column name
+   */
+  toColumnName(name) {
+    return String(name).trim().replace(/[^A-Za-z0-9]+/g, '_');
+  }
+
   /**
    * Get primary category from category breakdown
    * @param {Object} categoryBreakdown - Category counts
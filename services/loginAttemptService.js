@@ -0,0 +1,268 @@
+import crypto from 'crypto';
+import CacheService from './cacheService.js';
+import AuditService from './auditService.js';
+import { MemoryStore } from '../utils/memoryStore.js';
+
+/**
+ * Login Attempt Service - Brute-force protection for password logins
+ * Tracks failed attempts per email and per IP, enforces a growing delay between
+ * attempts, and temporarily locks an email after too many failures.
+ * State lives in Redis (through CacheService) when connected, otherwise in memory.
+ */
+class LoginAttemptService {
+  /**
+   * @param {Object} options - { cacheService, auditService }
+   */
+  constructor(options = {}) {
+    this.cacheService = options.cacheService || new CacheService();
+    this.auditService = options.auditService || new AuditService();
+    this.memoryStore = new MemoryStore();
+    this.keyPrefix = 'cleancity:auth:login:';
+
+    this.maxFailedAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+    this.maxFailedAttemptsPerIp = parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20;
+    this.windowSeconds = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60;
+    this.lockoutSeconds = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+    this.freeAttempts = 2; // failures allowed before any delay kicks in
+    this.baseDelaySeconds = parseInt(process.env.LOGIN_DELAY_BASE_SECONDS) || 1;
+    this.maxDelaySeconds = parseInt(process.env.LOGIN_DELAY_MAX_SECONDS) || 30;
+  }
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {String} email - Email being logged into
+   * @param {String} ip - Client IP
+   * @returns {Promise<Object>} { allowed, reason, retryAfterSeconds }
+   */
+  async checkAttempt(email, ip) {
+    const now = Date.now();
+    const emailKey = this.emailKey(email);
+    const ipKey = this.ipKey(ip);
+    const [emailLockedUntil, ipLockedUntil, emailNextAt, ipNextAt] = await Promise.all([
+      this.getState(`${emailKey}:lock`),
+      this.getState(`${ipKey}:lock`),
+      this.getState(`${emailKey}:next`),
+      this.getState(`${ipKey}:next`)
+    ]);
+
+    if (emailLockedUntil > now) {
+      return this.denied('locked', emailLockedUntil - now);
+    }
+
+    if (ipLockedUntil > now) {
+      return this.denied('ip_blocked', ipLockedUntil - now);
+    }
+
+    const nextAttemptAt = Math.max(emailNextAt || 0, ipNextAt || 0);
+    if (nextAttemptAt > now) {
+      return this.denied('throttled', nextAttemptAt - now);
+    }
+
+    return { allowed: true, reason: null, retryAfterSeconds: 0 };
+  }
+
+  /**
+   * Record a failed login attempt
+   * @param {String} email - Email being logged into
+   * @param {String} ip - Client IP
+   * @param {Object} user - Matching user document, if the email exists
+   * @returns {Promise<Object>} { failures, locked, lockedUntil, retryAfterSeconds }
+   */
+  async recordFailure(email, ip, user = null) {
+    const now = Date.now();
+    const emailKey = this.emailKey(email);
+    const ipKey = this.ipKey(ip);
+    const [emailFailures, ipFailures] = await Promise.all([
+      this.bumpFailures(emailKey, now),
+      this.bumpFailures(ipKey, now)
+    ]);
+
+    // the lock is taken once per lockout, so only the request that takes it audits it
+    let lockedUntil = null;
+    if (emailFailures >= this.maxFailedAttempts) {
+      const lock = await this.lock(emailKey, now);
+      lockedUntil = lock.lockedUntil;
+
+      if (lock.created) {
+        await this.auditService.record({
+          action: 'auth.lockout',
+          organization: user?.organization,
+          targetType: 'User',
+          targetId: user?._id,
+          targetLabel: this.normalizeEmail(email),
+          ip,
+          metadata: {
+            failures: emailFailures,
+            lockedUntil: new Date(lockedUntil),
+            accountExists: !!user
+          }
+        });
+      }
+    }
+
+    if (ipFailures >= this.maxFailedAttemptsPerIp) {
+      const lock = await this.lock(ipKey, now);
+
+      if (lock.created) {
+        await this.auditService.record({
+          action: 'auth.ip_blocked',
+          targetType: 'IP',
+          targetId: ip,
+          targetLabel: ip,
+          ip,
+          metadata: { failures: ipFailures, lockedUntil: new Date(lock.lockedUntil) }
+        });
+      }
+    }
+
+    const locked = lockedUntil > now;
+    const retryAt = Math.max(lockedUntil || 0, now + this.getDelaySeconds(emailFailures) * 1000);
+    return {
+      failures: emailFailures,
+      locked,
+      lockedUntil: locked ? new Date(lockedUntil) : null,
+      retryAfterSeconds: retryAt > now ? Math.ceil((retryAt - now) / 1000) : 0
+    };
+  }
+
+  /**
+   * Clear the email's failure history after a successful login
+   * (the IP counter is left to decay so one good account can't launder an IP)
+   * @param {String} email - Email that logged in
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(email) {
+    await this.clear(this.emailKey(email));
+  }
+
+  /**
+   * Lift a lockout (admin action)
+   * @param {String} email - Locked email
+   * @returns {Promise<Boolean>} True if the email had throttling state
+   */
+  async unlock(email) {
+    return this.clear(this.emailKey(email));
+  }
+
+  /**
+   * Describe the current throttling state of an email
+   * @param {String} email - Email
+   * @returns {Promise<Object>} { failures, locked, lockedUntil, storage }
+   */
+  async getStatus(email) {
+    const key = this.emailKey(email);
+    const [failures, lockedUntil] = await Promise.all([
+      this.getState(`${key}:failures`),
+      this.getState(`${key}:lock`)
+    ]);
+    const locked = lockedUntil > Date.now();
+
+    return {
+      failures: Number(failures) || 0,
+      locked,
+      lockedUntil: locked ? new Date(lockedUntil) : null,
+      storage: this.cacheService.isAvailable() ? 'redis' : 'memory'
+    };
+  }
+
+  // Private helper methods
+
+  /**
+   * Count a failure with an atomic increment, so concurrent attempts each get their own
+   * count, and hold off the next attempt by the delay for that count
+   * @returns {Promise<Number>} Failures in the current window
+   */
+  async bumpFailures(key, now) {
+    const { count } = await this.increment(`${key}:failures`, this.windowSeconds);
+    const delaySeconds = this.getDelaySeconds(count);
+    if (delaySeconds > 0) {
+      await this.setState(`${key}:next`, now + delaySeconds * 1000, delaySeconds);
+    }
+    return count;
+  }
+
+  // takes the lock unless one is already held; reports whether this call took it
+  async lock(key, now) {
+    const lockedUntil = now + this.lockoutSeconds * 1000;
+    if (await this.setStateIfAbsent(`${key}:lock`, lockedUntil, this.lockoutSeconds)) {
+      return { created: true, lockedUntil };
+    }
+    return { created: false, lockedUntil: (await this.getState(`${key}:lock`)) || lockedUntil };
+  }
+
+  async clear(key) {
+    const results = await Promise.all(
+      ['failures', 'lock', 'next'].map(suffix => this.deleteState(`${key}:${suffix}`))
+    );
+    return results.some(Boolean);
+  }
+
+  /**
+   * Delay before the next attempt: none for the first few failures, then doubling
+   * @param {Number} failures - Failures so far
+   * @returns {Number} Delay in seconds
+   */
+  getDelaySeconds(failures) {
+    if (failures <= this.freeAttempts) {
+      return 0;
+    }
+    return Math.min(this.baseDelaySeconds * 2 ** (failures - this.freeAttempts - 1), this.maxDelaySeconds);
+  }
+
+  denied(reason, remainingMs) {
+    return { allowed: false, reason, retryAfterSeconds: Math.ceil(remainingMs / 1000) };
+  }
+
+  async getState(key) {
+    if (this.cacheService.isAvailable()) {
+      return this.cacheService.getValue(key);
+    }
+    return this.memoryStore.get(key);
+  }
+
+  async setState(key, value, ttl) {
+    if (this.cacheService.isAvailable()) {
+      return this.cacheService.setValue(key, value, ttl);
+    }
+    return this.memoryStore.set(key, value, ttl);
+  }
+
+  async setStateIfAbsent(key, value, ttl) {
+    if (this.cacheService.isAvailable()) {
+      const created = await this.cacheService.setValueIfAbsent(key, value, ttl);
+      if (created !== null) return created;
+    }
+    return this.memoryStore.setIfAbsent(key, value, ttl);
+  }
+
+  async increment(key, ttl) {
+    if (this.cacheService.isAvailable()) {
+      const counter = await this.cacheService.incrementValue(key, ttl);
+      if (counter) return counter;
+    }
+    return this.memoryStore.increment(key, ttl);
+  }
+
+  async deleteState(key) {
+    if (this.cacheService.isAvailable()) {
+      return this.cacheService.deleteValue(key);
+    }
+    return this.memoryStore.delete(key);
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  emailKey(email) {
+    // hash so that raw addresses don't sit in Redis
+    const digest = crypto.createHash('sha256').update(this.normalizeEmail(email)).digest('hex');
+    return `${this.keyPrefix}email:${digest}`;
+  }
+
+  ipKey(ip) {
+    return `${this.keyPrefix}ip:${ip || 'unknown'}`;
+  }
+}
+
+export default LoginAttemptService;
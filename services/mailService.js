@@ -0,0 +1,178 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Console transport - prints messages to stdout (default for development)
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`[INFO] MailService - (console) To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+}
+
+/**
+ * File transport - writes each message as a JSON file (development and tests)
+ */
+class FileTransport {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory || process.env.MAIL_FILE_DIR || 'tmp/mail';
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(this.directory, `${messageId}.json`);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+    return { messageId, filePath };
+  }
+}
+
+/**
+ * SMTP transport - delivers through an SMTP server via nodemailer
+ */
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+const transports = {
+  console: () => new ConsoleTransport(),
+  file: () => new FileTransport(),
+  smtp: () => new SmtpTransport()
+};
+
+/**
+ * Mail Service - Sends account emails through a pluggable transport
+ * Transport is chosen with MAIL_TRANSPORT (console | file | smtp), or any object
+ * with an async send(message) method can be passed in directly
+ */
+class MailService {
+  /**
+   * @param {Object} options - { transport } transport instance or name
+   */
+  constructor(options = {}) {
+    this.from = process.env.MAIL_FROM || 'CleanCity <no-reply@cleancity.com>';
+    this.appBaseUrl = (process.env.APP_BASE_URL || 'http://localhost:5050').replace(/\/$/, '');
+    this.transport = typeof options.transport === 'object'
+      ? options.transport
+      : this.createTransport(options.transport || process.env.MAIL_TRANSPORT || 'console');
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} Transport result ({ messageId, ... })
+   */
+  async sendMail(message) {
+    try {
+      return await this.transport.send({ from: this.from, ...message });
+    } catch (error) {
+      console.error(`[ERROR] MailService - sendMail via ${this.transport.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User document
+   * @param {String} token - Raw reset token
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendPasswordReset(user, token, expiresAt) {
+    const resetUrl = `${this.appBaseUrl}/pages/reset-password.html?token=${encodeURIComponent(token)}`;
+    const minutes = Math.round((expiresAt - Date.now()) / 60000);
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Reset your CleanCity password',
+      text: `Hi ${user.fullname},\n\n` +
+        `We received a request to reset your CleanCity password. Open the link below to choose a new one:\n\n` +
+        `${resetUrl}\n\n` +
+        `The link expires in ${minutes} minutes and can only be used once. ` +
+        `If you did not ask for a reset you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.fullname)},</p>` +
+        `<p>We received a request to reset your CleanCity password.</p>` +
+        `<p><a href="${resetUrl}">Choose a new password</a></p>` +
+        `<p>The link expires in ${minutes} minutes and can only be used once. ` +
+        `If you did not ask for a reset you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   * @param {Object} user - User document
+   * @param {String} token - Raw verification token
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<Object>} Transport result
+   */
+  async sendEmailVerification(user, token, expiresAt) {
+    const verifyUrl = `${this.appBaseUrl}/pages/verify-email.html?token=${encodeURIComponent(token)}`;
+    const hours = Math.round((expiresAt - Date.now()) / 3600000);
+
+    return this.sendMail({
+      to: user.email,
+      subject: 'Confirm your CleanCity email address',
+      text: `Hi ${user.fullname},\n\n` +
+        `Thanks for signing up to CleanCity. Please confirm your email address by opening the link below:\n\n` +
+        `${verifyUrl}\n\n` +
+        `The link expires in ${hours} hours.`,
+      html: `<p>Hi ${escapeHtml(user.fullname)},</p>` +
+        `<p>Thanks for signing up to CleanCity. Please confirm your email address.</p>` +
+        `<p><a href="${verifyUrl}">Confirm email address</a></p>` +
+        `<p>The link expires in ${hours} hours.</p>`
+    });
+  }
+
+  // Private helper methods
+
+  /**
+   * Build a transport by name
+   * @param {String} name - Transport name
+   * @returns {Object} Transport instance
+   */
+  createTransport(name) {
+    const factory = transports[name];
+    if (!factory) {
+      console.warn(`[WARNING] MailService - Unknown MAIL_TRANSPORT "${name}", falling back to console`);
+      return transports.console();
+    }
+    return factory();
+  }
+}
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export { ConsoleTransport, FileTransport, SmtpTransport };
+export default MailService;
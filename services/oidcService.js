@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Organization from '../models/Organization.js';
+import PermissionService from './permissionService.js';
+
+/**
+ * OIDC Service - OpenID Connect single sign-on (authorization code flow with PKCE)
+ * Staff sign in with their municipal directory account; users are created on their
+ * first login and their role follows the directory groups (OIDC_ROLE_MAP)
+ */
+class OidcService {
+  constructor() {
+    this.issuer = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+    this.clientId = process.env.OIDC_CLIENT_ID;
+    // optional: public clients rely on PKCE alone
+    this.clientSecret = process.env.OIDC_CLIENT_SECRET;
+    this.appBaseUrl = (process.env.APP_BASE_URL || 'http://localhost:5050').replace(/\/$/, '');
+    this.redirectUri = process.env.OIDC_REDIRECT_URI || `${this.appBaseUrl}/api/users/sso/callback`;
+    this.scopes = process.env.OIDC_SCOPES || 'openid email profile';
+    this.providerName = process.env.OIDC_PROVIDER_NAME || 'Municipal directory';
+    this.roleClaim = process.env.OIDC_ROLE_CLAIM || 'groups';
+    // "cleancity-admins:admin,cleancity-drivers:driver" - the first matching group wins
+    this.roleMap = this.parseRoleMap(process.env.OIDC_ROLE_MAP || '');
+    // role for directory users without a mapped group; empty refuses them
+    this.defaultRole = process.env.OIDC_DEFAULT_ROLE || '';
+    // municipality (slug) new SSO users are created in
+    this.organizationSlug = process.env.OIDC_ORGANIZATION || '';
+    this.stateSecret = process.env.JWT_SECRET || 'my-secret-token';
+    this.stateTTLSeconds = 10 * 60;
+    this.metadataTTL = 60 * 60 * 1000;
+    this.requestTimeout = 10000;
+    this.permissionService = new PermissionService();
+
+    this.discovery = null;
+    this.discoveryLoadedAt = 0;
+    this.signingKeys = new Map();
+  }
+
+  /**
+   * Whether SSO is configured
+   * @returns {Boolean} True when an issuer and client id are set
+   */
+  isEnabled() {
+    return !!(this.issuer && this.clientId);
+  }
+
+  /**
+   * Build the redirect to the identity provider
+   * The PKCE verifier, state and nonce travel in a signed cookie so the callback can check them
+   * @returns {Promise<Object>} { url, stateCookie }
+   */
+  async createAuthorizationRequest() {
+    const discovery = await this.getDiscovery();
+    const state = crypto.randomBytes(16).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    const stateCookie = jwt.sign(
+      { state, nonce, codeVerifier, purpose: 'oidc_state' },
+      this.stateSecret,
+      { expiresIn: this.stateTTLSeconds }
+    );
+
+    return { url: `${discovery.authorization_endpoint}?${params}`, stateCookie };
+  }
+
+  /**
+   * Check the state returned by the provider against the cookie from createAuthorizationRequest
+   * @param {String} stateCookie - Cookie value
+   * @param {String} state - state query parameter of the callback
+   * @returns {Object|null} { nonce, codeVerifier } or null if they don't belong together
+   */
+  readState(stateCookie, state) {
+    try {
+      const payload = jwt.verify(stateCookie, this.stateSecret);
+      if (payload.purpose !== 'oidc_state' || !state || payload.state !== state) {
+        return null;
+      }
+      return { nonce: payload.nonce, codeVerifier: payload.codeVerifier };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Exchange the authorization code and validate the ID token
+   * @param {String} code - Authorization code from the callback
+   * @param {Object} pending - { nonce, codeVerifier } from readState
+   * @returns {Promise<Object>} Verified ID token claims
+   */
+  async completeLogin(code, pending) {
+    const discovery = await this.getDiscovery();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.redirectUri,
+      client_id: this.clientId,
+      code_verifier: pending.codeVerifier
+    });
+    if (this.clientSecret) {
+      body.set('client_secret', this.clientSecret);
+    }
+
+    const response = await fetch(discovery.token_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      body,
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+    const tokens = await response.json().catch(() => ({}));
+    if (!response.ok || !tokens.id_token) {
+      throw this.ssoError('SSO_TOKEN_EXCHANGE_FAILED', tokens.error_description || tokens.error || 'Token exchange failed');
+    }
+
+    return this.verifyIdToken(tokens.id_token, pending.nonce);
+  }
+
+  /**
+   * Find the user for a set of ID token claims, creating them on first login,
+   * and bring their role in line with the directory groups
+   * @param {Object} claims - Verified ID token claims
+   * @returns {Promise<Object>} { user, created, previousRole }
+   */
+  async findOrProvisionUser(claims) {
+    const role = this.mapRole(claims);
+    if (!role) {
+      throw this.ssoError('SSO_NO_ROLE', 'Your directory account is not allowed to use CleanCity');
+    }
+    if (!(await this.permissionService.roleExists(role))) {
+      throw this.ssoError('SSO_UNKNOWN_ROLE', `Mapped role "${role}" does not exist`);
+    }
+
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+    let user = await User.findOne({ 'sso.issuer': claims.iss, 'sso.subject': claims.sub });
+
+    if (!user && email) {
+      user = await User.findOne({ email });
+      if (user) {
+        // only link an existing password account when the provider vouches for the address;
+        // a missing claim is no such promise
+        if (claims.email_verified !== true) {
+          throw this.ssoError('SSO_EMAIL_NOT_VERIFIED', 'Your directory email address is not verified');
+        }
+        user.sso = { issuer: claims.iss, subject: claims.sub };
+      }
+    }
+
+    if (!user) {
+      if (!email) {
+        throw this.ssoError('SSO_NO_EMAIL', 'The identity provider did not share an email address');
+      }
+      return { user: await this.createUser(claims, email, role), created: true, previousRole: null };
+    }
+
+    const previousRole = user.role !== role ? user.role : null;
+    user.role = role;
+    if (claims.name && claims.name !== user.fullname) {
+      user.fullname = claims.name;
+    }
+    if (user.isModified()) {
+      await user.save();
+    }
+
+    return { user, created: false, previousRole };
+  }
+
+  /**
+   * Map directory groups to a CleanCity role
+   * @param {Object} claims - ID token claims
+   * @returns {String|null} Role name
+   */
+  mapRole(claims) {
+    const value = claims[this.roleClaim];
+    const groups = Array.isArray(value) ? value : value ? [value] : [];
+    const match = this.roleMap.find(([group]) => groups.includes(group));
+    return match ? match[1] : this.defaultRole || null;
+  }
+
+  // Private helper methods
+
+  async createUser(claims, email, role) {
+    let organization;
+    if (this.organizationSlug) {
+      organization = await Organization.findOne({ slug: this.organizationSlug, isActive: true });
+      if (!organization) {
+        throw this.ssoError('SSO_UNKNOWN_ORGANIZATION', `Municipality "${this.organizationSlug}" does not exist`);
+      }
+    }
+
+    // SSO users never need a password; this one is random and unknown to anybody
+    const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const emailVerified = claims.email_verified === true;
+
+    return User.create({
+      fullname: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+      email,
+      password,
+      role,
+      organization: organization?._id,
+      emailVerified,
+      emailVerifiedAt: emailVerified ? new Date() : undefined,
+      sso: { issuer: claims.iss, subject: claims.sub }
+    });
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header) {
+      throw this.ssoError('SSO_INVALID_TOKEN', 'Malformed ID token');
+    }
+
+    const discovery = await this.getDiscovery();
+    const key = await this.getSigningKey(decoded.header.kid);
+    try {
+      return jwt.verify(idToken, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384'],
+        issuer: discovery.issuer,
+        audience: this.clientId,
+        nonce
+      });
+    } catch (error) {
+      throw this.ssoError('SSO_INVALID_TOKEN', `ID token rejected: ${error.message}`);
+    }
+  }
+
+  async getDiscovery() {
+    if (this.discovery && Date.now() - this.discoveryLoadedAt < this.metadataTTL) {
+      return this.discovery;
+    }
+
+    const discovery = await this.fetchJson(`${this.issuer}/.well-known/openid-configuration`);
+    if (discovery.issuer !== this.issuer) {
+      throw this.ssoError('SSO_MISCONFIGURED', `Issuer mismatch: provider reports ${discovery.issuer}`);
+    }
+
+    this.discovery = discovery;
+    this.discoveryLoadedAt = Date.now();
+    this.signingKeys.clear();
+    return discovery;
+  }
+
+  // Keys are cached; an unknown kid triggers one reload in case the provider rotated its keys
+  async getSigningKey(kid) {
+    if (!this.signingKeys.has(kid)) {
+      const discovery = await this.getDiscovery();
+      const { keys = [] } = await this.fetchJson(discovery.jwks_uri);
+      this.signingKeys.clear();
+      keys
+        .filter(jwk => !jwk.use || jwk.use === 'sig')
+        .forEach(jwk => this.signingKeys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })));
+    }
+
+    const key = this.signingKeys.get(kid) || (kid === undefined && this.signingKeys.size === 1
+      ? [...this.signingKeys.values()][0]
+      : null);
+    if (!key) {
+      throw this.ssoError('SSO_INVALID_TOKEN', `Unknown signing key ${kid}`);
+    }
+    return key;
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+    if (!response.ok) {
+      throw this.ssoError('SSO_PROVIDER_UNAVAILABLE', `${url} answered ${response.status}`);
+    }
+    return response.json();
+  }
+
+  parseRoleMap(value) {
+    return value
+      .split(',')
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const separator = pair.lastIndexOf(':');
+        return [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim().toLowerCase()];
+      })
+      .filter(([group, role]) => group && role);
+  }
+
+  ssoError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+export default OidcService;
@@ -0,0 +1,149 @@
+import Role from '../models/Role.js';
+import { DEFAULT_ROLES, PLATFORM_PERMISSIONS, PLATFORM_ROLE, isKnownPermission } from '../config/permissions.js';
+
+// Shared by every PermissionService instance so a role edit made through one
+// (e.g. in roleRoutes) is seen immediately by the others (e.g. in middleware/auth.js)
+const roleCache = {
+  roles: null,
+  loadedAt: 0,
+  defaultsEnsured: false
+};
+
+/**
+ * Permission Service - Resolves roles to permissions
+ * Roles are stored in MongoDB and cached in memory for a short time;
+ * the built-in roles are created on first use
+ */
+class PermissionService {
+  constructor() {
+    this.cacheTTL = (parseInt(process.env.ROLE_CACHE_TTL_SECONDS) || 60) * 1000;
+  }
+
+  /**
+   * Check whether a role grants a permission
+   * @param {String} roleName - Role name (User.role)
+   * @param {String} permission - Permission, e.g. 'reports:assign'
+   * @returns {Promise<Boolean>} True if granted
+   */
+  async hasPermission(roleName, permission) {
+    const permissions = await this.getPermissionsForRole(roleName);
+    return permissions.includes(permission);
+  }
+
+  /**
+   * Get the permissions granted to a role
+   * @param {String} roleName - Role name
+   * @returns {Promise<Array>} Permission names (empty for unknown roles)
+   */
+  async getPermissionsForRole(roleName) {
+    const roles = await this.getRoles();
+    const role = roles.find(r => r.name === roleName);
+    return role ? role.permissions : [];
+  }
+
+  /**
+   * Check whether members of a role must use two-factor authentication
+   * @param {String} roleName - Role name
+   * @returns {Promise<Boolean>} True if the role requires it
+   */
+  async requiresTwoFactor(roleName) {
+    const roles = await this.getRoles();
+    return !!roles.find(r => r.name === roleName)?.requireTwoFactor;
+  }
+
+  /**
+   * Get the names of all roles that grant a permission
+   * @param {String} permission - Permission name
+   * @returns {Promise<Array>} Role names
+   */
+  async getRolesWithPermission(permission) {
+    const roles = await this.getRoles();
+    return roles.filter(r => r.permissions.includes(permission)).map(r => r.name);
+  }
+
+  /**
+   * Check whether a role exists
+   * @param {String} roleName - Role name
+   * @returns {Promise<Boolean>} True if the role exists
+   */
+  async roleExists(roleName) {
+    const roles = await this.getRoles();
+    return roles.some(r => r.name === roleName);
+  }
+
+  /**
+   * Get all roles (cached)
+   * @returns {Promise<Array>} Plain role objects
+   */
+  async getRoles() {
+    if (roleCache.roles && Date.now() - roleCache.loadedAt < this.cacheTTL) {
+      return roleCache.roles;
+    }
+
+    if (!roleCache.defaultsEnsured) {
+      await this.ensureDefaultRoles();
+    }
+
+    roleCache.roles = await Role.find().sort({ name: 1 }).lean();
+    roleCache.loadedAt = Date.now();
+    return roleCache.roles;
+  }
+
+  /**
+   * Create the built-in roles if missing and add any default permission they lack.
+   * Permissions an admin removed from a built-in role are only re-added if they are new defaults.
+   * @returns {Promise<void>}
+   */
+  async ensureDefaultRoles() {
+    for (const defaults of DEFAULT_ROLES) {
+      const existing = await Role.findOne({ name: defaults.name });
+
+      if (!existing) {
+        await Role.create({ ...defaults, isSystem: true, seededPermissions: defaults.permissions });
+        continue;
+      }
+
+      const seeded = existing.seededPermissions || [];
+      const newDefaults = defaults.permissions.filter(p => !seeded.includes(p));
+      if (newDefaults.length > 0) {
+        await Role.updateOne(
+          { _id: existing._id },
+          {
+            $addToSet: {
+              permissions: { $each: newDefaults },
+              seededPermissions: { $each: newDefaults }
+            },
+            $set: { isSystem: true }
+          }
+        );
+      }
+    }
+
+    // earlier releases gave roles:manage to the town administrators as well
+    await Role.updateMany(
+      { name: { $ne: PLATFORM_ROLE }, permissions: { $in: PLATFORM_PERMISSIONS } },
+      { $pull: { permissions: { $in: PLATFORM_PERMISSIONS } } }
+    );
+
+    roleCache.defaultsEnsured = true;
+  }
+
+  /**
+   * Validate a list of permissions
+   * @param {Array} permissions - Permission names
+   * @returns {Array} Unknown permission names
+   */
+  findUnknownPermissions(permissions = []) {
+    return permissions.filter(p => !isKnownPermission(p));
+  }
+
+  /**
+   * Drop the cached roles so the next lookup reads MongoDB
+   */
+  invalidateCache() {
+    roleCache.roles = null;
+    roleCache.loadedAt = 0;
+  }
+}
+
+export default PermissionService;
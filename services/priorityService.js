@@ -0,0 +1,248 @@
+import Category from '../models/Category.js';
+import Report from '../models/report.js';
+import SensitiveLocation from '../models/SensitiveLocation.js';
+import { schedulePeriodic } from '../utils/periodicTask.js';
+import { boundingBox, distanceMeters, hasCoordinates } from '../utils/geo.js';
+
+// Points from the category's default priority
+const CATEGORY_POINTS = { low: 10, normal: 20, high: 35, urgent: 50 };
+// One point per AGE_HOURS_PER_POINT hours open, up to MAX_AGE_POINTS (reached after five days)
+const AGE_HOURS_PER_POINT = 6;
+const MAX_AGE_POINTS = 20;
+// Points per other open report of the same category within NEARBY_RADIUS_METERS
+const NEARBY_RADIUS_METERS = 150;
+const POINTS_PER_NEARBY = 5;
+const MAX_NEARBY_POINTS = 15;
+// Points per "me too" confirmation from another citizen
+const POINTS_PER_CONFIRMATION = 5;
+const MAX_CONFIRMATION_POINTS = 15;
+
+// Lowest score of each level, highest first
+const PRIORITY_LEVELS = [
+  { level: 'urgent', minScore: 70 },
+  { level: 'high', minScore: 45 },
+  { level: 'normal', minScore: 25 },
+  { level: 'low', minScore: 0 }
+];
+
+const OPEN_STATUSES = ['Pending', 'Assigned', 'In Progress'];
+
+// Background rescoring per municipality; `again` is set when another run is asked for while one is busy
+const queuedRefreshes = new Map();
+
+/**
+ * Priority Service - How urgent a report is, so the admin queue and driver lists put the worst first
+ * The score adds up the category's default priority, the report's age, other open reports of the
+ * same kind nearby, the citizens who confirmed it and the most important sensitive location
+ * (school, water source, ...) it lies near
+ */
+class PriorityService {
+  /**
+   * Score a report
+   * @param {Object} report - Report (document or plain object)
+   * @param {Object} context - { defaultPriority, nearbyCount, locations }
+   * @param {Date} now - Reference time
+   * @returns {Object} { score, level, factors, nearbyReports, sensitiveLocation, computedAt }
+   */
+  score(report, context = {}, now = new Date()) {
+    const ageHours = Math.max(0, (now - new Date(report.createdAt || now)) / (60 * 60 * 1000));
+    const nearbyCount = context.nearbyCount || 0;
+    const location = this.findSensitiveLocation(report, context.locations || []);
+
+    const factors = {
+      category: CATEGORY_POINTS[context.defaultPriority] ?? CATEGORY_POINTS.normal,
+      age: Math.min(MAX_AGE_POINTS, Math.floor(ageHours / AGE_HOURS_PER_POINT)),
+      nearby: Math.min(MAX_NEARBY_POINTS, nearbyCount * POINTS_PER_NEARBY),
+      sensitive: location?.weight || 0,
+      confirmations: Math.min(MAX_CONFIRMATION_POINTS, (report.confirmationCount || 0) * POINTS_PER_CONFIRMATION)
+    };
+    const score = Object.values(factors).reduce((sum, points) => sum + points, 0);
+
+    return {
+      score,
+      level: PRIORITY_LEVELS.find(({ minScore }) => score >= minScore).level,
+      factors,
+      nearbyReports: nearbyCount,
+      sensitiveLocation: location ? location.name : null,
+      computedAt: now
+    };
+  }
+
+  /**
+   * Score a new report and rescore the open reports around it, whose nearby count just went up
+   * @param {Object} report - Report document; its priority is updated in place
+   * @returns {Promise<Object>} The new report's priority
+   */
+  async refreshAround(report) {
+    const neighbours = await this.findNearby(report);
+    const priority = await this.refreshReport(report, { nearbyCount: neighbours.length });
+
+    for (const neighbour of neighbours) {
+      await this.refreshReport(neighbour);
+    }
+    return priority;
+  }
+
+  /**
+   * Recompute and store the priority of one report
+   * @param {Object} report - Report document or plain object; its priority is updated in place
+   * @param {Object} context - Known parts of the context; the rest is looked up
+   * @returns {Promise<Object>} The new priority
+   */
+  async refreshReport(report, context = {}) {
+    const organization = report.organization || null;
+    const [defaultPriority, nearbyCount, locations] = await Promise.all([
+      context.defaultPriority ?? this.getDefaultPriority(organization, report.category),
+      context.nearbyCount ?? this.findNearby(report).then(neighbours => neighbours.length),
+      context.locations ?? this.getLocations(organization)
+    ]);
+
+    const priority = this.score(report, { defaultPriority, nearbyCount, locations });
+    await Report.updateOne({ _id: report._id }, { $set: { priority } });
+    report.priority = priority;
+    return priority;
+  }
+
+  /**
+   * Rescore open reports as they age; also picks up category and sensitive location changes
+   * @param {Object} options - { organization } to limit the run to one municipality
+   * @returns {Promise<Object>} { checked, updated }
+   */
+  async refreshOpen(options = {}) {
+    const filter = { status: { $in: OPEN_STATUSES } };
+    if (options.organization !== undefined) {
+      filter.organization = options.organization;
+    }
+
+    const locationsByOrganization = new Map();
+    const defaultPriorities = new Map();
+    const now = new Date();
+    const result = { checked: 0, updated: 0 };
+
+    // one report at a time; each counts its neighbours with the same bounding-box query a new report uses
+    const cursor = Report.find(filter)
+      .select('organization category latitude longitude createdAt confirmationCount priority')
+      .lean()
+      .cursor();
+
+    for await (const report of cursor) {
+      const organization = report.organization || null;
+      const organizationKey = String(organization);
+      const categoryKey = `${organizationKey}:${report.category}`;
+      if (!locationsByOrganization.has(organizationKey)) {
+        locationsByOrganization.set(organizationKey, await this.getLocations(organization));
+      }
+      if (!defaultPriorities.has(categoryKey)) {
+        defaultPriorities.set(categoryKey, await this.getDefaultPriority(organization, report.category));
+      }
+
+      const context = {
+        defaultPriority: defaultPriorities.get(categoryKey),
+        locations: locationsByOrganization.get(organizationKey),
+        nearbyCount: (await this.findNearby(report)).length
+      };
+      const priority = this.score(report, context, now);
+      result.checked++;
+
+      if (report.priority?.score === priority.score &&
+          report.priority?.sensitiveLocation === priority.sensitiveLocation) {
+        continue;
+      }
+      await Report.updateOne({ _id: report._id }, { $set: { priority } });
+      result.updated++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Rescore a municipality's open reports in the background, e.g. after a sensitive location changed;
+   * requests made while a run is busy are folded into one more run after it
+   * @param {ObjectId|null} organization - Organization id
+   */
+  queueRefresh(organization) {
+    const key = String(organization);
+    if (queuedRefreshes.has(key)) {
+      queuedRefreshes.get(key).again = true;
+      return;
+    }
+
+    const state = { again: false };
+    queuedRefreshes.set(key, state);
+    const run = () => this.refreshOpen({ organization })
+      .catch(error => console.error('Priority refresh failed:', error.message))
+      .then(() => {
+        if (!state.again) {
+          queuedRefreshes.delete(key);
+          return undefined;
+        }
+        state.again = false;
+        return run();
+      });
+    run();
+  }
+
+  /**
+   * Run refreshOpen() periodically in this process
+   * @param {Number} intervalMinutes - Minutes between runs; 0 disables it
+   */
+  startMonitor(intervalMinutes = parseFloat(process.env.PRIORITY_REFRESH_INTERVAL_MINUTES ?? 60)) {
+    if (this.stopMonitor) {
+      return;
+    }
+
+    this.stopMonitor = schedulePeriodic('Priority refresh', intervalMinutes, async () => {
+      const { checked, updated } = await this.refreshOpen();
+      return updated ? `${updated} of ${checked} open reports rescored` : null;
+    });
+  }
+
+  // Private helper methods
+
+  async getDefaultPriority(organization, key) {
+    const category = await Category.findOne({ organization, key }).select('defaultPriority').lean();
+    return category?.defaultPriority || 'normal';
+  }
+
+  getLocations(organization) {
+    return SensitiveLocation.find({ organization, isActive: true })
+      .select('name type latitude longitude radiusMeters weight')
+      .lean();
+  }
+
+  // Other open reports of the same category within NEARBY_RADIUS_METERS
+  async findNearby(report) {
+    if (!hasCoordinates(report)) {
+      return [];
+    }
+
+    const candidates = await Report.find({
+      _id: { $ne: report._id },
+      organization: report.organization || null,
+      category: report.category,
+      status: { $in: OPEN_STATUSES },
+      ...boundingBox(report.latitude, report.longitude, NEARBY_RADIUS_METERS)
+    }).select('organization category latitude longitude createdAt confirmationCount').lean();
+
+    return candidates.filter(candidate => this.isNearby(report, candidate));
+  }
+
+  isNearby(report, other) {
+    return hasCoordinates(report) && hasCoordinates(other) &&
+      distanceMeters(report.latitude, report.longitude, other.latitude, other.longitude) <= NEARBY_RADIUS_METERS;
+  }
+
+  // The heaviest sensitive location whose radius covers the report
+  findSensitiveLocation(report, locations) {
+    if (!hasCoordinates(report)) {
+      return null;
+    }
+    return locations
+      .filter(location =>
+        distanceMeters(report.latitude, report.longitude, location.latitude, location.longitude) <=
+          location.radiusMeters)
+      .sort((a, b) => b.weight - a.weight)[0] || null;
+  }
+}
+
+export default PriorityService;
@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+import SensitiveLocation, { SENSITIVE_LOCATION_TYPES } from '../models/SensitiveLocation.js';
+
+/**
+ * Sensitive Location Service - Schools, water sources and other places where waste is more
+ * urgent; reports near them get extra priority from the PriorityService
+ */
+class SensitiveLocationService {
+  /**
+   * List a municipality's sensitive locations
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} filters - { type }
+   * @returns {Promise<Array>} Locations by name
+   */
+  async list(organization, filters = {}) {
+    const query = { organization };
+    if (filters.type) {
+      query.type = filters.type;
+    }
+    return SensitiveLocation.find(query).sort({ name: 1 }).lean();
+  }
+
+  /**
+   * Add a sensitive location
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} input - { name, type, latitude, longitude, radiusMeters, weight }
+   * @returns {Promise<Object>} Created location
+   */
+  async create(organization, input) {
+    const fields = this.normalize(input);
+    ['name', 'type', 'latitude', 'longitude'].forEach(field => {
+      if (fields[field] === undefined || fields[field] === '') {
+        throw this.invalid(`${field} is required`);
+      }
+    });
+    return SensitiveLocation.create({ ...fields, organization });
+  }
+
+  /**
+   * Change a sensitive location
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Location id
+   * @param {Object} input - Fields to change
+   * @returns {Promise<Object|null>} { location, before } or null if not found
+   */
+  async update(organization, id, input) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const location = await SensitiveLocation.findOne({ _id: id, organization });
+    if (!location) {
+      return null;
+    }
+
+    const before = this.snapshot(location);
+    const fields = this.normalize(input);
+    if (fields.name === '') {
+      throw this.invalid('Name cannot be empty');
+    }
+
+    location.set(fields);
+    await location.save();
+    return { location, before };
+  }
+
+  /**
+   * Delete a sensitive location
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Location id
+   * @returns {Promise<Object|null>} Deleted location or null if not found
+   */
+  async remove(organization, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return SensitiveLocation.findOneAndDelete({ _id: id, organization });
+  }
+
+  /**
+   * Plain copy of the editable fields, for audit entries
+   * @param {Object} location - SensitiveLocation document
+   * @returns {Object} Editable fields
+   */
+  snapshot(location) {
+    return {
+      name: location.name,
+      type: location.type,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      radiusMeters: location.radiusMeters,
+      weight: location.weight,
+      isActive: location.isActive
+    };
+  }
+
+  // Private helper methods
+
+  // Validates the given fields; anything not in input is left out so updates stay partial
+  normalize(input) {
+    const fields = {};
+
+    if (input.name !== undefined) fields.name = String(input.name || '').trim();
+    if (input.isActive !== undefined) fields.isActive = input.isActive === true || input.isActive === 'true';
+
+    if (input.type !== undefined) {
+      if (!SENSITIVE_LOCATION_TYPES.includes(input.type)) {
+        throw this.invalid(`type must be one of: ${SENSITIVE_LOCATION_TYPES.join(', ')}`);
+      }
+      fields.type = input.type;
+    }
+
+    const ranges = {
+      latitude: [-90, 90],
+      longitude: [-180, 180],
+      radiusMeters: [10, 5000],
+      weight: [1, 50]
+    };
+    Object.entries(ranges).forEach(([field, [min, max]]) => {
+      if (input[field] === undefined) return;
+      const value = Number(input[field]);
+      if (input[field] === null || input[field] === '' || !Number.isFinite(value) || value < min || value > max) {
+        throw this.invalid(`${field} must be a number between ${min} and ${max}`);
+      }
+      fields[field] = value;
+    });
+
+    return fields;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+export default SensitiveLocationService;
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+
+/**
+ * Session Service - Issues access/refresh token pairs backed by a persisted session
+ * Refresh tokens rotate on every use; presenting an already-rotated token is treated
+ * as theft and revokes the whole session
+ */
+class SessionService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET || 'my-secret-token';
+    this.accessTokenTTL = process.env.JWT_EXPIRES_IN || '1h';
+    this.refreshTokenTTLDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+  }
+
+  /**
+   * Start a new session for a user and issue its first token pair
+   * @param {Object} user - User document
+   * @param {Object} meta - Request metadata { ip, userAgent }
+   * @returns {Promise<Object>} { token, refreshToken, session }
+   */
+  async createSession(user, meta = {}) {
+    const secret = this.generateSecret();
+
+    const session = await Session.create({
+      user: user._id,
+      refreshTokenHash: this.hashSecret(secret),
+      expiresAt: this.getRefreshExpiry(),
+      ip: meta.ip,
+      userAgent: meta.userAgent
+    });
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken: this.formatRefreshToken(session._id, secret),
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {String} refreshToken - Refresh token issued by createSession/rotateSession
+   * @param {Function} loadUser - async (userId) => user document (keeps claims current)
+   * @param {Object} meta - Request metadata { ip, userAgent }
+   * @returns {Promise<Object|null>} { token, refreshToken, session, user } or null if invalid
+   */
+  async rotateSession(refreshToken, loadUser, meta = {}) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) {
+      return null;
+    }
+
+    const existing = await Session.findById(parsed.sessionId);
+    if (!existing || !existing.isActive) {
+      return null;
+    }
+
+    const user = await loadUser(existing.user);
+    if (!user) {
+      await this.revokeSession(existing._id, { reason: 'user_not_found' });
+      return null;
+    }
+
+    // Swap the hash only if it is still the one this token carries, so of two requests
+    // presenting the same token exactly one rotates the session
+    const secret = this.generateSecret();
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: existing._id,
+        refreshTokenHash: this.hashSecret(parsed.secret),
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      },
+      {
+        $set: {
+          refreshTokenHash: this.hashSecret(secret),
+          expiresAt: this.getRefreshExpiry(),
+          lastUsedAt: now,
+          ...(meta.ip && { ip: meta.ip }),
+          ...(meta.userAgent && { userAgent: meta.userAgent })
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // The token was valid once but has already been rotated: someone else holds it
+      console.warn(`[WARN] SessionService - Refresh token reuse detected for session ${existing._id}`);
+      await this.revokeSession(existing._id, { reason: 'refresh_token_reuse' });
+      return null;
+    }
+
+    return {
+      token: this.signAccessToken(user, session._id),
+      refreshToken: this.formatRefreshToken(session._id, secret),
+      session,
+      user
+    };
+  }
+
+  /**
+   * Check whether the session behind an access token is still usable
+   * @param {String} sessionId - Session id (sid claim)
+   * @returns {Promise<Boolean>} True if the session exists, is not revoked and not expired
+   */
+  async isSessionActive(sessionId) {
+    if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+      return false;
+    }
+
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return !!session && session.isActive;
+  }
+
+  /**
+   * Revoke a single session
+   * @param {String} sessionId - Session id
+   * @param {Object} options - { reason, revokedBy }
+   * @returns {Promise<Boolean>} True if an active session was revoked
+   */
+  async revokeSession(sessionId, options = {}) {
+    const result = await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      {
+        revokedAt: new Date(),
+        revokedReason: options.reason || 'logout',
+        ...(options.revokedBy && { revokedBy: options.revokedBy })
+      }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @param {String} userId - User id
+   * @param {Object} options - { reason, revokedBy }
+   * @returns {Promise<Number>} Number of sessions revoked
+   */
+  async revokeAllForUser(userId, options = {}) {
+    const result = await Session.updateMany(
+      { user: userId, revokedAt: null },
+      {
+        revokedAt: new Date(),
+        revokedReason: options.reason || 'revoked_by_admin',
+        ...(options.revokedBy && { revokedBy: options.revokedBy })
+      }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * List active sessions of a user (newest first)
+   * @param {String} userId - User id
+   * @returns {Promise<Array>} Session documents without token hashes
+   */
+  async listActiveSessions(userId) {
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('-refreshTokenHash')
+      .sort({ lastUsedAt: -1 });
+  }
+
+  // Private helper methods
+
+  /**
+   * Sign a short-lived access token bound to a session
+   * @param {Object} user - User document
+   * @param {String} sessionId - Session id
+   * @returns {String} Signed JWT
+   */
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        sid: sessionId.toString()
+      },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenTTL }
+    );
+  }
+
+  /**
+   * Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+   * @param {String} sessionId - Session id
+   * @param {String} secret - Random secret
+   * @returns {String} Refresh token
+   */
+  formatRefreshToken(sessionId, secret) {
+    return `${sessionId}.${secret}`;
+  }
+
+  /**
+   * Split a refresh token into its session id and secret
+   * @param {String} refreshToken - Refresh token
+   * @returns {Object|null} { sessionId, secret } or null if malformed
+   */
+  parseRefreshToken(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return null;
+    }
+
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+      return null;
+    }
+
+    return { sessionId, secret };
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenTTLDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+export default SessionService;
@@ -0,0 +1,279 @@
+import mongoose from 'mongoose';
+import Shift, { SHIFT_TYPES } from '../models/Shift.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Shift Service - Driver working hours, days off and on-call duty
+ * A driver is available when they are on call, or inside their working hours and not on a day off.
+ * Drivers without any working hours are treated as always available, so municipalities
+ * that don't plan shifts keep assigning work as before
+ */
+class ShiftService {
+  constructor() {
+    // working hours are wall-clock times in this zone
+    this.timezone = process.env.SHIFT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    this.clockFormat = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * List calendar entries, e.g. to draw a week view
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} filters - { driver, type, from, to } - from/to keep entries overlapping that period
+   * @returns {Promise<Array>} Entries with the driver's name
+   */
+  async list(organization, filters = {}) {
+    const query = { organization };
+
+    if (filters.driver) {
+      if (!mongoose.isValidObjectId(filters.driver)) {
+        throw this.invalid('Invalid driver id');
+      }
+      query.driver = filters.driver;
+    }
+
+    if (filters.type) {
+      if (!SHIFT_TYPES.includes(filters.type)) {
+        throw this.invalid(`Type must be one of: ${SHIFT_TYPES.join(', ')}`);
+      }
+      query.type = filters.type;
+    }
+
+    const from = filters.from ? this.parseDate(filters.from, 'from') : null;
+    const to = filters.to ? this.parseDate(filters.to, 'to') : null;
+    query.$and = [];
+    if (from) query.$and.push({ $or: [{ endDate: null }, { endDate: { $gt: from } }] });
+    if (to) query.$and.push({ $or: [{ startDate: null }, { startDate: { $lt: to } }] });
+    if (query.$and.length === 0) delete query.$and;
+
+    return Shift.find(query)
+      .populate('driver', 'fullname email')
+      .sort({ type: 1, startDate: 1, createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Add a calendar entry
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} input - { driver, type, daysOfWeek, startTime, endTime, startDate, endDate, note }
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object>} Created entry
+   */
+  async create(organization, input, userId) {
+    const fields = this.normalize(input);
+    return Shift.create({ ...fields, driver: input.driver, organization, createdBy: userId });
+  }
+
+  /**
+   * Change a calendar entry; the driver can't be changed
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Entry id
+   * @param {Object} input - Fields to change
+   * @param {String} userId - User making the change
+   * @returns {Promise<Object|null>} { shift, before } or null if not found
+   */
+  async update(organization, id, input, userId) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const shift = await Shift.findOne({ _id: id, organization });
+    if (!shift) {
+      return null;
+    }
+
+    const before = this.snapshot(shift);
+    const fields = this.normalize({ ...before, ...input });
+    shift.set({ ...fields, updatedBy: userId });
+    await shift.save();
+
+    return { shift, before };
+  }
+
+  /**
+   * Delete a calendar entry
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} id - Entry id
+   * @returns {Promise<Object|null>} Deleted entry or null if not found
+   */
+  async remove(organization, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return Shift.findOneAndDelete({ _id: id, organization });
+  }
+
+  /**
+   * Work out who can take an assignment at a given moment
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Array} driverIds - Driver ids
+   * @param {Date} at - Moment to check (default: now)
+   * @returns {Promise<Map>} driver id -> { available, status }, status being
+   *   "day_off", "on_call", "on_shift", "off_shift" or "unscheduled"
+   */
+  async getAvailability(organization, driverIds, at = new Date()) {
+    const shifts = await Shift.find({
+      organization,
+      driver: { $in: driverIds },
+      $and: [
+        { $or: [{ startDate: null }, { startDate: { $lte: at } }] },
+        { $or: [{ endDate: null }, { endDate: { $gt: at } }] }
+      ]
+    }).lean();
+
+    const clock = this.getLocalClock(at);
+    const availability = new Map();
+
+    driverIds.forEach(driverId => {
+      const own = shifts.filter(shift => String(shift.driver) === String(driverId));
+      const workingHours = own.filter(shift => shift.type === 'working_hours');
+
+      let status = 'unscheduled';
+      if (own.some(shift => shift.type === 'day_off')) {
+        status = 'day_off';
+      } else if (own.some(shift => shift.type === 'on_call')) {
+        status = 'on_call';
+      } else if (workingHours.some(shift => this.coversClock(shift, clock))) {
+        status = 'on_shift';
+      } else if (workingHours.length > 0) {
+        status = 'off_shift';
+      }
+
+      availability.set(String(driverId), {
+        available: !['day_off', 'off_shift'].includes(status),
+        status
+      });
+    });
+
+    return availability;
+  }
+
+  /**
+   * Availability of a single driver
+   * @param {ObjectId|null} organization - Organization id
+   * @param {String} driverId - Driver id
+   * @param {Date} at - Moment to check (default: now)
+   * @returns {Promise<Object>} { available, status }
+   */
+  async getDriverAvailability(organization, driverId, at = new Date()) {
+    const availability = await this.getAvailability(organization, [driverId], at);
+    return availability.get(String(driverId));
+  }
+
+  /**
+   * Parse a date from a request, reporting bad values as validation errors
+   * @param {String} value - ISO date string
+   * @param {String} field - Field name for the error message
+   * @returns {Date} Parsed date
+   */
+  parseDate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw this.invalid(`Invalid ${field} date`);
+    }
+    return date;
+  }
+
+  /**
+   * Plain copy of the editable fields, for audit entries
+   * @param {Object} shift - Shift document
+   * @returns {Object} Editable fields
+   */
+  snapshot(shift) {
+    return {
+      type: shift.type,
+      daysOfWeek: shift.daysOfWeek ? [...shift.daysOfWeek] : undefined,
+      startTime: shift.startTime,
+      endTime: shift.endTime,
+      startDate: shift.startDate,
+      endDate: shift.endDate,
+      note: shift.note
+    };
+  }
+
+  // Private helper methods
+
+  // Validates an entry and returns the fields that apply to its type (the others are cleared)
+  normalize(input) {
+    const { type } = input;
+    if (!SHIFT_TYPES.includes(type)) {
+      throw this.invalid(`Type must be one of: ${SHIFT_TYPES.join(', ')}`);
+    }
+
+    const startDate = input.startDate ? this.parseDate(input.startDate, 'startDate') : undefined;
+    const endDate = input.endDate ? this.parseDate(input.endDate, 'endDate') : undefined;
+    if (startDate && endDate && endDate <= startDate) {
+      throw this.invalid('endDate must be after startDate');
+    }
+
+    const fields = { type, startDate, endDate, note: input.note || undefined };
+
+    if (type !== 'working_hours') {
+      if (!startDate || !endDate) {
+        throw this.invalid('startDate and endDate are required for days off and on-call duty');
+      }
+      return { ...fields, daysOfWeek: undefined, startTime: undefined, endTime: undefined };
+    }
+
+    const daysOfWeek = Array.isArray(input.daysOfWeek)
+      ? [...new Set(input.daysOfWeek.map(Number))].sort((a, b) => a - b)
+      : [];
+    if (daysOfWeek.length === 0 || daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw this.invalid('daysOfWeek must list days from 0 (Sunday) to 6 (Saturday)');
+    }
+    if (!TIME_PATTERN.test(input.startTime || '') || !TIME_PATTERN.test(input.endTime || '')) {
+      throw this.invalid('startTime and endTime must be given as HH:MM');
+    }
+    if (input.startTime === input.endTime) {
+      throw this.invalid('startTime and endTime must differ');
+    }
+
+    return { ...fields, daysOfWeek, startTime: input.startTime, endTime: input.endTime };
+  }
+
+  // Weekday (0-6) and minutes since midnight in SHIFT_TIMEZONE
+  getLocalClock(at) {
+    const parts = Object.fromEntries(
+      this.clockFormat.formatToParts(at).map(part => [part.type, part.value])
+    );
+    return {
+      day: WEEKDAYS.indexOf(parts.weekday),
+      minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+  }
+
+  coversClock(shift, clock) {
+    const start = this.toMinutes(shift.startTime);
+    const end = this.toMinutes(shift.endTime);
+    const days = shift.daysOfWeek || [];
+
+    if (start < end) {
+      return days.includes(clock.day) && clock.minutes >= start && clock.minutes < end;
+    }
+
+    // overnight: the evening part belongs to the listed day, the early hours to the day after
+    const previousDay = (clock.day + 6) % 7;
+    return (days.includes(clock.day) && clock.minutes >= start) ||
+      (days.includes(previousDay) && clock.minutes < end);
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  invalid(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+export default ShiftService;
@@ -0,0 +1,278 @@
+import Category from '../models/Category.js';
+import Report from '../models/report.js';
+import { toTenantMatch } from '../utils/tenant.js';
+import { schedulePeriodic } from '../utils/periodicTask.js';
+
+export const SLA_STATES = ['on_track', 'at_risk', 'breached', 'met', 'missed', 'closed'];
+
+// The targets a category can set, in hours, and the stretch of the workflow each one covers
+export const SLA_TARGETS = {
+  assignment: 'assignHours', // reported (or reopened) -> first moved on from Pending
+  start: 'startHours', // assigned -> work started, completed or rejected
+  resolution: 'resolveHours' // reported (or reopened) -> Completed or Resolved
+};
+
+const OPEN_STATUSES = ['Pending', 'Assigned', 'In Progress'];
+const DONE_STATUSES = ['Completed', 'Resolved'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SLA Service - Due dates and breach detection for reports
+ * Each report carries an sla block computed from its category's targets and status history;
+ * it is refreshed on every status change and by the monitor for reports that sit still
+ */
+class SlaService {
+  constructor(options = {}) {
+    // share of a target's time after which an open report counts as at risk
+    this.atRiskRatio = options.atRiskRatio ?? (parseFloat(process.env.SLA_AT_RISK_PERCENT) || 75) / 100;
+    this.stopMonitor = null;
+  }
+
+  /**
+   * Work out a report's SLA position against the given targets
+   * @param {Object} report - Report (document or plain object); new reports may lack createdAt and statusHistory
+   * @param {Object} targets - Category sla, e.g. { assignHours: 4, resolveHours: 24 }
+   * @param {Date} now - Reference time
+   * @returns {Object|null} { state, dueAt, stageDueAt, breachedTargets, breachedAt, checkedAt }, null without targets
+   */
+  evaluate(report, targets = {}, now = new Date()) {
+    const hours = Object.fromEntries(
+      Object.entries(SLA_TARGETS).map(([target, field]) => [target, Number(targets?.[field]) || 0])
+    );
+    if (!hours.assignment && !hours.start && !hours.resolution) {
+      return null;
+    }
+
+    const { startedAt, assignedAt, workStartedAt, doneAt } = this.getMilestones(report, now);
+    const deadlines = [];
+    if (hours.assignment) {
+      deadlines.push({ target: 'assignment', from: startedAt, hours: hours.assignment, reachedAt: assignedAt });
+    }
+    if (hours.start && assignedAt) {
+      deadlines.push({ target: 'start', from: assignedAt, hours: hours.start, reachedAt: workStartedAt });
+    }
+    if (hours.resolution) {
+      deadlines.push({ target: 'resolution', from: startedAt, hours: hours.resolution, reachedAt: doneAt });
+    }
+    deadlines.forEach(deadline => {
+      deadline.dueAt = new Date(deadline.from.getTime() + deadline.hours * HOUR_MS);
+    });
+
+    const breached = deadlines.filter(deadline => (deadline.reachedAt || now) > deadline.dueAt);
+    const running = deadlines.filter(deadline => !deadline.reachedAt);
+    const stageDeadline = running.find(deadline => deadline.target !== 'resolution');
+
+    let state;
+    if (DONE_STATUSES.includes(report.status)) {
+      state = breached.length ? 'missed' : 'met';
+    } else if (!OPEN_STATUSES.includes(report.status)) {
+      state = 'closed';
+    } else if (breached.length) {
+      state = 'breached';
+    } else if (running.some(deadline => now - deadline.from >= deadline.hours * HOUR_MS * this.atRiskRatio)) {
+      state = 'at_risk';
+    } else {
+      state = 'on_track';
+    }
+
+    return {
+      state,
+      dueAt: deadlines.find(deadline => deadline.target === 'resolution')?.dueAt || null,
+      stageDueAt: OPEN_STATUSES.includes(report.status) ? stageDeadline?.dueAt || null : null,
+      breachedTargets: breached.map(deadline => deadline.target),
+      breachedAt: breached.length ? new Date(Math.min(...breached.map(deadline => deadline.dueAt))) : null,
+      checkedAt: now
+    };
+  }
+
+  /**
+   * Recompute and store the SLA of one report, e.g. after a status change
+   * @param {Object} report - Report document; its sla is updated in place
+   * @param {Object} targets - Category sla; looked up when omitted
+   * @returns {Promise<Object|null>} The new sla
+   */
+  async refreshReport(report, targets) {
+    const categoryTargets = targets !== undefined
+      ? targets
+      : await this.getTargets(report.organization || null, report.category);
+    const sla = this.evaluate(report, categoryTargets);
+
+    await Report.updateOne({ _id: report._id }, sla ? { $set: { sla } } : { $unset: { sla: 1 } });
+    report.sla = sla || undefined;
+    return sla;
+  }
+
+  /**
+   * Recompute the SLA of open reports (all reports with includeClosed), so reports
+   * nobody touches still turn at risk and breached, and changed targets reach old reports
+   * @param {Object} options - { includeClosed }
+   * @returns {Promise<Object>} { checked, updated, breached }
+   */
+  async refreshOpen(options = {}) {
+    const filter = options.includeClosed ? {} : { status: { $in: OPEN_STATUSES } };
+    const targetsByCategory = new Map();
+    const now = new Date();
+    const result = { checked: 0, updated: 0, breached: 0 };
+
+    const cursor = Report.find(filter)
+      .select('organization category status createdAt statusHistory sla')
+      .lean()
+      .cursor();
+
+    for await (const report of cursor) {
+      const cacheKey = `${report.organization || ''}:${report.category}`;
+      if (!targetsByCategory.has(cacheKey)) {
+        targetsByCategory.set(cacheKey, await this.getTargets(report.organization || null, report.category));
+      }
+
+      const sla = this.evaluate(report, targetsByCategory.get(cacheKey), now);
+      result.checked++;
+      if (sla?.state === 'breached') result.breached++;
+      if (!this.hasChanged(report.sla, sla)) continue;
+
+      await Report.updateOne({ _id: report._id }, sla ? { $set: { sla } } : { $unset: { sla: 1 } });
+      result.updated++;
+    }
+
+    return result;
+  }
+
+  /**
+   * Run refreshOpen() periodically in this process
+   * @param {Number} intervalMinutes - Minutes between runs; 0 disables the monitor
+   */
+  startMonitor(intervalMinutes = parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES ?? 15)) {
+    if (this.stopMonitor) {
+      return;
+    }
+
+    this.stopMonitor = schedulePeriodic('SLA monitor', intervalMinutes, async () => {
+      const { checked, updated, breached } = await this.refreshOpen();
+      return updated ? `${updated} of ${checked} open reports changed, ${breached} breached` : null;
+    });
+  }
+
+  /**
+   * SLA compliance of the reports filed in a date range
+   * Met and missed count finished reports; open ones that already breached count as missed too
+   * @param {ObjectId|null} organization - Organization id
+   * @param {Object} dateRange - { startDate, endDate }
+   * @param {Object} filters - { category }
+   * @returns {Promise<Object>} { overall, byCategory, atRiskPercent }
+   */
+  async getCompliance(organization, dateRange, filters = {}) {
+    const match = {
+      organization: toTenantMatch(organization),
+      createdAt: { $gte: dateRange.startDate, $lte: dateRange.endDate },
+      'sla.state': { $exists: true }
+    };
+    if (filters.category && filters.category !== 'all') {
+      match.category = filters.category;
+    }
+
+    const [byState, byTarget] = await Promise.all([
+      Report.aggregate([
+        { $match: match },
+        { $group: { _id: { category: '$category', state: '$sla.state' }, count: { $sum: 1 } } }
+      ]),
+      Report.aggregate([
+        { $match: match },
+        { $unwind: '$sla.breachedTargets' },
+        { $group: { _id: { category: '$category', target: '$sla.breachedTargets' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const categories = {};
+    byState.forEach(({ _id, count }) => {
+      categories[_id.category] ||= this.emptyCounts();
+      categories[_id.category][_id.state] = count;
+    });
+
+    const breachesByTarget = Object.fromEntries(Object.keys(SLA_TARGETS).map(target => [target, 0]));
+    byTarget.forEach(({ _id, count }) => {
+      breachesByTarget[_id.target] = (breachesByTarget[_id.target] || 0) + count;
+      if (categories[_id.category]) {
+        categories[_id.category].breachesByTarget[_id.target] = count;
+      }
+    });
+
+    const overall = this.emptyCounts();
+    Object.values(categories).forEach(counts => {
+      SLA_STATES.forEach(state => { overall[state] += counts[state]; });
+    });
+    overall.breachesByTarget = breachesByTarget;
+
+    return {
+      overall: this.withRates(overall),
+      byCategory: Object.entries(categories)
+        .map(([category, counts]) => ({ category, ...this.withRates(counts) }))
+        .sort((a, b) => b.total - a.total),
+      atRiskPercent: Math.round(this.atRiskRatio * 100)
+    };
+  }
+
+  // Private helper methods
+
+  async getTargets(organization, key) {
+    const category = await Category.findOne({ organization, key }).select('sla').lean();
+    return category?.sla || null;
+  }
+
+  // When the current cycle started (creation or the last reopen) and when it reached each stage
+  getMilestones(report, now) {
+    const createdAt = new Date(report.createdAt || now);
+    const history = (report.statusHistory?.length
+      ? [...report.statusHistory]
+      : [{ status: report.status || 'Pending', timestamp: createdAt }]
+    ).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    let cycle = history;
+    let startedAt = createdAt;
+    history.forEach((entry, index) => {
+      if (index > 0 && entry.status === 'Pending' && !OPEN_STATUSES.includes(history[index - 1].status)) {
+        cycle = history.slice(index);
+        startedAt = new Date(entry.timestamp);
+      }
+    });
+
+    const firstAt = (matches, after) => {
+      const entry = cycle.find(item => matches(item.status) && (!after || new Date(item.timestamp) >= after));
+      return entry ? new Date(entry.timestamp) : null;
+    };
+
+    const assignedAt = firstAt(status => status !== 'Pending');
+    return {
+      startedAt,
+      assignedAt,
+      workStartedAt: assignedAt && firstAt(status => !['Pending', 'Assigned'].includes(status), assignedAt),
+      doneAt: firstAt(status => DONE_STATUSES.includes(status))
+    };
+  }
+
+  hasChanged(previous, next) {
+    if (!previous || !next) {
+      return Boolean(previous?.state) !== Boolean(next);
+    }
+    const time = value => (value ? new Date(value).getTime() : null);
+    return previous.state !== next.state ||
+      time(previous.dueAt) !== time(next.dueAt) ||
+      time(previous.stageDueAt) !== time(next.stageDueAt) ||
+      (previous.breachedTargets || []).join() !== next.breachedTargets.join();
+  }
+
+  emptyCounts() {
+    return { ...Object.fromEntries(SLA_STATES.map(state => [state, 0])), breachesByTarget: {} };
+  }
+
+  // Compliance = met / (met + missed + breached); at risk and on track are still undecided
+  withRates(counts) {
+    const decided = counts.met + counts.missed + counts.breached;
+    return {
+      ...counts,
+      total: SLA_STATES.reduce((sum, state) => sum + counts[state], 0),
+      complianceRate: decided ? Math.round((counts.met / decided) * 1000) / 10 : null
+    };
+  }
+}
+
+export default SlaService;
@@ -0,0 +1,240 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Two-Factor Service - TOTP (RFC 6238) enrollment, verification and recovery codes
+ * Works with any authenticator app (Google Authenticator, Authy, 1Password, ...):
+ * 6 digits, 30 second steps, HMAC-SHA1
+ */
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'CleanCity';
+    this.digits = 6;
+    this.stepSeconds = 30;
+    // accept codes from one step before/after to allow for clock drift
+    this.window = 1;
+    this.recoveryCodeCount = 10;
+  }
+
+  /**
+   * Start enrollment: store a pending secret until the user confirms a first code
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { secret, otpauthUrl } to show (or encode as QR) in the app
+   */
+  async beginEnrollment(user) {
+    const secret = this.generateSecret();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+    return { secret, otpauthUrl: this.getOtpauthUrl(secret, user.email) };
+  }
+
+  /**
+   * Finish enrollment with a code generated from the pending secret
+   * @param {String} userId - User id
+   * @param {String} code - 6-digit code from the authenticator app
+   * @returns {Promise<Array|null>} Recovery codes (shown once) or null if the code is wrong
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    const pendingSecret = user?.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+      return null;
+    }
+
+    const step = this.matchStep(pendingSecret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': pendingSecret,
+          'twoFactor.recoveryCodes': hashes,
+          'twoFactor.lastUsedStep': step
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+
+    return codes;
+  }
+
+  /**
+   * Verify a second factor for an enrolled user
+   * A TOTP code can only be used once; a recovery code is removed when used
+   * @param {String} userId - User id
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<Object|null>} { method, remainingRecoveryCodes } or null if not valid
+   */
+  async verify(userId, credentials = {}) {
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+      return null;
+    }
+
+    if (credentials.recoveryCode) {
+      const hash = this.hashRecoveryCode(credentials.recoveryCode);
+      // $pull guarded by the match so two concurrent logins can't both spend the same code
+      const result = await User.updateOne(
+        { _id: userId, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+      if (result.modifiedCount === 0) {
+        return null;
+      }
+      return {
+        method: 'recovery_code',
+        remainingRecoveryCodes: user.twoFactor.recoveryCodes.length - 1
+      };
+    }
+
+    const step = this.matchStep(user.twoFactor.secret, credentials.code);
+    if (step === null) {
+      return null;
+    }
+
+    // reject replays of a code that was already accepted
+    const result = await User.updateOne(
+      {
+        _id: userId,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    return { method: 'totp', remainingRecoveryCodes: user.twoFactor.recoveryCodes.length };
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {String} userId - User id
+   * @returns {Promise<Array>} New recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId) {
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: userId }, { 'twoFactor.recoveryCodes': hashes });
+    return codes;
+  }
+
+  /**
+   * Count the unused recovery codes of a user
+   * @param {String} userId - User id
+   * @returns {Promise<Number>} Remaining codes
+   */
+  async countRecoveryCodes(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    return user?.twoFactor?.recoveryCodes?.length || 0;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret and recovery codes
+   * @param {String} userId - User id
+   * @returns {Promise<void>}
+   */
+  async disable(userId) {
+    await User.updateOne({ _id: userId }, { $set: { twoFactor: { enabled: false } } });
+  }
+
+  // Private helper methods
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  getOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.stepSeconds)
+    });
+    return `otpauth://totp/${label}?${params}`;
+  }
+
+  // Returns the time step the code belongs to, or null
+  matchStep(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) {
+      return null;
+    }
+
+    const currentStep = Math.floor(now / 1000 / this.stepSeconds);
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const step = currentStep + offset;
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  // HOTP (RFC 4226) for the given counter
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  base32Encode(buffer) {
+    let bits = '';
+    buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+      output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+  }
+
+  base32Decode(input) {
+    let bits = '';
+    input.toUpperCase().replace(/=+$/, '').split('').forEach(char => {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      bits += index.toString(2).padStart(5, '0');
+    });
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+  }
+}
+
+export default TwoFactorService;
@@ -0,0 +1,310 @@
+import Report from '../models/report.js';
+import SlaService from './slaService.js';
+
+export const REPORT_STATUSES = ['Pending', 'Assigned', 'In Progress', 'Completed', 'Resolved', 'Rejected', 'Merged', 'Withdrawn'];
+
+// from -> to -> who may make the change:
+//   admin    - holds reports:status
+//   dispatch - holds reports:assign
+//   driver   - holds reports:work and is the report's assigned driver
+// Completed, Resolved and Rejected are final; only an explicit reopen() sends them back to Pending.
+// Merged is final too and only reached through merge(), when a duplicate is folded into another report.
+// Withdrawn is final and only reached through withdraw(), when the reporter cancels a report still Pending.
+const TRANSITIONS = {
+  'Pending': {
+    'Assigned': ['dispatch'],
+    'Rejected': ['admin'],
+    'Resolved': ['admin']
+  },
+  'Assigned': {
+    'Assigned': ['dispatch'], // reassignment to another driver
+    'Pending': ['dispatch'], // unassign
+    'In Progress': ['driver', 'admin'],
+    'Completed': ['driver', 'admin'],
+    'Rejected': ['driver', 'admin']
+  },
+  'In Progress': {
+    'Assigned': ['dispatch'],
+    'Completed': ['driver', 'admin'],
+    'Rejected': ['driver', 'admin']
+  },
+  'Completed': {
+    'Resolved': ['admin']
+  },
+  'Resolved': {},
+  'Rejected': {},
+  'Merged': {},
+  'Withdrawn': {}
+};
+
+const REOPENABLE = ['Completed', 'Resolved', 'Rejected'];
+const MERGEABLE = ['Pending', 'Assigned', 'In Progress'];
+// reporters may only change their report before anyone has picked it up
+const REPORTER_EDITABLE = ['Pending'];
+
+/**
+ * Workflow Service - The report status state machine
+ * Every status change goes through transition() or reopen(), which check the move is allowed
+ * for the actor and append a statusHistory entry (actor and notes) in the same atomic update
+ */
+class WorkflowService {
+  constructor(options = {}) {
+    this.slaService = options.slaService || new SlaService();
+  }
+
+  /**
+   * Statuses the actor may move a report to
+   * @param {Object} report - Report document
+   * @param {Object} actor - { id, permissions }
+   * @returns {Array} Target statuses (reopening is reported by canReopen)
+   */
+  getAllowedTransitions(report, actor) {
+    const roles = this.getActorRoles(report, actor);
+    return Object.entries(TRANSITIONS[report.status] || {})
+      .filter(([, allowed]) => allowed.some(role => roles.includes(role)))
+      .map(([status]) => status);
+  }
+
+  /**
+   * Whether the actor may reopen a finished report
+   * @param {Object} report - Report document
+   * @param {Object} actor - { id, permissions }
+   * @returns {Boolean} True for Completed, Resolved or Rejected reports and admins
+   */
+  canReopen(report, actor) {
+    return REOPENABLE.includes(report.status) && this.getActorRoles(report, actor).includes('admin');
+  }
+
+  /**
+   * Refuse a move the actor may not make, e.g. before doing work that only makes sense if it goes through
+   * @param {Object} report - Report document
+   * @param {String} status - Target status
+   * @param {Object} actor - { id, permissions }
+   * @throws {Error} WorkflowError INVALID_STATUS or TRANSITION_NOT_ALLOWED
+   */
+  checkTransition(report, status, actor) {
+    if (!REPORT_STATUSES.includes(status)) {
+      throw this.workflowError('INVALID_STATUS', `Invalid status. Use one of: ${REPORT_STATUSES.join(', ')}`);
+    }
+
+    const allowed = this.getAllowedTransitions(report, actor);
+    if (!allowed.includes(status)) {
+      throw this.workflowError(
+        'TRANSITION_NOT_ALLOWED',
+        `A report cannot go from ${report.status} to ${status}` +
+          (REOPENABLE.includes(report.status) && status === 'Pending' ? ' without being reopened' : ''),
+        { allowedTransitions: allowed }
+      );
+    }
+  }
+
+  /**
+   * Move a report to a new status
+   * @param {Object} report - Report document as last read
+   * @param {String} status - Target status
+   * @param {Object} options - { actor: { id, permissions }, notes, assignedDriver, rejectionMessage,
+   *   completion: { photos, notes } } - completion is stored when the report is marked Completed
+   * @returns {Promise<Object>} Updated report
+   */
+  async transition(report, status, options = {}) {
+    const { actor = {}, notes, assignedDriver, rejectionMessage, completion } = options;
+
+    this.checkTransition(report, status, actor);
+
+    if (status === 'Assigned' && !assignedDriver && !report.assignedDriver) {
+      throw this.workflowError('DRIVER_REQUIRED', 'Assign a driver to move a report to Assigned');
+    }
+
+    const update = { $set: { status } };
+    if (status === 'Assigned' && assignedDriver) {
+      update.$set.assignedDriver = assignedDriver;
+    }
+    if (status === 'Pending') {
+      update.$unset = { assignedDriver: 1 };
+    }
+    if (status === 'Rejected') {
+      Object.assign(update.$set, { rejectedAt: new Date(), rejectedBy: actor.id || null });
+      if (rejectionMessage) {
+        update.$set.rejectionMessage = rejectionMessage;
+      }
+    }
+    if (status === 'Completed' && completion) {
+      update.$set.completion = {
+        photos: completion.photos || [],
+        notes: completion.notes ? String(completion.notes).trim() : undefined,
+        completedBy: actor.id || null,
+        completedAt: new Date()
+      };
+    }
+
+    return this.applyChange(report, update, status, actor, notes || rejectionMessage);
+  }
+
+  /**
+   * Send a Completed, Resolved or Rejected report back to Pending, e.g. when the waste is back
+   * The driver assignment, rejection and proof of completion are cleared; the reason is kept in the history
+   * @param {Object} report - Report document as last read
+   * @param {Object} options - { actor: { id, permissions }, notes }
+   * @returns {Promise<Object>} Updated report
+   */
+  async reopen(report, options = {}) {
+    const { actor = {}, notes } = options;
+
+    if (!REOPENABLE.includes(report.status)) {
+      throw this.workflowError('TRANSITION_NOT_ALLOWED', `Only ${REOPENABLE.join(', ')} reports can be reopened`, {
+        allowedTransitions: this.getAllowedTransitions(report, actor)
+      });
+    }
+    if (!this.canReopen(report, actor)) {
+      throw this.workflowError('TRANSITION_NOT_ALLOWED', 'You are not allowed to reopen reports', {
+        allowedTransitions: []
+      });
+    }
+    if (!notes || !String(notes).trim()) {
+      throw this.workflowError('NOTES_REQUIRED', 'A reason is required to reopen a report');
+    }
+
+    const update = {
+      $set: { status: 'Pending' },
+      $unset: { assignedDriver: 1, rejectionMessage: 1, rejectedAt: 1, rejectedBy: 1, completion: 1 }
+    };
+    return this.applyChange(report, update, 'Pending', actor, `Reopened: ${String(notes).trim()}`);
+  }
+
+  /**
+   * Close an open duplicate as Merged into its primary report; the driver assignment is cleared
+   * (DuplicateService moves the reporter, photos and history over to the primary)
+   * @param {Object} report - Duplicate report document as last read
+   * @param {Object} primary - Report it is merged into
+   * @param {Object} options - { actor: { id, permissions } }
+   * @returns {Promise<Object>} Updated duplicate
+   */
+  async merge(report, primary, options = {}) {
+    const { actor = {} } = options;
+
+    if (!this.getActorRoles(report, actor).includes('admin')) {
+      throw this.workflowError('TRANSITION_NOT_ALLOWED', 'You are not allowed to merge reports', {
+        allowedTransitions: []
+      });
+    }
+    if (!MERGEABLE.includes(report.status)) {
+      throw this.workflowError('TRANSITION_NOT_ALLOWED', `Only ${MERGEABLE.join(', ')} reports can be merged`, {
+        allowedTransitions: this.getAllowedTransitions(report, actor)
+      });
+    }
+
+    const update = { $set: { status: 'Merged', mergedInto: primary._id }, $unset: { assignedDriver: 1 } };
+    return this.applyChange(report, update, 'Merged', actor, `Merged into report ${primary._id}`);
+  }
+
+  /**
+   * Apply the reporter's corrections to their Pending report. The status doesn't move, so
+   * nothing is added to statusHistory; the route records the edit in the audit log
+   * @param {Object} report - Report document as last read
+   * @param {Object} changes - { set, unset } field updates, already validated
+   * @param {Object} options - { actor: { id, permissions } }
+   * @returns {Promise<Object>} Updated report
+   */
+  async edit(report, changes, options = {}) {
+    const { actor = {} } = options;
+    this.checkReporterChange(report, actor, 'edit');
+
+    const update = { $set: { ...changes.set } };
+    if (changes.unset && Object.keys(changes.unset).length) {
+      update.$unset = changes.unset;
+    }
+    return this.updateReport(report, update);
+  }
+
+  /**
+   * Cancel a report its reporter filed by mistake
+   * @param {Object} report - Report document as last read
+   * @param {Object} options - { actor: { id, permissions }, notes }
+   * @returns {Promise<Object>} Updated report
+   */
+  async withdraw(report, options = {}) {
+    const { actor = {}, notes } = options;
+    this.checkReporterChange(report, actor, 'withdraw');
+
+    const reason = notes && String(notes).trim();
+    return this.applyChange(report, { $set: { status: 'Withdrawn' } }, 'Withdrawn', actor,
+      reason ? `Withdrawn by the reporter: ${reason}` : 'Withdrawn by the reporter');
+  }
+
+  // Private helper methods
+
+  isReporter(report, actor) {
+    const reporter = report.user?._id || report.user;
+    return Boolean(actor.id && reporter && String(reporter) === String(actor.id));
+  }
+
+  // action is 'edit' or 'withdraw'
+  checkReporterChange(report, actor, action) {
+    if (!this.isReporter(report, actor)) {
+      throw this.workflowError('TRANSITION_NOT_ALLOWED', `Only the reporter can ${action} this report`, {
+        allowedTransitions: []
+      });
+    }
+    if (!REPORTER_EDITABLE.includes(report.status)) {
+      throw this.workflowError(
+        'TRANSITION_NOT_ALLOWED',
+        `Only ${REPORTER_EDITABLE.join(', ')} reports can be ${action === 'edit' ? 'edited' : 'withdrawn'}; ` +
+          `this one is already ${report.status}`,
+        { allowedTransitions: [] }
+      );
+    }
+  }
+
+  getActorRoles(report, actor = {}) {
+    const permissions = actor.permissions || [];
+    const roles = [];
+    if (permissions.includes('reports:status')) roles.push('admin');
+    if (permissions.includes('reports:assign')) roles.push('dispatch');
+
+    const assignedDriver = report.assignedDriver?._id || report.assignedDriver;
+    if (permissions.includes('reports:work') && actor.id && assignedDriver &&
+        String(assignedDriver) === String(actor.id)) {
+      roles.push('driver');
+    }
+    return roles;
+  }
+
+  // The update only applies if nobody changed the status since the report was read
+  async applyChange(report, update, status, actor, notes) {
+    update.$push = {
+      statusHistory: {
+        status,
+        timestamp: new Date(),
+        changedBy: actor.id || null,
+        notes: notes ? String(notes).trim() : null
+      }
+    };
+    return this.updateReport(report, update);
+  }
+
+  // writes the update only while the report still has the status it was read with
+  async updateReport(report, update) {
+    const updated = await Report.findOneAndUpdate(
+      { _id: report._id, status: report.status },
+      update,
+      { new: true }
+    );
+    if (!updated) {
+      throw this.workflowError('STATUS_CONFLICT', 'The report was changed in the meantime. Reload and try again');
+    }
+
+    // the status change decides which SLA stage runs next, so due dates move with it
+    await this.slaService.refreshReport(updated);
+    return updated;
+  }
+
+  workflowError(code, message, extra = {}) {
+    const error = new Error(message);
+    error.name = 'WorkflowError';
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+  }
+}
+
+export default WorkflowService;
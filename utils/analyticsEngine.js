@@ -1,6 +1,8 @@
 ﻿import moment from 'moment';
 import Report from '../models/report.js';
 import User from '../models/User.js';
+import { toTenantMatch } from './tenant.js';
+import CategoryService from '../services/categoryService.js';
 
 /**
  * Analytics Engine - Core processing component for CleanCity analytics
@@ -9,13 +11,14 @@ import User from '../models/User.js';
 class AnalyticsEngine {
   constructor() {
     this.validStatuses = ['Pending', 'Assigned', 'In Progress', 'Completed', 'Rejected'];
-    this.validCategories = ['recyclable', 'illegal_dumping', 'hazardous_waste'];
+    // categories are configured per municipality (Category collection)
+    this.categoryService = new CategoryService();
   }
 
   /**
    * Generate trend data for specified date range and filters
    * @param {Object} dateRange - { startDate, endDate }
-   * @param {Object} filters - { category, status }
+   * @param {Object} filters - { category, status, organization }
    * @returns {Promise<Object>} Trend data with counts and percentage changes
    */
   async generateTrendData(dateRange, filters = {}) {
@@ -24,7 +27,8 @@ class AnalyticsEngine {
       
       // Build match criteria
       const matchCriteria = {
-        createdAt: { $gte: startDate, $lte: endDate }
+        createdAt: { $gte: startDate, $lte: endDate },
+        organization: toTenantMatch(filters.organization)
       };
 
       if (filters.category && filters.category !== 'all') {
@@ -161,21 +165,31 @@ class AnalyticsEngine {
    * Calculate comprehensive driver performance metrics
    * @param {String} driverId - Driver ID (optional, if null returns all drivers)
    * @param {Object} dateRange - Date range for analysis
-   * @returns {Promise<Object>} Enhanced driver performance metrics
+   * @param {Object} filters - { organization, depot } - depot limits the metrics to one team
+   * @returns {Promise<Object>} Enhanced driver performance metrics, rolled up by team in `teams`
    */
-  async calculateDriverMetrics(driverId = null, dateRange) {
+  async calculateDriverMetrics(driverId = null, dateRange, filters = {}) {
     try {
       const { startDate, endDate } = this.validateDateRange(dateRange);
       
       const matchCriteria = {
         assignedDriver: { $exists: true, $ne: null },
-        createdAt: { $gte: startDate, $lte: endDate }
+        createdAt: { $gte: startDate, $lte: endDate },
+        organization: toTenantMatch(filters.organization)
       };
 
-      if (driverId) {
+      if (filters.depot) {
+        const teamIds = await User.find({ organization: filters.organization || null, depot: filters.depot })
+          .distinct('_id');
+        matchCriteria.assignedDriver = {
+          $in: driverId ? teamIds.filter(id => String(id) === String(driverId)) : teamIds
+        };
+      } else if (driverId) {
         matchCriteria.assignedDriver = driverId;
       }
 
+      const categories = await this.categoryService.getKeys(filters.organization, { includeInactive: true });
+
       const driverStats = await Report.aggregate([
         { $match: matchCriteria },
         {
@@ -205,15 +219,7 @@ class AnalyticsEngine {
               }
             },
             // Track category distribution
-            recyclableReports: {
-              $sum: { $cond: [{ $eq: ["$category", "recyclable"] }, 1, 0] }
-            },
-            illegalDumpingReports: {
-              $sum: { $cond: [{ $eq: ["$category", "illegal_dumping"] }, 1, 0] }
-            },
-            hazardousWasteReports: {
-              $sum: { $cond: [{ $eq: ["$category", "hazardous_waste"] }, 1, 0] }
-            },
+            reportCategories: { $push: "$category" },
             // Track assignment dates for workload analysis
             assignmentDates: { $push: "$assignedAt" },
             // Track report creation dates for trend analysis
@@ -224,16 +230,18 @@ class AnalyticsEngine {
 
       // Process enhanced driver statistics
       const processedStats = await Promise.all(driverStats.map(async (stat) => {
-        return this.processDriverPerformanceData(stat, { startDate, endDate });
+        return this.processDriverPerformanceData(stat, { startDate, endDate }, categories);
       }));
 
       // Calculate system-wide performance benchmarks
       const benchmarks = this.calculatePerformanceBenchmarks(processedStats);
+      const teams = await this.calculateTeamRollup(processedStats);
 
       return {
         driverCount: processedStats.length,
         metrics: processedStats,
         benchmarks,
+        teams,
         summary: {
           totalAssigned: processedStats.reduce((sum, stat) => sum + stat.assignedReports, 0),
           totalCompleted: processedStats.reduce((sum, stat) => sum + stat.completedReports, 0),
@@ -256,9 +264,10 @@ class AnalyticsEngine {
    * Process individual driver performance data with enhanced calculations
    * @param {Object} stat - Raw driver statistics from aggregation
    * @param {Object} period - Analysis period
+   * @param {Array} categories - Category keys of the municipality
    * @returns {Object} Processed driver performance metrics
    */
-  processDriverPerformanceData(stat, period) {
+  processDriverPerformanceData(stat, period, categories = []) {
     try {
       // Basic completion and rejection rates
       const completionRate = stat.assignedReports > 0 
@@ -274,7 +283,7 @@ class AnalyticsEngine {
       const resolutionTimeStats = this.calculateResolutionTimeStats(validTimes);
 
       // Calculate workload distribution
-      const workloadStats = this.calculateWorkloadDistribution(stat);
+      const workloadStats = this.calculateWorkloadDistribution(stat, categories);
 
       // Calculate efficiency metrics
       const efficiencyMetrics = this.calculateEfficiencyMetrics(stat, resolutionTimeStats);
@@ -391,31 +400,34 @@ class AnalyticsEngine {
   /**
    * Calculate workload distribution across categories
    * @param {Object} stat - Driver statistics
+   * @param {Array} categories - Category keys of the municipality
    * @returns {Object} Workload distribution metrics
    */
-  calculateWorkloadDistribution(stat) {
+  calculateWorkloadDistribution(stat, categories = []) {
+    const emptyDistribution = Object.fromEntries(categories.map(category => [category, 0]));
+
     try {
       const totalReports = stat.assignedReports || 0;
       
-      if (totalReports === 0) {
+      if (totalReports === 0 || categories.length === 0) {
         return {
-          categoryDistribution: {
-            recyclable: 0,
-            illegal_dumping: 0,
-            hazardous_waste: 0
-          },
+          categoryDistribution: emptyDistribution,
           balance: 100 // Perfect balance when no reports
         };
       }
 
-      const categoryDistribution = {
-        recyclable: Math.round((stat.recyclableReports / totalReports) * 100),
-        illegal_dumping: Math.round((stat.illegalDumpingReports / totalReports) * 100),
-        hazardous_waste: Math.round((stat.hazardousWasteReports / totalReports) * 100)
-      };
+      const categoryDistribution = { ...emptyDistribution };
+      (stat.reportCategories || []).forEach(category => {
+        if (category in categoryDistribution) {
+          categoryDistribution[category]++;
+        }
+      });
+      Object.keys(categoryDistribution).forEach(category => {
+        categoryDistribution[category] = Math.round((categoryDistribution[category] / totalReports) * 100);
+      });
 
       // Calculate workload balance (how evenly distributed across categories)
-      const expectedPercentage = 100 / 3; // 33.33% for perfect balance
+      const expectedPercentage = 100 / categories.length; // equal share for perfect balance
       const deviations = Object.values(categoryDistribution)
         .map(percentage => Math.abs(percentage - expectedPercentage));
       const averageDeviation = deviations.reduce((sum, dev) => sum + dev, 0) / deviations.length;
@@ -429,7 +441,7 @@ class AnalyticsEngine {
     } catch (error) {
       console.error('[ERROR] Analytics Engine - calculateWorkloadDistribution:', error.message);
       return {
-        categoryDistribution: { recyclable: 0, illegal_dumping: 0, hazardous_waste: 0 },
+        categoryDistribution: emptyDistribution,
         balance: 0
       };
     }
@@ -499,6 +511,64 @@ class AnalyticsEngine {
     }
   }
 
+  /**
+   * Roll driver metrics up to the depots/teams the drivers belong to
+   * @param {Array} driverStats - Array of processed driver statistics
+   * @returns {Promise<Array>} One entry per team, best completion rate first; drivers without a depot share depotId null
+   */
+  async calculateTeamRollup(driverStats) {
+    try {
+      const drivers = await User.find({ _id: { $in: driverStats.map(stat => stat.driverId) } })
+        .select('depot')
+        .populate('depot', 'name')
+        .lean();
+      const depotByDriver = new Map(drivers.map(driver => [String(driver._id), driver.depot]));
+
+      const teams = new Map();
+      driverStats.forEach(stat => {
+        const depot = depotByDriver.get(String(stat.driverId));
+        const key = depot ? String(depot._id) : 'none';
+        if (!teams.has(key)) {
+          teams.set(key, {
+            depotId: depot?._id || null,
+            name: depot?.name || 'No depot',
+            driverCount: 0,
+            assignedReports: 0,
+            completedReports: 0,
+            rejectedReports: 0,
+            resolutionTimes: []
+          });
+        }
+
+        const team = teams.get(key);
+        team.driverCount++;
+        team.assignedReports += stat.assignedReports;
+        team.completedReports += stat.completedReports;
+        team.rejectedReports += stat.rejectedReports;
+        if (stat.averageResolutionTime > 0) {
+          team.resolutionTimes.push(stat.averageResolutionTime);
+        }
+      });
+
+      return [...teams.values()]
+        .map(({ resolutionTimes, ...team }) => ({
+          ...team,
+          completionRate: team.assignedReports > 0
+            ? Math.round((team.completedReports / team.assignedReports) * 100)
+            : 0,
+          rejectionRate: team.assignedReports > 0
+            ? Math.round((team.rejectedReports / team.assignedReports) * 100)
+            : 0,
+          averageResolutionTime: this.calculateAverage(resolutionTimes)
+        }))
+        .sort((a, b) => b.completionRate - a.completionRate);
+
+    } catch (error) {
+      console.error('[ERROR] Analytics Engine - calculateTeamRollup:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Calculate system-wide performance benchmarks
    * @param {Array} driverStats - Array of processed driver statistics
@@ -558,11 +628,12 @@ class AnalyticsEngine {
   /**
    * Generate comprehensive status analytics with transition analysis
    * @param {Array} reports - Array of reports to analyze
+   * @param {Array} categories - Category keys of the municipality (optional)
    * @returns {Object} Status distribution and transition analytics
    */
-  async generateStatusAnalytics(reports) {
+  async generateStatusAnalytics(reports, categories = null) {
     try {
-      const validReports = reports.filter(report => this.validateReportData(report));
+      const validReports = reports.filter(report => this.validateReportData(report, categories));
       
       // Status distribution
       const statusCounts = {};
@@ -752,15 +823,13 @@ class AnalyticsEngine {
       const rejectionTimes = [];
       const categoryResolutionTimes = {};
 
-      // Initialize category tracking
-      this.validCategories.forEach(category => {
-        categoryResolutionTimes[category] = [];
-      });
-
       reports.forEach(report => {
         if (report.statusHistory && report.statusHistory.length > 0) {
           const startTime = new Date(report.statusHistory[0].timestamp);
           const category = report.category;
+          if (category && !categoryResolutionTimes[category]) {
+            categoryResolutionTimes[category] = [];
+          }
 
           // Find specific status timestamps
           const assignedStatus = report.statusHistory.find(h => h.status === 'Assigned');
@@ -1224,7 +1293,7 @@ class AnalyticsEngine {
 
       // Calculate category-specific efficiency
       const categoryEfficiency = {};
-      this.validCategories.forEach(category => {
+      [...new Set(timelineData.map(t => t.category).filter(Boolean))].forEach(category => {
         const categoryTimelines = timelineData.filter(t => t.category === category);
         if (categoryTimelines.length > 0) {
           const categoryDurations = categoryTimelines.map(t => t.totalDuration);
@@ -1269,9 +1338,10 @@ class AnalyticsEngine {
   /**
    * Validate report data for analytics processing with comprehensive checks
    * @param {Object} report - Report object to validate
+   * @param {Array} categories - Category keys of the municipality; any category passes when omitted
    * @returns {Object} Validation result with details
    */
-  validateReportData(report) {
+  validateReportData(report, categories = null) {
     const validationResult = {
       isValid: false,
       errors: [],
@@ -1303,12 +1373,12 @@ class AnalyticsEngine {
       }
 
       // Category validation with case-insensitive check
-      if (report.category) {
+      if (report.category && categories) {
         const normalizedCategory = typeof report.category === 'string' ? report.category.toLowerCase() : '';
-        const validCategoriesLower = this.validCategories.map(c => c.toLowerCase());
+        const validCategoriesLower = categories.map(c => c.toLowerCase());
         
         if (!validCategoriesLower.includes(normalizedCategory)) {
-          validationResult.errors.push(`Invalid category: ${report.category}. Valid categories: ${this.validCategories.join(', ')}`);
+          validationResult.errors.push(`Invalid category: ${report.category}. Valid categories: ${categories.join(', ')}`);
         }
       }
 
@@ -1408,9 +1478,10 @@ class AnalyticsEngine {
   /**
    * Calculate data quality metrics for a dataset with comprehensive analysis
    * @param {Array} reports - Array of reports to analyze
+   * @param {Array} categories - Category keys of the municipality (optional)
    * @returns {Object} Enhanced data quality metrics
    */
-  async calculateDataQuality(reports) {
+  async calculateDataQuality(reports, categories = null) {
     try {
       if (!reports || !Array.isArray(reports)) {
         console.warn('[WARN] Analytics Engine - calculateDataQuality: Invalid input - not an array');
@@ -1453,7 +1524,7 @@ class AnalyticsEngine {
         
         try {
           // Comprehensive validation
-          const validation = this.validateReportData(report);
+          const validation = this.validateReportData(report, categories);
           
           // Track validation errors and warnings
           if (validation.errors.length > 0) {
@@ -1500,7 +1571,7 @@ class AnalyticsEngine {
           }
 
           // Validate category
-          if (report.category && !this.validCategories.includes(report.category)) {
+          if (report.category && categories && !categories.includes(report.category)) {
             exclusionReasons.invalidCategory++;
             continue;
           }
@@ -1623,9 +1694,10 @@ class AnalyticsEngine {
   /**
    * Exclude invalid records from dataset with detailed logging
    * @param {Array} reports - Array of reports to filter
+   * @param {Array} categories - Category keys of the municipality (optional)
    * @returns {Object} { validReports, excludedCount, dataQualityScore, exclusionDetails }
    */
-  excludeInvalidRecords(reports) {
+  excludeInvalidRecords(reports, categories = null) {
     try {
       if (!reports || !Array.isArray(reports)) {
         console.error('[ERROR] Analytics Engine - excludeInvalidRecords: Input is not a valid array');
@@ -1648,7 +1720,7 @@ class AnalyticsEngine {
         const report = reports[i];
         
         try {
-          const validation = this.validateReportData(report);
+          const validation = this.validateReportData(report, categories);
           
           if (validation.isValid) {
             validReports.push(report);
@@ -1864,12 +1936,13 @@ class AnalyticsEngine {
    * Get driver performance ranking and comparison
    * @param {String} driverId - Driver ID to rank
    * @param {Object} dateRange - Date range for analysis
+   * @param {Object} filters - { organization }
    * @returns {Promise<Object>} Driver ranking and peer comparison
    */
-  async getDriverPerformanceRanking(driverId, dateRange) {
+  async getDriverPerformanceRanking(driverId, dateRange, filters = {}) {
     try {
-      // Get all driver metrics for comparison
-      const allDriverMetrics = await this.calculateDriverMetrics(null, dateRange);
+      // Get all driver metrics for comparison (peers from the same organization only)
+      const allDriverMetrics = await this.calculateDriverMetrics(null, dateRange, filters);
       const targetDriver = allDriverMetrics.metrics.find(d => d.driverId.toString() === driverId.toString());
       
       if (!targetDriver) {
@@ -2104,21 +2177,25 @@ class AnalyticsEngine {
    * Get detailed driver assignment tracking and accuracy metrics
    * @param {String} driverId - Driver ID (optional)
    * @param {Object} dateRange - Date range for analysis
+   * @param {Object} filters - { organization }
    * @returns {Promise<Object>} Assignment tracking metrics
    */
-  async getDriverAssignmentTracking(driverId = null, dateRange) {
+  async getDriverAssignmentTracking(driverId = null, dateRange, filters = {}) {
     try {
       const { startDate, endDate } = this.validateDateRange(dateRange);
       
       const matchCriteria = {
         assignedDriver: { $exists: true, $ne: null },
-        createdAt: { $gte: startDate, $lte: endDate }
+        createdAt: { $gte: startDate, $lte: endDate },
+        organization: toTenantMatch(filters.organization)
       };
 
       if (driverId) {
         matchCriteria.assignedDriver = driverId;
       }
 
+      const categories = await this.categoryService.getKeys(filters.organization, { includeInactive: true });
+
       // Get detailed assignment data
       const assignmentData = await Report.aggregate([
         { $match: matchCriteria },
@@ -2156,7 +2233,7 @@ class AnalyticsEngine {
 
       // Process assignment tracking data
       const processedTracking = assignmentData.map(data => {
-        return this.processAssignmentTrackingData(data, { startDate, endDate });
+        return this.processAssignmentTrackingData(data, { startDate, endDate }, categories);
       });
 
       // Calculate system-wide assignment metrics
@@ -2179,9 +2256,10 @@ class AnalyticsEngine {
    * Process individual driver assignment tracking data
    * @param {Object} data - Raw assignment data from aggregation
    * @param {Object} period - Analysis period
+   * @param {Array} categories - Category keys of the municipality
    * @returns {Object} Processed assignment tracking metrics
    */
-  processAssignmentTrackingData(data, period) {
+  processAssignmentTrackingData(data, period, categories = []) {
     try {
       const totalAssignments = data.totalAssignments || 0;
       
@@ -2203,7 +2281,7 @@ class AnalyticsEngine {
       );
 
       // Analyze category-specific performance
-      const categoryPerformance = this.analyzeCategoryAssignmentPerformance(data.categoryAccuracy);
+      const categoryPerformance = this.analyzeCategoryAssignmentPerformance(data.categoryAccuracy, categories);
 
       // Privacy protection - return only performance metrics
       return {
@@ -2299,23 +2377,20 @@ class AnalyticsEngine {
   /**
    * Analyze category-specific assignment performance
    * @param {Array} categoryData - Category and status data
+   * @param {Array} categories - Category keys of the municipality
    * @returns {Object} Category performance analysis
    */
-  analyzeCategoryAssignmentPerformance(categoryData) {
+  analyzeCategoryAssignmentPerformance(categoryData, categories = []) {
+    const emptyStats = () => Object.fromEntries(
+      categories.map(category => [category, { total: 0, completed: 0, rate: 0 }])
+    );
+
     try {
       if (!categoryData || categoryData.length === 0) {
-        return {
-          recyclable: { total: 0, completed: 0, rate: 0 },
-          illegal_dumping: { total: 0, completed: 0, rate: 0 },
-          hazardous_waste: { total: 0, completed: 0, rate: 0 }
-        };
+        return emptyStats();
       }
 
-      const categoryStats = {
-        recyclable: { total: 0, completed: 0 },
-        illegal_dumping: { total: 0, completed: 0 },
-        hazardous_waste: { total: 0, completed: 0 }
-      };
+      const categoryStats = emptyStats();
 
       categoryData.forEach(item => {
         if (item.category && categoryStats[item.category]) {
@@ -2338,11 +2413,7 @@ class AnalyticsEngine {
 
     } catch (error) {
       console.error('[ERROR] Analytics Engine - analyzeCategoryAssignmentPerformance:', error.message);
-      return {
-        recyclable: { total: 0, completed: 0, rate: 0 },
-        illegal_dumping: { total: 0, completed: 0, rate: 0 },
-        hazardous_waste: { total: 0, completed: 0, rate: 0 }
-      };
+      return emptyStats();
     }
   }
 
@@ -0,0 +1,45 @@
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Distance between two points on the earth's surface (haversine)
+ * @param {Number} latitude1 - Latitude of the first point
+ * @param {Number} longitude1 - Longitude of the first point
+ * @param {Number} latitude2 - Latitude of the second point
+ * @param {Number} longitude2 - Longitude of the second point
+ * @returns {Number} Meters
+ */
+export const distanceMeters = (latitude1, longitude1, latitude2, longitude2) => {
+  const dLatitude = toRadians(latitude2 - latitude1);
+  const dLongitude = toRadians(longitude2 - longitude1);
+  const a = Math.sin(dLatitude / 2) ** 2 +
+    Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Report query condition for a box around a point; narrows candidates down before distanceMeters()
+ * Reports store plain latitude/longitude numbers, so this uses the { latitude, longitude } index
+ * @param {Number} latitude - Latitude of the center
+ * @param {Number} longitude - Longitude of the center
+ * @param {Number} radiusMeters - Half the box's width
+ * @returns {Object} { latitude: { $gte, $lte }, longitude: { $gte, $lte } }
+ */
+export const boundingBox = (latitude, longitude, radiusMeters) => {
+  const latitudeDelta = radiusMeters / METERS_PER_DEGREE_LATITUDE;
+  const longitudeDelta = latitudeDelta / Math.max(Math.cos(toRadians(latitude)), 0.01);
+  return {
+    latitude: { $gte: latitude - latitudeDelta, $lte: latitude + latitudeDelta },
+    longitude: { $gte: longitude - longitudeDelta, $lte: longitude + longitudeDelta },
+  };
+};
+
+/**
+ * Whether a record carries usable coordinates
+ * @param {Object} point - Anything with latitude and longitude, e.g. a report
+ * @returns {Boolean} True if both are numbers
+ */
+export const hasCoordinates = (point) =>
+  Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
@@ -0,0 +1,63 @@
+/**
+ * In-memory key/value store with expiry - used when Redis is not available
+ * State is per process, so it resets on restart and is not shared between instances
+ */
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.store(key, value, ttl);
+    return true;
+  }
+
+  // setIfAbsent and increment check and write without yielding, so concurrent callers can't interleave
+  async setIfAbsent(key, value, ttl) {
+    if (this.isLive(this.entries.get(key))) return false;
+    this.store(key, value, ttl);
+    return true;
+  }
+
+  // returns { count, ttl } with the seconds left before the counter expires
+  async increment(key, ttl) {
+    const entry = this.entries.get(key);
+    if (this.isLive(entry)) {
+      entry.value += 1;
+      return { count: entry.value, ttl: Math.ceil((entry.expiresAt - Date.now()) / 1000) };
+    }
+    this.store(key, 1, ttl);
+    return { count: 1, ttl: Math.ceil(ttl) };
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  isLive(entry) {
+    return Boolean(entry) && entry.expiresAt > Date.now();
+  }
+
+  store(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+
+    // Opportunistic cleanup so abandoned keys don't accumulate
+    if (this.entries.size > 10000) {
+      const now = Date.now();
+      for (const [entryKey, entry] of this.entries) {
+        if (entry.expiresAt <= now) this.entries.delete(entryKey);
+      }
+    }
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Run a background job every few minutes inside the server process
+ * A run is skipped while the previous one is still busy, and the timer doesn't keep
+ * the process alive on shutdown
+ * @param {String} name - Shown in log lines, e.g. "SLA monitor"
+ * @param {Number} intervalMinutes - Minutes between runs; 0 or less disables the job
+ * @param {Function} task - Async job; a string it resolves to is logged
+ * @returns {Function|null} Stops the job, or null when it is disabled
+ */
+export const schedulePeriodic = (name, intervalMinutes, task) => {
+  if (!intervalMinutes || intervalMinutes <= 0) {
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const summary = await task();
+      if (summary) {
+        console.log(`${name}: ${summary}`);
+      }
+    } catch (error) {
+      console.error(`${name} failed:`, error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return () => clearInterval(timer);
+};
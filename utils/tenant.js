@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+
+/**
+ * Tenant helpers - every query that reads or writes tenant data goes through these,
+ * so an admin of one municipality never sees another's users, reports or analytics.
+ *
+ * Records created before multi-tenancy have no organization; they belong to the
+ * "null" tenant together with users that have none, so an unmigrated single-town
+ * deployment keeps working until `npm run org:migrate` is run.
+ */
+
+/**
+ * Get the organization id of the authenticated user
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {ObjectId|null} Organization id, or null for unassigned accounts
+ */
+export const getTenantId = (req) => req.user?.organization || null;
+
+/**
+ * Add the caller's organization to a query filter
+ * @param {Object} req - Express request (after authenticate)
+ * @param {Object} filter - Query filter
+ * @returns {Object} Filter restricted to the caller's organization
+ */
+export const scopeToTenant = (req, filter = {}) => ({
+  ...filter,
+  organization: getTenantId(req),
+});
+
+/**
+ * Organization id for an aggregation $match stage
+ * aggregate() does not cast, so string ids (from cache keys or request bodies) are converted
+ * @param {ObjectId|String|null} organization - Organization id
+ * @returns {ObjectId|null} ObjectId, or null for the unassigned tenant
+ */
+export const toTenantMatch = (organization) =>
+  organization ? new mongoose.Types.ObjectId(String(organization)) : null;
+
+/**
+ * Pick the municipality named by a public form (signup, anonymous reports), or the only one there is
+ * @param {String} slug - Organization slug from the form, if any
+ * @returns {Promise<Object>} { organization } (null before organizations exist) or { error }
+ */
+export const resolveOrganization = async (slug) => {
+  if (slug) {
+    const organization = await Organization.findOne({
+      slug: String(slug).toLowerCase().trim(),
+      isActive: true,
+    });
+    return organization ? { organization } : { error: 'Unknown municipality' };
+  }
+
+  const organizations = await Organization.find({ isActive: true }).limit(2);
+  if (organizations.length > 1) {
+    return { error: 'Please choose your municipality' };
+  }
+  // no organizations yet means a single-town deployment that hasn't been migrated
+  return { organization: organizations[0] || null };
+};